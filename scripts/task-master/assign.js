@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для назначения исполнителей задач
+ * Позволяет назначить или снять исполнителя задачи или подзадачи (поле assignee)
+ */
+
+const chalk = require('chalk');
+const store = require('./task-store');
+const output = require('./output');
+const dependencies = require('./dependencies');
+const assignees = require('./assignees');
+const { t } = require('./i18n');
+
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
+
+// Значения, снимающие исполнителя задачи
+const CLEAR_VALUES = ['clear', 'none', '-', 'снять', 'нет', 'никого'];
+
+// Значения, назначающие задачу пользователю git
+const SELF_VALUES = ['me', 'мне', 'меня', 'себя'];
+
+// Предлоги перед именем: "assign 5 на Ивана", "assign 5 to ivan"
+const NAME_PREFIXES = ['на', 'to'];
+
+/**
+ * Назначить или снять исполнителя задачи или подзадачи
+ * @param {string} taskId - ID задачи или подзадачи
+ * @param {string} value - Имя исполнителя, me (пользователь git) или clear
+ * @param {object} options - { resolve } - привести имя из фразы чата к известному исполнителю
+ * @returns {object} - Результат операции
+ */
+function setTaskAssignee(taskId, value, options = {}) {
+  const text = String(value || '').trim();
+  const clear = CLEAR_VALUES.includes(text.toLowerCase());
+
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const item = dependencies.buildIndex(tasksData).get(dependencies.normalizeId(taskId));
+
+    if (!item) {
+      return { success: false, message: t('common.taskNotFound', { id: taskId }) };
+    }
+
+    let assignee = null;
+    if (SELF_VALUES.includes(text.toLowerCase())) {
+      assignee = assignees.getCurrentUser();
+      if (!assignee) {
+        return { success: false, message: t('assign.noGitUser') };
+      }
+    } else if (!clear) {
+      assignee = options.resolve
+        ? assignees.resolveAssignee(text, assignees.getKnownAssignees(tasksData))
+        : assignees.normalizeAssignee(text);
+      if (!assignee) {
+        return { success: false, message: t('assign.invalid', { value: text }) };
+      }
+    }
+
+    if (assignee) {
+      item.assignee = assignee;
+    } else {
+      delete item.assignee;
+    }
+
+    // Дата изменения хранится у задачи, в том числе при изменении подзадачи
+    const task = tasksData.tasks.find(entry => entry.id === parseInt(taskId));
+    task.updated_at = new Date().toISOString();
+
+    if (!saveTasks(tasksData)) {
+      return { success: false, message: t('common.saveFailed') };
+    }
+
+    return {
+      success: true,
+      message: assignee
+        ? t('assign.set', { id: item.id, assignee })
+        : t('assign.cleared', { id: item.id }),
+      taskId: item.id,
+      assignee
+    };
+  });
+}
+
+/**
+ * Разобрать аргументы: "<id> <имя>". Имя может состоять из нескольких слов;
+ * после предлога ("на Ивана", "to ivan") имя приводится к известному исполнителю, как в чате
+ *
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {object|null} - { taskId, value, resolve } или null, если имя не указано
+ */
+function parseAssignArgs(args) {
+  const [taskId, ...words] = args;
+  const resolve = words.length > 0 && NAME_PREFIXES.includes(words[0].toLowerCase());
+  const value = (resolve ? words.slice(1) : words).join(' ').trim();
+
+  return taskId && value ? { taskId, value, resolve } : null;
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('assign.help.title')}\n`));
+  console.log(`${t('assign.help.usage')}\n`);
+  console.log(t('assign.help.examplesHeader'));
+  ['set', 'subtask', 'me', 'clear'].forEach(example => {
+    console.log(`  ${t(`assign.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const args = output.stripOutputFlags(process.argv.slice(2));
+  const parsed = parseAssignArgs(args);
+
+  if (parsed) {
+    const result = setTaskAssignee(parsed.taskId, parsed.value, { resolve: parsed.resolve });
+    output.finish(result);
+
+    if (result.success) {
+      console.log(chalk.green(`✓ ${result.message}`));
+    } else {
+      console.log(chalk.red(`✗ ${result.message}`));
+    }
+  } else {
+    showHelp();
+    if (args[0] !== 'help') {
+      output.finish({ success: false, message: t('assign.help.usage') });
+    }
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  setTaskAssignee,
+  parseAssignArgs
+};
@@ -0,0 +1,282 @@
+/**
+ * Исполнители задач (поле assignee) и ограничения числа задач в работе (WIP)
+ * Исполнитель задается задаче или подзадаче; подзадача без исполнителя
+ * выполняется исполнителем родителя. Задача в работе учитывается в WIP каждого,
+ * кто над ней работает: исполнителя задачи и исполнителей её подзадач в работе.
+ * Задачи без исполнителя считаются задачами одного исполнителя "без имени" (null).
+ * Начатая задача без исполнителя назначается пользователю git (git config user.name)
+ */
+
+const { execSync } = require('child_process');
+const config = require('./config');
+const subtaskTree = require('./subtask-tree');
+const { t } = require('./i18n');
+
+/**
+ * Привести имя исполнителя к хранимому виду: "@ivan " → "ivan"
+ * @param {string} name - Имя исполнителя
+ * @returns {string|null} - Имя или null, если имя пустое
+ */
+function normalizeAssignee(name) {
+  const value = String(name || '').trim().replace(/^@/, '');
+  return value || null;
+}
+
+/**
+ * Текущий пользователь - имя из git config user.name
+ * @returns {string|null} - Имя или null, если git недоступен или имя не задано
+ */
+function getCurrentUser() {
+  try {
+    return normalizeAssignee(execSync('git config user.name', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Кто начинает работу над элементом: явно указанный исполнитель,
+ * исполнитель элемента (или его родителей) или пользователь git
+ *
+ * @param {object[]} path - Путь от задачи до элемента (subtaskTree.findPath)
+ * @param {string|null} as - Явно указанный исполнитель (--as)
+ * @returns {string|null}
+ */
+function getStartingAssignee(path, as = null) {
+  return as || getEffectiveAssignee(path) || getCurrentUser();
+}
+
+/**
+ * Привести имя из фразы чата к имени исполнителя: "на Ивана" → "Иван".
+ * Сначала имя сравнивается с уже известными исполнителями (в том числе
+ * в винительном падеже), затем для кириллических имен падеж снимается
+ * по окончанию: -у → -а, -ю → -я, согласная + а → без окончания, -я → -ь или -й
+ *
+ * @param {string} name - Имя из фразы
+ * @param {string[]} knownAssignees - Известные исполнители
+ * @returns {string|null}
+ */
+function resolveAssignee(name, knownAssignees = []) {
+  const value = normalizeAssignee(name);
+  if (!value) return null;
+
+  const lower = value.toLowerCase();
+  const known = knownAssignees.find(assignee => {
+    const candidate = assignee.toLowerCase();
+    return candidate === lower || toAccusative(candidate).includes(lower);
+  });
+  if (known) return known;
+
+  if (!/^[а-яё]+$/i.test(value) || value.length < 3) return value;
+  if (/у$/i.test(value)) return value.replace(/у$/i, 'а');
+  if (/ю$/i.test(value)) return value.replace(/ю$/i, 'я');
+  if (/[^аеёиоуыэюяй]а$/i.test(value)) return value.slice(0, -1);
+  if (/[^аеёиоуыэюяй]я$/i.test(value)) return value.replace(/я$/i, 'ь');
+  if (/[ае]я$/i.test(value)) return value.replace(/я$/i, 'й');
+  return value;
+}
+
+/**
+ * Возможные формы имени в винительном падеже: Иван → Ивана, Анна → Анну, Мария → Марию
+ * @param {string} name - Имя в нижнем регистре
+ * @returns {string[]}
+ */
+function toAccusative(name) {
+  if (/а$/.test(name)) return [name.replace(/а$/, 'у')];
+  if (/я$/.test(name)) return [name.replace(/я$/, 'ю')];
+  if (/[йь]$/.test(name)) return [name.replace(/[йь]$/, 'я')];
+  return [`${name}а`];
+}
+
+/**
+ * Все исполнители из файла задач
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {string[]}
+ */
+function getKnownAssignees(tasksData) {
+  const known = new Set();
+  (tasksData.tasks || []).forEach(task => {
+    [task, ...subtaskTree.getDescendants(task)]
+      .filter(item => item.assignee)
+      .forEach(item => known.add(item.assignee));
+  });
+  return [...known];
+}
+
+/**
+ * Исполнитель элемента с учетом наследования от родителей
+ * @param {object[]} path - Путь от задачи до элемента (subtaskTree.findPath)
+ * @returns {string|null}
+ */
+function getEffectiveAssignee(path) {
+  for (let index = path.length - 1; index >= 0; index--) {
+    if (path[index].assignee) return path[index].assignee;
+  }
+  return null;
+}
+
+/**
+ * Исполнители задачи и её подзадач с учетом наследования
+ * @param {object} task - Задача
+ * @param {Function} filter - Учитывать только элементы, для которых filter(item) истинно
+ * @returns {Set<string|null>}
+ */
+function getAssignees(task, filter = () => true) {
+  const found = new Set();
+
+  const collect = (item, inherited) => {
+    const assignee = item.assignee || inherited;
+    if (filter(item)) {
+      found.add(assignee);
+    }
+    subtaskTree.getChildren(item).forEach(subtask => collect(subtask, assignee));
+  };
+  collect(task, null);
+
+  return found;
+}
+
+/**
+ * Кто работает над задачей: исполнители задачи и подзадач в статусе in-progress
+ * @param {object} task - Задача
+ * @returns {Set<string|null>}
+ */
+function getWorkers(task) {
+  return getAssignees(task, item => item.status === 'in-progress');
+}
+
+/**
+ * Задачи в работе: все или задачи исполнителя
+ * @param {object} tasksData - Данные tasks.json
+ * @param {string|null} assignee - Исполнитель (null - задачи без исполнителя); не указан - все задачи
+ * @returns {object[]}
+ */
+function getInProgressTasks(tasksData, assignee) {
+  return (tasksData.tasks || [])
+    .filter(task => task.status === 'in-progress')
+    .filter(task => assignee === undefined || getWorkers(task).has(assignee));
+}
+
+/**
+ * Ограничения WIP из настроек
+ * @returns {object} - { perPerson, total, people } - null означает "без ограничения"
+ */
+function getWipLimits() {
+  return { ...config.DEFAULT_CONFIG.wipLimits, ...config.getSetting('wipLimits') };
+}
+
+/**
+ * Ограничение WIP исполнителя: отдельное значение из people или общее perPerson
+ * @param {string|null} assignee - Исполнитель
+ * @returns {number|null}
+ */
+function getPersonLimit(assignee) {
+  const limits = getWipLimits();
+  const people = limits.people || {};
+  return assignee && people[assignee] !== undefined ? people[assignee] : limits.perPerson;
+}
+
+/**
+ * Проверить, не превысит ли начало работы над задачей ограничения WIP
+ * @param {object} tasksData - Данные tasks.json
+ * @param {string|null} assignee - Кто начинает работу
+ * @param {number} taskId - ID задачи (для подзадачи - ID её задачи)
+ * @returns {object} - { allowed, message, tasks } - tasks: задачи в работе, из-за которых начать нельзя
+ */
+function checkWipLimit(tasksData, assignee, taskId) {
+  const formatTasks = tasks => tasks.map(task => `#${task.id}`).join(', ');
+
+  const personTasks = getInProgressTasks(tasksData, assignee).filter(task => task.id !== taskId);
+  const personLimit = getPersonLimit(assignee);
+  if (typeof personLimit === 'number' && personTasks.length >= personLimit) {
+    return {
+      allowed: false,
+      message: assignee
+        ? t('wip.personLimit', { assignee, limit: personLimit, tasks: formatTasks(personTasks) })
+        : t('wip.unassignedLimit', { limit: personLimit, tasks: formatTasks(personTasks) }),
+      tasks: personTasks
+    };
+  }
+
+  // Работа над задачей, которая уже в работе, не увеличивает общее число задач в работе
+  const allTasks = getInProgressTasks(tasksData);
+  const totalLimit = getWipLimits().total;
+  if (typeof totalLimit === 'number' && !allTasks.some(task => task.id === taskId) && allTasks.length >= totalLimit) {
+    return {
+      allowed: false,
+      message: t('wip.totalLimit', { limit: totalLimit, tasks: formatTasks(allTasks) }),
+      tasks: allTasks
+    };
+  }
+
+  return { allowed: true, message: '', tasks: [] };
+}
+
+/**
+ * Назначить исполнителя элементу, которого начинает исполнитель.
+ * Собственного исполнителя элемента переназначить нельзя
+ *
+ * @param {object} item - Задача или подзадача
+ * @param {string|null} assignee - Исполнитель
+ * @returns {object} - { success, message }
+ */
+function claim(item, assignee) {
+  if (!assignee) {
+    return { success: true, message: '' };
+  }
+
+  if (item.assignee && item.assignee !== assignee) {
+    return { success: false, message: t('wip.assignedToOther', { id: item.id, assignee: item.assignee }) };
+  }
+
+  item.assignee = assignee;
+  return { success: true, message: '' };
+}
+
+/**
+ * Прогресс по исполнителям: задачи считаются по исполнителю задачи
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {object[]} - [{ assignee, total, done, inProgress }], задачи без исполнителя - последними
+ */
+function summarizeByAssignee(tasksData) {
+  const byAssignee = new Map();
+
+  (tasksData.tasks || []).forEach(task => {
+    const assignee = task.assignee || null;
+    const row = byAssignee.get(assignee) || { assignee, total: 0, done: 0, inProgress: 0 };
+    row.total++;
+    if (task.status === 'done') row.done++;
+    if (task.status === 'in-progress') row.inProgress++;
+    byAssignee.set(assignee, row);
+  });
+
+  return [...byAssignee.values()]
+    .sort((a, b) => (a.assignee === null) - (b.assignee === null) || String(a.assignee).localeCompare(String(b.assignee)));
+}
+
+/**
+ * Отметка исполнителя для вывода: "@ivan"
+ * @param {object} item - Задача или подзадача
+ * @returns {string}
+ */
+function formatAssignee(item) {
+  return item.assignee ? `@${item.assignee}` : '';
+}
+
+module.exports = {
+  normalizeAssignee,
+  getCurrentUser,
+  getStartingAssignee,
+  resolveAssignee,
+  getKnownAssignees,
+  getEffectiveAssignee,
+  getAssignees,
+  getWorkers,
+  getInProgressTasks,
+  getWipLimits,
+  getPersonLimit,
+  checkWipLimit,
+  claim,
+  summarizeByAssignee,
+  formatAssignee
+};
@@ -0,0 +1,210 @@
+/**
+ * Интерактивный режим интерфейса чата (task-master chat без аргументов)
+ * Команды читаются построчно через readline: история ввода сохраняется между
+ * сеансами, Tab дополняет фразы команд и номера задач, а строка, которая
+ * заканчивается двоеточием или обратной косой чертой, начинает многострочный
+ * ввод (например, план задач), который завершается пустой строкой.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const chalk = require('chalk');
+const store = require('./task-store');
+const subtaskTree = require('./subtask-tree');
+const { t } = require('./i18n');
+
+// Файл истории ввода
+const HISTORY_FILE = process.env.TASK_MASTER_CHAT_HISTORY || path.join(os.homedir(), '.task-master-chat-history');
+const HISTORY_SIZE = 500;
+
+// Команды выхода из интерактивного режима
+const EXIT_COMMANDS = ['exit', 'quit', 'выход'];
+
+// Строка, после которой ввод продолжается на следующих строках
+const CONTINUATION_REGEX = /(?::|\\)\s*$/;
+
+const PROMPT = 'task-master> ';
+const CONTINUATION_PROMPT = '... ';
+
+/**
+ * Загрузить историю ввода (новые записи первыми, как в readline)
+ * @returns {string[]}
+ */
+function loadHistory() {
+  try {
+    return fs.readFileSync(HISTORY_FILE, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .slice(-HISTORY_SIZE)
+      .reverse();
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Сохранить историю ввода
+ * @param {string[]} history - История readline (новые записи первыми)
+ */
+function saveHistory(history) {
+  try {
+    fs.writeFileSync(HISTORY_FILE, `${[...history].reverse().join('\n')}\n`);
+  } catch (error) {
+    // История не обязательна для работы - ошибку записи не показываем
+  }
+}
+
+/**
+ * Получить ID всех задач и подзадач для дополнения
+ * @returns {string[]}
+ */
+function getTaskIds() {
+  try {
+    const tasksData = store.readTasksFile();
+    if (!tasksData || !Array.isArray(tasksData.tasks)) return [];
+
+    return tasksData.tasks.flatMap(task => [task, ...subtaskTree.getDescendants(task)]).map(item => String(item.id));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Создать функцию дополнения ввода по Tab.
+ * Пока фраза команды не набрана до номера задачи, предлагается сама фраза
+ * ("отметь задачу "), затем - фраза с номерами существующих задач
+ *
+ * @param {object[]} intents - Намерения с примерами фраз (examples)
+ * @returns {function} - completer для readline
+ */
+function createCompleter(intents) {
+  return line => {
+    const typed = line.toLowerCase();
+    const hits = new Set();
+    let taskIds = null;
+
+    intents.forEach(intent => {
+      (intent.examples || []).forEach(example => {
+        const head = example.split(/\{\w+\}/)[0];
+        const firstPlaceholder = (example.match(/\{(\w+)\}/) || [])[1];
+
+        if (firstPlaceholder === 'id' && typed.length >= head.length) {
+          taskIds = taskIds || getTaskIds();
+          taskIds
+            .map(id => example.replace('{id}', id))
+            .filter(phrase => phrase.toLowerCase().startsWith(typed))
+            .forEach(phrase => hits.add(phrase));
+        } else if (head.toLowerCase().startsWith(typed)) {
+          hits.add(head);
+        }
+      });
+    });
+
+    EXIT_COMMANDS
+      .filter(command => command.startsWith(typed))
+      .forEach(command => hits.add(command));
+
+    return [[...hits].sort(), line];
+  };
+}
+
+/**
+ * Запустить интерактивный режим
+ * @param {object} options - { processCommand, renderResponse, intents }
+ * @returns {Promise<void>} - Завершается при выходе из интерактивного режима
+ */
+function startRepl({ processCommand, renderResponse, intents }) {
+  const terminal = Boolean(process.stdin.isTTY);
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal,
+    completer: createCompleter(intents),
+    history: loadHistory(),
+    historySize: HISTORY_SIZE
+  });
+
+  // Команды выполняются строго по очереди, даже если строки приходят быстрее
+  let queue = Promise.resolve();
+  let buffer = [];
+
+  const prompt = () => {
+    rl.setPrompt(buffer.length > 0 ? CONTINUATION_PROMPT : PROMPT);
+    rl.prompt();
+  };
+
+  const run = command => {
+    queue = queue
+      .then(() => processCommand(command))
+      .then(response => console.log(`${renderResponse(response)}\n`))
+      .catch(error => console.log(chalk.red(`✗ ${error.message}\n`)))
+      .then(prompt);
+  };
+
+  console.log(chalk.bold(t('chat.repl.welcome')));
+  console.log(chalk.dim(t('chat.repl.hint')));
+  prompt();
+
+  rl.on('line', line => {
+    // Многострочный ввод завершается пустой строкой
+    if (buffer.length > 0) {
+      if (line.trim() === '') {
+        const command = buffer.join('\n');
+        buffer = [];
+        run(command);
+      } else {
+        buffer.push(line.replace(/\\\s*$/, ''));
+        prompt();
+      }
+      return;
+    }
+
+    const command = line.trim();
+
+    if (!command) {
+      prompt();
+    } else if (EXIT_COMMANDS.includes(command.toLowerCase())) {
+      rl.close();
+    } else if (CONTINUATION_REGEX.test(command)) {
+      buffer.push(command.replace(/\\\s*$/, ''));
+      prompt();
+    } else {
+      run(command);
+    }
+  });
+
+  // Ctrl+C прерывает многострочный ввод, а при пустом вводе завершает работу
+  rl.on('SIGINT', () => {
+    if (buffer.length > 0) {
+      buffer = [];
+      process.stdout.write('\n');
+      prompt();
+    } else {
+      rl.close();
+    }
+  });
+
+  return new Promise(resolve => {
+    rl.on('close', () => {
+      // Ввод закончился посреди многострочной команды - выполняем её
+      if (buffer.length > 0) {
+        run(buffer.join('\n'));
+        buffer = [];
+      }
+
+      queue.then(() => {
+        if (terminal) {
+          saveHistory(rl.history);
+          console.log(`\n${t('chat.repl.bye')}`);
+        }
+        resolve();
+      });
+    });
+  });
+}
+
+module.exports = {
+  startRepl
+};
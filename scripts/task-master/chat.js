@@ -9,38 +9,286 @@ const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const contextTracker = require('./context-tracker');
+const store = require('./task-store');
+const output = require('./output');
+const { t, formatDate } = require('./i18n');
+const dependencies = require('./dependencies');
+const generate = require('./generate');
+const tags = require('./tags');
+const dueDates = require('./due-dates');
+const estimates = require('./estimates');
+const priorities = require('./priorities');
+const subtaskTree = require('./subtask-tree');
+const statuses = require('./statuses');
+const assignees = require('./assignees');
+const journal = require('./journal');
+const { DEFAULT_PRIORITY } = require('./schema');
+const timeTracking = require('./time-tracking');
+const { createIntentRegistry } = require('./intents');
+const { suggestCommands } = require('./suggestions');
 
-// Определяем пути в зависимости от режима (локальный или глобальный)
-const isGlobalMode = process.env.TASK_MASTER_MODE === 'global';
-const tasksDir = process.env.TASK_MASTER_DIR || path.join(process.cwd(), 'tasks');
-const tasksFile = process.env.TASK_MASTER_FILE || path.join(tasksDir, 'tasks.json');
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
 
-// Функция загрузки задач из файла
-function loadTasks() {
-  if (!fs.existsSync(tasksFile)) {
-    console.log(chalk.red(`✗ Файл ${path.basename(tasksFile)} не найден. Запустите инициализацию с помощью task-master init или npm run task-master:init`));
-    process.exit(1);
-  }
-  
-  try {
-    const data = fs.readFileSync(tasksFile, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.log(chalk.red(`✗ Ошибка при чтении файла: ${error.message}`));
-    process.exit(1);
-  }
-}
+// Реестр намерений чата. Русская и английская грамматики действуют одновременно;
+// из всех совпавших фраз выбирается самая конкретная (см. intents.js)
+const intentRegistry = createIntentRegistry();
 
-// Функция сохранения задач в файл
-function saveTasks(tasksData) {
-  try {
-    fs.writeFileSync(tasksFile, JSON.stringify(tasksData, null, 2));
-    return true;
-  } catch (error) {
-    console.log(chalk.red(`✗ Ошибка при сохранении файла: ${error.message}`));
-    return false;
+[
+  {
+    name: 'continue',
+    description: t('chat.intents.continue'),
+    examples: ['продолжить', 'continue'],
+    patterns: [/^продолжить/i, /продолжить итерацию/i, /^continue/i, /continue to iterate/i],
+    handler: (slots, command) => continueCopilotIteration(command)
+  },
+  {
+    name: 'createTask',
+    description: t('chat.intents.createTask'),
+    examples: ['создай задачу {title}', 'create task {title}'],
+    patterns: [
+      /^создай задачу/i,
+      /^(?:please\s+)?(?:create|add)\s+(?:a\s+)?(?:new\s+)?task\b/i
+    ],
+    restSlot: 'title',
+    handler: ({ title }) => createTaskFromChat(title)
+  },
+  {
+    name: 'createTasks',
+    description: t('chat.intents.createTasks'),
+    examples: ['создай задачи {description}', 'create tasks {description}'],
+    patterns: [/^создай задачи/i, /^сгенерируй задачи/i, /^(?:please\s+)?(?:create|generate)\s+tasks\b/i],
+    restSlot: 'description',
+    handler: ({ description }) => createTasksFromChat(description)
+  },
+  {
+    name: 'generateTask',
+    description: t('chat.intents.generateTask'),
+    examples: ['сгенерируй задачу {description}', 'generate task {description}'],
+    patterns: [/^сгенерируй задачу/i, /^(?:please\s+)?generate\s+(?:a\s+)?task\b/i],
+    restSlot: 'description',
+    handler: ({ description }) => generateTaskFromChat(description)
+  },
+  {
+    name: 'generateFromPlan',
+    description: t('chat.intents.generateFromPlan'),
+    examples: ['создай задачи из плана: {plan}', 'create tasks from plan: {plan}'],
+    patterns: [
+      /(?:создай|сгенерируй)\s+(?:список\s+)?задач(?:и)?\s+из\s+(?:плана|нашего\s+обсуждения)/i,
+      /^(?:please\s+)?(?:create|generate)\s+(?:a\s+)?(?:list\s+of\s+)?tasks\s+from\s+(?:the\s+)?(?:plan|our\s+discussion)\b/i
+    ],
+    restSlot: 'plan',
+    handler: ({ plan }) => generateTasksFromPlan(plan)
+  },
+  {
+    name: 'showTasks',
+    description: t('chat.intents.showTasks'),
+    examples: ['покажи задачи', 'покажи список задач', 'show tasks'],
+    patterns: [
+      /покажи список задач/i,
+      /покажи задачи/i,
+      /^(?:please\s+)?(?:show|list)(?:\s+me)?(?:\s+all)?(?:\s+the)?\s+(?:tasks|task\s+list)\b/i
+    ],
+    handler: () => listTasks()
+  },
+  {
+    name: 'completeTask',
+    description: t('chat.intents.completeTask'),
+    examples: ['отметь задачу {id} как выполненную', 'mark task {id} as done'],
+    patterns: [
+      /отметь задачу (?<taskId>\d+(?:\.\d+)*) как выполненн(?:ую|ой)/i,
+      /^(?:please\s+)?mark\s+task\s+(?<taskId>\d+(?:\.\d+)*)\s+as\s+(?:done|complete|completed|finished)\b/i
+    ],
+    handler: ({ taskId }) => completeTask(taskId)
+  },
+  {
+    name: 'nextTask',
+    description: t('chat.intents.nextTask'),
+    examples: ['дай следующую задачу', 'какая следующая задача', 'next task'],
+    patterns: [
+      /дай следующую задачу/i,
+      /какая следующая задача/i,
+      /^(?:please\s+)?(?:give\s+me\s+the\s+next\s+task|get\s+(?:the\s+)?next\s+task|next\s+task|what(?:['’]s|\s+is)\s+the\s+next\s+task)\b/i
+    ],
+    handler: () => getNextTask()
+  },
+  {
+    name: 'suggestTask',
+    description: t('chat.intents.suggestTask'),
+    examples: ['предложи задачу', 'что дальше', "what's next"],
+    patterns: [
+      /предложи задачу/i,
+      /что дальше/i,
+      /какую задачу выполнить следующей/i,
+      /^(?:please\s+)?(?:what(?:['’]s|\s+is)\s+next|suggest\s+(?:a\s+)?task|what\s+should\s+i\s+(?:do|work\s+on)\s+next)\b/i
+    ],
+    handler: () => suggestNextTask()
+  },
+  {
+    name: 'checkCompletion',
+    description: t('chat.intents.checkCompletion'),
+    examples: ['задача {id} выполнена?', 'is task {id} done?'],
+    patterns: [
+      /задача (?<taskId>\d+(?:\.\d+)*) выполнена\?/i,
+      /^is\s+task\s+(?<taskId>\d+(?:\.\d+)*)\s+(?:done|complete|completed|finished)\b/i
+    ],
+    handler: ({ taskId }) => checkTaskCompletion(taskId)
+  },
+  {
+    name: 'updateContext',
+    description: t('chat.intents.updateContext'),
+    examples: ['обнови контекст задачи {id}', 'update context for task {id}'],
+    patterns: [
+      /^обнови контекст задачи (?<taskId>\d+)/i,
+      /^обнови контекст/i,
+      /^(?:please\s+)?update\s+(?:the\s+)?context\b(?:\s+(?:of|for)\s+task\s+(?<taskId>\d+))?/i
+    ],
+    restSlot: 'comment',
+    handler: ({ taskId, comment }) => (taskId ? updateTaskContext(parseInt(taskId), comment) : updateCurrentContext())
+  },
+  {
+    name: 'copilotContext',
+    description: t('chat.intents.copilotContext'),
+    examples: ['получи контекст для copilot', 'get copilot context'],
+    patterns: [
+      /(?:получи|подготовь|обнови) контекст для copilot(?:.*?задач[иа]?\s+(?<taskId>\d+))?/i,
+      /^(?:please\s+)?(?:get|prepare|update)\s+(?:the\s+)?(?:copilot\s+context|context\s+for\s+copilot)(?:\s+for\s+task\s+(?<taskId>\d+))?/i
+    ],
+    handler: ({ taskId }) => (taskId ? prepareCopilotContext(parseInt(taskId)) : prepareCopilotContext())
+  },
+  {
+    name: 'addTag',
+    description: t('chat.intents.addTag'),
+    examples: ['добавь тег {tag} к задаче {id}', 'add tag {tag} to task {id}'],
+    patterns: [
+      /добавь\s+тег(?:и)?\s+(?<tags>.+?)\s+(?:к\s+)?задаче\s+(?<taskId>\d+(?:\.\d+)*)/i,
+      /добавь\s+(?:к\s+)?задаче\s+(?<taskId>\d+(?:\.\d+)*)\s+тег(?:и)?\s+(?<tags>.+)$/i,
+      /^(?:please\s+)?add\s+(?:the\s+)?tags?\s+(?<tags>.+?)\s+to\s+task\s+(?<taskId>\d+(?:\.\d+)*)/i,
+      /^(?:please\s+)?tag\s+task\s+(?<taskId>\d+(?:\.\d+)*)\s+(?:with|as)\s+(?<tags>.+)$/i
+    ],
+    handler: ({ taskId, tags: tagsText }) => changeTaskTags(taskId, 'add', tagsText)
+  },
+  {
+    name: 'removeTag',
+    description: t('chat.intents.removeTag'),
+    examples: ['убери тег {tag} у задачи {id}', 'remove tag {tag} from task {id}'],
+    patterns: [
+      /(?:убери|удали)\s+тег(?:и)?\s+(?<tags>.+?)\s+(?:у|из|с)\s+задачи\s+(?<taskId>\d+(?:\.\d+)*)/i,
+      /^(?:please\s+)?(?:remove|delete)\s+(?:the\s+)?tags?\s+(?<tags>.+?)\s+from\s+task\s+(?<taskId>\d+(?:\.\d+)*)/i
+    ],
+    handler: ({ taskId, tags: tagsText }) => changeTaskTags(taskId, 'remove', tagsText)
+  },
+  {
+    name: 'setDue',
+    description: t('chat.intents.setDue'),
+    examples: ['установи срок задачи {id} до {date}', 'set due date for task {id} to {date}'],
+    patterns: [
+      /(?:установи|поставь|назначь)\s+срок\s+(?:для\s+)?задач[иеу]\s+(?<taskId>\d+(?:\.\d+)*)\s+(?<date>.+)$/i,
+      /^срок\s+задачи\s+(?<taskId>\d+(?:\.\d+)*)\s*[-—:]?\s+(?<date>.+)$/i,
+      /(?:сними|убери|удали)\s+срок\s+(?:у\s+)?задачи\s+(?<taskId>\d+(?:\.\d+)*)/i,
+      /^(?:please\s+)?set\s+(?:the\s+)?due\s+date\s+(?:of|for)\s+task\s+(?<taskId>\d+(?:\.\d+)*)\s+(?:to\s+)?(?<date>.+)$/i,
+      /^task\s+(?<taskId>\d+(?:\.\d+)*)\s+is\s+due\s+(?<date>.+)$/i,
+      /^(?:please\s+)?(?:clear|remove)\s+(?:the\s+)?due\s+date\s+(?:of|from|for)\s+task\s+(?<taskId>\d+(?:\.\d+)*)/i
+    ],
+    handler: ({ taskId, date }) => setTaskDueFromChat(taskId, date || 'clear')
+  },
+  {
+    name: 'dueReport',
+    description: t('chat.intents.dueReport'),
+    examples: ['что просрочено', 'покажи сроки', "what's overdue", 'show due dates'],
+    patterns: [
+      /просрочен/i,
+      /покажи\s+(?:ближайшие\s+)?сроки/i,
+      /^(?:please\s+)?(?:what(?:['’]s|\s+is)\s+(?:overdue|due)|show(?:\s+me)?(?:\s+the)?\s+(?:due\s+dates|overdue\s+tasks))\b/i
+    ],
+    handler: () => showDueReport()
+  },
+  {
+    name: 'setEstimate',
+    description: t('chat.intents.setEstimate'),
+    examples: ['оцени задачу {id} в {estimate}', 'set estimate for task {id} to {estimate}'],
+    patterns: [
+      /оцени\s+задачу\s+(?<taskId>\d+(?:\.\d+)*)\s+(?:в\s+)?(?<estimate>\d+(?:[.,]\d+)?)/i,
+      /^оценка\s+задачи\s+(?<taskId>\d+(?:\.\d+)*)\s*[-—:]?\s+(?<estimate>\d+(?:[.,]\d+)?)/i,
+      /(?:сними|убери|удали)\s+оценку\s+(?:у\s+)?задачи\s+(?<taskId>\d+(?:\.\d+)*)/i,
+      /^(?:please\s+)?estimate\s+task\s+(?<taskId>\d+(?:\.\d+)*)\s+(?:at\s+|as\s+)?(?<estimate>\d+(?:[.,]\d+)?)/i,
+      /^(?:please\s+)?set\s+(?:the\s+)?estimate\s+(?:of|for)\s+task\s+(?<taskId>\d+(?:\.\d+)*)\s+(?:to\s+)?(?<estimate>\d+(?:[.,]\d+)?)/i,
+      /^(?:please\s+)?(?:clear|remove)\s+(?:the\s+)?estimate\s+(?:of|from|for)\s+task\s+(?<taskId>\d+(?:\.\d+)*)/i
+    ],
+    handler: ({ taskId, estimate }) => setTaskEstimateFromChat(taskId, estimate || 'clear')
+  },
+  {
+    name: 'setStatus',
+    description: t('chat.intents.setStatus'),
+    examples: ['смени статус задачи {id} на {status}', 'set status of task {id} to {status}'],
+    patterns: [
+      /(?:смени|измени|установи|поставь)\s+статус\s+(?:для\s+)?задач[иеу]\s+(?<taskId>\d+(?:\.\d+)*)\s+(?:на|в)\s+(?<status>[\w-]+)/i,
+      /^(?:please\s+)?(?:set|change)\s+(?:the\s+)?status\s+(?:of|for)\s+task\s+(?<taskId>\d+(?:\.\d+)*)\s+to\s+(?<status>[\w-]+)/i
+    ],
+    handler: ({ taskId, status }) => changeTaskStatusFromChat(taskId, status.toLowerCase())
+  },
+  {
+    name: 'blockTask',
+    description: t('chat.intents.blockTask'),
+    examples: ['заблокируй задачу {id}: {reason}', 'block task {id} because {reason}'],
+    patterns: [
+      /(?:за)?блокируй\s+задачу\s+(?<taskId>\d+(?:\.\d+)*)(?:\s*(?:[:—-]|,?\s*(?:потому что|так как|причина:?))\s*(?<reason>.+))?$/i,
+      /^(?:please\s+)?block\s+task\s+(?<taskId>\d+(?:\.\d+)*)(?:\s*(?:[:—-]|,?\s*(?:because(?:\s+of)?|due\s+to|reason:?))\s*(?<reason>.+))?$/i
+    ],
+    handler: ({ taskId, reason }) => changeTaskStatusFromChat(taskId, 'blocked', reason)
+  },
+  {
+    name: 'deferTask',
+    description: t('chat.intents.deferTask'),
+    examples: ['отложи задачу {id}', 'defer task {id}'],
+    patterns: [
+      /отложи\s+задачу\s+(?<taskId>\d+(?:\.\d+)*)/i,
+      /^(?:please\s+)?(?:defer|postpone)\s+task\s+(?<taskId>\d+(?:\.\d+)*)/i
+    ],
+    handler: ({ taskId }) => changeTaskStatusFromChat(taskId, 'deferred')
+  },
+  {
+    name: 'reopenTask',
+    description: t('chat.intents.reopenTask'),
+    examples: ['переоткрой задачу {id}', 'reopen task {id}'],
+    patterns: [
+      /(?:переоткрой|разблокируй|верни\s+в\s+работу)\s+задачу\s+(?<taskId>\d+(?:\.\d+)*)/i,
+      /^(?:please\s+)?(?:reopen|unblock)\s+task\s+(?<taskId>\d+(?:\.\d+)*)/i
+    ],
+    handler: ({ taskId }) => changeTaskStatusFromChat(taskId, 'pending')
+  },
+  {
+    name: 'cancelTask',
+    description: t('chat.intents.cancelTask'),
+    examples: ['отмени задачу {id}', 'cancel task {id}'],
+    patterns: [
+      /отмени\s+задачу\s+(?<taskId>\d+(?:\.\d+)*)/i,
+      /^(?:please\s+)?cancel\s+task\s+(?<taskId>\d+(?:\.\d+)*)/i
+    ],
+    handler: ({ taskId }) => changeTaskStatusFromChat(taskId, 'cancelled')
+  },
+  {
+    name: 'assignTask',
+    description: t('chat.intents.assignTask'),
+    examples: ['назначь задачу {id} на {name}', 'assign task {id} to {name}'],
+    patterns: [
+      /назначь\s+(?:под)?задачу\s+(?<taskId>\d+(?:\.\d+)*)\s+(?:на|для)\s+(?<assignee>@?[^\s,!?]+)/i,
+      /назначь\s+(?!срок)(?<assignee>@?[^\s,!?]+)\s+на\s+(?:под)?задачу\s+(?<taskId>\d+(?:\.\d+)*)/i,
+      /^(?:please\s+)?assign\s+task\s+(?<taskId>\d+(?:\.\d+)*)\s+to\s+(?<assignee>@?[^\s,!?]+)/i
+    ],
+    handler: ({ taskId, assignee }) => setTaskAssigneeFromChat(taskId, assignee)
+  },
+  {
+    name: 'unassignTask',
+    description: t('chat.intents.unassignTask'),
+    examples: ['сними исполнителя с задачи {id}', 'unassign task {id}'],
+    patterns: [
+      /(?:сними|убери|удали)\s+исполнителя\s+(?:с|у)\s+(?:под)?задачи\s+(?<taskId>\d+(?:\.\d+)*)/i,
+      /^(?:please\s+)?unassign\s+task\s+(?<taskId>\d+(?:\.\d+)*)/i
+    ],
+    handler: ({ taskId }) => setTaskAssigneeFromChat(taskId, 'clear')
   }
-}
+].forEach(intent => intentRegistry.register(intent));
 
 // Функция для получения нового ID задачи
 function getNextTaskId(tasks) {
@@ -48,222 +296,266 @@ function getNextTaskId(tasks) {
   return Math.max(...tasks.map(task => task.id)) + 1;
 }
 
+// Значок ошибки в начале текста ответа
+const STATUS_ICON_REGEX = /^\s*(?:✗|❌)\s*/;
+
 /**
- * Обработчик команд из чата
+ * Обработчик команд из чата.
+ * Все ответы приводятся к виду { success, message, data, intent }:
+ * message - текст для пользователя, data - данные для машиночитаемого вывода
+ *
  * @param {string} command - Команда из чата
+ * @returns {Promise<object>} - Ответ на команду
  */
-function processCommand(command) {
-  // Приведение к нижнему регистру для упрощения проверки
-  const lowerCommand = command.toLowerCase();
-  
-  // Обработка команды Продолжить
-  if (
-    lowerCommand.startsWith('продолжить') ||
-    lowerCommand.includes('продолжить итерацию') ||
-    lowerCommand.startsWith('continue') ||
-    lowerCommand.includes('continue to iterate')
-  ) {
-    return continueCopilotIteration(command);
-  }
+async function processCommand(command) {
+  // Каждая команда чата - отдельная операция журнала: её можно отменить командой undo
+  journal.beginOperation(`chat ${command}`);
   
-  // Обработка команды создания задачи
-  if (lowerCommand.startsWith('создай задачу')) {
-    return createTaskFromChat(command);
-  }
+  const match = intentRegistry.resolve(command);
   
-  // Обработка команды показа списка задач
-  if (lowerCommand.includes('покажи список задач') || lowerCommand.includes('покажи задачи')) {
-    return listTasks();
+  // Если не распознали команду - предлагаем похожие команды
+  if (!match) {
+    const suggestions = suggestSimilarCommands(command);
+    
+    if (suggestions.length === 0) {
+      return { ...failure(t('chat.unknownCommand')), intent: null };
+    }
+    
+    return {
+      ...failure(`${t('chat.suggestions.didYouMean')}\n${suggestions.map(item => `- ${item.text}`).join('\n')}`),
+      data: { suggestions },
+      intent: null
+    };
   }
   
-  // Обработка команды отметки задачи как выполненной
-  const completeRegex = /отметь задачу (\d+(?:\.\d+)?) как выполненн(ую|ую)/i;
-  const completeMatch = command.match(completeRegex);
-  if (completeMatch) {
-    return completeTask(completeMatch[1]);
+  try {
+    const response = normalizeResponse(await match.intent.handler(match.slots, command));
+    return { ...response, intent: match.intent.name };
+  } catch (error) {
+    return { ...failure(t('chat.commandError', { error: error.message })), intent: match.intent.name };
   }
-  
-  // Обработка команды получения следующей задачи
-  if (lowerCommand.includes('дай следующую задачу') || lowerCommand.includes('какая следующая задача')) {
-    return getNextTask();
+}
+
+/**
+ * Ответ об ошибке
+ * @param {string} message - Текст ошибки
+ * @returns {object} - { success: false, message, data: null }
+ */
+function failure(message) {
+  return { success: false, message: stripStatusIcon(message), data: null };
+}
+
+/**
+ * Убрать значок ошибки из начала текста: его добавляет renderResponse
+ * @param {string} message - Текст
+ * @returns {string}
+ */
+function stripStatusIcon(message) {
+  return String(message || '').replace(STATUS_ICON_REGEX, '');
+}
+
+/**
+ * Привести ответ обработчика к виду { success, message, data }.
+ * Строка считается ответом об ошибке, если начинается с ✗ или ❌
+ *
+ * @param {string|object} response - Ответ обработчика
+ * @returns {object}
+ */
+function normalizeResponse(response) {
+  if (response && typeof response === 'object') {
+    if (response.success === false) {
+      return { ...failure(response.message), data: response.data !== undefined ? response.data : null };
+    }
+    return {
+      success: true,
+      message: String(response.message || ''),
+      data: response.data !== undefined ? response.data : null
+    };
   }
   
-  // Обработка команды генерации задачи из описания
-  if (lowerCommand.startsWith('сгенерируй задачу')) {
-    return generateTaskFromDescription(command);
-  }
+  const message = String(response === undefined || response === null ? '' : response).trim();
+  return STATUS_ICON_REGEX.test(message) ? failure(message) : { success: true, message, data: null };
+}
+
+/**
+ * Сформировать вывод ответа на команду
+ * @param {object} response - Ответ processCommand
+ * @param {string} format - text (текст для пользователя) или json
+ * @returns {string}
+ */
+function renderResponse(response, format = 'text') {
+  const normalized = normalizeResponse(response);
   
-  // Обработка команды пакетного создания задач
-  if (lowerCommand.startsWith('создай задачи') || lowerCommand.startsWith('сгенерируй задачи')) {
-    return generateMultipleTasks(command);
+  if (format === 'json') {
+    return JSON.stringify({ ...normalized, intent: response ? response.intent : null }, null, 2);
   }
   
-  // Обработка команды автоматического создания задач из плана
-  if (lowerCommand.includes('создай список задач из плана') || 
-      lowerCommand.includes('сгенерируй задачи из плана') ||
-      lowerCommand.includes('создай задачи из нашего обсуждения')) {
-    return generateTasksFromPlan(command);
+  return normalized.success ? normalized.message : chalk.red(`✗ ${normalized.message}`);
+}
+
+/**
+ * Вывести ответ на команду: текст - в обычном режиме, JSON - с флагами --json/--ndjson.
+ * При ошибке устанавливается ненулевой код выхода
+ *
+ * @param {string} command - Команда из чата
+ * @param {object} response - Ответ processCommand
+ */
+function printResponse(command, response) {
+  if (!output.isMachineReadable()) {
+    console.log(renderResponse(response));
   }
-  
-  // Обработка команд контекста
-  if (lowerCommand.startsWith('обнови контекст')) {
-    const taskIdRegex = /обнови контекст задачи (\d+)/i;
-    const taskMatch = command.match(taskIdRegex);
-    
-    if (taskMatch) {
-      return updateTaskContext(parseInt(taskMatch[1]));
-    } else {
-      return updateCurrentContext();
+  output.finish({ command, ...normalizeResponse(response), intent: response.intent });
+}
+
+/**
+ * Подобрать команды, похожие на нераспознанную: по примерам фраз намерений
+ * и названиям задач (чтобы подставить номер задачи)
+ * @param {string} command - Команда из чата
+ * @returns {object[]} - [{ intent, text, score }]
+ */
+function suggestSimilarCommands(command) {
+  let tasks = [];
+  try {
+    const tasksData = store.readTasksFile();
+    if (tasksData && Array.isArray(tasksData.tasks)) {
+      tasks = tasksData.tasks.flatMap(task => [task, ...(task.subtasks || [])]);
     }
+  } catch (error) {
+    // Без списка задач подсказки строятся только по фразам команд
   }
   
-  // Обработка команды предложения задачи
-  if (lowerCommand.includes('предложи задачу') || 
-      lowerCommand.includes('что дальше') || 
-      lowerCommand.includes('какую задачу выполнить следующей')) {
-    return suggestNextTask();
-  }
-  
-  // Обработка команды проверки завершения задачи
-  const checkCompletionRegex = /задача (\d+(?:\.\d+)?) выполнена\?/i;
-  const checkCompletionMatch = command.match(checkCompletionRegex);
-  if (checkCompletionMatch) {
-    return checkTaskCompletion(checkCompletionMatch[1]);
-  }
-  
-  // Обработка запроса на получение контекста для GitHub Copilot
-  if (lowerCommand.includes('получи контекст для copilot') || 
-      lowerCommand.includes('подготовь контекст для copilot') ||
-      lowerCommand.includes('обнови контекст для copilot')) {
-    
-    const taskIdRegex = /контекст для copilot .*?задач[иа]? (\d+)/i;
-    const taskMatch = command.match(taskIdRegex);
-    
-    if (taskMatch) {
-      return prepareCopilotContext(parseInt(taskMatch[1]));
-    } else {
-      return prepareCopilotContext();
-    }
-  }
+  return suggestCommands(command, intentRegistry.list(), tasks, {
+    placeholder: name => `[${t(`chat.suggestions.placeholders.${name}`)}]`
+  });
+}
+
+/**
+ * Объяснить, какое намерение выбрано для команды и почему
+ * @param {string} command - Команда из чата
+ * @returns {object} - Выбранное намерение и все подходящие кандидаты
+ */
+function explainCommand(command) {
+  const candidates = intentRegistry.matchAll(command).map(candidate => ({
+    intent: candidate.intent.name,
+    description: candidate.intent.description,
+    pattern: candidate.pattern,
+    matched: candidate.matched,
+    index: candidate.index,
+    score: candidate.score,
+    reasons: candidate.reasons,
+    slots: candidate.slots
+  }));
   
-  // Если не распознали команду
   return {
-    success: false,
-    message: 'Команда не распознана. Используйте одну из следующих команд:\n' +
-      '- создай задачу [название]\n' +
-      '- покажи список задач\n' +
-      '- отметь задачу [id] как выполненную\n' +
-      '- дай следующую задачу\n' +
-      '- обнови контекст задачи [id]\n' +
-      '- предложи задачу\n' +
-      '- получи контекст для copilot [для задачи id]'
+    success: candidates.length > 0,
+    command,
+    intent: candidates.length > 0 ? candidates[0].intent : null,
+    slots: candidates.length > 0 ? candidates[0].slots : {},
+    candidates,
+    suggestions: candidates.length > 0 ? [] : suggestSimilarCommands(command)
   };
 }
 
 /**
- * Обработчик команды "Продолжить итерацию" - завершает текущую задачу и переходит к следующей
- * @param {string} command - Исходная команда из чата
- * @returns {string} - Ответ для вывода в чат
+ * Сформировать текстовое объяснение выбора намерения
+ * @param {object} explanation - Результат explainCommand
+ * @returns {string}
  */
-function continueCopilotIteration(command) {
-  // Получаем текущую активную задачу
-  const currentTask = require('./next').getCurrentTask();
-  
-  if (!currentTask) {
-    return 'Нет активной задачи в процессе выполнения. Используйте "дай следующую задачу" чтобы начать работу.';
-  }
+function formatExplanation(explanation) {
+  let response = `🔍 ${t('chat.explain.header', { command: explanation.command })}\n`;
   
-  // Завершаем текущую задачу
-  const completeResult = require('./complete').completeTaskWithContextUpdate(
-    currentTask.id.toString(), 
-    `Задача завершена через интерфейс чата (команда: "${command}")`
-  );
-  
-  if (!completeResult.success) {
-    return `❌ Не удалось завершить текущую задачу: ${completeResult.message}`;
+  if (explanation.candidates.length === 0) {
+    response += `\n❌ ${t('chat.explain.noMatch')}`;
+    explanation.suggestions.forEach(item => {
+      response += `\n   ${t('chat.explain.suggestion', { text: item.text, intent: item.intent, score: item.score })}`;
+    });
+    return response;
   }
   
-  // Если нет следующей задачи
-  if (!completeResult.nextTask) {
-    return `✅ Задача #${currentTask.id} "${currentTask.title}" успешно завершена. Больше нет задач в очереди.`;
-  }
+  explanation.candidates.forEach((candidate, index) => {
+    const marker = index === 0 ? '✓' : '○';
+    response += `\n${marker} ${candidate.intent} - ${candidate.description} (${t('chat.explain.score', { score: candidate.score })})\n`;
+    response += `   ${t('chat.explain.pattern', { pattern: candidate.pattern })}\n`;
+    response += `   ${t('chat.explain.matched', { matched: candidate.matched, index: candidate.index })}\n`;
+    response += `   ${t('chat.explain.reasons', { reasons: candidate.reasons.join(', ') })}\n`;
+    
+    const slots = Object.entries(candidate.slots);
+    if (slots.length > 0) {
+      response += `   ${t('chat.explain.slots', { slots: slots.map(([name, value]) => `${name} = "${value}"`).join(', ') })}\n`;
+    }
+  });
   
-  // Начинаем выполнение следующей задачи
-  require('./complete').startTaskExecution(completeResult.nextTask.id.toString());
+  response += `\n${t('chat.explain.chosen', { intent: explanation.intent })}`;
   
-  return `✅ Задача #${currentTask.id} "${currentTask.title}" успешно завершена.\n\n` +
-         `🚀 Начато выполнение следующей задачи: #${completeResult.nextTask.id} "${completeResult.nextTask.title}"\n` +
-         `Приоритет: ${completeResult.nextTask.priority}\n` +
-         `${completeResult.nextTask.description ? `Описание: ${completeResult.nextTask.description}\n` : ''}` +
-         `\n💡 Контекст для GitHub Copilot готов. Можете запросить помощь по этой задаче.`;
+  return response;
 }
 
 /**
- * Продолжить итерацию с GitHub Copilot (команда "Продолжить")
- * @param {string} command - Исходная команда пользователя (например, 'Продолжить' или 'Продолжить итерацию?')
- * @returns {Promise<object>} - Результат продолжения от Copilot. Возвращает объект с success, message и data (ответ Copilot).
+ * Продолжить итерацию с GitHub Copilot (команда "Продолжить" / "Continue to iterate?"):
+ * завершить текущую задачу и начать следующую. Текст после команды
+ * передается Copilot как запрос на продолжение
  *
- * Пример использования:
- *   processCommand('Продолжить итерацию?')
+ * @param {string} command - Исходная команда пользователя
+ * @returns {Promise<object>} - Ответ { success, message, data: { previousTask, nextTask, continuation } }
  */
 async function continueCopilotIteration(command) {
   try {
-    const copilot = require('./copilot');
     const next = require('./next');
     const complete = require('./complete');
+    const copilot = require('./copilot');
     
-    // Получаем текущую активную задачу
-    const currentTask = next.getCurrentTask();
-    
-    // Если есть активная задача, завершаем её
-    if (currentTask) {
-      console.log(chalk.yellow(`Завершаем текущую задачу #${currentTask.id}: "${currentTask.title}"`));
-      
-      // Завершаем текущую задачу
-      const completeResult = await complete.completeTask(currentTask.id.toString());
+    // Завершаем текущую активную задачу, если она есть
+    const previousTask = next.getCurrentTask();
+    if (previousTask) {
+      const completeResult = complete.completeTaskWithContextUpdate(
+        previousTask.id.toString(),
+        t('history.completedFromChat', { command })
+      );
       
       if (!completeResult.success) {
-        return {
-          success: false,
-          message: `Не удалось завершить текущую задачу: ${completeResult.message}`
-        };
+        return failure(t('chat.continue.completeFailed', { message: stripStatusIcon(completeResult.message) }));
       }
-      
-      console.log(chalk.green(`✓ Задача #${currentTask.id} успешно завершена`));
     }
     
     // Начинаем следующую задачу
-    const nextTaskResult = next.startNextTask(true); // true означает автоматический выбор следующей задачи
+    const nextTaskResult = next.startNextTask(true);
     
     if (!nextTaskResult.success) {
-      return {
-        success: false,
-        message: `Не удалось начать следующую задачу: ${nextTaskResult.message}`
-      };
+      if (previousTask) {
+        return {
+          success: true,
+          message: `✅ ${t('chat.continue.completedNoMore', { id: previousTask.id, title: previousTask.title })}`,
+          data: { previousTask, nextTask: null, continuation: null }
+        };
+      }
+      return failure(t('chat.continue.startFailed', { message: nextTaskResult.message }));
     }
     
-    console.log(chalk.green(`✓ Начата новая задача #${nextTaskResult.task.id}: "${nextTaskResult.task.title}"`));
+    const nextTask = nextTaskResult.task;
     
-    // Можно извлечь дополнительный промпт из команды, если нужно
-    const prompt = command.replace(/(продолжить( итерацию)?|continue( to iterate)?)/i, '').trim();
+    // Продолжение от Copilot запрашивается, только если после команды есть текст запроса
+    const prompt = command.replace(/(продолжить( итерацию)?|continue( to iterate)?)\??/i, '').trim();
+    const continuation = prompt ? await copilot.getCopilotContinuation(prompt) : null;
     
-    // Получаем продолжение от Copilot для новой задачи
-    const result = await copilot.getCopilotContinuation(prompt);
+    let message = previousTask
+      ? `✅ ${t('chat.continue.completed', { id: previousTask.id, title: previousTask.title })}\n\n`
+      : '';
+    message += `🚀 ${t('chat.continue.nextStarted', { id: nextTask.id, title: nextTask.title })}\n` +
+      `${t('common.priority', { priority: nextTask.priority })}\n` +
+      `${nextTask.description ? `${t('common.description', { description: nextTask.description })}\n` : ''}` +
+      `\n${t('chat.continue.contextReady')}`;
+    
+    if (continuation) {
+      message += `\n\n${continuation}`;
+    }
     
     return {
       success: true,
-      message: `Переход к следующей задаче #${nextTaskResult.task.id} "${nextTaskResult.task.title}" выполнен. Продолжение от GitHub Copilot:`,
-      data: result,
-      taskTransition: {
-        previousTask: currentTask,
-        nextTask: nextTaskResult.task
-      }
+      message,
+      data: { previousTask, nextTask, continuation }
     };
   } catch (error) {
-    return {
-      success: false,
-      message: `Ошибка при переходе к следующей задаче: ${error.message}`
-    };
+    return failure(t('chat.continue.error', { error: error.message }));
   }
 }
 
@@ -271,44 +563,38 @@ async function continueCopilotIteration(command) {
  * Подготовить контекст для GitHub Copilot
  * 
  * @param {number} taskId - ID задачи (опционально)
- * @returns {object} - Результат операции
+ * @returns {Promise<object>} - Результат операции
  */
-function prepareCopilotContext(taskId) {
+async function prepareCopilotContext(taskId) {
   try {
     const context = require('./context');
-    const copilotContext = context.prepareCopilotContext(taskId);
+    const copilotContext = await context.prepareCopilotContext(taskId);
     
     if (copilotContext) {
       return {
         success: true,
         message: taskId 
-          ? `Контекст для GitHub Copilot создан для задачи #${taskId}` 
-          : 'Контекст для GitHub Copilot успешно создан',
+          ? t('chat.copilotContext.createdForTask', { id: taskId }) 
+          : t('chat.copilotContext.created'),
         data: { copilotContext }
       };
     } else {
-      return {
-        success: false,
-        message: 'Не удалось создать контекст для GitHub Copilot'
-      };
+      return failure(t('chat.copilotContext.failed'));
     }
   } catch (error) {
-    return {
-      success: false,
-      message: `Ошибка при создании контекста для GitHub Copilot: ${error.message}`
-    };
+    return failure(t('chat.copilotContext.error', { error: error.message }));
   }
 }
 
 /**
  * Предложить следующую задачу для выполнения
  * 
- * @returns {object} - Результат операции
+ * @returns {Promise<object>} - Результат операции
  */
-function suggestNextTask() {
+async function suggestNextTask() {
   try {
     const context = require('./context');
-    const suggestion = context.suggestTaskAndPrepareContext();
+    const suggestion = await context.suggestTaskAndPrepareContext();
     
     if (suggestion) {
       return {
@@ -317,58 +603,49 @@ function suggestNextTask() {
         data: suggestion
       };
     } else {
-      return {
-        success: false,
-        message: 'Нет подходящих задач для предложения'
-      };
+      return failure(t('chat.suggest.none'));
     }
   } catch (error) {
-    return {
-      success: false,
-      message: `Ошибка при предложении задачи: ${error.message}`
-    };
+    return failure(t('chat.suggest.error', { error: error.message }));
   }
 }
 
 /**
  * Обновить контекст для текущей активной задачи
  * 
- * @returns {object} - Результат операции
+ * @returns {Promise<object>} - Результат операции
  */
 function updateCurrentContext() {
   const currentContext = contextTracker.getCurrentContext();
   if (!currentContext || !currentContext.activeTask) {
-    return {
-      success: false,
-      message: 'Нет активной задачи для обновления контекста'
-    };
+    return failure(t('chat.context.noActiveTask'));
   }
   
-  return updateTaskContext(currentContext.activeTask);
+  return refreshTaskContext(currentContext.activeTask);
 }
 
 /**
- * Обновить контекст для указанной задачи
+ * Пересобрать контекст GitHub Copilot для указанной задачи
  * 
  * @param {number} taskId - ID задачи
- * @returns {object} - Результат операции
+ * @returns {Promise<object>} - Результат операции
  */
-function updateTaskContext(taskId) {
+async function refreshTaskContext(taskId) {
   try {
     const context = require('./context');
-    const result = context.checkAndUpdateCopilotContext(taskId);
+    const result = await context.checkAndUpdateCopilotContext(taskId);
+    
+    if (!result) {
+      return failure(t('chat.context.updateFailed', { id: taskId }));
+    }
     
     return {
-      success: result,
-      message: result 
-        ? `Контекст для задачи #${taskId} успешно обновлен` 
-        : `Не удалось обновить контекст для задачи #${taskId}`
+      success: true,
+      message: t('chat.context.updated', { id: taskId }),
+      data: { taskId }
     };
   } catch (error) {
-    return {
-      success: false,
-      message: `Ошибка при обновлении контекста: ${error.message}`
-    };
+    return failure(t('chat.context.error', { error: error.message }));
   }
 }
 
@@ -386,10 +663,7 @@ function checkTaskCompletion(taskId) {
     
     const task = tasksData.tasks.find(t => t.id === mainTaskId);
     if (!task) {
-      return {
-        success: false,
-        message: `Задача с ID ${mainTaskId} не найдена`
-      };
+      return failure(t('chat.taskNotFound', { id: mainTaskId }));
     }
     
     // Проверка статуса основной задачи
@@ -399,8 +673,8 @@ function checkTaskCompletion(taskId) {
       return {
         success: true,
         message: isDone 
-          ? `Задача #${mainTaskId} "${task.title}" отмечена как выполненная` 
-          : `Задача #${mainTaskId} "${task.title}" не отмечена как выполненная. Текущий статус: ${task.status}`,
+          ? t('chat.check.taskDone', { id: mainTaskId, title: task.title }) 
+          : t('chat.check.taskNotDone', { id: mainTaskId, title: task.title, status: task.status }),
         data: {
           taskId: mainTaskId,
           title: task.title,
@@ -410,21 +684,15 @@ function checkTaskCompletion(taskId) {
       };
     }
     
-    // Проверка статуса подзадачи
-    const subtaskId = parseInt(parts[1]);
-    if (!task.subtasks || !Array.isArray(task.subtasks)) {
-      return {
-        success: false,
-        message: `Задача #${mainTaskId} не имеет подзадач`
-      };
+    // Проверка статуса подзадачи (на любом уровне вложенности)
+    if (subtaskTree.getChildren(task).length === 0) {
+      return failure(t('chat.check.noSubtasks', { id: mainTaskId }));
     }
     
-    const subtask = task.subtasks.find(st => st.id === subtaskId);
+    const subtaskPath = subtaskTree.findPath(tasksData, taskId);
+    const subtask = subtaskPath && subtaskPath[subtaskPath.length - 1];
     if (!subtask) {
-      return {
-        success: false,
-        message: `Подзадача с ID ${taskId} не найдена`
-      };
+      return failure(t('chat.subtaskNotFound', { id: taskId }));
     }
     
     const isDone = subtask.status === 'done';
@@ -432,8 +700,8 @@ function checkTaskCompletion(taskId) {
     return {
       success: true,
       message: isDone 
-        ? `Подзадача #${taskId} "${subtask.title}" отмечена как выполненная` 
-        : `Подзадача #${taskId} "${subtask.title}" не отмечена как выполненная. Текущий статус: ${subtask.status}`,
+        ? t('chat.check.subtaskDone', { id: taskId, title: subtask.title }) 
+        : t('chat.check.subtaskNotDone', { id: taskId, title: subtask.title, status: subtask.status }),
       data: {
         taskId,
         title: subtask.title,
@@ -442,57 +710,269 @@ function checkTaskCompletion(taskId) {
       }
     };
   } catch (error) {
+    return failure(t('chat.check.error', { error: error.message }));
+  }
+}
+
+/**
+ * Создание задачи из текста чата
+ * @param {string} title - Название задачи
+ * @returns {object} - Ответ { success, message, data: { task } }
+ */
+function createTaskFromChat(title) {
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    
+    // Теги (#backend), приоритет ([P:1], !high), оценка ([E:3]) и срок ("до пятницы",
+    // due:2026-11-01) из названия переносятся в поля tags, priority, estimate и due
+    const { text: titleWithPriority, tags: taskTags } = tags.extractTags(title);
+    const { text: titleWithEstimate, priority } = priorities.extractPriority(titleWithPriority);
+    const { text: titleWithDue, estimate } = estimates.extractEstimate(titleWithEstimate);
+    const { text, due } = dueDates.extractDue(titleWithDue);
+    
+    // Создаем новую задачу
+    const newTask = {
+      id: getNextTaskId(tasksData.tasks),
+      title: text || t('chat.create.defaultTitle'),
+      description: t('chat.create.description'),
+      status: 'pending',
+      priority: priority || DEFAULT_PRIORITY, // По умолчанию средний приоритет
+      subtasks: [],
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    tags.setTags(newTask, taskTags);
+    dueDates.setDue(newTask, due);
+    estimates.setEstimate(newTask, estimate);
+    
+    // Добавляем задачу в список
+    tasksData.tasks.push(newTask);
+    
+    // Сохраняем задачи в файл
+    if (!saveTasks(tasksData)) {
+      return failure(t('chat.create.saveFailed'));
+    }
+    
     return {
-      success: false,
-      message: `Ошибка при проверке статуса задачи: ${error.message}`
+      success: true,
+      message: `✓ ${t('chat.create.created', { id: newTask.id, title: newTask.title })}`,
+      data: { task: newTask }
     };
+  });
+}
+
+/**
+ * Генерация задачи из описания: первая строка - заголовок,
+ * строки, начинающиеся с - или *, - подзадачи
+ * @param {string} description - Описание задачи
+ * @returns {object} - Ответ { success, message, data: { task } }
+ */
+function generateTaskFromChat(description) {
+  if (!description) {
+    return failure(t('chat.generate.noDescription'));
   }
+  
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const newTask = generate.generateTaskFromDescription(description, tasksData);
+    
+    tasksData.tasks.push(newTask);
+    
+    if (!saveTasks(tasksData)) {
+      return failure(t('chat.create.saveFailed'));
+    }
+    
+    return {
+      success: true,
+      message: `✓ ${t('chat.create.created', { id: newTask.id, title: newTask.title })}`,
+      data: { task: newTask }
+    };
+  });
 }
 
 /**
- * Создание задачи из текста чата
- * @param {string} command - Текст из чата
+ * Пакетное создание задач: задачи разделяются строкой "###"
+ * @param {string} description - Описание задач
+ * @returns {object} - Ответ { success, message, data: { tasks } }
  */
-function createTaskFromChat(command) {
-  const tasksData = loadTasks();
+function createTasksFromChat(description) {
+  if (!description) {
+    return failure(t('chat.generate.noDescription'));
+  }
   
-  // Извлекаем название задачи
-  let title = command.replace(/создай задачу/i, '').trim();
-  if (!title) {
-    title = 'Новая задача';
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const newTasks = generate.buildBatchTasks(description, tasksData);
+    
+    if (newTasks.length === 0) {
+      return failure(t('chat.generate.noTasks'));
+    }
+    
+    if (!saveTasks(tasksData)) {
+      return failure(t('chat.plan.saveFailed'));
+    }
+    
+    let response = `✅ ${t('chat.generate.created', { count: newTasks.length })}\n`;
+    newTasks.forEach(task => {
+      response += `\n🔹 #${task.id} ${task.title}\n`;
+      subtaskTree.walkSubtasks(task, (subtask, parent, depth) => {
+        response += `${'  '.repeat(depth)}◦ ${subtask.id} ${subtask.title}\n`;
+      });
+    });
+    
+    return { success: true, message: response, data: { tasks: newTasks } };
+  });
+}
+
+/**
+ * Добавление или удаление тегов задачи
+ * @param {string} taskId - ID задачи
+ * @param {string} action - Действие (add, remove)
+ * @param {string} tagsText - Теги через пробел или запятую
+ * @returns {object} - Ответ { success, message, data: { taskId, tags } }
+ */
+function changeTaskTags(taskId, action, tagsText) {
+  // "backend и auth" / "backend and auth" - перечисление тегов
+  const result = require('./tag').changeTags(taskId, action, tagsText.replace(/\s+(?:и|and)\s+/gi, ' '));
+  
+  if (!result.success) {
+    return failure(result.message);
   }
   
-  // Создаем новую задачу
-  const newTask = {
-    id: getNextTaskId(tasksData.tasks),
-    title,
-    description: 'Задача создана через чат',
-    status: 'pending',
-    priority: 2, // По умолчанию средний приоритет
-    subtasks: [],
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
+  return {
+    success: true,
+    message: `✓ ${result.message}: ${tags.formatTags(result) || t('tag.none')}`,
+    data: { taskId: result.taskId, tags: result.tags }
   };
+}
+
+/**
+ * Установка или снятие срока задачи или подзадачи
+ * @param {string} taskId - ID задачи или подзадачи
+ * @param {string} date - Срок ("до пятницы", "2026-11-01", "clear")
+ * @returns {object} - Ответ { success, message, data: { taskId, due } }
+ */
+function setTaskDueFromChat(taskId, date) {
+  const result = require('./due').setTaskDue(taskId, date);
   
-  // Добавляем задачу в список
-  tasksData.tasks.push(newTask);
+  if (!result.success) {
+    return failure(result.message);
+  }
   
-  // Сохраняем задачи в файл
-  if (saveTasks(tasksData)) {
-    return `✓ Задача #${newTask.id} "${newTask.title}" успешно создана! Добавить подзадачи или изменить описание можно через команду "Обнови задачу ${newTask.id}".`;
-  } else {
-    return '✗ Не удалось сохранить задачу.';
+  return {
+    success: true,
+    message: `✓ ${result.message}`,
+    data: { taskId: result.taskId, due: result.due }
+  };
+}
+
+/**
+ * Установка или снятие оценки задачи или подзадачи
+ * @param {string} taskId - ID задачи или подзадачи
+ * @param {string} estimate - Оценка ("3", "1.5", "clear")
+ * @returns {object} - Ответ { success, message, data: { taskId, estimate } }
+ */
+function setTaskEstimateFromChat(taskId, estimate) {
+  const result = require('./estimate').setTaskEstimate(taskId, estimate);
+  
+  if (!result.success) {
+    return failure(result.message);
+  }
+  
+  return {
+    success: true,
+    message: `✓ ${result.message}`,
+    data: { taskId: result.taskId, estimate: result.estimate }
+  };
+}
+
+/**
+ * Назначение или снятие исполнителя задачи или подзадачи.
+ * Имя из фразы ("на Ивана") приводится к известному исполнителю
+ * @param {string} taskId - ID задачи или подзадачи
+ * @param {string} assignee - Имя исполнителя, "меня" или "clear"
+ * @returns {object} - Ответ { success, message, data: { taskId, assignee } }
+ */
+function setTaskAssigneeFromChat(taskId, assignee) {
+  const result = require('./assign').setTaskAssignee(taskId, assignee, { resolve: true });
+  
+  if (!result.success) {
+    return failure(result.message);
+  }
+  
+  return {
+    success: true,
+    message: `✓ ${result.message}`,
+    data: { taskId: result.taskId, assignee: result.assignee }
+  };
+}
+
+/**
+ * Смена статуса задачи или подзадачи
+ * @param {string} taskId - ID задачи или подзадачи
+ * @param {string} status - Новый статус
+ * @param {string} reason - Причина блокировки (для blocked)
+ * @returns {object} - Ответ { success, message, data: { taskId, status, changes } }
+ */
+function changeTaskStatusFromChat(taskId, status, reason = null) {
+  const result = require('./status').changeStatus(taskId, status, { reason });
+  
+  if (!result.success) {
+    return failure(result.message);
+  }
+  
+  const cascade = result.changes.slice(1)
+    .map(change => `\n  ${t('status.cascade', { id: change.id, from: change.oldStatus, to: change.newStatus })}`)
+    .join('');
+  
+  return {
+    success: true,
+    message: `✓ ${result.message}${cascade}`,
+    data: { taskId: result.taskId, status: result.status, changes: result.changes }
+  };
+}
+
+/**
+ * Просроченные задачи и задачи с приближающимся сроком
+ * @returns {object} - Ответ { success, message, data: { overdue, upcoming } }
+ */
+function showDueReport() {
+  const report = require('./due').getDueReport();
+  
+  const formatItem = (item) => {
+    let left = t('due.daysLeft', { days: item.daysLeft });
+    if (item.daysLeft < 0) {
+      left = t('due.daysOverdue', { days: -item.daysLeft });
+    } else if (item.daysLeft === 0) {
+      left = t('due.dueToday');
+    }
+    return `  📅 ${item.due} [${item.id}] ${item.title} (${left})\n`;
+  };
+  
+  let response = `${report.message}\n`;
+  if (report.overdue.length > 0) {
+    response += `\n${t('due.overdueHeader')}\n${report.overdue.map(formatItem).join('')}`;
+  }
+  if (report.upcoming.length > 0) {
+    response += `\n${t('due.upcomingHeader')}\n${report.upcoming.map(formatItem).join('')}`;
   }
+  
+  return {
+    success: true,
+    message: response.trim(),
+    data: { overdue: report.overdue, upcoming: report.upcoming }
+  };
 }
 
 /**
  * Список всех задач
+ * @returns {object} - Ответ { success, message, data: { tasks } }
  */
 function listTasks() {
   const tasksData = loadTasks();
   
   if (!tasksData.tasks || tasksData.tasks.length === 0) {
-    return 'Задачи не найдены. Добавьте задачи с помощью команды "Создай задачу [название]".';
+    return { success: true, message: t('chat.noTasks'), data: { tasks: [] } };
   }
   
   // Группировка задач по статусу
@@ -500,44 +980,68 @@ function listTasks() {
   const inProgress = tasksData.tasks.filter(task => task.status === 'in-progress');
   const done = tasksData.tasks.filter(task => task.status === 'done');
   const deferred = tasksData.tasks.filter(task => task.status === 'deferred');
+  const blocked = tasksData.tasks.filter(task => task.status === 'blocked');
+  const cancelled = tasksData.tasks.filter(task => task.status === 'cancelled');
   
   // Формирование ответа
-  let response = `📋 Задачи проекта: ${tasksData.project} (v${tasksData.version})\n\n`;
+  let response = `${t('list.title', { project: tasksData.project, version: tasksData.version })}\n\n`;
   
-  // Функция для форматирования задачи
-  const formatTask = (task) => {
-    let status = '';
-    switch (task.status) {
-      case 'done': status = '✓'; break;
-      case 'in-progress': status = '⚙'; break;
-      case 'deferred': status = '⏸'; break;
+  // Функция для форматирования срока задачи или подзадачи
+  const formatDue = (item) => {
+    if (!item.due) return '';
+    return ` 📅 ${item.due}${dueDates.getDueState(item) === 'overdue' ? ` ${t('list.overdue')}` : ''}`;
+  };
+  
+  // Функция для значка статуса задачи или подзадачи
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case 'done': return '✓';
+      case 'in-progress': return '⚙';
+      case 'deferred': return '⏸';
+      case 'blocked': return '⊘';
+      case 'cancelled': return '✗';
       case 'pending': 
-      default: status = '○'; break;
+      default: return '○';
     }
+  };
+  
+  // Функция для форматирования задачи
+  const formatTask = (task) => {
+    const status = getStatusIcon(task.status);
     
-    let result = `${status} [${task.id}] ${task.title} (приоритет: ${task.priority})\n`;
+    const taskTags = tags.formatTags(task);
+    const reason = task.status === 'blocked' && task.blockedReason ? ` ${t('list.blockedReason', { reason: task.blockedReason })}` : '';
+    const assignee = task.assignee ? ` ${assignees.formatAssignee(task)}` : '';
+    let result = `${status} [${task.id}] ${task.title} ${t('list.priority', { priority: task.priority })}${taskTags ? ` ${taskTags}` : ''}${assignee}${formatDue(task)}${reason}\n`;
     
-    if (task.subtasks && task.subtasks.length > 0) {
-      task.subtasks.forEach(subtask => {
-        const subtaskStatus = subtask.status === 'done' ? '✓' : '○';
-        result += `  ${subtaskStatus} ${subtask.id} ${subtask.title}\n`;
-      });
-    }
+    subtaskTree.walkSubtasks(task, (subtask, parent, depth) => {
+      const subtaskStatus = getStatusIcon(subtask.status);
+      const subtaskAssignee = subtask.assignee ? ` ${assignees.formatAssignee(subtask)}` : '';
+      result += `${'  '.repeat(depth)}${subtaskStatus} ${subtask.id} ${subtask.title}${subtaskAssignee}${formatDue(subtask)}\n`;
+    });
     
     return result;
   };
   
   // Добавление задач по группам
   if (inProgress.length > 0) {
-    response += '⚙ В ПРОЦЕССЕ:\n';
+    response += `${t('list.groups.in-progress')}\n`;
     inProgress.forEach(task => {
       response += formatTask(task);
     });
     response += '\n';
   }
   
+  if (blocked.length > 0) {
+    response += `${t('list.groups.blocked')}\n`;
+    blocked.forEach(task => {
+      response += formatTask(task);
+    });
+    response += '\n';
+  }
+  
   if (pending.length > 0) {
-    response += '○ ОЖИДАЮТ:\n';
+    response += `${t('list.groups.pending')}\n`;
     pending.forEach(task => {
       response += formatTask(task);
     });
@@ -545,7 +1049,7 @@ function listTasks() {
   }
   
   if (done.length > 0) {
-    response += '✓ ВЫПОЛНЕНЫ:\n';
+    response += `${t('list.groups.done')}\n`;
     done.forEach(task => {
       response += formatTask(task);
     });
@@ -553,170 +1057,216 @@ function listTasks() {
   }
   
   if (deferred.length > 0) {
-    response += '⏸ ОТЛОЖЕНЫ:\n';
+    response += `${t('list.groups.deferred')}\n`;
     deferred.forEach(task => {
       response += formatTask(task);
     });
     response += '\n';
   }
   
-  return response;
+  if (cancelled.length > 0) {
+    response += `${t('list.groups.cancelled')}\n`;
+    cancelled.forEach(task => {
+      response += formatTask(task);
+    });
+    response += '\n';
+  }
+  
+  return { success: true, message: response, data: { tasks: tasksData.tasks } };
 }
 
 /**
  * Отметка задачи или подзадачи как выполненной
  * @param {string} taskId - ID задачи или подзадачи
+ * @returns {object} - Ответ { success, message, data: { taskId, unblocked, nextTask } }
  */
 function completeTask(taskId) {
-  const tasksData = loadTasks();
-  let response = '';
-  let completedTitle = '';
-  let completedId = '';
-  let isSubtask = false;
-  let allSubtasksDone = false;
-
-  // Проверяем, является ли ID подзадачей
-  if (taskId.includes('.')) {
-    const [parentId, subtaskId] = taskId.split('.');
-    const parentIdNum = parseInt(parentId);
-    // Находим родительскую задачу
-    const parentTask = tasksData.tasks.find(task => task.id === parentIdNum);
-    if (!parentTask) {
-      return `✗ Задача с ID ${parentIdNum} не найдена`;
-    }
-    // Находим подзадачу
-    const subtask = parentTask.subtasks.find(st => st.id === taskId);
-    if (!subtask) {
-      return `✗ Подзадача с ID ${taskId} не найдена`;
-    }
-    // Отмечаем подзадачу как выполненную
-    subtask.status = 'done';
-    completedTitle = subtask.title;
-    completedId = taskId;
-    isSubtask = true;
-    // Проверяем, все ли подзадачи выполнены
-    allSubtasksDone = parentTask.subtasks.every(st => st.status === 'done');
-    // Если все подзадачи выполнены, отмечаем родительскую задачу как выполненную
-    if (allSubtasksDone) {
-      parentTask.status = 'done';
-    }
-    // Обновляем дату изменения
-    parentTask.updated_at = new Date().toISOString();
-    // Сохраняем изменения
-    if (!saveTasks(tasksData)) {
-      return '✗ Не удалось сохранить изменения';
-    }
-    // Добавляем запись в историю выполнения и контекст
-    const summary = `Выполнена подзадача ${taskId} "${subtask.title}"`;
-    contextTracker.updateTaskHistory(parentIdNum, 'update', summary);
-    if (allSubtasksDone) {
-      contextTracker.updateTaskStatus(parentIdNum, 'done', `Выполнены все подзадачи (${parentTask.subtasks.length})`);
-    }
-  } else {
-    // Отмечаем задачу как выполненную
-    const taskIdNum = parseInt(taskId);
-    const task = tasksData.tasks.find(t => t.id === taskIdNum);
-    if (!task) {
-      return `✗ Задача с ID ${taskIdNum} не найдена`;
-    }
-    // Отмечаем задачу и все подзадачи как выполненные
-    task.status = 'done';
-    task.updated_at = new Date().toISOString();
-    if (task.subtasks && task.subtasks.length > 0) {
-      task.subtasks.forEach(st => {
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const blockedBefore = dependencies.getBlockedIds(tasksData);
+    let response = '';
+    let completedTitle = '';
+    let completedId = '';
+    let isSubtask = false;
+    let allSubtasksDone = false;
+    let completedParents = [];
+
+    // Проверяем, является ли ID подзадачей (на любом уровне вложенности: 3.2, 3.2.1)
+    if (taskId.includes('.')) {
+      const parentIdNum = parseInt(taskId.split('.')[0]);
+      // Находим родительскую задачу
+      const parentTask = tasksData.tasks.find(task => task.id === parentIdNum);
+      if (!parentTask) {
+        return failure(t('chat.taskNotFound', { id: parentIdNum }));
+      }
+      // Находим подзадачу
+      const subtaskPath = subtaskTree.findPath(tasksData, taskId);
+      const subtask = subtaskPath && subtaskPath[subtaskPath.length - 1];
+      if (!subtask) {
+        return failure(t('chat.subtaskNotFound', { id: taskId }));
+      }
+      // Переход в done проверяется по таблице переходов статусов
+      const transition = statuses.checkTransition(subtask, 'done');
+      if (subtask.status !== 'done' && !transition.allowed) {
+        return failure(transition.message);
+      }
+      // Отмечаем подзадачу и её вложенные подзадачи (кроме отмененных) как выполненные и останавливаем учет времени
+      subtask.status = 'done';
+      delete subtask.blockedReason;
+      subtaskTree.getDescendants(subtask).filter(st => st.status !== 'cancelled').forEach(st => {
         st.status = 'done';
       });
+      timeTracking.stopTracking(subtask);
+      completedTitle = subtask.title;
+      completedId = taskId;
+      isSubtask = true;
+      // Родители, у которых выполнены все подзадачи, отмечаются выполненными на каждом уровне
+      completedParents = subtaskTree.rollUpCompletion(subtaskPath);
+      completedParents.forEach(parent => timeTracking.stopTracking(parent));
+      allSubtasksDone = parentTask.status === 'done';
+      // Обновляем дату изменения
+      parentTask.updated_at = new Date().toISOString();
+      // Сохраняем изменения
+      if (!saveTasks(tasksData)) {
+        return failure(t('common.saveFailed'));
+      }
+      // Добавляем запись в историю выполнения и контекст
+      const summary = t('history.subtaskCompleted', { id: taskId, title: subtask.title });
+      contextTracker.addHistoryEntry(parentIdNum, 'complete', summary, { subtaskId: taskId });
+      if (allSubtasksDone) {
+        contextTracker.updateTaskStatus(parentIdNum, 'done', t('history.allSubtasksCompleted', { count: parentTask.subtasks.length }));
+      }
+    } else {
+      // Отмечаем задачу как выполненную
+      const taskIdNum = parseInt(taskId);
+      const task = tasksData.tasks.find(t => t.id === taskIdNum);
+      if (!task) {
+        return failure(t('chat.taskNotFound', { id: taskIdNum }));
+      }
+      // Переход в done проверяется по таблице переходов статусов
+      const transition = statuses.checkTransition(task, 'done');
+      if (task.status !== 'done' && !transition.allowed) {
+        return failure(transition.message);
+      }
+      // Отмечаем задачу и все подзадачи (на всех уровнях, кроме отмененных) как выполненные
+      task.status = 'done';
+      delete task.blockedReason;
+      task.updated_at = new Date().toISOString();
+      const allSubtasks = subtaskTree.getDescendants(task).filter(st => st.status !== 'cancelled');
+      allSubtasks.forEach(st => {
+        st.status = 'done';
+      });
+      // Останавливаем учет времени задачи и подзадач
+      timeTracking.stopTracking(task);
+      completedTitle = task.title;
+      completedId = taskIdNum;
+      // Сохраняем изменения
+      if (!saveTasks(tasksData)) {
+        return failure(t('common.saveFailed'));
+      }
+      // Обновляем контекст задачи
+      const summary = allSubtasks.length > 0
+        ? t('history.taskCompletedWithSubtasks', { title: task.title, count: allSubtasks.length })
+        : t('history.taskCompleted', { title: task.title });
+      contextTracker.updateTaskStatus(taskIdNum, 'done', summary);
     }
-    completedTitle = task.title;
-    completedId = taskIdNum;
-    // Сохраняем изменения
-    if (!saveTasks(tasksData)) {
-      return '✗ Не удалось сохранить изменения';
-    }
-    // Обновляем контекст задачи
-    const summary = `Выполнена задача "${task.title}"${task.subtasks.length > 0 ? ` и все её подзадачи (${task.subtasks.length})` : ''}`;
-    contextTracker.updateTaskStatus(taskIdNum, 'done', summary);
-  }
 
-  // Формируем яркий статус
-  response += `\n\n✅ **СТАТУС: ВЫПОЛНЕНО!**\n`;
-  response += `**${isSubtask ? 'Подзадача' : 'Задача'} #${completedId}: "${completedTitle}"**\n`;
-  response += `\nСтатус задачи изменён на: **done**\n`;
+    // Формируем яркий статус
+    response += `\n\n✅ **${t('chat.complete.statusDone')}**\n`;
+    response += `**${t(isSubtask ? 'chat.complete.subtask' : 'chat.complete.task', { id: completedId, title: completedTitle })}**\n`;
+    response += `\n${t('chat.complete.statusChanged')}\n`;
 
-  // Если это подзадача и все подзадачи выполнены, сообщаем об этом
-  if (isSubtask && allSubtasksDone) {
-    response += `\n🎉 Все подзадачи выполнены, задача #${completedId.split('.')[0]} также отмечена как выполненная!`;
-  }
+    // Сообщаем о вложенных подзадачах, выполненных вместе с последней своей подзадачей
+    completedParents.filter(parent => String(parent.id).includes('.')).forEach(parent => {
+      response += `\n✓ ${t('chat.complete.parentSubtaskDone', { id: parent.id })}`;
+    });
 
-  // Поиск следующей задачи
-  const pendingTasks = tasksData.tasks.filter(task => task.status === 'pending');
-  if (pendingTasks.length > 0) {
-    // Сортировка по приоритету (от 1 до 3)
-    pendingTasks.sort((a, b) => a.priority - b.priority);
-    const nextTask = pendingTasks[0];
-    response += `\n\n➡️ **Следующая задача:** [${nextTask.id}] ${nextTask.title} (приоритет: ${nextTask.priority})`;
-    response += `\nОписание: ${nextTask.description}`;
-    if (nextTask.subtasks && nextTask.subtasks.length > 0) {
-      response += `\nПодзадачи: ${nextTask.subtasks.map(st => st.title).join(', ')}`;
+    // Если это подзадача и все подзадачи выполнены, сообщаем об этом
+    if (isSubtask && allSubtasksDone) {
+      response += `\n🎉 ${t('chat.complete.allSubtasksDone', { id: completedId.split('.')[0] })}`;
     }
-    response += `\n\nЧтобы перейти к ней, используйте команду: "Дай следующую задачу" или "Начни выполнение задачи ${nextTask.id}".`;
-  } else {
-    response += `\n\n🎉 Все задачи выполнены! Если хотите что-то скорректировать или добавить — оставайтесь в системе.`;
-  }
 
-  response += `\n\n💡 Контекст задачи обновлён для GitHub Copilot.`;
-  return response;
+    // Сообщаем о задачах, которые больше не ждут выполненную задачу
+    const unblocked = dependencies.findUnblocked(blockedBefore, tasksData);
+    if (unblocked.length > 0) {
+      response += `\n\n🔓 ${t('chat.complete.unblocked', { tasks: unblocked.map(item => `#${item.id} "${item.title}"`).join(', ') })}`;
+    }
+
+    // Поиск следующей задачи
+    const pendingTasks = dependencies.getAvailableTasks(tasksData);
+    let nextTask = null;
+    if (pendingTasks.length > 0) {
+      // Сортировка по приоритету (от 1 до 3) с учетом сроков
+      pendingTasks.sort((a, b) => dueDates.compareByUrgency(a, b));
+      nextTask = pendingTasks[0];
+      response += `\n\n➡️ **${t('chat.complete.nextTask')}** [${nextTask.id}] ${nextTask.title} ${t('list.priority', { priority: nextTask.priority })}`;
+      response += `\n${t('common.description', { description: nextTask.description })}`;
+      if (nextTask.subtasks && nextTask.subtasks.length > 0) {
+        response += `\n${t('chat.complete.subtasksInline', { subtasks: nextTask.subtasks.map(st => st.title).join(', ') })}`;
+      }
+      response += `\n\n${t('chat.complete.nextTaskHint', { id: nextTask.id })}`;
+    } else {
+      response += `\n\n🎉 ${t('chat.complete.allDone')}`;
+    }
+
+    response += `\n\n💡 ${t('chat.contextUpdated')}`;
+    return {
+      success: true,
+      message: response.trim(),
+      data: { taskId: completedId, unblocked: unblocked.map(item => item.id), nextTask }
+    };
+  });
 }
 
 /**
  * Получение следующей задачи
+ * @returns {object} - Ответ { success, message, data: { task } }
  */
 function getNextTask() {
-  const tasksData = loadTasks();
-  
-  if (!tasksData.tasks || tasksData.tasks.length === 0) {
-    return 'Задачи не найдены. Добавьте задачи с помощью команды "Создай задачу [название]".';
-  }
-  
-  // Получить следующую задачу в статусе pending с наивысшим приоритетом
-  const pendingTasks = tasksData.tasks.filter(task => task.status === 'pending');
-  
-  if (pendingTasks.length === 0) {
-    return 'Нет задач в статусе pending. Все задачи выполнены или находятся в процессе.';
-  }
-  
-  // Сортировка по приоритету (от 1 до 3)
-  pendingTasks.sort((a, b) => a.priority - b.priority);
-  
-  const nextTask = pendingTasks[0];
-  
-  // Обновить статус задачи на in-progress
-  const taskIndex = tasksData.tasks.findIndex(task => task.id === nextTask.id);
-  if (taskIndex !== -1) {
-    tasksData.tasks[taskIndex].status = 'in-progress';
-    tasksData.tasks[taskIndex].updated_at = new Date().toISOString();
-    saveTasks(tasksData);
+  return store.withLock(() => {
+    const tasksData = loadTasks();
     
-    // Обновляем контекст задачи
-    contextTracker.updateTaskStatus(nextTask.id, 'in-progress', `Начато выполнение задачи "${nextTask.title}"`);
-  }
-  
-  // Формирование ответа
-  let response = `🚀 Следующая задача:\n\n[${nextTask.id}] ${nextTask.title}\nПриоритет: ${nextTask.priority}\n\n${nextTask.description}\n\n`;
-  
-  // Добавление подзадач, если они есть
-  if (nextTask.subtasks && nextTask.subtasks.length > 0) {
-    response += 'Подзадачи:\n';
-    nextTask.subtasks.forEach(subtask => {
-      const statusEmoji = subtask.status === 'done' ? '✓' : '○';
-      response += `${statusEmoji} ${subtask.id} ${subtask.title}\n`;
-    });
-  }
-  
-  response += '\n✓ Задача отмечена как "в процессе"';
-  response += '\n💡 Контекст задачи обновлен для GitHub Copilot';
-  
-  return response;
+    if (!tasksData.tasks || tasksData.tasks.length === 0) {
+      return { success: true, message: t('chat.noTasks'), data: { task: null } };
+    }
+    
+    // Следующая задача выбирается и начинается так же, как в next start: среди задач
+    // без исполнителя и задач пользователя, с проверкой переходов статусов и ограничений WIP
+    const next = require('./next');
+    const candidate = next.getNextTask({ as: assignees.getCurrentUser() });
+    
+    if (!candidate) {
+      return { success: true, message: t('next.noAvailableTasks'), data: { task: null } };
+    }
+    
+    const started = next.startNextTask(false, String(candidate.id));
+    if (!started.success) {
+      return failure(started.message);
+    }
+    
+    const nextTask = started.task;
+    
+    // Формирование ответа
+    let response = `${t('next.nextTaskHeader')}\n\n[${nextTask.id}] ${nextTask.title}\n${t('common.priority', { priority: nextTask.priority })}\n`;
+    if (nextTask.due) {
+      response += `${t('common.due', { due: nextTask.due })}\n`;
+    }
+    response += `\n${nextTask.description}\n\n`;
+    
+    // Добавление подзадач, если они есть
+    if (nextTask.subtasks && nextTask.subtasks.length > 0) {
+      response += `${t('common.subtasks')}\n`;
+      subtaskTree.walkSubtasks(nextTask, (subtask, parent, depth) => {
+        const statusEmoji = subtask.status === 'done' ? '✓' : '○';
+        response += `${'  '.repeat(depth - 1)}${statusEmoji} ${subtask.id} ${subtask.title}\n`;
+      });
+    }
+    
+    response += `\n✓ ${t('chat.markedInProgress')}`;
+    response += `\n💡 ${t('chat.contextUpdated')}`;
+    
+    return { success: true, message: response, data: { task: nextTask } };
+  });
 }
 
 /**
@@ -734,9 +1284,8 @@ function startNextTaskExecution() {
   return `
 🚀 ${result.message}
 
-💡 Контекст для GitHub Copilot обновлен с учетом текущей задачи и истории проекта.
-Я уже знаю о задаче #${result.nextTask.id} и готов помочь её выполнить.
-Вы можете начать работу, а я буду учитывать контекст проекта в своих ответах.`;
+💡 ${t('chat.start.contextWithHistory')}
+${t('chat.start.readyToHelp', { id: result.nextTask.id })}`;
 }
 
 /**
@@ -745,49 +1294,53 @@ function startNextTaskExecution() {
  * @returns {string} - Результат выполнения команды
  */
 function startTaskExecution(taskId) {
-  const tasksData = loadTasks();
-  
-  // Проверяем существование задачи
-  const task = tasksData.tasks.find(t => t.id === taskId);
-  if (!task) {
-    return `❌ Задача с ID ${taskId} не найдена`;
-  }
-  
-  // Обновляем статус задачи на "в процессе"
-  task.status = 'in-progress';
-  task.updated_at = new Date().toISOString();
-  
-  // Сохраняем изменения
-  if (!saveTasks(tasksData)) {
-    return '❌ Не удалось обновить статус задачи';
-  }
-  
-  // Обновляем контекст задачи
-  contextTracker.updateTaskStatus(taskId, 'in-progress', `Начато выполнение задачи "${task.title}"`);
-  
-  // Подготавливаем контекст для Copilot
-  const copilotContext = contextTracker.prepareTaskContextForCopilot(taskId);
-  
-  // Формируем сообщение с информацией о задаче
-  let response = `
-🚀 Начинаю выполнение задачи #${taskId}: "${task.title}"
-Приоритет: ${task.priority}
-${task.description ? `\nОписание: ${task.description}` : ''}
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    
+    // Проверяем существование задачи
+    const task = tasksData.tasks.find(t => t.id === taskId);
+    if (!task) {
+      return `❌ ${t('chat.taskNotFound', { id: taskId })}`;
+    }
+    
+    // Обновляем статус задачи на "в процессе", назначаем исполнителя и запускаем учет времени
+    task.status = 'in-progress';
+    task.updated_at = new Date().toISOString();
+    assignees.claim(task, assignees.getStartingAssignee([task]));
+    timeTracking.startTracking(tasksData, task.id);
+    
+    // Сохраняем изменения
+    if (!saveTasks(tasksData)) {
+      return `❌ ${t('chat.start.statusUpdateFailed')}`;
+    }
+    
+    // Обновляем контекст задачи
+    contextTracker.updateTaskStatus(taskId, 'in-progress', t('history.taskStarted', { title: task.title }));
+    
+    // Подготавливаем контекст для Copilot
+    const copilotContext = contextTracker.prepareTaskContextForCopilot(taskId);
+    
+    // Формируем сообщение с информацией о задаче
+    let response = `
+  🚀 ${t('chat.start.starting', { id: taskId, title: task.title })}
+  ${t('common.priority', { priority: task.priority })}
+  ${task.description ? `\n${t('common.description', { description: task.description })}` : ''}
 
-${task.subtasks && task.subtasks.length > 0 ? 
-  `Подзадачи:\n${task.subtasks.map(st => `- ${st.id} ${st.title}`).join('\n')}` : ''}
+  ${task.subtasks && task.subtasks.length > 0 ? 
+    `${t('common.subtasks')}\n${task.subtasks.map(st => `- ${st.id} ${st.title}`).join('\n')}` : ''}
 
-💡 Контекст для GitHub Copilot обновлен. Я уже знаю о задаче #${taskId} и готов помочь её выполнить.
-Вы можете начать работу, а я буду учитывать контекст проекта в своих ответах.`;
-  
-  return response;
+  💡 ${t('chat.start.contextUpdated', { id: taskId })}`;
+    
+    return response;
+  });
 }
 
 /**
- * Обновление контекста задачи
+ * Обновление контекста задачи: комментарий добавляется в историю задачи,
+ * без комментария контекст для Copilot просто пересобирается
  * @param {number} taskId - ID задачи для обновления контекста
  * @param {string} comment - Комментарий для добавления в контекст
- * @returns {string} - Результат выполнения команды
+ * @returns {object|Promise<object>} - Ответ { success, message, data: { taskId } }
  */
 function updateTaskContext(taskId, comment) {
   const tasksData = loadTasks();
@@ -795,23 +1348,28 @@ function updateTaskContext(taskId, comment) {
   // Проверяем существование задачи
   const task = tasksData.tasks.find(t => t.id === taskId);
   if (!task) {
-    return `❌ Задача с ID ${taskId} не найдена`;
+    return failure(t('chat.taskNotFound', { id: taskId }));
+  }
+  
+  if (!comment) {
+    return refreshTaskContext(taskId);
   }
   
   // Обновляем контекст задачи
   const success = contextTracker.addHistoryEntry(taskId, 'update', comment);
   
   if (!success) {
-    return '❌ Не удалось обновить контекст задачи';
+    return failure(t('chat.context.updateFailed', { id: taskId }));
   }
   
   // Подготавливаем обновленный контекст для Copilot
-  const copilotContext = contextTracker.prepareTaskContextForCopilot(taskId);
+  contextTracker.prepareTaskContextForCopilot(taskId);
   
-  return `
-✅ Контекст задачи #${taskId} обновлен: ${comment}
-
-💡 GitHub Copilot теперь учитывает обновленный контекст задачи в своих рекомендациях.`;
+  return {
+    success: true,
+    message: `✅ ${t('chat.context.taskUpdated', { id: taskId, comment })}\n\n💡 ${t('chat.context.taskUsedByCopilot')}`,
+    data: { taskId }
+  };
 }
 
 /**
@@ -821,12 +1379,12 @@ function updateTaskContext(taskId, comment) {
  */
 function updateGeneralContext(comment) {
   if (!comment) {
-    return '❌ Пустой комментарий для обновления контекста';
+    return `❌ ${t('chat.context.emptyComment')}`;
   }
   
   const context = contextTracker.loadContext();
   if (!context) {
-    return '❌ Не удалось загрузить контекст проекта';
+    return `❌ ${t('chat.context.loadFailed')}`;
   }
   
   // Обновляем общий контекст проекта
@@ -836,13 +1394,13 @@ function updateGeneralContext(comment) {
   const success = contextTracker.saveContext(context);
   
   if (!success) {
-    return '❌ Не удалось обновить общий контекст проекта';
+    return `❌ ${t('chat.context.projectUpdateFailed')}`;
   }
   
   return `
-✅ Общий контекст проекта обновлен: ${comment}
+✅ ${t('chat.context.projectUpdated', { comment })}
 
-💡 GitHub Copilot теперь учитывает обновленный контекст проекта в своих рекомендациях.`;
+💡 ${t('chat.context.projectUsedByCopilot')}`;
 }
 
 /**
@@ -853,16 +1411,16 @@ function updateGeneralContext(comment) {
 function showTaskContext(taskId) {
   const copilotContext = contextTracker.prepareTaskContextForCopilot(taskId);
   
-  if (!copilotContext || copilotContext.includes('не найдена') || copilotContext.includes('Не удалось')) {
-    return `❌ Не удалось получить контекст для задачи #${taskId}`;
+  if (!copilotContext) {
+    return `❌ ${t('chat.context.taskContextFailed', { id: taskId })}`;
   }
   
   return `
-📝 Контекст задачи #${taskId} для GitHub Copilot:
+📝 ${t('chat.context.taskContextHeader', { id: taskId })}
 
 ${copilotContext}
 
-Этот контекст автоматически используется GitHub Copilot при работе с кодом.`;
+${t('chat.context.usedByCopilot')}`;
 }
 
 /**
@@ -872,20 +1430,20 @@ ${copilotContext}
 function showGeneralContext() {
   const context = contextTracker.loadContext();
   if (!context) {
-    return '❌ Не удалось загрузить контекст проекта';
+    return `❌ ${t('chat.context.loadFailed')}`;
   }
   
   const summary = contextTracker.getProjectSummary();
   
   return `
-📝 Общий контекст проекта для GitHub Copilot:
+📝 ${t('chat.context.projectContextHeader')}
 
 ${summary}
 
-Проектное состояние: ${context.projectState}
-Последнее обновление: ${new Date(context.lastUpdated).toLocaleString()}
+${t('chat.context.projectState', { state: context.projectState })}
+${t('chat.context.lastUpdated', { date: formatDate(context.lastUpdated) })}
 
-Этот контекст автоматически используется GitHub Copilot при работе с кодом.`;
+${t('chat.context.usedByCopilot')}`;
 }
 
 /**
@@ -899,13 +1457,13 @@ function checkTaskCompletionAndSuggestNext(taskId) {
   // Проверяем существование задачи
   const task = tasksData.tasks.find(t => t.id === taskId);
   if (!task) {
-    return `❌ Задача с ID ${taskId} не найдена`;
+    return `❌ ${t('chat.taskNotFound', { id: taskId })}`;
   }
   
   // Если задача уже выполнена, предлагаем следующую
   if (task.status === 'done') {
     return `
-✅ Задача #${taskId} "${task.title}" уже отмечена как выполненная.
+✅ ${t('chat.check.alreadyDone', { id: taskId, title: task.title })}
 
 ${startNextTaskExecution()}`;
   }
@@ -914,12 +1472,11 @@ ${startNextTaskExecution()}`;
   const prompt = contextTracker.generateTaskCompletionPrompt(taskId);
   
   return `
-⚙️ Задача #${taskId} "${task.title}" в процессе выполнения.
+⚙️ ${t('chat.check.inProgress', { id: taskId, title: task.title })}
 
 ${prompt}
 
-Ответьте "Да, задача выполнена" чтобы отметить задачу как выполненную и перейти к следующей.
-Или продолжите работу над текущей задачей.`;
+${t('chat.check.confirmHint', { id: taskId })}`;
 }
 
 /**
@@ -933,7 +1490,7 @@ function showTaskHistory(taskId) {
   return `
 📜 ${history}
 
-Эта история автоматически учитывается GitHub Copilot при работе с кодом.`;
+${t('chat.historyUsedByCopilot')}`;
 }
 
 /**
@@ -946,177 +1503,212 @@ function showAllTasksHistory() {
   return `
 📜 ${history}
 
-Эта история автоматически учитывается GitHub Copilot при работе с кодом.`;
+${t('chat.historyUsedByCopilot')}`;
 }
 
 /**
  * Генерация задач из плана или обсуждения
- * @param {string} command - Команда с описанием плана
- * @returns {string} - Результат генерации задач
+ * @param {string} planText - Текст плана
+ * @returns {object} - Ответ { success, message, data: { tasks } }
  */
-function generateTasksFromPlan(command) {
-  // Извлекаем план из текста команды
-  const planTextRegex = /создай (?:список )?задач(и)? из (?:плана|нашего обсуждения)(?:\s*[:：]\s*|\s+)(.*)/is;
-  const match = command.match(planTextRegex);
-  
-  let planText = '';
-  if (match && match[2]) {
-    planText = match[2].trim();
-  } else {
-    // Если не удалось извлечь план, берем весь текст после команды
-    planText = command.replace(/создай (?:список )?задач(?:и)? из (?:плана|нашего обсуждения)/i, '').trim();
-  }
-  
-  if (!planText) {
-    return '❌ Не удалось извлечь план из команды. Пожалуйста, уточните план задач.';
-  }
-  
-  // Разбиваем план на отдельные пункты (предполагаем, что каждый пункт - отдельная задача)
-  const taskLines = planText
-    .split(/\n+|\\n+/) // Разделение по переносам строк
-    .map(line => line.trim())
-    .filter(line => line.length > 0 && !line.match(/^[#\-\*]+\s*$/)); // Фильтрация пустых строк и разделителей
-  
-  // Пытаемся определить, разбит ли план на пункты или подпункты
-  const bulletPointRegex = /^([#*\-\d]+[\.\)]*\s+|[\d]+[\.\)]+\s+)/;
-  const hasBulletPoints = taskLines.some(line => bulletPointRegex.test(line));
-  
-  // Создаем список задач
-  const tasksData = loadTasks();
-  const newTasks = [];
-  
-  if (hasBulletPoints) {
-    // Обрабатываем пункты плана как отдельные задачи
-    let currentTask = null;
-    let currentSubtasks = [];
+function generateTasksFromPlan(planText) {
+  return store.withLock(() => {
+    if (!planText) {
+      return failure(t('chat.plan.noPlan'));
+    }
     
-    // Определяем уровень отступа для каждой строки
-    const getIndentLevel = (line) => {
-      const match = line.match(/^(\s*)/);
-      return match ? match[1].length : 0;
-    };
+    // Разбиваем план на отдельные пункты (предполагаем, что каждый пункт - отдельная задача)
+    // Отступы строк сохраняются: по ним определяется вложенность подпунктов
+    const taskLines = planText
+      .split(/\n+|\\n+/) // Разделение по переносам строк
+      .map(line => line.trimEnd())
+      .filter(line => line.trim().length > 0 && !line.trim().match(/^[#\-\*]+\s*$/)); // Фильтрация пустых строк и разделителей
+    
+    // Пытаемся определить, разбит ли план на пункты или подпункты
+    const bulletPointRegex = /^([#*\-\d]+[\.\)]*\s+|[\d]+[\.\)]+\s+)/;
+    const hasBulletPoints = taskLines.some(line => bulletPointRegex.test(line.trim()));
+    
+    // Создаем список задач
+    const tasksData = loadTasks();
+    const newTasks = [];
+    
+    if (hasBulletPoints) {
+      // Обрабатываем пункты плана как отдельные задачи
+      let currentTask = null;
+      let currentSubtaskLines = [];
+    
+      // Определяем уровень отступа для каждой строки
+      const getIndentLevel = (line) => {
+        const match = line.match(/^(\s*)/);
+        return match ? match[1].length : 0;
+      };
+    
+      const lines = taskLines.map(line => ({
+        raw: line,
+        text: line.trim().replace(bulletPointRegex, '').trim(),
+        indent: getIndentLevel(line),
+        hasBullet: bulletPointRegex.test(line.trim())
+      }));
+    
+      // Подзадача из подпункта плана: приоритет ([P:1]), оценка ([E:3]) и срок ("до пятницы")
+      // переносятся в поля priority, estimate и due
+      const createSubtask = (rawLine, id) => {
+        const { text: textWithEstimate, priority } = priorities.extractPriority(rawLine.trim().replace(bulletPointRegex, ''));
+        const { text: textWithDue, estimate } = estimates.extractEstimate(textWithEstimate);
+        const { text, due } = dueDates.extractDue(textWithDue);
+        const subtask = {
+          id,
+          title: text,
+          status: 'pending'
+        };
+        dueDates.setDue(subtask, due);
+        estimates.setEstimate(subtask, estimate);
+        priorities.setSubtaskPriority(subtask, priority);
+        return subtask;
+      };
+    
+      // Определяем минимальный отступ для задач первого уровня
+      const baseIndentLevel = lines.filter(l => l.hasBullet).reduce((min, l) => Math.min(min, l.indent), Infinity);
     
-    const lines = taskLines.map(line => ({
-      text: line.replace(bulletPointRegex, '').trim(),
-      indent: getIndentLevel(line),
-      hasBullet: bulletPointRegex.test(line)
-    }));
-    
-    // Определяем минимальный отступ для задач первого уровня
-    const baseIndentLevel = lines.filter(l => l.hasBullet).reduce((min, l) => Math.min(min, l.indent), Infinity);
-    
-    // Проходим по строкам и группируем их в задачи и подзадачи
-    for (const line of lines) {
-      if (line.hasBullet && (line.indent === baseIndentLevel || currentTask === null)) {
-        // Если это новая задача первого уровня
-        if (currentTask !== null) {
-          // Сохраняем предыдущую задачу
-          newTasks.push({
-            ...currentTask,
-            subtasks: currentSubtasks
-          });
+      // Проходим по строкам и группируем их в задачи и подзадачи
+      for (const line of lines) {
+        if (line.hasBullet && (line.indent === baseIndentLevel || currentTask === null)) {
+          // Если это новая задача первого уровня
+          if (currentTask !== null) {
+            // Сохраняем предыдущую задачу
+            newTasks.push({
+              ...currentTask,
+              subtasks: subtaskTree.nestByIndent(currentSubtaskLines, currentTask.id, createSubtask)
+            });
+          }
+    
+          // Создаем новую задачу, теги (#backend), приоритет ([P:1], !high), оценка ([E:3])
+          // и срок ("до пятницы") из пункта плана переносятся в поля tags, priority, estimate и due
+          const { text: textWithPriority, tags: taskTags } = tags.extractTags(line.text);
+          const { text: textWithEstimate, priority } = priorities.extractPriority(textWithPriority);
+          const { text: textWithDue, estimate } = estimates.extractEstimate(textWithEstimate);
+          const { text, due } = dueDates.extractDue(textWithDue);
+          currentTask = {
+            // Предыдущие задачи плана ещё не добавлены в tasksData - учитываем их в ID
+            id: getNextTaskId(tasksData.tasks) + newTasks.length,
+            title: text,
+            description: t('chat.plan.taskDescription', { text }),
+            status: 'pending',
+            priority: priority || DEFAULT_PRIORITY,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          };
+          tags.setTags(currentTask, taskTags);
+          dueDates.setDue(currentTask, due);
+          estimates.setEstimate(currentTask, estimate);
+          currentSubtaskLines = [];
+        } else if (line.hasBullet && currentTask !== null) {
+          // Если это подзадача: вложенность определяется отступом при сохранении задачи
+          currentSubtaskLines.push(line.raw);
+        } else if (currentTask !== null) {
+          // Если это дополнительное описание для текущей задачи
+          currentTask.description += '\n' + line.text;
         }
-        
-        // Создаем новую задачу
-        currentTask = {
-          id: getNextTaskId(tasksData.tasks),
-          title: line.text,
-          description: `Задача создана из плана: ${line.text}`,
+      }
+    
+      // Добавляем последнюю задачу
+      if (currentTask !== null) {
+        newTasks.push({
+          ...currentTask,
+          subtasks: subtaskTree.nestByIndent(currentSubtaskLines, currentTask.id, createSubtask)
+        });
+      }
+    } else {
+      // Если пункты не выделены, создаем отдельную задачу для каждой строки
+      taskLines.forEach((line, index) => {
+        const taskId = getNextTaskId(tasksData.tasks) + index;
+        const { text: textWithPriority, tags: taskTags } = tags.extractTags(line);
+        const { text: textWithEstimate, priority } = priorities.extractPriority(textWithPriority);
+        const { text: textWithDue, estimate } = estimates.extractEstimate(textWithEstimate);
+        const { text, due } = dueDates.extractDue(textWithDue);
+        const newTask = {
+          id: taskId,
+          title: text,
+          description: t('chat.plan.taskDescription', { text }),
           status: 'pending',
-          priority: 2,
+          priority: priority || DEFAULT_PRIORITY,
+          subtasks: [],
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString()
         };
-        currentSubtasks = [];
-      } else if (line.hasBullet && currentTask !== null) {
-        // Если это подзадача
-        currentSubtasks.push({
-          id: `${currentTask.id}.${currentSubtasks.length + 1}`,
-          title: line.text,
-          status: 'pending'
-        });
-      } else if (currentTask !== null) {
-        // Если это дополнительное описание для текущей задачи
-        currentTask.description += '\n' + line.text;
-      }
-    }
+        tags.setTags(newTask, taskTags);
+        dueDates.setDue(newTask, due);
+        estimates.setEstimate(newTask, estimate);
     
-    // Добавляем последнюю задачу
-    if (currentTask !== null) {
-      newTasks.push({
-        ...currentTask,
-        subtasks: currentSubtasks
+        newTasks.push(newTask);
       });
     }
-  } else {
-    // Если пункты не выделены, создаем отдельную задачу для каждой строки
-    taskLines.forEach((line, index) => {
-      const taskId = getNextTaskId(tasksData.tasks) + index;
-      
-      newTasks.push({
-        id: taskId,
-        title: line,
-        description: `Задача создана из плана: ${line}`,
-        status: 'pending',
-        priority: 2,
-        subtasks: [],
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      });
-    });
-  }
-  
-  // Если задачи не удалось сгенерировать
-  if (newTasks.length === 0) {
-    return '❌ Не удалось создать задачи из предоставленного плана. Пожалуйста, уточните план.';
-  }
-  
-  // Добавляем новые задачи в список
-  tasksData.tasks = [...tasksData.tasks, ...newTasks];
-  
-  // Сохраняем задачи в файл
-  if (saveTasks(tasksData)) {
-    // Формируем ответ
-    let response = `✅ Успешно создано задач из плана: ${newTasks.length}\n\n`;
     
-    newTasks.forEach(task => {
-      response += `🔹 #${task.id} ${task.title}\n`;
-      
-      if (task.subtasks.length > 0) {
-        task.subtasks.forEach(subtask => {
-          response += `  ◦ ${subtask.id} ${subtask.title}\n`;
+    // Если задачи не удалось сгенерировать
+    if (newTasks.length === 0) {
+      return failure(t('chat.plan.noTasks'));
+    }
+    
+    // Добавляем новые задачи в список
+    tasksData.tasks = [...tasksData.tasks, ...newTasks];
+    
+    // Сохраняем задачи в файл
+    if (saveTasks(tasksData)) {
+      // Формируем ответ
+      let response = `✅ ${t('chat.plan.created', { count: newTasks.length })}\n\n`;
+    
+      newTasks.forEach(task => {
+        response += `🔹 #${task.id} ${task.title}\n`;
+    
+        subtaskTree.walkSubtasks(task, (subtask, parent, depth) => {
+          response += `${'  '.repeat(depth)}◦ ${subtask.id} ${subtask.title}\n`;
         });
-      }
-      
-      response += '\n';
-    });
     
-    response += `
-💡 Контекст для GitHub Copilot обновлен с новыми задачами.
-Чтобы начать выполнение, используйте команду "Начни выполнение задач"`;
+        response += '\n';
+      });
     
-    return response;
-  } else {
-    return '❌ Не удалось сохранить задачи.';
-  }
+      response += `💡 ${t('chat.plan.contextUpdated')}`;
+    
+      return { success: true, message: response, data: { tasks: newTasks } };
+    } else {
+      return failure(t('chat.plan.saveFailed'));
+    }
+  });
 }
 
 // Если скрипт запущен из командной строки
 if (require.main === module) {
-  const args = process.argv.slice(2);
-  const command = args.join(' ');
-  
-  if (!command) {
-    console.log(chalk.yellow('Не указана команда. Пример использования:'));
-    console.log(chalk.blue('npm run task-master:chat "Создай задачу Разработка нового функционала"'));
-    process.exit(1);
+  const args = output.stripOutputFlags(process.argv.slice(2));
+  // global.js передает команду чата одной строкой, поэтому флаг --explain
+  // ищется в начале объединенного текста
+  const text = args.join(' ').trim();
+  const explain = /^--explain(\s|$)/.test(text);
+  const command = explain ? text.replace(/^--explain/, '').trim() : text;
+  
+  if (!command && !explain && !output.isMachineReadable()) {
+    // Без команды - интерактивный режим
+    const { startRepl } = require('./chat-repl');
+    startRepl({ processCommand, renderResponse, intents: intentRegistry.list() });
+  } else if (!command) {
+    console.log(chalk.yellow(t('chat.noCommand.usage')));
+    console.log(chalk.blue(t('chat.noCommand.example')));
+    output.finish({ success: false, message: t('chat.noCommand.message') });
+    process.exit();
+  } else if (explain) {
+    // Режим --explain: только показать, какое намерение будет выбрано, без выполнения
+    const explanation = explainCommand(command);
+    console.log(formatExplanation(explanation));
+    output.finish(explanation, explanation.candidates);
+  } else {
+    processCommand(command).then(response => printResponse(command, response));
   }
-  
-  const result = processCommand(command);
-  console.log(result);
 }
 
-// Экспорт функции для использования в других модулях
+// Экспорт функций для использования в других модулях
 module.exports = {
-  processCommand
+  processCommand,
+  explainCommand,
+  renderResponse,
+  printResponse,
+  intentRegistry
 };
\ No newline at end of file
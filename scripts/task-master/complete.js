@@ -10,38 +10,17 @@ const path = require('path');
 const chalk = require('chalk');
 const readline = require('readline');
 const contextTracker = require('./context-tracker');
+const dependencies = require('./dependencies');
+const store = require('./task-store');
+const output = require('./output');
+const timeTracking = require('./time-tracking');
+const subtaskTree = require('./subtask-tree');
+const statuses = require('./statuses');
+const assignees = require('./assignees');
+const { t } = require('./i18n');
 
-// Определяем пути в зависимости от режима (локальный или глобальный)
-const isGlobalMode = process.env.TASK_MASTER_MODE === 'global';
-const tasksDir = process.env.TASK_MASTER_DIR || path.join(process.cwd(), 'tasks');
-const tasksFile = process.env.TASK_MASTER_FILE || path.join(tasksDir, 'tasks.json');
-
-// Функция загрузки задач из файла
-function loadTasks() {
-  if (!fs.existsSync(tasksFile)) {
-    console.log(chalk.red(`✗ Файл ${path.basename(tasksFile)} не найден. Запустите инициализацию с помощью task-master init или npm run task-master:init`));
-    process.exit(1);
-  }
-  
-  try {
-    const data = fs.readFileSync(tasksFile, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.log(chalk.red(`✗ Ошибка при чтении файла: ${error.message}`));
-    process.exit(1);
-  }
-}
-
-// Функция сохранения задач в файл
-function saveTasks(tasksData) {
-  try {
-    fs.writeFileSync(tasksFile, JSON.stringify(tasksData, null, 2));
-    return true;
-  } catch (error) {
-    console.log(chalk.red(`✗ Ошибка при сохранении файла: ${error.message}`));
-    return false;
-  }
-}
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
 
 /**
  * Отметка задачи или подзадачи как выполненной с обновлением контекста
@@ -50,129 +29,172 @@ function saveTasks(tasksData) {
  * @returns {object} - Результат выполнения и информация для перехода к следующей задаче
  */
 function completeTaskWithContextUpdate(taskId, summary) {
-  const tasksData = loadTasks();
-  let success = false;
-  let message = '';
-  let isMainTask = !taskId.includes('.');
-  let mainTaskId = isMainTask ? parseInt(taskId) : parseInt(taskId.split('.')[0]);
-  
-  // Проверяем, является ли ID подзадачей
-  if (!isMainTask) {
-    const [parentId, subtaskId] = taskId.split('.');
-    const parentIdNum = parseInt(parentId);
-    
-    // Находим родительскую задачу
-    const parentTask = tasksData.tasks.find(task => task.id === parentIdNum);
-    
-    if (!parentTask) {
-      return {
-        success: false,
-        message: `✗ Задача с ID ${parentIdNum} не найдена`,
-        nextTask: null
-      };
-    }
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const blockedBefore = dependencies.getBlockedIds(tasksData);
+    let success = false;
+    let message = '';
+    let isMainTask = !taskId.includes('.');
+    let mainTaskId = isMainTask ? parseInt(taskId) : parseInt(taskId.split('.')[0]);
     
-    // Находим подзадачу
-    const subtask = parentTask.subtasks.find(st => st.id === taskId);
+    // Проверяем, является ли ID подзадачей (на любом уровне вложенности: 3.2, 3.2.1)
+    if (!isMainTask) {
+      const parentIdNum = mainTaskId;
     
-    if (!subtask) {
-      return {
-        success: false,
-        message: `✗ Подзадача с ID ${taskId} не найдена`,
-        nextTask: null
-      };
-    }
+      // Находим родительскую задачу
+      const parentTask = tasksData.tasks.find(task => task.id === parentIdNum);
     
-    // Отмечаем подзадачу как выполненную
-    subtask.status = 'done';
+      if (!parentTask) {
+        return {
+          success: false,
+          message: `✗ ${t('common.taskNotFound', { id: parentIdNum })}`,
+          nextTask: null
+        };
+      }
     
-    // Проверяем, все ли подзадачи выполнены
-    const allSubtasksDone = parentTask.subtasks.every(st => st.status === 'done');
+      // Находим подзадачу
+      const subtaskPath = subtaskTree.findPath(tasksData, taskId);
+      const subtask = subtaskPath && subtaskPath[subtaskPath.length - 1];
     
-    // Если все подзадачи выполнены, отмечаем родительскую задачу как выполненную
-    if (allSubtasksDone) {
-      parentTask.status = 'done';
-    }
+      if (!subtask) {
+        return {
+          success: false,
+          message: `✗ ${t('complete.subtaskNotFound', { id: taskId })}`,
+          nextTask: null
+        };
+      }
     
-    // Обновляем дату изменения
-    parentTask.updated_at = new Date().toISOString();
+      // Переход в done проверяется по таблице переходов статусов
+      const transition = statuses.checkTransition(subtask, 'done');
+      if (subtask.status !== 'done' && !transition.allowed) {
+        return { success: false, message: `✗ ${transition.message}`, nextTask: null };
+      }
     
-    // Сохраняем изменения
-    success = saveTasks(tasksData);
+      // Отмечаем подзадачу и её вложенные подзадачи (кроме отмененных) как выполненные и останавливаем учет времени
+      subtask.status = 'done';
+      delete subtask.blockedReason;
+      subtaskTree.getDescendants(subtask).filter(st => st.status !== 'cancelled').forEach(st => {
+        st.status = 'done';
+      });
+      timeTracking.stopTracking(subtask);
     
-    if (success) {
-      // Добавляем запись в историю выполнения и контекст
-      const autoSummary = summary || `Выполнена подзадача ${taskId} "${subtask.title}"`;
-      contextTracker.addHistoryEntry(parentIdNum, 'update', autoSummary);
+      // Родители, у которых выполнены все подзадачи, отмечаются выполненными на каждом уровне
+      const completedParents = subtaskTree.rollUpCompletion(subtaskPath);
+      completedParents.forEach(parent => timeTracking.stopTracking(parent));
+      const allSubtasksDone = parentTask.status === 'done';
+    
+      // Обновляем дату изменения
+      parentTask.updated_at = new Date().toISOString();
+    
+      // Сохраняем изменения
+      success = saveTasks(tasksData);
+    
+      if (success) {
+        // Добавляем запись в историю выполнения и контекст
+        const autoSummary = summary || t('history.subtaskCompleted', { id: taskId, title: subtask.title });
+        contextTracker.addHistoryEntry(parentIdNum, 'complete', autoSummary, { subtaskId: taskId });
 
-      if (allSubtasksDone) {
-        // Обновляем статус задачи в контексте
-        contextTracker.updateTaskStatus(parentIdNum, 'done', `Выполнены все подзадачи (${parentTask.subtasks.length})`);
-      }
-      
-      message = `✓ Подзадача #${taskId} отмечена как выполненная`;
-      if (allSubtasksDone) {
-        message += `\n✓ Все подзадачи выполнены, задача #${parentIdNum} отмечена как выполненная`;
+        if (allSubtasksDone) {
+          // Обновляем статус задачи в контексте
+          contextTracker.updateTaskStatus(parentIdNum, 'done', t('history.allSubtasksCompleted', { count: parentTask.subtasks.length }));
+        }
+    
+        message = `✓ ${t('complete.subtaskDone', { id: taskId })}`;
+        completedParents.filter(parent => parent !== parentTask).forEach(parent => {
+          message += `\n✓ ${t('complete.parentSubtaskDone', { id: parent.id })}`;
+        });
+        if (allSubtasksDone) {
+          message += `\n✓ ${t('complete.parentTaskDone', { id: parentIdNum })}`;
+        }
+      } else {
+        message = `✗ ${t('common.saveFailed')}`;
       }
     } else {
-      message = '✗ Не удалось сохранить изменения';
-    }
-  } else {
-    // Отмечаем задачу как выполненную
-    const taskIdNum = parseInt(taskId);
-    const task = tasksData.tasks.find(t => t.id === taskIdNum);
+      // Отмечаем задачу как выполненную
+      const taskIdNum = parseInt(taskId);
+      const task = tasksData.tasks.find(t => t.id === taskIdNum);
     
-    if (!task) {
-      return {
-        success: false,
-        message: `✗ Задача с ID ${taskIdNum} не найдена`,
-        nextTask: null
-      };
-    }
+      if (!task) {
+        return {
+          success: false,
+          message: `✗ ${t('common.taskNotFound', { id: taskIdNum })}`,
+          nextTask: null
+        };
+      }
     
-    // Отмечаем задачу и все подзадачи как выполненные
-    task.status = 'done';
-    task.updated_at = new Date().toISOString();
+      // Переход в done проверяется по таблице переходов статусов
+      const transition = statuses.checkTransition(task, 'done');
+      if (task.status !== 'done' && !transition.allowed) {
+        return { success: false, message: `✗ ${transition.message}`, nextTask: null };
+      }
+    
+      // Отмечаем задачу и все подзадачи (на всех уровнях, кроме отмененных) как выполненные
+      task.status = 'done';
+      delete task.blockedReason;
+      task.updated_at = new Date().toISOString();
     
-    if (task.subtasks && task.subtasks.length > 0) {
-      task.subtasks.forEach(st => {
+      const allSubtasks = subtaskTree.getDescendants(task).filter(st => st.status !== 'cancelled');
+      allSubtasks.forEach(st => {
         st.status = 'done';
       });
+      
+      // Останавливаем учет времени задачи и подзадач
+      timeTracking.stopTracking(task);
+    
+      // Сохраняем изменения
+      success = saveTasks(tasksData);
+    
+      if (success) {
+        // Обновляем контекст задачи
+        const autoSummary = summary || (allSubtasks.length > 0
+          ? t('history.taskCompletedWithSubtasks', { title: task.title, count: allSubtasks.length })
+          : t('history.taskCompleted', { title: task.title }));
+        contextTracker.updateTaskStatus(taskIdNum, 'done', autoSummary);
+
+        message = `✓ ${t('complete.taskDone', { id: taskIdNum, title: task.title })}`;
+      } else {
+        message = `✗ ${t('common.saveFailed')}`;
+      }
     }
     
-    // Сохраняем изменения
-    success = saveTasks(tasksData);
+    let contextUpdateResult = null;
+    let nextTask = null;
+    let unblockedTasks = [];
     
     if (success) {
-      // Обновляем контекст задачи
-      const autoSummary = summary || `Выполнена задача "${task.title}"${task.subtasks.length > 0 ? ` и все её подзадачи (${task.subtasks.length})` : ''}`;
-      contextTracker.updateTaskStatus(taskIdNum, 'done', autoSummary);
-
-      message = `✓ Задача #${taskIdNum} "${task.title}" отмечена как выполненная`;
-    } else {
-      message = '✗ Не удалось сохранить изменения';
+      // Находим задачи, которые ждали только что выполненную
+      unblockedTasks = dependencies.findUnblocked(blockedBefore, loadTasks());
+      
+      // Обновляем контекст и получаем информацию о следующей задаче
+      contextUpdateResult = contextTracker.updateContextAfterTaskCompletion(
+        mainTaskId, 
+        summary || t('complete.defaultSummary', { id: taskId })
+      );
+    
+      nextTask = contextUpdateResult.nextTask;
     }
-  }
-  
-  let contextUpdateResult = null;
-  let nextTask = null;
-  
-  if (success) {
-    // Обновляем контекст и получаем информацию о следующей задаче
-    contextUpdateResult = contextTracker.updateContextAfterTaskCompletion(
-      mainTaskId, 
-      summary || `Задача ${taskId} завершена успешно`
-    );
-    
-    nextTask = contextUpdateResult.nextTask;
-  }
+    
+    return {
+      success,
+      message,
+      nextTask,
+      unblockedTasks,
+      copilotContext: contextUpdateResult ? contextUpdateResult.copilotContext : null
+    };
+  });
+}
+
+/**
+ * Вывести список задач, разблокированных после выполнения
+ * @param {object[]} unblockedTasks - Разблокированные задачи и подзадачи
+ */
+function printUnblockedTasks(unblockedTasks) {
+  if (!unblockedTasks || unblockedTasks.length === 0) return;
   
-  return {
-    success,
-    message,
-    nextTask,
-    copilotContext: contextUpdateResult ? contextUpdateResult.copilotContext : null
-  };
+  console.log(chalk.magenta(`\n${t('complete.unblocked')}`));
+  unblockedTasks.forEach(item => {
+    console.log(chalk.magenta(`  #${item.id} ${item.title}`));
+  });
 }
 
 /**
@@ -185,26 +207,27 @@ async function completeTaskInteractive(taskId) {
     output: process.stdout
   });
   
-  console.log(chalk.blue('Введите краткое описание результата выполнения задачи:'));
+  console.log(chalk.blue(t('complete.summaryPrompt')));
   
   rl.question('> ', (summary) => {
     // Отмечаем задачу как выполненную с указанным описанием
     const result = completeTaskWithContextUpdate(taskId, summary);
     
     console.log(chalk.green(result.message));
+    printUnblockedTasks(result.unblockedTasks);
     
     // Если успешно выполнена и есть следующая задача
     if (result.success && result.nextTask) {
       console.log('');
-      console.log(chalk.cyan('🚀 Следующая задача:'));
+      console.log(chalk.cyan(t('next.nextTaskHeader')));
       console.log(chalk.cyan(`#${result.nextTask.id}: ${result.nextTask.title}`));
-      console.log(chalk.cyan(`Приоритет: ${result.nextTask.priority}`));
+      console.log(chalk.cyan(t('common.priority', { priority: result.nextTask.priority })));
       if (result.nextTask.description) {
-        console.log(chalk.cyan(`Описание: ${result.nextTask.description}`));
+        console.log(chalk.cyan(t('common.description', { description: result.nextTask.description })));
       }
       
       console.log('');
-      console.log(chalk.yellow('📝 Хотите начать выполнение следующей задачи? (y/n)'));
+      console.log(chalk.yellow(t('complete.startNextPrompt')));
       
       rl.question('> ', (answer) => {
         if (answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes' || answer.toLowerCase() === 'да') {
@@ -212,25 +235,29 @@ async function completeTaskInteractive(taskId) {
           result.nextTask.status = 'in-progress';
           result.nextTask.updated_at = new Date().toISOString();
           
-          const tasksData = loadTasks();
-          const nextTaskIndex = tasksData.tasks.findIndex(t => t.id === result.nextTask.id);
-          
-          if (nextTaskIndex !== -1) {
-            tasksData.tasks[nextTaskIndex] = result.nextTask;
-            saveTasks(tasksData);
-          }
+          store.withLock(() => {
+            const tasksData = loadTasks();
+            const nextTaskIndex = tasksData.tasks.findIndex(t => t.id === result.nextTask.id);
+            
+            if (nextTaskIndex !== -1) {
+              tasksData.tasks[nextTaskIndex] = result.nextTask;
+              assignees.claim(result.nextTask, assignees.getStartingAssignee([result.nextTask]));
+              timeTracking.startTracking(tasksData, result.nextTask.id);
+              saveTasks(tasksData);
+            }
+          });
           
           // Обновляем контекст следующей задачи
           contextTracker.updateTaskStatus(
             result.nextTask.id, 
             'in-progress', 
-            `Начато выполнение задачи "${result.nextTask.title}"`
+            t('history.taskStarted', { title: result.nextTask.title })
           );
           
-          console.log(chalk.green(`✓ Задача #${result.nextTask.id} отмечена как "в процессе"`));
-          console.log(chalk.green('💡 Контекст обновлен для GitHub Copilot'));
+          console.log(chalk.green(t('next.started', { id: result.nextTask.id, title: result.nextTask.title })));
+          console.log(chalk.green(t('next.contextUpdated')));
         } else {
-          console.log(chalk.yellow('Начало следующей задачи отменено.'));
+          console.log(chalk.yellow(t('complete.nextCancelled')));
         }
         
         rl.close();
@@ -243,117 +270,146 @@ async function completeTaskInteractive(taskId) {
 
 /**
  * Показать информацию о следующей задаче
+ * @returns {object} - Результат с информацией о следующей задаче (task равен null, если задач нет)
  */
 function showNextTask() {
   const nextTask = contextTracker.getNextTask();
   
   if (!nextTask) {
-    console.log(chalk.yellow('Нет задач в статусе pending. Все задачи выполнены или находятся в процессе.'));
-    return;
+    const message = t('next.noPendingTasks');
+    console.log(chalk.yellow(message));
+    return { success: true, message, task: null, copilotContext: null };
   }
   
-  console.log(chalk.cyan('🚀 Следующая задача:'));
+  console.log(chalk.cyan(t('next.nextTaskHeader')));
   console.log(chalk.cyan(`#${nextTask.id}: ${nextTask.title}`));
-  console.log(chalk.cyan(`Приоритет: ${nextTask.priority}`));
+  console.log(chalk.cyan(t('common.priority', { priority: nextTask.priority })));
   
   if (nextTask.description) {
-    console.log(chalk.cyan(`Описание: ${nextTask.description}`));
+    console.log(chalk.cyan(t('common.description', { description: nextTask.description })));
   }
   
   if (nextTask.subtasks && nextTask.subtasks.length > 0) {
-    console.log(chalk.cyan('\nПодзадачи:'));
-    nextTask.subtasks.forEach(subtask => {
+    console.log(chalk.cyan(`\n${t('common.subtasks')}`));
+    subtaskTree.walkSubtasks(nextTask, (subtask, parent, depth) => {
       const statusEmoji = subtask.status === 'done' ? '✓' : '○';
-      console.log(chalk.cyan(`${statusEmoji} ${subtask.id} ${subtask.title}`));
+      console.log(chalk.cyan(`${'  '.repeat(depth - 1)}${statusEmoji} ${subtask.id} ${subtask.title}`));
     });
   }
   
   // Подготовка контекста для GitHub Copilot
   const copilotContext = contextTracker.prepareTaskContextForCopilot(nextTask.id);
-  console.log(chalk.green('\n💡 Контекст для GitHub Copilot готов. Чтобы начать выполнение, используйте:'));
+  console.log(chalk.green(`\n${t('next.contextReady')}`));
   console.log(chalk.blue(`task-master complete:start ${nextTask.id}`));
+  
+  return {
+    success: true,
+    message: t('next.nextTask', { id: nextTask.id, title: nextTask.title }),
+    task: nextTask,
+    copilotContext
+  };
 }
 
 /**
  * Начать выполнение задачи (отметить как "в процессе" и обновить контекст)
  * @param {string} taskId - ID задачи
+ * @returns {object} - Результат операции
  */
 function startTaskExecution(taskId) {
-  const tasksData = loadTasks();
-  const task = taskId ? tasksData.tasks.find(t => t.id === parseInt(taskId)) : contextTracker.getNextTask();
-  
-  if (!task) {
-    console.log(chalk.red(`✗ Задача${taskId ? ` с ID ${taskId}` : ''} не найдена`));
-    return;
-  }
-  
-  // Обновляем статус задачи на "в процессе"
-  task.status = 'in-progress';
-  task.updated_at = new Date().toISOString();
-  
-  const taskIndex = tasksData.tasks.findIndex(t => t.id === task.id);
-  
-  if (taskIndex !== -1) {
-    tasksData.tasks[taskIndex] = task;
-    
-    // Сохраняем изменения
-    if (saveTasks(tasksData)) {
-      // Обновляем контекст задачи
-      contextTracker.updateTaskStatus(
-        task.id, 
-        'in-progress', 
-        `Начато выполнение задачи "${task.title}"`
-      );
-      
-      // Подготавливаем контекст для GitHub Copilot
-      const copilotContext = contextTracker.prepareTaskContextForCopilot(task.id);
-      
-      console.log(chalk.green(`✓ Задача #${task.id} "${task.title}" отмечена как "в процессе"`));
-      console.log(chalk.green('💡 Контекст задачи обновлен для GitHub Copilot'));
-      
-      // Выводим информацию о подзадачах, если они есть
-      if (task.subtasks && task.subtasks.length > 0) {
-        console.log(chalk.cyan('\nПодзадачи:'));
-        task.subtasks.forEach(subtask => {
-          const statusEmoji = subtask.status === 'done' ? '✓' : '○';
-          console.log(chalk.cyan(`${statusEmoji} ${subtask.id} ${subtask.title}`));
-        });
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const task = taskId ? tasksData.tasks.find(t => t.id === parseInt(taskId)) : contextTracker.getNextTask();
+    
+    if (!task) {
+      const message = `✗ ${taskId ? t('common.taskNotFound', { id: taskId }) : t('complete.noTaskToStart')}`;
+      console.log(chalk.red(message));
+      return { success: false, message };
+    }
+    
+    // Обновляем статус задачи на "в процессе"
+    task.status = 'in-progress';
+    task.updated_at = new Date().toISOString();
+    
+    const taskIndex = tasksData.tasks.findIndex(t => t.id === task.id);
+    
+    if (taskIndex !== -1) {
+      tasksData.tasks[taskIndex] = task;
+      assignees.claim(task, assignees.getStartingAssignee([task]));
+      timeTracking.startTracking(tasksData, task.id);
+    
+      // Сохраняем изменения
+      if (saveTasks(tasksData)) {
+        // Обновляем контекст задачи
+        contextTracker.updateTaskStatus(
+          task.id, 
+          'in-progress', 
+          t('history.taskStarted', { title: task.title })
+        );
+    
+        // Подготавливаем контекст для GitHub Copilot
+        const copilotContext = contextTracker.prepareTaskContextForCopilot(task.id);
+    
+        console.log(chalk.green(t('next.started', { id: task.id, title: task.title })));
+        console.log(chalk.green(t('next.contextUpdated')));
+    
+        // Выводим информацию о подзадачах, если они есть
+        if (task.subtasks && task.subtasks.length > 0) {
+          console.log(chalk.cyan(`\n${t('common.subtasks')}`));
+          subtaskTree.walkSubtasks(task, (subtask, parent, depth) => {
+            const statusEmoji = subtask.status === 'done' ? '✓' : '○';
+            console.log(chalk.cyan(`${'  '.repeat(depth - 1)}${statusEmoji} ${subtask.id} ${subtask.title}`));
+          });
+        }
+        
+        return {
+          success: true,
+          message: t('next.started', { id: task.id, title: task.title }),
+          task,
+          copilotContext
+        };
+      } else {
+        const message = `✗ ${t('common.saveFailed')}`;
+        console.log(chalk.red(message));
+        return { success: false, message };
       }
     } else {
-      console.log(chalk.red('✗ Не удалось сохранить изменения'));
+      const message = `✗ ${t('common.taskNotFound', { id: task.id })}`;
+      console.log(chalk.red(message));
+      return { success: false, message };
     }
-  } else {
-    console.log(chalk.red(`✗ Задача с ID ${task.id} не найдена в списке задач`));
-  }
+  });
 }
 
 // Если скрипт запущен из командной строки
 if (require.main === module) {
-  const args = process.argv.slice(2);
+  const args = output.stripOutputFlags(process.argv.slice(2));
   const command = args[0] || '';
   
   if (command === 'next') {
     // Показываем информацию о следующей задаче
-    showNextTask();
+    output.finish(showNextTask());
   } else if (command === 'start') {
     // Начинаем выполнение задачи
     const taskId = args[1];
-    startTaskExecution(taskId);
+    output.finish(startTaskExecution(taskId));
   } else {
     // Получаем ID задачи
     const taskId = args[0];
     
     if (!taskId) {
-      console.log(chalk.yellow('Не указан ID задачи. Пример использования:'));
+      console.log(chalk.yellow(t('complete.usage')));
       console.log(chalk.blue('npm run task-master:complete 1'));
       console.log(chalk.blue('npm run task-master:complete 1.2'));
-      console.log(chalk.blue('\nИли для интерактивного режима:'));
+      console.log(chalk.blue(`\n${t('complete.interactiveUsage')}`));
       console.log(chalk.blue('npm run task-master:complete:interactive 1'));
-      process.exit(1);
+      output.finish({ success: false, message: t('complete.noTaskId') });
+      process.exit();
     }
     
     // Проверяем, запущен ли скрипт в интерактивном режиме
-    const isInteractive = process.env.TASK_MASTER_INTERACTIVE === 'true' || args[1] === '--interactive' || args[1] === '-i';
+    // (в режиме --json/--ndjson вопросы не задаются)
+    const isInteractive = !output.isMachineReadable() &&
+      (process.env.TASK_MASTER_INTERACTIVE === 'true' || args[1] === '--interactive' || args[1] === '-i');
     
     if (isInteractive) {
       // Запускаем интерактивный режим
@@ -361,16 +417,18 @@ if (require.main === module) {
     } else {
       // Выполняем задачу без интерактивного режима
       const result = completeTaskWithContextUpdate(taskId);
-      console.log(chalk.green(result.message));
+      output.finish(result);
+      console.log(result.success ? chalk.green(result.message) : chalk.red(result.message));
+      printUnblockedTasks(result.unblockedTasks);
       
       // Если есть следующая задача, предлагаем её
       if (result.success && result.nextTask) {
         console.log('');
-        console.log(chalk.cyan('🚀 Следующая задача:'));
+        console.log(chalk.cyan(t('next.nextTaskHeader')));
         console.log(chalk.cyan(`#${result.nextTask.id}: ${result.nextTask.title}`));
-        console.log(chalk.cyan(`Приоритет: ${result.nextTask.priority}`));
+        console.log(chalk.cyan(t('common.priority', { priority: result.nextTask.priority })));
         
-        console.log(chalk.green('\n💡 Контекст для GitHub Copilot готов. Чтобы начать выполнение, используйте:'));
+        console.log(chalk.green(`\n${t('next.contextReady')}`));
         console.log(chalk.blue(`task-master complete:start ${result.nextTask.id}`));
       }
     }
@@ -0,0 +1,94 @@
+/**
+ * Настройки Task Master
+ * Хранятся в файле config.json в директории задач (рядом с tasks.json)
+ * и дополняют значения по умолчанию
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Значения настроек по умолчанию
+const DEFAULT_CONFIG = {
+  language: 'ru',
+  // Сколько дней до срока задача считается срочной (due.js, list.js, next.js)
+  dueSoonDays: 3,
+  // Допустимые переходы между статусами: статус → в какие статусы его можно перевести
+  // (statuses.js). Таблица из config.json заменяет эту таблицу целиком
+  statusTransitions: {
+    pending: ['in-progress', 'done', 'blocked', 'deferred', 'cancelled'],
+    'in-progress': ['pending', 'done', 'blocked', 'deferred', 'cancelled'],
+    blocked: ['pending', 'in-progress', 'deferred', 'cancelled'],
+    deferred: ['pending', 'in-progress', 'blocked', 'cancelled'],
+    done: ['pending'],
+    cancelled: ['pending']
+  },
+  // Ограничения числа задач в работе (assignees.js): perPerson - на исполнителя,
+  // people - отдельные значения для исполнителей ({ "ivan": 2 }), total - на всех;
+  // null - без ограничения
+  wipLimits: {
+    perPerson: 1,
+    total: null,
+    people: {}
+  },
+  // Сколько последних команд можно отменить (journal.js); 0 - журнал не ведется
+  undoLimit: 20,
+  // Сколько резервных копий файлов задач хранить (snapshots.js); 0 - копии не создаются
+  backupCount: 10
+};
+
+// Загруженные настройки по пути к файлу
+const cache = new Map();
+
+/**
+ * Получить путь к файлу настроек.
+ * Путь вычисляется при каждом обращении: global.js задает TASK_MASTER_DIR
+ * уже после загрузки модулей
+ *
+ * @returns {string}
+ */
+function getConfigFile() {
+  const tasksDir = process.env.TASK_MASTER_DIR || path.join(process.cwd(), 'tasks');
+  return path.join(tasksDir, 'config.json');
+}
+
+/**
+ * Загрузить настройки. Некорректный файл настроек не мешает работе:
+ * в этом случае используются значения по умолчанию
+ *
+ * @returns {object}
+ */
+function loadConfig() {
+  const configFile = getConfigFile();
+
+  if (!cache.has(configFile)) {
+    let userConfig = {};
+
+    try {
+      if (fs.existsSync(configFile)) {
+        userConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`⚠ Не удалось прочитать ${configFile}: ${error.message}`);
+    }
+
+    cache.set(configFile, { ...DEFAULT_CONFIG, ...userConfig });
+  }
+
+  return cache.get(configFile);
+}
+
+/**
+ * Получить значение настройки
+ * @param {string} key - Название настройки
+ * @returns {*}
+ */
+function getSetting(key) {
+  return loadConfig()[key];
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  getConfigFile,
+  loadConfig,
+  getSetting
+};
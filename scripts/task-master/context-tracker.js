@@ -9,12 +9,19 @@ const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const os = require('os');
+const store = require('./task-store');
+const dependencies = require('./dependencies');
+const subtaskTree = require('./subtask-tree');
+const statuses = require('./statuses');
+const assignees = require('./assignees');
+const { normalizePriority } = require('./schema');
+const { t, formatDate } = require('./i18n');
 
-// Определяем пути в зависимости от режима (локальный или глобальный)
-const isGlobalMode = process.env.TASK_MASTER_MODE === 'global';
-const tasksDir = process.env.TASK_MASTER_DIR || path.join(process.cwd(), 'tasks');
-const tasksFile = process.env.TASK_MASTER_FILE || path.join(tasksDir, 'tasks.json');
-const contextFile = path.join(tasksDir, 'context.json');
+// Пути к файлам задач и контекста определяются общим хранилищем
+const { tasksDir, contextFile } = store;
+
+// Действия записей истории с названиями в каталоге сообщений
+const HISTORY_ACTIONS = ['start', 'update', 'complete'];
 
 /**
  * Инициализировать контекст, если файл не существует
@@ -23,20 +30,22 @@ function initContext() {
   if (!fs.existsSync(contextFile)) {
     const initialContext = {
       lastUpdated: new Date().toISOString(),
-      projectState: "Инициализация проекта",
+      projectState: t('contextTracker.initialState'),
       taskHistory: [],
       currentContext: {
         activeTask: null,
-        summary: "Проект был инициализирован"
+        activeSubtask: null,
+        activeTasks: [],
+        summary: t('contextTracker.initialSummary')
       }
     };
     
     try {
-      fs.writeFileSync(contextFile, JSON.stringify(initialContext, null, 2));
-      console.log(chalk.green(`✓ Создан файл контекста в ${contextFile}`));
+      store.saveContext(initialContext);
+      console.log(chalk.green(t('contextTracker.created', { file: contextFile })));
       return initialContext;
     } catch (error) {
-      console.error(chalk.red(`✗ Ошибка при создании файла контекста: ${error.message}`));
+      console.error(chalk.red(t('contextTracker.createError', { error: error.message })));
       return null;
     }
   }
@@ -53,10 +62,9 @@ function loadContext() {
       return initContext();
     }
     
-    const data = fs.readFileSync(contextFile, 'utf8');
-    return JSON.parse(data);
+    return store.loadContext();
   } catch (error) {
-    console.error(chalk.red(`✗ Ошибка при чтении файла контекста: ${error.message}`));
+    console.error(chalk.red(t('contextTracker.readError', { error: error.message })));
     return null;
   }
 }
@@ -65,18 +73,7 @@ function loadContext() {
  * Загрузить текущие задачи
  */
 function loadTasks() {
-  try {
-    if (!fs.existsSync(tasksFile)) {
-      console.error(chalk.red(`✗ Файл задач не найден: ${tasksFile}`));
-      return null;
-    }
-    
-    const data = fs.readFileSync(tasksFile, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error(chalk.red(`✗ Ошибка при чтении файла задач: ${error.message}`));
-    return null;
-  }
+  return store.tryLoadTasks();
 }
 
 /**
@@ -85,47 +82,123 @@ function loadTasks() {
  * @param {number} taskId - ID задачи
  * @param {string} action - Действие (start, complete, update)
  * @param {string} summary - Краткое описание выполненной работы
- * @param {object} details - Дополнительные детали (опционально)
+ * @param {object} details - Дополнительные детали (опционально): subtaskId - запись о подзадаче,
+ *   assignee - исполнитель начатой задачи, newStatus - новый статус (см. updateActiveTasks)
  * @returns {boolean} - Успешность операции
  */
 function addHistoryEntry(taskId, action, summary, details = {}) {
-  const context = loadContext();
-  if (!context) return false;
-  
-  const tasks = loadTasks();
-  if (!tasks) return false;
-  
-  // Найти задачу по ID
-  const task = tasks.tasks.find(t => t.id === taskId);
-  if (!task) {
-    console.error(chalk.red(`✗ Задача с ID ${taskId} не найдена`));
-    return false;
+  return store.withLock(() => {
+    const context = loadContext();
+    if (!context) return false;
+    
+    const tasks = loadTasks();
+    if (!tasks) return false;
+    
+    // Найти задачу по ID
+    const task = tasks.tasks.find(t => t.id === taskId);
+    if (!task) {
+      console.error(chalk.red(`✗ ${t('common.taskNotFound', { id: taskId })}`));
+      return false;
+    }
+    
+    // Создать запись в истории
+    const historyEntry = {
+      taskId,
+      taskTitle: task.title,
+      action,
+      summary,
+      timestamp: new Date().toISOString(),
+      details
+    };
+    
+    // Добавить запись в историю
+    context.taskHistory.push(historyEntry);
+    
+    // Обновить текущий контекст
+    context.lastUpdated = new Date().toISOString();
+    const itemPath = details.subtaskId ? subtaskTree.findPath(tasks, details.subtaskId) : null;
+    updateActiveTasks(context.currentContext, itemPath || [task], action, details);
+    context.currentContext.summary = summary;
+    
+    // Сохранить обновленный контекст
+    return saveContext(context);
+  });
+}
+
+/**
+ * Обновить текущие задачи исполнителей (currentContext.activeTasks) по записи истории:
+ * start (или переход в in-progress) добавляет задачу или подзадачу исполнителя, выполнение
+ * или уход из статуса in-progress убирает задачу, а для подзадачи - снимает отметку с подзадачи
+ * (исполнитель, который работал только над подзадачей, перестает работать над задачей).
+ * activeTask и activeSubtask - последняя из текущих задач (для команд без исполнителя)
+ *
+ * @param {object} currentContext - currentContext из context.json
+ * @param {object[]} itemPath - Путь от задачи записи до подзадачи (subtaskTree.findPath)
+ * @param {string} action - Действие
+ * @param {object} details - Детали записи
+ */
+function updateActiveTasks(currentContext, itemPath, action, details) {
+  const task = itemPath[0];
+  const subtaskId = details.subtaskId || null;
+  const started = action === 'start' || details.newStatus === 'in-progress';
+  const stopped = action === 'complete' || (details.newStatus !== undefined && details.newStatus !== 'in-progress');
+  let activeTasks = getActiveTasks(currentContext);
+
+  if (started) {
+    const assignee = details.assignee !== undefined ? details.assignee : assignees.getEffectiveAssignee(itemPath);
+    activeTasks = activeTasks.filter(entry => !(entry.taskId === task.id && entry.assignee === assignee));
+    activeTasks.push({ taskId: task.id, subtaskId, assignee });
+  } else if (stopped && !subtaskId) {
+    activeTasks = activeTasks.filter(entry => entry.taskId !== task.id);
+  } else if (stopped) {
+    const stoppedEntries = activeTasks
+      .filter(entry => entry.taskId === task.id && isSameOrDescendant(entry.subtaskId, subtaskId));
+    stoppedEntries.forEach(entry => {
+      entry.subtaskId = null;
+    });
+    activeTasks = activeTasks
+      .filter(entry => !stoppedEntries.includes(entry) || entry.assignee === (task.assignee || null));
   }
-  
-  // Создать запись в истории
-  const historyEntry = {
-    taskId,
-    taskTitle: task.title,
-    action,
-    summary,
-    timestamp: new Date().toISOString(),
-    details
-  };
-  
-  // Добавить запись в историю
-  context.taskHistory.push(historyEntry);
-  
-  // Обновить текущий контекст
-  context.lastUpdated = new Date().toISOString();
-  if (action === 'start') {
-    context.currentContext.activeTask = taskId;
-  } else if (action === 'complete') {
-    context.currentContext.activeTask = null;
+
+  setActiveTasks(currentContext, activeTasks);
+}
+
+/**
+ * Текущие задачи исполнителей. Контекст, созданный до появления списка,
+ * содержит только activeTask - она считается задачей без исполнителя
+ *
+ * @param {object} currentContext - currentContext из context.json
+ * @returns {object[]} - [{ taskId, subtaskId, assignee }]
+ */
+function getActiveTasks(currentContext) {
+  if (Array.isArray(currentContext.activeTasks)) {
+    return currentContext.activeTasks;
   }
-  context.currentContext.summary = summary;
-  
-  // Сохранить обновленный контекст
-  return saveContext(context);
+  return currentContext.activeTask
+    ? [{ taskId: currentContext.activeTask, subtaskId: currentContext.activeSubtask || null, assignee: null }]
+    : [];
+}
+
+/**
+ * Сохранить текущие задачи исполнителей и последнюю из них как activeTask
+ * @param {object} currentContext - currentContext из context.json
+ * @param {object[]} activeTasks - Текущие задачи
+ */
+function setActiveTasks(currentContext, activeTasks) {
+  const last = activeTasks[activeTasks.length - 1];
+  currentContext.activeTasks = activeTasks;
+  currentContext.activeTask = last ? last.taskId : null;
+  currentContext.activeSubtask = last ? last.subtaskId : null;
+}
+
+/**
+ * Совпадает ли подзадача с другой или вложена в неё: 4.2.1 и 4.2 → true
+ * @param {string|null} id - ID проверяемой подзадачи
+ * @param {string} ancestorId - ID подзадачи-родителя
+ * @returns {boolean}
+ */
+function isSameOrDescendant(id, ancestorId) {
+  return Boolean(id) && (id === ancestorId || id.startsWith(`${ancestorId}.`));
 }
 
 /**
@@ -169,10 +242,10 @@ function getAllHistory() {
  */
 function saveContext(context) {
   try {
-    fs.writeFileSync(contextFile, JSON.stringify(context, null, 2));
+    store.saveContext(context);
     return true;
   } catch (error) {
-    console.error(chalk.red(`✗ Ошибка при сохранении файла контекста: ${error.message}`));
+    console.error(chalk.red(t('contextTracker.saveError', { error: error.message })));
     return false;
   }
 }
@@ -181,29 +254,29 @@ function saveContext(context) {
  * Обновить статус задачи и контекст
  * 
  * @param {number} taskId - ID задачи
- * @param {string} status - Новый статус (pending, in-progress, done, deferred)
+ * @param {string} status - Новый статус (pending, in-progress, done, deferred, blocked, cancelled)
  * @param {string} summary - Краткое описание изменений
  * @returns {boolean} - Успешность операции
  */
 function updateTaskStatus(taskId, status, summary) {
-  const tasks = loadTasks();
-  if (!tasks) return false;
-  
-  // Найти задачу по ID
-  const taskIndex = tasks.tasks.findIndex(t => t.id === taskId);
-  if (taskIndex === -1) {
-    console.error(chalk.red(`✗ Задача с ID ${taskId} не найдена`));
-    return false;
-  }
-  
-  // Обновить статус задачи
-  const oldStatus = tasks.tasks[taskIndex].status;
-  tasks.tasks[taskIndex].status = status;
-  tasks.tasks[taskIndex].updated_at = new Date().toISOString();
-  
-  // Сохранить обновленные задачи
-  try {
-    fs.writeFileSync(tasksFile, JSON.stringify(tasks, null, 2));
+  return store.withLock(() => {
+    const tasks = loadTasks();
+    if (!tasks) return false;
+    
+    // Найти задачу по ID
+    const taskIndex = tasks.tasks.findIndex(t => t.id === taskId);
+    if (taskIndex === -1) {
+      console.error(chalk.red(`✗ ${t('common.taskNotFound', { id: taskId })}`));
+      return false;
+    }
+    
+    // Обновить статус задачи
+    const oldStatus = tasks.tasks[taskIndex].status;
+    tasks.tasks[taskIndex].status = status;
+    tasks.tasks[taskIndex].updated_at = new Date().toISOString();
+    
+    // Сохранить обновленные задачи
+    if (!store.saveTasks(tasks)) return false;
     
     // Определить действие для истории
     let action = 'update';
@@ -215,11 +288,7 @@ function updateTaskStatus(taskId, status, summary) {
     
     // Добавить запись в историю
     return addHistoryEntry(taskId, action, summary, { oldStatus, newStatus: status });
-    
-  } catch (error) {
-    console.error(chalk.red(`✗ Ошибка при сохранении файла задач: ${error.message}`));
-    return false;
-  }
+  });
 }
 
 /**
@@ -231,13 +300,14 @@ function getNextTask() {
   const tasks = loadTasks();
   if (!tasks || !tasks.tasks || tasks.tasks.length === 0) return null;
   
-  // Получить следующую задачу в статусе pending с наивысшим приоритетом
-  const pendingTasks = tasks.tasks.filter(task => task.status === 'pending');
+  // Получить следующую задачу в статусе pending с наивысшим приоритетом,
+  // все зависимости которой уже выполнены
+  const pendingTasks = dependencies.getAvailableTasks(tasks);
   
   if (pendingTasks.length === 0) return null;
   
   // Сортировка по приоритету (от 1 до 3)
-  pendingTasks.sort((a, b) => a.priority - b.priority);
+  pendingTasks.sort((a, b) => normalizePriority(a.priority) - normalizePriority(b.priority));
   
   return pendingTasks[0];
 }
@@ -249,41 +319,62 @@ function getNextTask() {
  */
 function getProjectSummary() {
   const tasks = loadTasks();
-  if (!tasks) return "Не удалось загрузить информацию о задачах";
+  if (!tasks) return t('projectSummary.loadTasksFailed');
   
   const context = loadContext();
-  if (!context) return "Не удалось загрузить контекст проекта";
+  if (!context) return t('projectSummary.loadContextFailed');
   
   const total = tasks.tasks.length;
   const completed = tasks.tasks.filter(t => t.status === 'done').length;
   const inProgress = tasks.tasks.filter(t => t.status === 'in-progress').length;
   const pending = tasks.tasks.filter(t => t.status === 'pending').length;
   
-  const activeTaskId = context.currentContext.activeTask;
-  let activeTaskInfo = "Нет активной задачи";
-  
-  if (activeTaskId) {
-    const activeTask = tasks.tasks.find(t => t.id === activeTaskId);
-    if (activeTask) {
-      activeTaskInfo = `Активная задача: #${activeTaskId} ${activeTask.title}`;
-    }
-  }
+  // Текущие задачи исполнителей
+  const activeTaskLines = getActiveTasks(context.currentContext)
+    .map(entry => {
+      const activeTask = tasks.tasks.find(t => t.id === entry.taskId);
+      if (!activeTask) return null;
+      const subtask = entry.subtaskId ? ` (${entry.subtaskId})` : '';
+      const assignee = entry.assignee ? ` @${entry.assignee}` : '';
+      return t('projectSummary.activeTask', { id: entry.taskId, title: activeTask.title, subtask, assignee });
+    })
+    .filter(Boolean);
+  const activeTaskInfo = activeTaskLines.length > 0 ? activeTaskLines.join('\n') : t('projectSummary.noActiveTask');
+  
+  // Прогресс по исполнителям
+  const assigneeLines = assignees.summarizeByAssignee(tasks).map(row => {
+    const name = row.assignee ? `@${row.assignee}` : t('projectSummary.unassigned');
+    const percent = Math.round(row.done / row.total * 100);
+    return `- ${t('projectSummary.assigneeProgress', { name, done: row.done, total: row.total, percent, inProgress: row.inProgress })}`;
+  });
   
   return `
-Текущее состояние проекта: ${tasks.project} (v${tasks.version})
+${t('projectSummary.header', { project: tasks.project, version: tasks.version })}
 
-Общий прогресс: ${completed}/${total} задач выполнено (${Math.round(completed/total*100)}%)
-- Выполнено: ${completed}
-- В процессе: ${inProgress}
-- Ожидает: ${pending}
+${t('projectSummary.progress', { completed, total, percent: Math.round(completed/total*100) })}
+- ${t('projectSummary.done', { count: completed })}
+- ${t('projectSummary.inProgress', { count: inProgress })}
+- ${t('projectSummary.pending', { count: pending })}
+
+${t('projectSummary.byAssignee')}
+${assigneeLines.join('\n')}
 
 ${activeTaskInfo}
 
-Последнее обновление контекста: ${new Date(context.lastUpdated).toLocaleString()}
-Последняя активность: ${context.currentContext.summary}
+${t('projectSummary.lastUpdated', { date: formatDate(context.lastUpdated) })}
+${t('projectSummary.lastActivity', { summary: context.currentContext.summary })}
 `;
 }
 
+/**
+ * Название действия записи истории для отображения
+ * @param {string} action - Действие (start, update, complete)
+ * @returns {string}
+ */
+function formatHistoryAction(action) {
+  return HISTORY_ACTIONS.includes(action) ? t(`contextTracker.history.actions.${action}`) : action;
+}
+
 /**
  * Получить форматированную историю задачи для отображения
  * 
@@ -292,35 +383,18 @@ ${activeTaskInfo}
  */
 function getFormattedTaskHistory(taskId) {
   const tasks = loadTasks();
-  if (!tasks) return "Не удалось загрузить информацию о задачах";
+  if (!tasks) return t('projectSummary.loadTasksFailed');
   
   const task = tasks.tasks.find(t => t.id === taskId);
-  if (!task) return `Задача с ID ${taskId} не найдена`;
+  if (!task) return t('common.taskNotFound', { id: taskId });
   
   const history = getTaskHistory(taskId);
-  if (!history || history.length === 0) return `Для задачи #${taskId} нет истории выполнения`;
+  if (!history || history.length === 0) return t('contextTracker.history.taskEmpty', { id: taskId });
   
-  let result = `История выполнения задачи #${taskId}: ${task.title}\n\n`;
+  let result = `${t('contextTracker.history.taskHeader', { id: taskId, title: task.title })}\n\n`;
   
   history.forEach((entry, index) => {
-    const date = new Date(entry.timestamp).toLocaleString();
-    let actionText = '';
-    
-    switch (entry.action) {
-      case 'start':
-        actionText = '🚀 Начало выполнения';
-        break;
-      case 'update':
-        actionText = '📝 Обновление';
-        break;
-      case 'complete':
-        actionText = '✅ Завершение';
-        break;
-      default:
-        actionText = entry.action;
-    }
-    
-    result += `${index + 1}. ${actionText} (${date})\n`;
+    result += `${index + 1}. ${formatHistoryAction(entry.action)} (${formatDate(entry.timestamp)})\n`;
     result += `   ${entry.summary}\n\n`;
   });
   
@@ -334,9 +408,9 @@ function getFormattedTaskHistory(taskId) {
  */
 function getFormattedFullHistory() {
   const history = getAllHistory();
-  if (!history || history.length === 0) return "История выполнения задач пуста";
+  if (!history || history.length === 0) return t('contextTracker.history.fullEmpty');
   
-  let result = "Полная история выполнения задач:\n\n";
+  let result = `${t('contextTracker.history.fullHeader')}\n\n`;
   
   // Группируем историю по ID задач для лучшей читаемости
   const taskGroups = {};
@@ -352,27 +426,10 @@ function getFormattedFullHistory() {
     const entries = taskGroups[taskId];
     const taskTitle = entries[0].taskTitle;
     
-    result += `Задача #${taskId}: ${taskTitle}\n`;
+    result += `${t('contextTracker.history.groupHeader', { id: taskId, title: taskTitle })}\n`;
     
     entries.forEach(entry => {
-      const date = new Date(entry.timestamp).toLocaleString();
-      let actionText = '';
-      
-      switch (entry.action) {
-        case 'start':
-          actionText = '🚀 Начало выполнения';
-          break;
-        case 'update':
-          actionText = '📝 Обновление';
-          break;
-        case 'complete':
-          actionText = '✅ Завершение';
-          break;
-        default:
-          actionText = entry.action;
-      }
-      
-      result += `   ${actionText} (${date}): ${entry.summary}\n`;
+      result += `   ${formatHistoryAction(entry.action)} (${formatDate(entry.timestamp)}): ${entry.summary}\n`;
     });
     
     result += '\n';
@@ -383,9 +440,11 @@ function getFormattedFullHistory() {
 
 /**
  * Подготовить контекст задачи для GitHub Copilot
- * Создает специально форматированный контекст для использования в GitHub Copilot
+ * Создает специально форматированный контекст для использования в GitHub Copilot.
+ * Активная подзадача - переданная явно или последняя начатая подзадача задачи
+ * (из currentContext.activeTasks) - выделяется в списке подзадач
  * 
- * @param {number} taskId - ID задачи
+ * @param {number|string} taskId - ID задачи или подзадачи
  * @returns {string} - Контекст для GitHub Copilot
  */
 function prepareTaskContextForCopilot(taskId) {
@@ -396,23 +455,50 @@ function prepareTaskContextForCopilot(taskId) {
   if (!task) return null;
   
   // Получаем историю задачи
-  const history = getTaskHistory(taskId);
+  const history = getTaskHistory(task.id);
+  
+  // Находим активную подзадачу
+  let activeSubtaskId = String(taskId).includes('.') ? String(taskId) : null;
+  if (!activeSubtaskId) {
+    const currentContext = getCurrentContext();
+    const entry = currentContext
+      ? getActiveTasks(currentContext).filter(active => active.taskId === task.id && active.subtaskId).pop()
+      : null;
+    activeSubtaskId = entry ? entry.subtaskId : null;
+  }
+  const activePath = activeSubtaskId ? subtaskTree.findPath(tasks, activeSubtaskId) : null;
+  const activeSubtask = activePath && activePath.length > 1 && !statuses.isClosed(activePath[activePath.length - 1].status)
+    ? activePath[activePath.length - 1]
+    : null;
+  
+  // Список подзадач с отступом по уровню вложенности
+  const subtaskLines = [];
+  subtaskTree.walkSubtasks(task, (st, parent, depth) => {
+    const checkbox = `${'  '.repeat(depth - 1)}- [${st.status === 'done' ? 'x' : ' '}]`;
+    if (st === activeSubtask) {
+      subtaskLines.push(`${checkbox} **${st.id} ${st.title}** ${t('copilotContext.activeMarker')}`);
+    } else {
+      const status = st.status === 'in-progress' ? ` (${t('copilotContext.statuses.in-progress')})` : '';
+      subtaskLines.push(`${checkbox} ${st.id} ${st.title}${status}`);
+    }
+  });
   
   // Создаем контекст для GitHub Copilot
   let copilotContext = `
 <task-context>
-Текущая задача: #${task.id} ${task.title}
-Статус: ${task.status === 'in-progress' ? 'В процессе выполнения' : task.status}
-Приоритет: ${task.priority}
-Описание: ${task.description || 'Нет описания'}
+${t('copilotContext.currentTask', { id: task.id, title: task.title })}
+${t('copilotContext.status', { status: t(`copilotContext.statuses.${task.status}`) })}${activeSubtask ? `
+${t('copilotContext.activeSubtask', { id: activeSubtask.id, title: activeSubtask.title })}` : ''}
+${t('copilotContext.priority', { priority: task.priority })}
+${t('copilotContext.description', { description: task.description || t('copilotContext.noDescription') })}
 
-${task.subtasks && task.subtasks.length > 0 ? `Подзадачи:
-${task.subtasks.map(st => `- [${st.status === 'done' ? 'x' : ' '}] ${st.id} ${st.title}`).join('\n')}
+${subtaskLines.length > 0 ? `${t('copilotContext.subtasks')}
+${subtaskLines.join('\n')}
 ` : ''}
 
-${history && history.length > 0 ? `История выполнения:
-${history.map(entry => `${new Date(entry.timestamp).toLocaleString()}: ${entry.summary}`).join('\n')}
-` : 'История выполнения отсутствует.'}
+${history && history.length > 0 ? `${t('copilotContext.history')}
+${history.map(entry => `${formatDate(entry.timestamp)}: ${entry.summary}`).join('\n')}
+` : t('copilotContext.noHistory')}
 </task-context>
 `;
 
@@ -421,7 +507,7 @@ ${history.map(entry => `${new Date(entry.timestamp).toLocaleString()}: ${entry.s
   try {
     fs.writeFileSync(copilotContextFile, copilotContext);
   } catch (error) {
-    console.error(chalk.red(`✗ Ошибка при сохранении контекста для GitHub Copilot: ${error.message}`));
+    console.error(chalk.red(t('contextTracker.copilotSaveError', { error: error.message })));
   }
   
   return copilotContext;
@@ -436,18 +522,29 @@ ${history.map(entry => `${new Date(entry.timestamp).toLocaleString()}: ${entry.s
  */
 function updateContextAfterTaskCompletion(taskId, summary) {
   // Обновляем контекст задачи
-  const context = loadContext();
-  if (!context) {
-    return { success: false, message: 'Не удалось загрузить контекст' };
-  }
-  
-  // Обновляем текущий контекст
-  context.lastUpdated = new Date().toISOString();
-  context.currentContext.activeTask = null;
-  context.currentContext.summary = summary || `Задача #${taskId} завершена`;
+  const saveSuccess = store.withLock(() => {
+    const context = loadContext();
+    if (!context) return null;
+    
+    // Обновляем текущий контекст: выполненная задача больше не текущая ни у кого
+    const tasks = loadTasks();
+    const task = tasks && tasks.tasks.find(t => t.id === parseInt(taskId));
+    context.lastUpdated = new Date().toISOString();
+    if (!task || statuses.isClosed(task.status)) {
+      setActiveTasks(
+        context.currentContext,
+        getActiveTasks(context.currentContext).filter(entry => entry.taskId !== parseInt(taskId))
+      );
+    }
+    context.currentContext.summary = summary || t('contextTracker.taskCompleted', { id: taskId });
+    
+    // Сохраняем контекст
+    return saveContext(context);
+  });
   
-  // Сохраняем контекст
-  const saveSuccess = saveContext(context);
+  if (saveSuccess === null) {
+    return { success: false, message: t('contextTracker.loadFailed') };
+  }
   
   // Получаем следующую задачу
   const nextTask = getNextTask();
@@ -460,12 +557,65 @@ function updateContextAfterTaskCompletion(taskId, summary) {
   
   return {
     success: saveSuccess,
-    message: saveSuccess ? 'Контекст успешно обновлен' : 'Не удалось обновить контекст',
+    message: saveSuccess ? t('contextTracker.updated') : t('contextTracker.updateFailed'),
     nextTask,
     copilotContext
   };
 }
 
+/**
+ * Обновить контекст после удаления или переноса задач и подзадач (delete.js, move.js):
+ * текущие задачи исполнителей следуют новым ID подзадач, удаленная задача перестает
+ * быть текущей, а с удаленной подзадачи снимается отметка текущей подзадачи.
+ * Запись истории добавляется напрямую: удаленной задачи в tasks.json уже нет
+ *
+ * @param {object} entry - { taskId, taskTitle, action, summary, details } - запись истории
+ * @param {object} renamedIds - Старый ID подзадачи → новый ID
+ * @param {string[]} removedIds - ID удаленных задач и подзадач
+ * @returns {boolean} - Успешность операции
+ */
+function updateContextAfterRestructure(entry, renamedIds = {}, removedIds = []) {
+  return store.withLock(() => {
+    const context = loadContext();
+    if (!context) return false;
+
+    const removed = removedIds.map(String);
+    const activeTasks = [];
+    getActiveTasks(context.currentContext).forEach(active => {
+      if (removed.includes(String(active.taskId))) return;
+
+      const updated = { ...active };
+      if (updated.subtaskId && renamedIds[updated.subtaskId]) {
+        updated.subtaskId = renamedIds[updated.subtaskId];
+        updated.taskId = parseInt(updated.subtaskId);
+      } else if (removed.includes(updated.subtaskId)) {
+        updated.subtaskId = null;
+      }
+
+      // Исполнитель ведет задачу один раз: перенос мог привести его в задачу, которую он уже ведет
+      const duplicate = activeTasks.findIndex(other => other.taskId === updated.taskId && other.assignee === updated.assignee);
+      if (duplicate !== -1) {
+        activeTasks.splice(duplicate, 1);
+      }
+      activeTasks.push(updated);
+    });
+
+    context.taskHistory.push({
+      taskId: entry.taskId,
+      taskTitle: entry.taskTitle,
+      action: entry.action,
+      summary: entry.summary,
+      timestamp: new Date().toISOString(),
+      details: entry.details || {}
+    });
+    context.lastUpdated = new Date().toISOString();
+    setActiveTasks(context.currentContext, activeTasks);
+    context.currentContext.summary = entry.summary;
+
+    return saveContext(context);
+  });
+}
+
 /**
  * Проверить, нужно ли обновить контекст для GitHub Copilot перед выполнением пункта
  * Вызывается перед началом выполнения каждого пункта задачи
@@ -514,7 +664,7 @@ function suggestTaskExecution() {
       taskId: activeTask.id,
       title: activeTask.title,
       type: 'continue',
-      message: `Продолжить выполнение активной задачи #${activeTask.id} "${activeTask.title}"?`
+      message: t('contextTracker.continueTask', { id: activeTask.id, title: activeTask.title })
     };
   } else {
     // Если нет активной задачи, предлагаем начать следующую
@@ -525,7 +675,7 @@ function suggestTaskExecution() {
       taskId: nextTask.id,
       title: nextTask.title,
       type: 'start',
-      message: `Начать выполнение задачи #${nextTask.id} "${nextTask.title}"?`
+      message: t('contextTracker.startTask', { id: nextTask.id, title: nextTask.title })
     };
   }
 }
@@ -533,9 +683,13 @@ function suggestTaskExecution() {
 // Экспорт функций
 module.exports = {
   initContext,
+  loadContext,
+  saveContext,
+  loadTasks,
   addHistoryEntry,
   updateTaskStatus,
   getCurrentContext,
+  getActiveTasks,
   getTaskHistory,
   getAllHistory,
   getNextTask,
@@ -544,6 +698,7 @@ module.exports = {
   getFormattedFullHistory,
   prepareTaskContextForCopilot,
   updateContextAfterTaskCompletion,
+  updateContextAfterRestructure,
   checkContextBeforeTaskExecution,
   suggestTaskExecution
 };
\ No newline at end of file
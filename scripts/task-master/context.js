@@ -10,6 +10,11 @@ const path = require('path');
 const chalk = require('chalk');
 const contextTracker = require('./context-tracker');
 const copilot = require('./copilot');
+const store = require('./task-store');
+const output = require('./output');
+const dependencies = require('./dependencies');
+const { normalizePriority } = require('./schema');
+const { t } = require('./i18n');
 
 /**
  * Загрузить данные о задачах
@@ -17,16 +22,15 @@ const copilot = require('./copilot');
  * @returns {Object} - Объект с задачами
  */
 function loadTasks() {
-  const tasksPath = path.join(process.cwd(), 'tasks', 'tasks.json');
-  if (!fs.existsSync(tasksPath)) {
+  if (!fs.existsSync(store.tasksFile)) {
     return { tasks: [] };
   }
   
   try {
-    const tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+    const tasksData = store.readTasksFile();
     return tasksData;
   } catch (error) {
-    console.error('Ошибка при загрузке задач:', error);
+    console.error(t('context.loadTasksError'), error);
     return { tasks: [] };
   }
 }
@@ -38,7 +42,7 @@ function loadTasks() {
  * @returns {Object|null} - Контекстные данные или null при ошибке
  */
 function loadTaskContext(taskId) {
-  const contextPath = path.join(process.cwd(), 'tasks', 'context', `task-${taskId}.json`);
+  const contextPath = path.join(store.tasksDir, 'context', `task-${taskId}.json`);
   if (!fs.existsSync(contextPath)) {
     return null;
   }
@@ -47,7 +51,7 @@ function loadTaskContext(taskId) {
     const contextData = JSON.parse(fs.readFileSync(contextPath, 'utf8'));
     return contextData;
   } catch (error) {
-    console.error(`Ошибка при загрузке контекста задачи #${taskId}:`, error);
+    console.error(t('context.loadTaskContextError', { id: taskId }), error);
     return null;
   }
 }
@@ -61,16 +65,16 @@ function loadTaskContext(taskId) {
  */
 function saveTaskContext(taskId, contextData) {
   try {
-    const contextDir = path.join(process.cwd(), 'tasks', 'context');
+    const contextDir = path.join(store.tasksDir, 'context');
     if (!fs.existsSync(contextDir)) {
       fs.mkdirSync(contextDir, { recursive: true });
     }
     
     const contextPath = path.join(contextDir, `task-${taskId}.json`);
-    fs.writeFileSync(contextPath, JSON.stringify(contextData, null, 2), 'utf8');
+    store.writeJsonAtomic(contextPath, contextData);
     return true;
   } catch (error) {
-    console.error(`Ошибка при сохранении контекста задачи #${taskId}:`, error);
+    console.error(t('context.saveTaskContextError', { id: taskId }), error);
     return false;
   }
 }
@@ -86,7 +90,7 @@ async function checkAndUpdateCopilotContext(taskId) {
   const task = tasksData.tasks.find(t => t.id === taskId);
   
   if (!task) {
-    console.error(`Задача с ID ${taskId} не найдена`);
+    console.error(t('common.taskNotFound', { id: taskId }));
     return false;
   }
   
@@ -110,7 +114,7 @@ async function prepareCopilotContext(taskId) {
     if (currentContext && currentContext.activeTask) {
       taskId = currentContext.activeTask;
     } else {
-      console.error('Нет активной задачи для создания контекста');
+      console.error(t('context.noActiveTask'));
       return null;
     }
   }
@@ -137,55 +141,71 @@ async function suggestTaskAndPrepareContext() {
   const pendingTasks = tasksData.tasks.filter(t => t.status !== 'done');
   if (pendingTasks.length === 0) {
     return {
-      message: 'Все задачи выполнены! Можно создать новые задачи.',
+      message: t('context.suggest.allDone'),
       allTasksDone: true
     };
   }
   
+  // Предлагаем только задачи, все зависимости которых выполнены
+  const availableTasks = pendingTasks.filter(t => !dependencies.isBlocked(t, tasksData));
+  if (availableTasks.length === 0) {
+    return {
+      message: t('context.suggest.allBlocked'),
+      allTasksBlocked: true
+    };
+  }
+  
   // Найти задачи с приоритетом
-  let suggestedTask = pendingTasks.find(t => t.priority === 'high');
+  let suggestedTask = availableTasks.find(t => normalizePriority(t.priority) === 1);
   
   // Если нет задач с высоким приоритетом, берем первую невыполненную
   if (!suggestedTask) {
-    suggestedTask = pendingTasks[0];
+    suggestedTask = availableTasks[0];
   }
   
   // Подготовить контекст для предложенной задачи
   await checkAndUpdateCopilotContext(suggestedTask.id);
   
   return {
-    message: `Предлагаю выполнить задачу #${suggestedTask.id}: ${suggestedTask.title}`,
+    message: t('context.suggest.suggested', { id: suggestedTask.id, title: suggestedTask.title }),
     taskId: suggestedTask.id,
     task: suggestedTask
   };
 }
 
-// Обработка аргументов командной строки
-const args = process.argv.slice(2);
-const command = args[0] || 'summary';
-const taskId = args[1] ? parseInt(args[1]) : null;
+// Команды контекста для справки
+const HELP_COMMANDS = [
+  { name: 'summary' },
+  { name: 'history', args: '[taskId]' },
+  { name: 'init' },
+  { name: 'update', args: '<taskId>' },
+  { name: 'copilot', args: '[taskId]' },
+  { name: 'check-context', args: '<taskId>' },
+  { name: 'suggest' },
+  { name: 'help' }
+];
+
+// Ширина колонки с названием команды в справке
+const HELP_COLUMN_WIDTH = 21;
 
 // Вспомогательная функция для вывода справки
 function showHelp() {
-  console.log(chalk.bold('\n📋 Task Master: Управление контекстом проекта\n'));
-  console.log('Использование: task-master context [команда] [параметры]\n');
+  console.log(chalk.bold(`\n${t('context.help.title')}\n`));
+  console.log(`${t('context.help.usage')}\n`);
   
-  console.log('Доступные команды:');
-  console.log(`  ${chalk.cyan('summary')}              - Показать краткую сводку о состоянии проекта (по умолчанию)`);
-  console.log(`  ${chalk.cyan('history')} [taskId]     - Показать историю задачи или всех задач`);
-  console.log(`  ${chalk.cyan('init')}                 - Инициализировать файл контекста`);
-  console.log(`  ${chalk.cyan('update')} <taskId>      - Обновить контекст для задачи`);
-  console.log(`  ${chalk.cyan('copilot')} [taskId]     - Подготовить контекст для GitHub Copilot`);
-  console.log(`  ${chalk.cyan('check-context')} <taskId> - Проверить и обновить контекст для GitHub Copilot`);
-  console.log(`  ${chalk.cyan('suggest')}              - Предложить выполнение задачи и подготовить контекст`);
-  console.log(`  ${chalk.cyan('help')}                 - Показать эту справку\n`);
+  console.log(t('context.help.commandsHeader'));
+  HELP_COMMANDS.forEach(({ name, args }) => {
+    const plain = args ? `${name} ${args}` : name;
+    const padding = ' '.repeat(Math.max(1, HELP_COLUMN_WIDTH - plain.length));
+    console.log(`  ${chalk.cyan(name)}${args ? ` ${args}` : ''}${padding}- ${t(`context.help.commands.${name}`)}`);
+  });
+  console.log('');
   
-  console.log('Примеры:');
-  console.log('  task-master context                   - Показать общую сводку');
-  console.log('  task-master context history 3         - Показать историю задачи #3');
-  console.log('  task-master context update 2 "Описание выполненной работы"  - Обновить контекст задачи #2');
-  console.log('  task-master context copilot 2         - Подготовить контекст задачи #2 для GitHub Copilot');
-  console.log('  task-master context suggest           - Предложить выполнение задачи\n');
+  console.log(t('context.help.examplesHeader'));
+  ['summary', 'history', 'update', 'copilot', 'suggest'].forEach(example => {
+    console.log(`  ${t(`context.help.examples.${example}`)}`);
+  });
+  console.log('');
 }
 
 /**
@@ -193,37 +213,44 @@ function showHelp() {
  * 
  * @param {number} taskId - ID задачи
  * @param {string} summary - Описание выполненной работы
+ * @returns {object} - Результат операции
  */
 function updateTaskContext(taskId, summary) {
   if (!summary) {
-    console.log(chalk.yellow('⚠ Необходимо указать описание выполненной работы'));
-    return;
+    const message = t('context.summaryRequired');
+    console.log(chalk.yellow(message));
+    return { success: false, message };
   }
   
   // Получаем задачу и её текущий статус
   const tasks = contextTracker.loadTasks();
-  if (!tasks) return;
+  if (!tasks) return { success: false, message: t('context.loadTasksFailed') };
   
   const task = tasks.tasks.find(t => t.id === taskId);
   if (!task) {
-    console.log(chalk.red(`✗ Задача с ID ${taskId} не найдена`));
-    return;
+    const message = `✗ ${t('common.taskNotFound', { id: taskId })}`;
+    console.log(chalk.red(message));
+    return { success: false, message };
   }
   
   // Если задача не в процессе, меняем её статус
   let status = task.status;
   if (status !== 'in-progress') {
     status = 'in-progress';
-    console.log(chalk.blue(`ℹ Статус задачи #${taskId} изменен на "в процессе"`));
+    console.log(chalk.blue(t('context.statusChanged', { id: taskId })));
   }
   
   // Обновляем статус и добавляем запись в историю
   if (contextTracker.updateTaskStatus(taskId, status, summary)) {
-    console.log(chalk.green(`✓ Контекст задачи #${taskId} успешно обновлен`));
-    console.log(chalk.dim(`Описание: ${summary}`));
-  } else {
-    console.log(chalk.red(`✗ Не удалось обновить контекст задачи #${taskId}`));
+    const message = t('context.updated', { id: taskId });
+    console.log(chalk.green(message));
+    console.log(chalk.dim(t('common.description', { description: summary })));
+    return { success: true, message, taskId, status, summary };
   }
+  
+  const message = t('context.updateFailed', { id: taskId });
+  console.log(chalk.red(message));
+  return { success: false, message };
 }
 
 /**
@@ -231,97 +258,129 @@ function updateTaskContext(taskId, summary) {
  * 
  * @param {number} taskId - ID задачи
  * @param {string} summary - Описание выполненной работы
+ * @returns {object} - Результат операции
  */
 function completeTask(taskId, summary) {
   if (!summary) {
-    console.log(chalk.yellow('⚠ Необходимо указать описание выполненной работы'));
-    return;
+    const message = t('context.summaryRequired');
+    console.log(chalk.yellow(message));
+    return { success: false, message };
   }
   
   // Обновляем статус и добавляем запись в историю
   if (contextTracker.updateTaskStatus(taskId, 'done', summary)) {
-    console.log(chalk.green(`✓ Задача #${taskId} отмечена как выполненная`));
-    console.log(chalk.dim(`Описание: ${summary}`));
-  } else {
-    console.log(chalk.red(`✗ Не удалось отметить задачу #${taskId} как выполненную`));
+    const message = t('context.completed', { id: taskId });
+    console.log(chalk.green(message));
+    console.log(chalk.dim(t('common.description', { description: summary })));
+    return { success: true, message, taskId, status: 'done', summary };
   }
+  
+  const message = t('context.completeFailed', { id: taskId });
+  console.log(chalk.red(message));
+  return { success: false, message };
 }
 
-// Основная логика скрипта
-try {
+/**
+ * Выполнить команду работы с контекстом
+ * 
+ * @param {string} command - Команда
+ * @param {string[]} args - Аргументы команды
+ * @returns {Promise<object>} - Результат команды
+ */
+async function runContextCommand(command, args) {
+  const taskId = args[0] ? parseInt(args[0]) : null;
+  const missingTaskId = () => {
+    const message = t('context.missingTaskId');
+    console.log(chalk.red(message));
+    showHelp();
+    return { success: false, message };
+  };
+  
   switch (command) {
-    case 'summary':
+    case 'summary': {
       // Показать общую сводку о состоянии проекта
-      console.log(chalk.bold('\n📊 Сводка о состоянии проекта\n'));
-      console.log(contextTracker.getProjectSummary());
-      break;
+      const summary = contextTracker.getProjectSummary();
+      console.log(chalk.bold(`\n${t('context.summaryHeader')}\n`));
+      console.log(summary);
+      return {
+        success: true,
+        summary,
+        currentContext: contextTracker.getCurrentContext()
+      };
+    }
       
     case 'history':
       // Показать историю задачи или всех задач
       if (taskId) {
-        console.log(chalk.bold(`\n📜 История выполнения задачи #${taskId}\n`));
+        console.log(chalk.bold(`\n${t('context.taskHistoryHeader', { id: taskId })}\n`));
         console.log(contextTracker.getFormattedTaskHistory(taskId));
-      } else {
-        console.log(chalk.bold('\n📜 Полная история выполнения задач\n'));
-        console.log(contextTracker.getFormattedFullHistory());
+        return { success: true, taskId, history: contextTracker.getTaskHistory(taskId) || [] };
       }
-      break;
+      
+      console.log(chalk.bold(`\n${t('context.fullHistoryHeader')}\n`));
+      console.log(contextTracker.getFormattedFullHistory());
+      return { success: true, history: contextTracker.getAllHistory() || [] };
       
     case 'init':
       // Инициализировать файл контекста
       contextTracker.initContext();
-      console.log(chalk.green('✓ Файл контекста успешно инициализирован'));
-      break;
+      console.log(chalk.green(t('context.initialized')));
+      return { success: true, message: t('context.initialized') };
       
     case 'update':
       // Обновить контекст для задачи
-      if (!taskId) {
-        console.log(chalk.red('✗ Необходимо указать ID задачи'));
-        showHelp();
-      } else {
-        const summary = args.slice(2).join(' ');
-        updateTaskContext(taskId, summary);
-      }
-      break;
+      return taskId ? updateTaskContext(taskId, args.slice(1).join(' ')) : missingTaskId();
       
     case 'complete':
       // Завершить задачу и обновить контекст
-      if (!taskId) {
-        console.log(chalk.red('✗ Необходимо указать ID задачи'));
-        showHelp();
-      } else {
-        const summary = args.slice(2).join(' ');
-        completeTask(taskId, summary);
-      }
-      break;
+      return taskId ? completeTask(taskId, args.slice(1).join(' ')) : missingTaskId();
       
-    case 'copilot':
+    case 'copilot': {
       // Подготовить контекст для GitHub Copilot
-      prepareCopilotContext(taskId);
-      break;
+      const copilotContext = await prepareCopilotContext(taskId);
+      return copilotContext
+        ? { success: true, copilotContext }
+        : { success: false, message: t('context.copilotFailed') };
+    }
       
-    case 'check-context':
+    case 'check-context': {
       // Проверить и при необходимости обновить контекст для GitHub Copilot
-      if (!taskId) {
-        console.log(chalk.red('✗ Необходимо указать ID задачи'));
-        showHelp();
-      } else {
-        checkAndUpdateCopilotContext(taskId);
-      }
-      break;
+      if (!taskId) return missingTaskId();
+      const updated = await checkAndUpdateCopilotContext(taskId);
+      return { success: Boolean(updated), taskId };
+    }
       
-    case 'suggest':
+    case 'suggest': {
       // Предложить выполнение задачи и подготовить контекст для GitHub Copilot
-      suggestTaskAndPrepareContext();
-      break;
+      const suggestion = await suggestTaskAndPrepareContext();
+      if (!suggestion) {
+        return { success: false, message: t('context.suggest.noTasks') };
+      }
+      console.log(chalk.cyan(suggestion.message));
+      return { success: true, ...suggestion };
+    }
       
     case 'help':
+      showHelp();
+      return { success: true };
+      
     default:
       showHelp();
-      break;
+      return { success: false, message: t('context.unknownCommand', { command }) };
   }
-} catch (error) {
-  console.error(chalk.red(`✗ Ошибка: ${error.message}`));
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const args = output.stripOutputFlags(process.argv.slice(2));
+  const command = args[0] || 'summary';
+  
+  runContextCommand(command, args.slice(1))
+    .then(result => output.finish(result))
+    .catch(error => {
+      console.error(chalk.red(t('context.error', { error: error.message })));
+      output.finish({ success: false, message: error.message });
+    });
 }
 
 // Экспорт функций для использования в других модулях
@@ -333,5 +392,6 @@ module.exports = {
   prepareCopilotContext,
   suggestTaskAndPrepareContext,
   updateTaskContext,
-  completeTask
+  completeTask,
+  runContextCommand
 };
\ No newline at end of file
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для удаления задач и подзадач
+ * delete <id> удаляет задачу или подзадачу вместе со вложенными подзадачами
+ * после подтверждения (--yes - без вопроса). Ссылки на удаленные элементы
+ * убираются из зависимостей других задач, ID остальных подзадач не меняются
+ */
+
+const chalk = require('chalk');
+const readline = require('readline');
+const store = require('./task-store');
+const output = require('./output');
+const contextTracker = require('./context-tracker');
+const dependencies = require('./dependencies');
+const subtaskTree = require('./subtask-tree');
+const { t } = require('./i18n');
+
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
+
+// Ответы, подтверждающие удаление
+const CONFIRM_ANSWERS = ['y', 'yes', 'д', 'да'];
+
+/**
+ * Удалить задачу или подзадачу со всеми вложенными подзадачами
+ * @param {string} taskId - ID задачи или подзадачи
+ * @returns {object} - Результат операции
+ */
+function deleteTask(taskId) {
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const path = subtaskTree.findPath(tasksData, taskId);
+
+    if (!path) {
+      return { success: false, message: t('common.taskNotFound', { id: taskId }) };
+    }
+
+    const task = path[0];
+    const item = path[path.length - 1];
+    const removedIds = [item, ...subtaskTree.getDescendants(item)].map(entry => String(entry.id));
+
+    if (item === task) {
+      tasksData.tasks = tasksData.tasks.filter(entry => entry !== task);
+    } else {
+      const parent = path[path.length - 2];
+      parent.subtasks = subtaskTree.getChildren(parent).filter(subtask => subtask !== item);
+      task.updated_at = new Date().toISOString();
+    }
+
+    const dependenciesUpdated = dependencies.updateReferences(tasksData, {}, removedIds);
+
+    if (!saveTasks(tasksData)) {
+      return { success: false, message: t('common.saveFailed') };
+    }
+
+    const summary = item === task
+      ? t('history.taskDeleted', { id: item.id, title: item.title })
+      : t('history.subtaskDeleted', { id: item.id, title: item.title });
+    contextTracker.updateContextAfterRestructure(
+      { taskId: task.id, taskTitle: task.title, action: 'delete', summary, details: { deletedIds: removedIds } },
+      {},
+      removedIds
+    );
+
+    return {
+      success: true,
+      message: t('delete.deleted', { id: item.id, title: item.title }),
+      taskId: item.id,
+      removedIds,
+      dependenciesUpdated
+    };
+  });
+}
+
+/**
+ * Описание удаляемого элемента для подтверждения
+ * @param {string} taskId - ID задачи или подзадачи
+ * @returns {object|null} - { id, title, subtasks } или null, если элемент не найден
+ */
+function describeTask(taskId) {
+  const path = subtaskTree.findPath(loadTasks(), taskId);
+  if (!path) return null;
+
+  const item = path[path.length - 1];
+  return { id: item.id, title: item.title, subtasks: subtaskTree.getDescendants(item).length };
+}
+
+/**
+ * Спросить подтверждение удаления
+ * @param {object} description - Описание элемента (describeTask)
+ * @param {Function} callback - (confirmed) => void
+ */
+function askConfirmation(description, callback) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  const question = description.subtasks > 0
+    ? t('delete.confirmWithSubtasks', description)
+    : t('delete.confirm', description);
+
+  rl.question(chalk.yellow(`${question} `), answer => {
+    rl.close();
+    callback(CONFIRM_ANSWERS.includes(answer.trim().toLowerCase()));
+  });
+}
+
+/**
+ * Выполнить удаление и вывести результат
+ * @param {string} taskId - ID задачи или подзадачи
+ */
+function runDelete(taskId) {
+  const result = deleteTask(taskId);
+  output.finish(result);
+
+  if (result.success) {
+    console.log(chalk.green(`✓ ${result.message}`));
+    if (result.dependenciesUpdated.length > 0) {
+      console.log(chalk.dim(`  ${t('delete.dependenciesUpdated', { ids: result.dependenciesUpdated.join(', ') })}`));
+    }
+    console.log(chalk.dim(`  ${t('delete.undoHint')}`));
+  } else {
+    console.log(chalk.red(`✗ ${result.message}`));
+  }
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('delete.help.title')}\n`));
+  console.log(`${t('delete.help.usage')}\n`);
+  console.log(t('delete.help.examplesHeader'));
+  ['task', 'subtask', 'yes'].forEach(example => {
+    console.log(`  ${t(`delete.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const args = output.stripOutputFlags(process.argv.slice(2));
+  const confirmed = args.includes('--yes') || args.includes('-y');
+  const [taskId] = args.filter(arg => arg !== '--yes' && arg !== '-y');
+
+  if (!taskId || taskId === 'help') {
+    showHelp();
+    if (taskId !== 'help') {
+      output.finish({ success: false, message: t('delete.help.usage') });
+    }
+  } else if (confirmed) {
+    runDelete(taskId);
+  } else {
+    const description = describeTask(taskId);
+
+    if (!description) {
+      const message = t('common.taskNotFound', { id: taskId });
+      console.log(chalk.red(`✗ ${message}`));
+      output.finish({ success: false, message });
+    } else if (output.isMachineReadable() || !process.stdin.isTTY) {
+      // Спросить подтверждение некого - удаление без --yes не выполняется
+      const message = t('delete.errors.confirmationRequired', { id: description.id });
+      console.log(chalk.red(`✗ ${message}`));
+      output.finish({ success: false, message });
+    } else {
+      askConfirmation(description, answer => {
+        if (answer) {
+          runDelete(taskId);
+        } else {
+          console.log(chalk.dim(t('delete.cancelled')));
+        }
+      });
+    }
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  deleteTask
+};
@@ -0,0 +1,235 @@
+/**
+ * Модуль для работы с зависимостями задач
+ * Задачи и подзадачи могут содержать массив dependsOn с ID задач (1)
+ * или подзадач ("1.2"), которые должны быть выполнены раньше них
+ */
+
+const subtaskTree = require('./subtask-tree');
+const { t } = require('./i18n');
+
+/**
+ * Привести ID задачи или подзадачи к строковому виду
+ * @param {number|string} id - ID задачи или подзадачи
+ * @returns {string}
+ */
+function normalizeId(id) {
+  return String(id).trim();
+}
+
+/**
+ * Построить индекс всех задач и подзадач (на всех уровнях вложенности) по строковому ID
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {Map<string, object>}
+ */
+function buildIndex(tasksData) {
+  const index = new Map();
+
+  (tasksData.tasks || []).forEach(task => {
+    index.set(normalizeId(task.id), task);
+    subtaskTree.walkSubtasks(task, subtask => {
+      index.set(normalizeId(subtask.id), subtask);
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Получить список зависимостей элемента
+ * @param {object} item - Задача или подзадача
+ * @returns {string[]}
+ */
+function getDependencies(item) {
+  return Array.isArray(item.dependsOn) ? item.dependsOn.map(normalizeId) : [];
+}
+
+/**
+ * Найти цикл в графе зависимостей
+ * @param {Map<string, object>} index - Индекс задач
+ * @returns {string[]|null} - Цепочка ID, образующая цикл, или null
+ */
+function findCycle(index) {
+  const state = new Map(); // 1 - в обработке, 2 - обработан
+  const stack = [];
+
+  const visit = (id) => {
+    state.set(id, 1);
+    stack.push(id);
+
+    for (const depId of getDependencies(index.get(id))) {
+      if (!index.has(depId)) continue;
+
+      if (state.get(depId) === 1) {
+        return [...stack.slice(stack.indexOf(depId)), depId];
+      }
+
+      if (!state.has(depId)) {
+        const cycle = visit(depId);
+        if (cycle) return cycle;
+      }
+    }
+
+    stack.pop();
+    state.set(id, 2);
+    return null;
+  };
+
+  for (const id of index.keys()) {
+    if (!state.has(id)) {
+      const cycle = visit(id);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Проверить корректность зависимостей всех задач
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {string[]} - Список найденных ошибок (пустой, если ошибок нет)
+ */
+function validateDependencies(tasksData) {
+  const index = buildIndex(tasksData);
+  const errors = [];
+
+  index.forEach((item, id) => {
+    if (item.dependsOn === undefined) return;
+
+    if (!Array.isArray(item.dependsOn)) {
+      errors.push(t('validate.dependencies.notArray', { id }));
+      return;
+    }
+
+    getDependencies(item).forEach(depId => {
+      if (depId === id) {
+        errors.push(t('validate.dependencies.self', { id }));
+      } else if (!index.has(depId)) {
+        errors.push(t('validate.dependencies.notFound', { id, dependency: depId }));
+      }
+    });
+  });
+
+  const cycle = findCycle(index);
+  if (cycle && cycle.length > 2) {
+    errors.push(t('validate.dependencies.cycle', { cycle: cycle.map(id => `#${id}`).join(' → ') }));
+  }
+
+  return errors;
+}
+
+/**
+ * Получить невыполненные зависимости задачи или подзадачи
+ * @param {object} item - Задача или подзадача
+ * @param {object} tasksData - Данные tasks.json
+ * @param {Map<string, object>} index - Индекс задач (опционально)
+ * @returns {string[]} - ID задач, которые блокируют выполнение
+ */
+function getBlockers(item, tasksData, index = buildIndex(tasksData)) {
+  return getDependencies(item).filter(depId => {
+    const dependency = index.get(depId);
+    return !dependency || dependency.status !== 'done';
+  });
+}
+
+/**
+ * Проверить, заблокирована ли задача невыполненными зависимостями
+ * @param {object} item - Задача или подзадача
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {boolean}
+ */
+function isBlocked(item, tasksData) {
+  return getBlockers(item, tasksData).length > 0;
+}
+
+/**
+ * Получить задачи в статусе pending, все зависимости которых выполнены
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {object[]}
+ */
+function getAvailableTasks(tasksData) {
+  const index = buildIndex(tasksData);
+  return (tasksData.tasks || []).filter(task =>
+    task.status === 'pending' && getBlockers(task, tasksData, index).length === 0
+  );
+}
+
+/**
+ * Получить ID всех заблокированных задач и подзадач
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {Set<string>}
+ */
+function getBlockedIds(tasksData) {
+  const index = buildIndex(tasksData);
+  const blocked = new Set();
+
+  index.forEach((item, id) => {
+    if (item.status !== 'done' && getBlockers(item, tasksData, index).length > 0) {
+      blocked.add(id);
+    }
+  });
+
+  return blocked;
+}
+
+/**
+ * Найти задачи и подзадачи, которые разблокировались после изменения статусов
+ * @param {Set<string>} blockedBefore - Результат getBlockedIds до изменения
+ * @param {object} tasksData - Данные tasks.json после изменения
+ * @returns {object[]} - Разблокированные задачи и подзадачи
+ */
+function findUnblocked(blockedBefore, tasksData) {
+  const index = buildIndex(tasksData);
+  const blockedAfter = getBlockedIds(tasksData);
+
+  return [...blockedBefore]
+    .filter(id => !blockedAfter.has(id) && index.has(id) && index.get(id).status !== 'done')
+    .map(id => index.get(id));
+}
+
+/**
+ * Обновить зависимости после переноса или удаления задач и подзадач:
+ * ссылки на перенумерованные элементы получают новые ID, ссылки на удаленные убираются
+ *
+ * @param {object} tasksData - Данные tasks.json (изменяются на месте)
+ * @param {object} renamedIds - Старый ID → новый ID
+ * @param {string[]} removedIds - ID удаленных задач и подзадач
+ * @returns {string[]} - ID элементов, у которых изменились зависимости
+ */
+function updateReferences(tasksData, renamedIds = {}, removedIds = []) {
+  const removed = removedIds.map(normalizeId);
+  const changed = [];
+
+  buildIndex(tasksData).forEach((item, id) => {
+    if (!Array.isArray(item.dependsOn)) return;
+
+    const updated = item.dependsOn
+      .filter(dependency => !removed.includes(normalizeId(dependency)))
+      .map(dependency => renamedIds[normalizeId(dependency)] || dependency);
+    if (JSON.stringify(updated) === JSON.stringify(item.dependsOn)) return;
+
+    // Пустой список зависимостей не храним
+    if (updated.length > 0) {
+      item.dependsOn = updated;
+    } else {
+      delete item.dependsOn;
+    }
+    changed.push(id);
+  });
+
+  return changed;
+}
+
+module.exports = {
+  normalizeId,
+  buildIndex,
+  getDependencies,
+  findCycle,
+  validateDependencies,
+  getBlockers,
+  isBlocked,
+  getAvailableTasks,
+  getBlockedIds,
+  findUnblocked,
+  updateReferences
+};
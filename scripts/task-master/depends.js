@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для управления зависимостями задач
+ * Позволяет просматривать, добавлять и удалять зависимости (поле dependsOn)
+ */
+
+const chalk = require('chalk');
+const store = require('./task-store');
+const dependencies = require('./dependencies');
+const { t } = require('./i18n');
+
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
+
+/**
+ * Показать зависимости задачи или подзадачи
+ * @param {string} taskId - ID задачи или подзадачи
+ * @returns {object} - Результат операции
+ */
+function showDependencies(taskId) {
+  const tasksData = loadTasks();
+  const item = dependencies.buildIndex(tasksData).get(dependencies.normalizeId(taskId));
+
+  if (!item) {
+    return { success: false, message: `✗ ${t('common.taskNotFound', { id: taskId })}` };
+  }
+
+  return {
+    success: true,
+    message: t('depends.header', { id: item.id, title: item.title }),
+    dependsOn: dependencies.getDependencies(item),
+    blockers: dependencies.getBlockers(item, tasksData)
+  };
+}
+
+/**
+ * Добавить или удалить зависимости задачи или подзадачи
+ * @param {string} taskId - ID задачи или подзадачи
+ * @param {string} action - Действие (add, remove)
+ * @param {string[]} dependencyIds - ID зависимостей
+ * @returns {object} - Результат операции
+ */
+function changeDependencies(taskId, action, dependencyIds) {
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const item = dependencies.buildIndex(tasksData).get(dependencies.normalizeId(taskId));
+
+    if (!item) {
+      return { success: false, message: `✗ ${t('common.taskNotFound', { id: taskId })}` };
+    }
+
+    const ids = dependencyIds.map(dependencies.normalizeId);
+    const current = dependencies.getDependencies(item);
+
+    if (action === 'add') {
+      item.dependsOn = [...current, ...ids.filter(id => !current.includes(id))];
+    } else {
+      item.dependsOn = current.filter(id => !ids.includes(id));
+    }
+
+    // Пустой список зависимостей не храним
+    if (item.dependsOn.length === 0) {
+      delete item.dependsOn;
+    }
+
+    // Проверка существования задач и отсутствия циклов выполняется при сохранении
+    if (!saveTasks(tasksData)) {
+      return { success: false, message: `✗ ${t('common.saveFailed')}` };
+    }
+
+    return {
+      success: true,
+      message: t('depends.updated', { id: item.id }),
+      dependsOn: item.dependsOn || []
+    };
+  });
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('depends.help.title')}\n`));
+  console.log(`${t('depends.help.usage')}\n`);
+  console.log(t('depends.help.examplesHeader'));
+  ['show', 'add', 'remove'].forEach(example => {
+    console.log(`  ${t(`depends.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const [taskId, action, ...dependencyIds] = args;
+
+  if (!taskId || taskId === 'help') {
+    showHelp();
+    process.exit(taskId ? 0 : 1);
+  }
+
+  if (!action) {
+    const result = showDependencies(taskId);
+
+    if (!result.success) {
+      console.log(chalk.red(result.message));
+      process.exit(1);
+    }
+
+    console.log(chalk.cyan(result.message));
+    if (result.dependsOn.length === 0) {
+      console.log(chalk.dim(`  ${t('depends.noDependencies')}`));
+    } else {
+      result.dependsOn.forEach(id => {
+        const isBlocking = result.blockers.includes(id);
+        console.log(`  ${isBlocking ? chalk.red('⛔') : chalk.green('✓')} #${id}`);
+      });
+    }
+  } else if ((action === 'add' || action === 'remove') && dependencyIds.length > 0) {
+    const result = changeDependencies(taskId, action, dependencyIds);
+
+    if (!result.success) {
+      console.log(chalk.red(result.message));
+      process.exit(1);
+    }
+
+    console.log(chalk.green(result.message));
+    console.log(chalk.dim(`  ${t('depends.dependsOn', { ids: result.dependsOn.length > 0 ? result.dependsOn.join(', ') : t('depends.none') })}`));
+  } else {
+    showHelp();
+    process.exit(1);
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  showDependencies,
+  changeDependencies
+};
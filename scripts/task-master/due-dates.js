@@ -0,0 +1,260 @@
+/**
+ * Сроки выполнения задач (поле due)
+ * Срок хранится датой без времени в формате YYYY-MM-DD и задается задачам
+ * и подзадачам. В тексте задачи срок записывается как due:2026-11-01
+ * или фразой в конце названия: "до пятницы", "до 01.11", "by friday".
+ * Все вычисления ведутся в местном часовом поясе.
+ */
+
+const config = require('./config');
+const { normalizePriority } = require('./schema');
+const subtaskTree = require('./subtask-tree');
+const statuses = require('./statuses');
+
+const DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Дни недели: номер дня (0 - воскресенье) и основы названий в любом падеже
+const WEEKDAYS = [
+  { day: 1, words: [/^понедельник[а-я]*$/, /^monday$/, /^mon$/] },
+  { day: 2, words: [/^вторник[а-я]*$/, /^tuesday$/, /^tue$/] },
+  { day: 3, words: [/^сред[аыу]$/, /^wednesday$/, /^wed$/] },
+  { day: 4, words: [/^четверг[а-я]*$/, /^thursday$/, /^thu$/] },
+  { day: 5, words: [/^пятниц[аыу]$/, /^friday$/, /^fri$/] },
+  { day: 6, words: [/^суббот[аыу]$/, /^saturday$/, /^sat$/] },
+  { day: 0, words: [/^воскресень[еяю]$/, /^sunday$/, /^sun$/] }
+];
+
+// Относительные даты: смещение в днях от сегодняшнего дня
+const RELATIVE_DAYS = {
+  'сегодня': 0,
+  'today': 0,
+  'завтра': 1,
+  'tomorrow': 1,
+  'послезавтра': 2
+};
+
+// Срок в тексте задачи: due:<дата> в любом месте строки
+const DUE_TOKEN_REGEX = /(^|\s)due:(\S+)(?=\s|$)/i;
+
+// Срок фразой в конце названия: "до пятницы", "by 2026-11-01"
+const DUE_PHRASE_REGEX = /\s+(?:до|by)\s+(.+)$/i;
+
+/**
+ * Дата в формате YYYY-MM-DD (местное время)
+ * @param {Date} date - Дата
+ * @returns {string}
+ */
+function formatDay(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Сегодняшняя дата в формате YYYY-MM-DD
+ * @param {Date} now - Текущий момент
+ * @returns {string}
+ */
+function today(now = new Date()) {
+  return formatDay(now);
+}
+
+/**
+ * Прибавить дни к дате
+ * @param {Date} date - Дата
+ * @param {number} days - Количество дней
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Проверить и собрать дату из частей
+ * @param {number} year - Год
+ * @param {number} month - Месяц (1-12)
+ * @param {number} day - День
+ * @returns {string|null}
+ */
+function buildDay(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  const valid = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+  return valid ? formatDay(date) : null;
+}
+
+/**
+ * Разобрать срок: 2026-11-01, 01.11.2026, 01.11, сегодня, завтра, пятница,
+ * "через 3 дня", "in 3 days", +3d. Предлоги "до", "к", "by", "on" допускаются
+ *
+ * @param {string} text - Текст срока
+ * @param {Date} now - Текущий момент
+ * @returns {string|null} - Дата в формате YYYY-MM-DD или null
+ */
+function parseDueDate(text, now = new Date()) {
+  const value = String(text || '').trim().toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/^(?:до|к|на|by|on|due)\s+/, '')
+    .replace(/[.!?,;]+$/, '');
+
+  if (!value) return null;
+
+  let match = value.match(DATE_REGEX);
+  if (match) {
+    return buildDay(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  // 01.11.2026 или 01.11 (ближайшая такая дата, не раньше сегодняшней)
+  match = value.match(/^(\d{1,2})\.(\d{1,2})(?:\.(\d{4}))?$/);
+  if (match) {
+    const day = Number(match[1]);
+    const month = Number(match[2]);
+    if (match[3]) {
+      return buildDay(Number(match[3]), month, day);
+    }
+    const thisYear = buildDay(now.getFullYear(), month, day);
+    return thisYear && thisYear < today(now) ? buildDay(now.getFullYear() + 1, month, day) : thisYear;
+  }
+
+  if (RELATIVE_DAYS[value] !== undefined) {
+    return formatDay(addDays(now, RELATIVE_DAYS[value]));
+  }
+
+  match = value.match(/^(?:через\s+(\d+)\s+(?:день|дня|дней)|in\s+(\d+)\s+days?|\+(\d+)d)$/);
+  if (match) {
+    return formatDay(addDays(now, Number(match[1] || match[2] || match[3])));
+  }
+
+  // Ближайший такой день недели после сегодняшнего
+  const weekday = WEEKDAYS.find(item => item.words.some(word => word.test(value)));
+  if (weekday) {
+    const offset = ((weekday.day - now.getDay() + 7) % 7) || 7;
+    return formatDay(addDays(now, offset));
+  }
+
+  return null;
+}
+
+/**
+ * Извлечь срок из текста задачи: due:<дата> или фраза "до <дата>" в конце
+ * @param {string} text - Название задачи или подзадачи
+ * @param {Date} now - Текущий момент
+ * @returns {object} - { text, due } - текст без срока и срок (или null)
+ */
+function extractDue(text, now = new Date()) {
+  const source = String(text || '');
+
+  const token = source.match(DUE_TOKEN_REGEX);
+  if (token) {
+    const due = parseDueDate(token[2], now);
+    if (due) {
+      return { text: source.replace(token[0], token[1]).replace(/\s{2,}/g, ' ').trim(), due };
+    }
+  }
+
+  const phrase = source.match(DUE_PHRASE_REGEX);
+  if (phrase) {
+    const due = parseDueDate(phrase[1], now);
+    if (due) {
+      return { text: source.slice(0, phrase.index).trim(), due };
+    }
+  }
+
+  return { text: source.trim(), due: null };
+}
+
+/**
+ * Установить срок задачи или подзадачи. Пустой срок не храним
+ * @param {object} item - Задача или подзадача
+ * @param {string|null} due - Срок
+ */
+function setDue(item, due) {
+  if (due) {
+    item.due = due;
+  } else {
+    delete item.due;
+  }
+}
+
+/**
+ * Сколько дней осталось до срока (отрицательное число - срок прошёл)
+ * @param {object} item - Задача или подзадача
+ * @param {Date} now - Текущий момент
+ * @returns {number|null} - null, если срок не задан
+ */
+function daysUntilDue(item, now = new Date()) {
+  const match = item && typeof item.due === 'string' ? item.due.match(DATE_REGEX) : null;
+  if (!match) return null;
+
+  const due = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((due - start) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Состояние срока: overdue - срок прошёл, soon - срок в ближайшие дни
+ * (настройка dueSoonDays), upcoming - срок позже, null - срока нет или задача выполнена или отменена
+ *
+ * @param {object} item - Задача или подзадача
+ * @param {Date} now - Текущий момент
+ * @returns {string|null}
+ */
+function getDueState(item, now = new Date()) {
+  const days = daysUntilDue(item, now);
+  if (days === null || statuses.isClosed(item.status)) return null;
+  if (days < 0) return 'overdue';
+  return days <= config.getSetting('dueSoonDays') ? 'soon' : 'upcoming';
+}
+
+/**
+ * Ближайший срок задачи с учетом сроков её незавершенных подзадач
+ * @param {object} task - Задача
+ * @returns {string|null}
+ */
+function getNearestDue(task) {
+  const dates = [task, ...subtaskTree.getDescendants(task).filter(subtask => !statuses.isClosed(subtask.status))]
+    .map(item => item.due)
+    .filter(due => typeof due === 'string' && DATE_REGEX.test(due))
+    .sort();
+
+  return dates.length > 0 ? dates[0] : null;
+}
+
+/**
+ * Сравнить задачи для выбора следующей: приоритет, повышенный на 2 для
+ * просроченных задач и на 1 для задач со сроком в ближайшие дни, затем
+ * более ранний срок (задачи без срока - в конце). Учитывается ближайший
+ * срок задачи или её подзадач
+ *
+ * @param {object} a - Первая задача
+ * @param {object} b - Вторая задача
+ * @param {Date} now - Текущий момент
+ * @returns {number}
+ */
+function compareByUrgency(a, b, now = new Date()) {
+  const bonus = { overdue: 2, soon: 1 };
+  const nearest = task => ({ status: task.status, due: getNearestDue(task) });
+  const rank = task => normalizePriority(task.priority) - (bonus[getDueState(nearest(task), now)] || 0);
+
+  const diff = rank(a) - rank(b);
+  if (diff !== 0) return diff;
+
+  const dueA = daysUntilDue(nearest(a), now);
+  const dueB = daysUntilDue(nearest(b), now);
+  if (dueA === null || dueB === null) {
+    return (dueA === null ? 1 : 0) - (dueB === null ? 1 : 0);
+  }
+  return dueA - dueB;
+}
+
+module.exports = {
+  formatDay,
+  today,
+  parseDueDate,
+  extractDue,
+  setDue,
+  daysUntilDue,
+  getDueState,
+  getNearestDue,
+  compareByUrgency
+};
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для работы со сроками задач
+ * Показывает просроченные задачи и задачи с приближающимся сроком,
+ * позволяет установить или снять срок задачи или подзадачи (поле due)
+ */
+
+const chalk = require('chalk');
+const store = require('./task-store');
+const output = require('./output');
+const dependencies = require('./dependencies');
+const dueDates = require('./due-dates');
+const subtaskTree = require('./subtask-tree');
+const statuses = require('./statuses');
+const { t } = require('./i18n');
+
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
+
+// Сколько дней вперед показывать задачи в отчете по умолчанию
+const DEFAULT_REPORT_DAYS = 7;
+
+// Значения, снимающие срок задачи
+const CLEAR_VALUES = ['clear', 'none', '-', 'снять', 'нет'];
+
+/**
+ * Собрать незавершенные задачи и подзадачи со сроком
+ * @param {object} tasksData - Данные tasks.json
+ * @param {Date} now - Текущий момент
+ * @returns {object[]} - [{ id, title, status, due, daysLeft, parentId }] по возрастанию срока
+ */
+function collectDueItems(tasksData, now = new Date()) {
+  return (tasksData.tasks || [])
+    .flatMap(task => {
+      const items = [task];
+      subtaskTree.walkSubtasks(task, (subtask, parent) => items.push({ ...subtask, parentId: parent.id }));
+      return items;
+    })
+    .filter(item => !statuses.isClosed(item.status) && dueDates.daysUntilDue(item, now) !== null)
+    .map(item => ({
+      id: item.id,
+      title: item.title,
+      status: item.status,
+      due: item.due,
+      daysLeft: dueDates.daysUntilDue(item, now),
+      parentId: item.parentId
+    }))
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+/**
+ * Отчет по срокам: просроченные задачи и задачи со сроком в ближайшие дни
+ * @param {object} options - { days } - на сколько дней вперед смотреть
+ * @returns {object} - Результат операции
+ */
+function getDueReport(options = {}) {
+  const days = options.days || DEFAULT_REPORT_DAYS;
+  const now = new Date();
+  const items = collectDueItems(loadTasks(), now);
+  const overdue = items.filter(item => item.daysLeft < 0);
+  const upcoming = items.filter(item => item.daysLeft >= 0 && item.daysLeft <= days);
+
+  return {
+    success: true,
+    message: overdue.length + upcoming.length > 0 ? t('due.report', { days }) : t('due.nothingDue', { days }),
+    today: dueDates.today(now),
+    days,
+    overdue,
+    upcoming
+  };
+}
+
+/**
+ * Установить или снять срок задачи или подзадачи
+ * @param {string} taskId - ID задачи или подзадачи
+ * @param {string} value - Срок (2026-11-01, 01.11, пятница, завтра...) или clear
+ * @returns {object} - Результат операции
+ */
+function setTaskDue(taskId, value) {
+  const clear = CLEAR_VALUES.includes(String(value || '').trim().toLowerCase());
+  const due = clear ? null : dueDates.parseDueDate(value);
+
+  if (!clear && !due) {
+    return { success: false, message: t('due.invalidDate', { value }) };
+  }
+
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const item = dependencies.buildIndex(tasksData).get(dependencies.normalizeId(taskId));
+
+    if (!item) {
+      return { success: false, message: t('common.taskNotFound', { id: taskId }) };
+    }
+
+    dueDates.setDue(item, due);
+
+    // Дата изменения хранится у задачи, в том числе при изменении подзадачи
+    const task = tasksData.tasks.find(entry => entry.id === parseInt(taskId));
+    task.updated_at = new Date().toISOString();
+
+    if (!saveTasks(tasksData)) {
+      return { success: false, message: t('common.saveFailed') };
+    }
+
+    return {
+      success: true,
+      message: due ? t('due.set', { id: item.id, due }) : t('due.cleared', { id: item.id }),
+      taskId: item.id,
+      due
+    };
+  });
+}
+
+/**
+ * Сформировать строку задачи для отчета
+ * @param {object} item - Элемент отчета
+ * @returns {string}
+ */
+function formatDueItem(item) {
+  let left;
+  if (item.daysLeft < 0) {
+    left = chalk.red(t('due.daysOverdue', { days: -item.daysLeft }));
+  } else if (item.daysLeft === 0) {
+    left = chalk.yellow(t('due.dueToday'));
+  } else {
+    left = chalk.dim(t('due.daysLeft', { days: item.daysLeft }));
+  }
+
+  const parent = item.parentId !== undefined ? ` ${chalk.dim(t('list.subtaskOf', { id: item.parentId }))}` : '';
+  return `  📅 ${item.due} [${item.id}] ${item.title}${parent} ${left}`;
+}
+
+/**
+ * Разобрать параметры отчета: --days N
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {object} - { days } или { error }
+ */
+function parseReportOptions(args) {
+  const [flag, inlineValue] = (args[0] || '').split(/=(.*)/s);
+
+  if (args.length === 0) {
+    return { days: DEFAULT_REPORT_DAYS };
+  }
+
+  const days = parseInt(inlineValue !== undefined ? inlineValue : args[1]);
+  if (flag !== '--days' || Number.isNaN(days) || days < 0) {
+    return { error: t('due.invalidDays') };
+  }
+
+  return { days };
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('due.help.title')}\n`));
+  console.log(`${t('due.help.usage')}\n`);
+  console.log(t('due.help.examplesHeader'));
+  ['report', 'days', 'set', 'weekday', 'clear'].forEach(example => {
+    console.log(`  ${t(`due.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const args = output.stripOutputFlags(process.argv.slice(2));
+
+  if (args[0] === 'help') {
+    showHelp();
+  } else if (args.length === 0 || args[0].startsWith('--')) {
+    const options = parseReportOptions(args);
+
+    if (options.error) {
+      console.log(chalk.red(`✗ ${options.error}`));
+      output.finish({ success: false, message: options.error });
+    } else {
+      const result = getDueReport(options);
+      output.finish(result, [...result.overdue, ...result.upcoming]);
+
+      console.log(chalk.cyan(result.message));
+      if (result.overdue.length > 0) {
+        console.log(chalk.red(`\n${t('due.overdueHeader')}`));
+        result.overdue.forEach(item => console.log(formatDueItem(item)));
+      }
+      if (result.upcoming.length > 0) {
+        console.log(chalk.yellow(`\n${t('due.upcomingHeader')}`));
+        result.upcoming.forEach(item => console.log(formatDueItem(item)));
+      }
+      console.log('');
+    }
+  } else if (args.length >= 2) {
+    const result = setTaskDue(args[0], args.slice(1).join(' '));
+    output.finish(result);
+
+    if (result.success) {
+      console.log(chalk.green(`✓ ${result.message}`));
+    } else {
+      console.log(chalk.red(`✗ ${result.message}`));
+    }
+  } else {
+    showHelp();
+    output.finish({ success: false, message: t('due.help.usage') });
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  collectDueItems,
+  getDueReport,
+  setTaskDue,
+  formatDueItem
+};
@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для редактирования задач и подзадач
+ * edit <id> --title/--description/--priority меняет поля задачи из командной строки,
+ * edit <id> без параметров открывает задачу в редакторе ($VISUAL или $EDITOR)
+ * в виде Markdown: поля - во front-matter между строками ---, описание - после него
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { spawnSync } = require('child_process');
+const store = require('./task-store');
+const output = require('./output');
+const contextTracker = require('./context-tracker');
+const subtaskTree = require('./subtask-tree');
+const dependencies = require('./dependencies');
+const tags = require('./tags');
+const dueDates = require('./due-dates');
+const estimates = require('./estimates');
+const priorities = require('./priorities');
+const assignees = require('./assignees');
+const { normalizePriority, PRIORITY_ALIASES } = require('./schema');
+const { t } = require('./i18n');
+
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
+
+// Поля front-matter в порядке вывода; теги задаются только задачам
+const FRONT_MATTER_FIELDS = ['title', 'priority', 'tags', 'due', 'estimate', 'assignee', 'dependsOn'];
+
+// Параметры командной строки и поля, которые они меняют
+const EDIT_FLAGS = {
+  '--title': 'title',
+  '--description': 'description',
+  '--priority': 'priority'
+};
+
+/**
+ * Разобрать новое значение поля
+ * @param {string} field - Поле
+ * @param {string} text - Значение (пустая строка - снять значение)
+ * @param {boolean} isTask - Изменяется задача, а не подзадача
+ * @returns {object} - { value } - значение для записи (null - удалить поле) или { error }
+ */
+function parseFieldValue(field, text, isTask) {
+  const value = String(text === undefined || text === null ? '' : text).trim();
+
+  switch (field) {
+    case 'title':
+      return value ? { value } : { error: t('edit.errors.emptyTitle') };
+    case 'description':
+      return { value: value || null };
+    case 'priority':
+      // Подзадача без приоритета следует приоритету задачи
+      if (!value && !isTask) return { value: null };
+      return /^[1-3]$/.test(value) || PRIORITY_ALIASES[value.toLowerCase()]
+        ? { value: normalizePriority(value) }
+        : { error: t('edit.errors.invalidPriority', { value }) };
+    case 'tags': {
+      if (!isTask) {
+        return value ? { error: t('edit.errors.subtaskTags') } : { value: null };
+      }
+      const parsed = tags.parseTags(value);
+      return parsed.invalid.length > 0
+        ? { error: t('edit.errors.invalidTags', { values: parsed.invalid.join(', ') }) }
+        : { value: parsed.tags };
+    }
+    case 'due': {
+      if (!value) return { value: null };
+      const due = dueDates.parseDueDate(value);
+      return due ? { value: due } : { error: t('edit.errors.invalidDue', { value }) };
+    }
+    case 'estimate': {
+      if (!value) return { value: null };
+      const estimate = estimates.parseEstimate(value);
+      return estimate !== null ? { value: estimate } : { error: t('edit.errors.invalidEstimate', { value }) };
+    }
+    case 'assignee':
+      return { value: assignees.normalizeAssignee(value) };
+    case 'dependsOn': {
+      const ids = value.split(/[\s,]+/).filter(Boolean).map(dependencies.normalizeId);
+      return { value: ids.length > 0 ? ids : null };
+    }
+    default:
+      return { error: t('edit.errors.unknownField', { field }) };
+  }
+}
+
+/**
+ * Записать значение поля в задачу или подзадачу
+ * @param {object} item - Задача или подзадача
+ * @param {string} field - Поле
+ * @param {*} value - Значение (null - удалить поле)
+ * @param {boolean} isTask - Изменяется задача, а не подзадача
+ */
+function setFieldValue(item, field, value, isTask) {
+  if (field === 'priority' && !isTask) {
+    priorities.setSubtaskPriority(item, value);
+  } else if (field === 'tags') {
+    tags.setTags(item, value || []);
+  } else if (value === null) {
+    delete item[field];
+  } else {
+    item[field] = value;
+  }
+}
+
+/**
+ * Изменить поля задачи или подзадачи.
+ * Зависимости проверяются при сохранении, изменение записывается в историю
+ *
+ * @param {string} taskId - ID задачи или подзадачи
+ * @param {object} changes - Поле → новое значение в текстовом виде (пустая строка - снять значение)
+ * @returns {object} - Результат операции; changed - измененные поля
+ */
+function editTask(taskId, changes) {
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const itemPath = subtaskTree.findPath(tasksData, taskId);
+
+    if (!itemPath) {
+      return { success: false, message: t('common.taskNotFound', { id: taskId }) };
+    }
+
+    const task = itemPath[0];
+    const item = itemPath[itemPath.length - 1];
+    const isTask = item === task;
+
+    // Все значения проверяются до изменения задачи
+    const values = {};
+    for (const [field, text] of Object.entries(changes)) {
+      const parsed = parseFieldValue(field, text, isTask);
+      if (parsed.error) {
+        return { success: false, message: parsed.error };
+      }
+      values[field] = parsed.value;
+    }
+
+    const changed = Object.keys(values).filter(field => {
+      const before = JSON.stringify(item[field]);
+      setFieldValue(item, field, values[field], isTask);
+      return JSON.stringify(item[field]) !== before;
+    });
+
+    if (changed.length === 0) {
+      return { success: true, message: t('edit.noChanges', { id: item.id }), taskId: item.id, changed };
+    }
+
+    task.updated_at = new Date().toISOString();
+
+    if (!saveTasks(tasksData)) {
+      return { success: false, message: t('common.saveFailed') };
+    }
+
+    contextTracker.addHistoryEntry(
+      task.id,
+      'update',
+      t('history.taskEdited', { id: item.id, title: item.title, fields: changed.join(', ') }),
+      { ...(isTask ? {} : { subtaskId: item.id }), fields: changed }
+    );
+
+    return {
+      success: true,
+      message: t('edit.updated', { id: item.id, fields: changed.join(', ') }),
+      taskId: item.id,
+      changed
+    };
+  });
+}
+
+/**
+ * Представить задачу или подзадачу в виде Markdown с front-matter для редактора
+ * @param {object} item - Задача или подзадача
+ * @param {boolean} isTask - Задача, а не подзадача
+ * @returns {string}
+ */
+function renderTaskMarkdown(item, isTask) {
+  const formatField = field => {
+    const value = item[field];
+    const text = Array.isArray(value) ? value.join(', ') : (value === undefined || value === null ? '' : String(value));
+    return text ? `${field}: ${text}` : `${field}:`;
+  };
+  const fields = FRONT_MATTER_FIELDS.filter(field => isTask || field !== 'tags');
+
+  return [
+    '---',
+    `# ${t('edit.editor.header', { id: item.id, status: item.status })}`,
+    `# ${t('edit.editor.hint')}`,
+    ...fields.map(formatField),
+    '---',
+    '',
+    item.description || '',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Разобрать Markdown из редактора: поля front-matter и описание после него.
+ * Строки front-matter, начинающиеся с #, - комментарии; отсутствующие поля не меняются
+ *
+ * @param {string} text - Текст файла
+ * @returns {object} - { changes } для editTask или { error }
+ */
+function parseTaskMarkdown(text) {
+  const lines = String(text).replace(/\r\n/g, '\n').split('\n');
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+
+  if (lines[0].trim() !== '---' || end === -1) {
+    return { error: t('edit.errors.noFrontMatter') };
+  }
+
+  const changes = {};
+  for (const line of lines.slice(1, end)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    const match = trimmed.match(/^(\w+):\s*(.*)$/);
+    if (!match) {
+      return { error: t('edit.errors.invalidLine', { line: trimmed }) };
+    }
+    if (!FRONT_MATTER_FIELDS.includes(match[1])) {
+      return { error: t('edit.errors.unknownField', { field: match[1] }) };
+    }
+    changes[match[1]] = match[2];
+  }
+
+  changes.description = lines.slice(end + 1).join('\n').trim();
+  return { changes };
+}
+
+/**
+ * Отредактировать задачу или подзадачу в редакторе ($VISUAL, $EDITOR или vi).
+ * Если изменения не удалось применить, файл с ними остается во временной директории
+ *
+ * @param {string} taskId - ID задачи или подзадачи
+ * @returns {object} - Результат операции
+ */
+function editInEditor(taskId) {
+  const itemPath = subtaskTree.findPath(loadTasks(), taskId);
+  if (!itemPath) {
+    return { success: false, message: t('common.taskNotFound', { id: taskId }) };
+  }
+
+  const item = itemPath[itemPath.length - 1];
+  const file = path.join(os.tmpdir(), `task-master-${item.id}-${process.pid}.md`);
+  fs.writeFileSync(file, renderTaskMarkdown(item, itemPath.length === 1));
+
+  // Редактор может быть задан с параметрами: "code --wait"
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const run = spawnSync(`${editor} "${file}"`, { stdio: 'inherit', shell: true });
+  if (run.status !== 0) {
+    fs.unlinkSync(file);
+    return { success: false, message: t('edit.errors.editorFailed', { editor }) };
+  }
+
+  const parsed = parseTaskMarkdown(fs.readFileSync(file, 'utf8'));
+  const result = parsed.error ? { success: false, message: parsed.error } : editTask(taskId, parsed.changes);
+
+  if (result.success) {
+    fs.unlinkSync(file);
+    return result;
+  }
+  return { ...result, message: `${result.message}. ${t('edit.editor.keptFile', { file })}`, file };
+}
+
+/**
+ * Разобрать аргументы: "<id> [--title <текст>] [--description <текст>] [--priority <приоритет>]".
+ * Значения можно передавать как "--title Текст" или "--title=Текст"
+ *
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {object} - { taskId, changes } - changes пуст, если параметров нет (редактор); либо { error }
+ */
+function parseEditArgs(args) {
+  const result = { taskId: null, changes: {} };
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+
+    if (EDIT_FLAGS[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined) {
+        return { error: t('edit.errors.missingValue', { flag }) };
+      }
+      result.changes[EDIT_FLAGS[flag]] = value;
+    } else if (!args[i].startsWith('--') && !result.taskId) {
+      result.taskId = args[i];
+    } else {
+      return { error: t('edit.errors.unknownOption', { option: args[i] }) };
+    }
+  }
+
+  return result;
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('edit.help.title')}\n`));
+  console.log(`${t('edit.help.usage')}\n`);
+  console.log(t('edit.help.examplesHeader'));
+  ['title', 'priority', 'description', 'editor'].forEach(example => {
+    console.log(`  ${t(`edit.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const args = output.stripOutputFlags(process.argv.slice(2));
+  const parsed = parseEditArgs(args);
+
+  if (parsed.error) {
+    console.log(chalk.red(`✗ ${parsed.error}`));
+    showHelp();
+    output.finish({ success: false, message: parsed.error });
+  } else if (!parsed.taskId || parsed.taskId === 'help') {
+    showHelp();
+    if (parsed.taskId !== 'help') {
+      output.finish({ success: false, message: t('edit.help.usage') });
+    }
+  } else {
+    const result = Object.keys(parsed.changes).length > 0
+      ? editTask(parsed.taskId, parsed.changes)
+      : editInEditor(parsed.taskId);
+    output.finish(result);
+
+    if (result.success) {
+      console.log(chalk.green(`✓ ${result.message}`));
+    } else {
+      console.log(chalk.red(`✗ ${result.message}`));
+    }
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  editTask,
+  renderTaskMarkdown,
+  parseTaskMarkdown,
+  parseEditArgs
+};
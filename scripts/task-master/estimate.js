@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для оценки трудоемкости задач
+ * Позволяет установить или снять оценку задачи или подзадачи (поле estimate)
+ */
+
+const chalk = require('chalk');
+const store = require('./task-store');
+const output = require('./output');
+const dependencies = require('./dependencies');
+const estimates = require('./estimates');
+const { t } = require('./i18n');
+
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
+
+// Значения, снимающие оценку задачи
+const CLEAR_VALUES = ['clear', 'none', '-', 'снять', 'нет'];
+
+/**
+ * Установить или снять оценку задачи или подзадачи
+ * @param {string} taskId - ID задачи или подзадачи
+ * @param {string} value - Оценка (3, 1.5) или clear
+ * @returns {object} - Результат операции
+ */
+function setTaskEstimate(taskId, value) {
+  const clear = CLEAR_VALUES.includes(String(value || '').trim().toLowerCase());
+  const estimate = clear ? null : estimates.parseEstimate(value);
+
+  if (!clear && estimate === null) {
+    return { success: false, message: t('estimate.invalid', { value }) };
+  }
+
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const item = dependencies.buildIndex(tasksData).get(dependencies.normalizeId(taskId));
+
+    if (!item) {
+      return { success: false, message: t('common.taskNotFound', { id: taskId }) };
+    }
+
+    estimates.setEstimate(item, estimate);
+
+    // Дата изменения хранится у задачи, в том числе при изменении подзадачи
+    const task = tasksData.tasks.find(entry => entry.id === parseInt(taskId));
+    task.updated_at = new Date().toISOString();
+
+    if (!saveTasks(tasksData)) {
+      return { success: false, message: t('common.saveFailed') };
+    }
+
+    return {
+      success: true,
+      message: estimate !== null
+        ? t('estimate.set', { id: item.id, estimate: estimates.formatEstimate(estimate) })
+        : t('estimate.cleared', { id: item.id }),
+      taskId: item.id,
+      estimate
+    };
+  });
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('estimate.help.title')}\n`));
+  console.log(`${t('estimate.help.usage')}\n`);
+  console.log(t('estimate.help.examplesHeader'));
+  ['set', 'subtask', 'clear'].forEach(example => {
+    console.log(`  ${t(`estimate.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const [taskId, value] = output.stripOutputFlags(process.argv.slice(2));
+
+  if (taskId && value !== undefined) {
+    const result = setTaskEstimate(taskId, value);
+    output.finish(result);
+
+    if (result.success) {
+      console.log(chalk.green(`✓ ${result.message}`));
+    } else {
+      console.log(chalk.red(`✗ ${result.message}`));
+    }
+  } else {
+    showHelp();
+    if (taskId !== 'help') {
+      output.finish({ success: false, message: t('estimate.help.usage') });
+    }
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  setTaskEstimate
+};
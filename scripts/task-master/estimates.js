@@ -0,0 +1,104 @@
+/**
+ * Оценки трудоемкости задач (поле estimate)
+ * Оценка - неотрицательное число в единицах, принятых в команде (очки или часы).
+ * Задается задачам и подзадачам; в тексте задачи записывается меткой [E:3]
+ * (или [оценка:3], [estimate:3]), которая переносится в поле estimate.
+ */
+
+// Метка оценки в тексте задачи
+const ESTIMATE_MARK_REGEX = /(^|\s)\[(?:e|оценка|estimate):\s*(\d+(?:[.,]\d+)?)\](?=\s|$)/i;
+
+/**
+ * Разобрать значение оценки: "3", "1.5", "2,5"
+ * @param {*} value - Значение
+ * @returns {number|null} - Оценка или null, если значение некорректно
+ */
+function parseEstimate(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim().replace(',', '.');
+  if (!/^\d+(?:\.\d+)?$/.test(text)) return null;
+  return Number(text);
+}
+
+/**
+ * Извлечь оценку из названия задачи или подзадачи: "Авторизация [E:3]"
+ * @param {string} text - Название
+ * @returns {object} - { text, estimate } - название без метки и оценка (или null)
+ */
+function extractEstimate(text) {
+  const source = String(text || '');
+  const match = source.match(ESTIMATE_MARK_REGEX);
+
+  if (!match) {
+    return { text: source.trim(), estimate: null };
+  }
+
+  return {
+    text: source.replace(match[0], match[1]).replace(/\s{2,}/g, ' ').trim(),
+    estimate: parseEstimate(match[2])
+  };
+}
+
+/**
+ * Установить оценку задачи или подзадачи. Пустую оценку не храним
+ * @param {object} item - Задача или подзадача
+ * @param {number|null} estimate - Оценка
+ */
+function setEstimate(item, estimate) {
+  if (estimate !== null && estimate !== undefined) {
+    item.estimate = estimate;
+  } else {
+    delete item.estimate;
+  }
+}
+
+/**
+ * Оценка задачи или подзадачи: собственная оценка или сумма оценок подзадач
+ * (на всех уровнях вложенности)
+ *
+ * @param {object} task - Задача или подзадача
+ * @returns {number|null} - null, если оценок нет
+ */
+function getTaskEstimate(task) {
+  if (typeof task.estimate === 'number') return task.estimate;
+
+  const estimated = (task.subtasks || []).map(getTaskEstimate).filter(estimate => estimate !== null);
+  return estimated.length > 0 ? estimated.reduce((sum, estimate) => sum + estimate, 0) : null;
+}
+
+/**
+ * Оставшаяся работа по задаче. Если оценены подзадачи, учитываются
+ * только невыполненные и неотмененные; иначе - оценка задачи целиком
+ *
+ * @param {object} task - Задача или подзадача
+ * @param {number} defaultEstimate - Оценка для задач без оценки
+ * @returns {number}
+ */
+function getRemainingEstimate(task, defaultEstimate) {
+  if (task.status === 'done' || task.status === 'cancelled') return 0;
+
+  const subtasks = task.subtasks || [];
+  if (typeof task.estimate !== 'number' && subtasks.some(subtask => getTaskEstimate(subtask) !== null)) {
+    return subtasks.reduce((sum, subtask) => sum + getRemainingEstimate(subtask, 0), 0);
+  }
+
+  const estimate = getTaskEstimate(task);
+  return estimate !== null ? estimate : defaultEstimate;
+}
+
+/**
+ * Число для вывода: без лишних нулей после запятой
+ * @param {number} value - Значение
+ * @returns {string}
+ */
+function formatEstimate(value) {
+  return String(Math.round(value * 10) / 10);
+}
+
+module.exports = {
+  parseEstimate,
+  extractEstimate,
+  setEstimate,
+  getTaskEstimate,
+  getRemainingEstimate,
+  formatEstimate
+};
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для прогноза завершения задач
+ * Считает скорость команды (velocity) - сколько оценки выполняется за неделю
+ * по истории выполнения задач из context.json, - и по оставшейся оценке
+ * невыполненных задач прогнозирует дату завершения. Выводит диаграмму сгорания
+ * (burndown): прошедшие недели по истории и прогноз на следующие недели
+ */
+
+const chalk = require('chalk');
+const store = require('./task-store');
+const output = require('./output');
+const estimates = require('./estimates');
+const dueDates = require('./due-dates');
+const statuses = require('./statuses');
+const { t } = require('./i18n');
+
+// Сколько последних недель учитывать при расчете скорости по умолчанию
+const DEFAULT_WEEKS = 4;
+
+// Оценка задачи, у которой нет ни собственной оценки, ни оценок подзадач
+const DEFAULT_ESTIMATE = 1;
+
+// Наибольшее число недель прогноза в таблице
+const MAX_PROJECTED_WEEKS = 26;
+
+// Ширина столбика диаграммы
+const BAR_WIDTH = 30;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Выполненные задачи с датой выполнения из истории context.json.
+ * Выполнение - запись с действием complete или со сменой статуса на done
+ * (записи о подзадачах не учитываются); для задачи, выполненной несколько раз,
+ * берется последняя запись
+ *
+ * @param {object} tasksData - Данные tasks.json
+ * @param {object} context - Данные context.json
+ * @returns {object[]} - [{ taskId, title, points, completedAt }]
+ */
+function getCompletions(tasksData, context) {
+  const completedAt = new Map();
+
+  (context.taskHistory || []).forEach(entry => {
+    const details = entry.details || {};
+    const isCompletion = !details.subtaskId && (entry.action === 'complete' || details.newStatus === 'done');
+    if (isCompletion) {
+      completedAt.set(entry.taskId, entry.timestamp);
+    }
+  });
+
+  return tasksData.tasks
+    .filter(task => task.status === 'done' && completedAt.has(task.id))
+    .map(task => {
+      const estimate = estimates.getTaskEstimate(task);
+      return {
+        taskId: task.id,
+        title: task.title,
+        points: estimate !== null ? estimate : DEFAULT_ESTIMATE,
+        completedAt: completedAt.get(task.id)
+      };
+    });
+}
+
+/**
+ * Рассчитать скорость, прогноз и диаграмму сгорания
+ * @param {object} options - { weeks } - сколько последних недель учитывать
+ * @returns {object} - Результат операции
+ */
+function getForecast(options = {}) {
+  const weeks = options.weeks || DEFAULT_WEEKS;
+  const now = new Date();
+  const tasksData = store.loadTasks();
+  const context = store.loadContext() || { taskHistory: [] };
+
+  const openTasks = tasksData.tasks.filter(task => !statuses.isClosed(task.status));
+  const remaining = openTasks.reduce((sum, task) => sum + estimates.getRemainingEstimate(task, DEFAULT_ESTIMATE), 0);
+  const unestimated = openTasks.filter(task => estimates.getTaskEstimate(task) === null).map(task => task.id);
+
+  // Выполненная оценка по неделям: последние weeks недель, заканчивая сегодняшним днем
+  const windowStart = now.getTime() - weeks * WEEK_MS;
+  const completions = getCompletions(tasksData, context);
+  const doneAfter = time => completions
+    .filter(item => Date.parse(item.completedAt) >= time)
+    .reduce((sum, item) => sum + item.points, 0);
+
+  const burndown = [];
+  for (let week = 0; week < weeks; week++) {
+    const start = windowStart + week * WEEK_MS;
+    const end = start + WEEK_MS;
+    burndown.push({
+      week: dueDates.formatDay(new Date(start)),
+      done: doneAfter(start) - doneAfter(end),
+      remaining: remaining + doneAfter(end),
+      projected: false
+    });
+  }
+
+  const velocity = doneAfter(windowStart) / weeks;
+
+  // Прогноз: оставшаяся оценка уменьшается на velocity каждую неделю
+  let completionDate = null;
+  if (remaining === 0) {
+    completionDate = dueDates.formatDay(now);
+  } else if (velocity > 0) {
+    completionDate = dueDates.formatDay(new Date(now.getTime() + (remaining / velocity) * WEEK_MS));
+
+    let left = remaining;
+    for (let week = 1; left > 0 && week <= MAX_PROJECTED_WEEKS; week++) {
+      const done = Math.min(velocity, left);
+      left -= done;
+      burndown.push({
+        week: dueDates.formatDay(new Date(now.getTime() + (week - 1) * WEEK_MS)),
+        done,
+        remaining: left,
+        projected: true
+      });
+    }
+  }
+
+  let message = t('forecast.noVelocity', { weeks });
+  if (remaining === 0) {
+    message = t('forecast.allDone');
+  } else if (completionDate) {
+    message = t('forecast.completion', { date: completionDate });
+  }
+
+  return {
+    success: true,
+    message,
+    weeks,
+    velocity,
+    remaining,
+    unestimated,
+    completionDate,
+    burndown
+  };
+}
+
+/**
+ * Разобрать параметры: --weeks N
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {object} - { weeks } или { error }
+ */
+function parseForecastOptions(args) {
+  if (args.length === 0) {
+    return { weeks: DEFAULT_WEEKS };
+  }
+
+  const [flag, inlineValue] = args[0].split(/=(.*)/s);
+  const weeks = parseInt(inlineValue !== undefined ? inlineValue : args[1]);
+  if (flag !== '--weeks' || Number.isNaN(weeks) || weeks < 1) {
+    return { error: t('forecast.invalidWeeks') };
+  }
+
+  return { weeks };
+}
+
+/**
+ * Вывести диаграмму сгорания таблицей
+ * @param {object[]} burndown - Строки диаграммы
+ */
+function printBurndown(burndown) {
+  const max = Math.max(1, ...burndown.map(row => row.remaining));
+
+  console.log(chalk.bold(`\n${t('forecast.table.header')}`));
+  burndown.forEach(row => {
+    const bar = '█'.repeat(Math.round((row.remaining / max) * BAR_WIDTH));
+    const line = `  ${row.week}  ${estimates.formatEstimate(row.done).padStart(6)}  ${estimates.formatEstimate(row.remaining).padStart(9)}  ${bar}`;
+    console.log(row.projected ? chalk.dim(`${line} ${t('forecast.table.projected')}`) : line);
+  });
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('forecast.help.title')}\n`));
+  console.log(`${t('forecast.help.usage')}\n`);
+  console.log(t('forecast.help.examplesHeader'));
+  ['forecast', 'weeks'].forEach(example => {
+    console.log(`  ${t(`forecast.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const args = output.stripOutputFlags(process.argv.slice(2));
+
+  if (args[0] === 'help') {
+    showHelp();
+  } else {
+    const options = parseForecastOptions(args);
+
+    if (options.error) {
+      console.log(chalk.red(`✗ ${options.error}`));
+      output.finish({ success: false, message: options.error });
+    } else {
+      const result = getForecast(options);
+      output.finish(result, result.burndown);
+
+      console.log(chalk.bold(`\n${t('forecast.title')}\n`));
+      console.log(t('forecast.velocity', { velocity: estimates.formatEstimate(result.velocity), weeks: result.weeks }));
+      console.log(t('forecast.remaining', { remaining: estimates.formatEstimate(result.remaining) }));
+      if (result.unestimated.length > 0) {
+        console.log(chalk.yellow(t('forecast.unestimated', { ids: result.unestimated.join(', '), estimate: DEFAULT_ESTIMATE })));
+      }
+      console.log(chalk.cyan(`\n${result.message}`));
+      printBurndown(result.burndown);
+      console.log('');
+    }
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  getCompletions,
+  getForecast
+};
@@ -9,42 +9,27 @@ const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const readline = require('readline');
+const store = require('./task-store');
+const tags = require('./tags');
+const dueDates = require('./due-dates');
+const estimates = require('./estimates');
+const priorities = require('./priorities');
+const subtaskTree = require('./subtask-tree');
+const dependencies = require('./dependencies');
+const { DEFAULT_PRIORITY } = require('./schema');
+const { t } = require('./i18n');
 
-// Путь к файлу задач
-const tasksFile = path.join(process.cwd(), 'tasks', 'tasks.json');
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
 
-// Создаем интерфейс для чтения с консоли
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-// Функция загрузки задач из файла
-function loadTasks() {
-  if (!fs.existsSync(tasksFile)) {
-    console.log(chalk.red('✗ Файл tasks.json не найден. Запустите npm run task-master:init'));
-    process.exit(1);
-  }
-  
-  try {
-    const data = fs.readFileSync(tasksFile, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.log(chalk.red(`✗ Ошибка при чтении файла: ${error.message}`));
-    process.exit(1);
-  }
-}
-
-// Функция сохранения задач в файл
-function saveTasks(tasksData) {
-  try {
-    fs.writeFileSync(tasksFile, JSON.stringify(tasksData, null, 2));
-    return true;
-  } catch (error) {
-    console.log(chalk.red(`✗ Ошибка при сохранении файла: ${error.message}`));
-    return false;
-  }
-}
+// Создаем интерфейс для чтения с консоли (только при запуске из командной строки,
+// чтобы модуль можно было подключать из других скриптов)
+const rl = require.main === module
+  ? readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  })
+  : null;
 
 // Функция для получения нового ID задачи
 function getNextTaskId(tasks) {
@@ -52,29 +37,68 @@ function getNextTaskId(tasks) {
   return Math.max(...tasks.map(task => task.id)) + 1;
 }
 
+// Функция для добавления новых задач в файл.
+// Файл перечитывается под блокировкой, а ID назначаются заново, чтобы не затереть
+// задачи, добавленные другим процессом, пока пользователь вводил описание.
+// Вместе с задачей перенумеровываются все уровни её подзадач и ссылки на них
+// в зависимостях новых задач
+function appendTasks(newTasks) {
+  return store.withLock(() => {
+    const freshData = loadTasks();
+    const renamedIds = {};
+    
+    for (const task of newTasks) {
+      Object.assign(renamedIds, subtaskTree.renumber(task, getNextTaskId(freshData.tasks)));
+      freshData.tasks.push(task);
+    }
+    
+    // Старые ID могут совпадать с ID задач в файле, поэтому обновляются только новые задачи
+    dependencies.updateReferences({ tasks: newTasks }, renamedIds);
+    
+    return saveTasks(freshData);
+  });
+}
+
+// Функция для создания подзадачи из строки "- текст"
+// (приоритет [P:1], оценка [E:2] и срок due:... переносятся в поля priority, estimate и due)
+function buildSubtask(line, id) {
+  const { text: titleWithEstimate, priority } = priorities.extractPriority(line.trim().replace(/^[\-\*]\s+/, ''));
+  const { text: titleWithDue, estimate } = estimates.extractEstimate(titleWithEstimate);
+  const { text: title, due } = dueDates.extractDue(titleWithDue);
+  const subtask = {
+    id,
+    title,
+    status: 'pending'
+  };
+  priorities.setSubtaskPriority(subtask, priority);
+  dueDates.setDue(subtask, due);
+  estimates.setEstimate(subtask, estimate);
+  
+  return subtask;
+}
+
 // Функция для создания задачи из текстового описания
 function generateTaskFromDescription(description, tasksData) {
-  console.log(chalk.blue('\nАнализируем описание...\n'));
+  console.log(chalk.blue(`\n${t('generate.analyzing')}\n`));
   
   // Разбиваем описание на строки
   const lines = description.split('\n').filter(line => line.trim() !== '');
   
-  // Первая строка будет заголовком
-  const title = lines[0].trim();
+  // Первая строка будет заголовком, теги (#backend), приоритет ([P:1], !high), оценка ([E:3])
+  // и срок (due:2026-11-01) из неё переносятся в поля tags, priority, estimate и due
+  const { text: titleWithPriority, tags: taskTags } = tags.extractTags(lines[0].trim());
+  const { text: titleWithEstimate, priority } = priorities.extractPriority(titleWithPriority);
+  const { text: titleWithDue, estimate } = estimates.extractEstimate(titleWithEstimate);
+  const { text: title, due } = dueDates.extractDue(titleWithDue);
   
-  // Определяем подзадачи (строки, начинающиеся с - или *)
+  // Определяем подзадачи (строки, начинающиеся с - или *); строка с большим отступом
+  // становится подзадачей предыдущей строки
   const subtasksLines = lines.slice(1).filter(line => line.trim().match(/^[\-\*]\s+/));
-  const subtasks = subtasksLines.map((line, index) => {
-    return {
-      id: `${getNextTaskId(tasksData.tasks)}.${index + 1}`,
-      title: line.trim().replace(/^[\-\*]\s+/, ''),
-      status: 'pending'
-    };
-  });
+  const subtasks = subtaskTree.nestByIndent(subtasksLines, getNextTaskId(tasksData.tasks), buildSubtask);
   
   // Создаем описание из оставшихся строк
   const descLines = lines.slice(1).filter(line => !line.trim().match(/^[\-\*]\s+/));
-  const taskDescription = descLines.join('\n').trim() || 'Нет описания';
+  const taskDescription = descLines.join('\n').trim() || t('generate.noDescription');
   
   // Создаем новую задачу
   const newTask = {
@@ -82,11 +106,14 @@ function generateTaskFromDescription(description, tasksData) {
     title,
     description: taskDescription,
     status: 'pending',
-    priority: 2, // По умолчанию средний приоритет
+    priority: priority || DEFAULT_PRIORITY, // По умолчанию средний приоритет
     subtasks,
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString()
   };
+  tags.setTags(newTask, taskTags);
+  dueDates.setDue(newTask, due);
+  estimates.setEstimate(newTask, estimate);
   
   return newTask;
 }
@@ -95,11 +122,11 @@ function generateTaskFromDescription(description, tasksData) {
 function generateMultipleTasks() {
   const tasksData = loadTasks();
   
-  console.log(chalk.bold('\n📝 Пакетная генерация задач\n'));
-  console.log(chalk.blue('Введите несколько задач, разделяя их строкой "###".'));
-  console.log(chalk.blue('Для каждой задачи первая строка будет заголовком.'));
-  console.log(chalk.blue('Строки, начинающиеся с - или *, будут считаться подзадачами.'));
-  console.log(chalk.blue('Введите пустую строку для завершения ввода.\n'));
+  console.log(chalk.bold(`\n${t('generate.batchTitle')}\n`));
+  console.log(chalk.blue(t('generate.batchIntro')));
+  console.log(chalk.blue(t('generate.batchFormat')));
+  console.log(chalk.blue(t('generate.subtasksHint')));
+  console.log(chalk.blue(`${t('generate.finishHint')}\n`));
   
   let batchInput = '';
   
@@ -108,7 +135,7 @@ function generateMultipleTasks() {
     rl.question('> ', (input) => {
       if (input.trim() === '') {
         if (batchInput.trim() === '') {
-          console.log(chalk.yellow('Пустой ввод. Попробуйте ещё раз.'));
+          console.log(chalk.yellow(t('generate.emptyInput')));
           readLines();
           return;
         }
@@ -124,17 +151,11 @@ function generateMultipleTasks() {
   readLines();
 }
 
-// Функция для обработки пакетного ввода задач
-function processBatchTasks(batchInput, tasksData) {
+// Функция для создания задач из пакетного описания (задачи разделены "###").
+// Созданные задачи добавляются в tasksData.tasks и возвращаются списком
+function buildBatchTasks(batchInput, tasksData) {
   // Разбиваем ввод на отдельные задачи с помощью разделителя "###"
   const taskDescriptions = batchInput.split(/###/).map(desc => desc.trim()).filter(desc => desc);
-  
-  if (taskDescriptions.length === 0) {
-    console.log(chalk.yellow('Не удалось определить задачи в описании. Убедитесь, что вы разделяете задачи символами "###"'));
-    rl.close();
-    return;
-  }
-  
   const createdTasks = [];
   
   // Обрабатываем каждую задачу отдельно
@@ -144,25 +165,24 @@ function processBatchTasks(batchInput, tasksData) {
     
     if (lines.length === 0) continue;
     
-    // Первая строка будет заголовком
-    const title = lines[0].trim();
+    // Первая строка будет заголовком, теги (#backend), приоритет ([P:1], !high), оценка ([E:3])
+    // и срок (due:2026-11-01) из неё переносятся в поля tags, priority, estimate и due
+    const { text: titleWithPriority, tags: taskTags } = tags.extractTags(lines[0].trim());
+    const { text: titleWithEstimate, priority } = priorities.extractPriority(titleWithPriority);
+    const { text: titleWithDue, estimate } = estimates.extractEstimate(titleWithEstimate);
+    const { text: title, due } = dueDates.extractDue(titleWithDue);
     
-    // Определяем подзадачи (строки, начинающиеся с - или *)
+    // Определяем подзадачи (строки, начинающиеся с - или *); строка с большим отступом
+    // становится подзадачей предыдущей строки
     const subtasksLines = lines.slice(1).filter(line => line.trim().match(/^[\-\*]\s+/));
     
     const taskId = getNextTaskId(tasksData.tasks);
     
-    const subtasks = subtasksLines.map((line, index) => {
-      return {
-        id: `${taskId}.${index + 1}`,
-        title: line.trim().replace(/^[\-\*]\s+/, ''),
-        status: 'pending'
-      };
-    });
+    const subtasks = subtaskTree.nestByIndent(subtasksLines, taskId, buildSubtask);
     
     // Создаем описание из оставшихся строк
     const descLines = lines.slice(1).filter(line => !line.trim().match(/^[\-\*]\s+/));
-    const taskDescription = descLines.join('\n').trim() || 'Нет описания';
+    const taskDescription = descLines.join('\n').trim() || t('generate.noDescription');
     
     // Создаем новую задачу
     const newTask = {
@@ -170,57 +190,76 @@ function processBatchTasks(batchInput, tasksData) {
       title,
       description: taskDescription,
       status: 'pending',
-      priority: 2, // По умолчанию средний приоритет
+      priority: priority || DEFAULT_PRIORITY, // По умолчанию средний приоритет
       subtasks,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
+    tags.setTags(newTask, taskTags);
+    dueDates.setDue(newTask, due);
+    estimates.setEstimate(newTask, estimate);
     
     // Добавляем задачу в список
     tasksData.tasks.push(newTask);
     createdTasks.push(newTask);
   }
   
+  return createdTasks;
+}
+
+// Функция для обработки пакетного ввода задач
+function processBatchTasks(batchInput, tasksData) {
+  if (!batchInput.split(/###/).some(desc => desc.trim())) {
+    console.log(chalk.yellow(t('generate.noSeparator')));
+    rl.close();
+    return;
+  }
+  
+  const createdTasks = buildBatchTasks(batchInput, tasksData);
+  
   // Если ни одной задачи не создано
   if (createdTasks.length === 0) {
-    console.log(chalk.yellow('Не удалось создать задачи. Проверьте формат ввода.'));
+    console.log(chalk.yellow(t('generate.noTasksCreated')));
     rl.close();
     return;
   }
   
-  // Запрашиваем приоритет для всех задач
-  rl.question(chalk.blue('\nУкажите приоритет для всех задач (1 - высокий, 2 - средний, 3 - низкий) [2]: '), (priority) => {
-    const priorityValue = parseInt(priority) || 2;
-    const normalizedPriority = Math.min(Math.max(priorityValue, 1), 3); // От 1 до 3
+  // Запрашиваем приоритет для всех задач. Пустой ввод оставляет приоритеты из меток [P:1]
+  rl.question(chalk.blue(`\n${t('generate.batchPriorityPrompt')}`), (priority) => {
+    const priorityValue = parseInt(priority);
     
     // Устанавливаем приоритет для всех созданных задач
-    for (const task of createdTasks) {
-      task.priority = normalizedPriority;
+    if (!Number.isNaN(priorityValue)) {
+      const normalizedPriority = Math.min(Math.max(priorityValue, 1), 3); // От 1 до 3
       
-      // Находим задачу в исходном массиве и обновляем приоритет
-      const taskIndex = tasksData.tasks.findIndex(t => t.id === task.id);
-      if (taskIndex !== -1) {
-        tasksData.tasks[taskIndex].priority = normalizedPriority;
+      for (const task of createdTasks) {
+        task.priority = normalizedPriority;
+        
+        // Находим задачу в исходном массиве и обновляем приоритет
+        const taskIndex = tasksData.tasks.findIndex(t => t.id === task.id);
+        if (taskIndex !== -1) {
+          tasksData.tasks[taskIndex].priority = normalizedPriority;
+        }
       }
     }
     
     // Сохраняем задачи в файл
-    if (saveTasks(tasksData)) {
-      console.log(chalk.green(`\n✓ Создано задач: ${createdTasks.length}`));
+    if (appendTasks(createdTasks)) {
+      console.log(chalk.green(`\n${t('generate.tasksCreated', { count: createdTasks.length })}`));
       
       createdTasks.forEach(task => {
         console.log(chalk.bold(`\n[${task.id}] ${task.title}`));
-        console.log(chalk.dim(`  Приоритет: ${task.priority}`));
+        console.log(chalk.dim(`  ${t('common.priority', { priority: task.priority })}`));
         if (task.subtasks.length > 0) {
-          console.log(chalk.dim(`  Подзадач: ${task.subtasks.length}`));
-          task.subtasks.forEach(subtask => {
-            console.log(chalk.dim(`    - ${subtask.title}`));
+          console.log(chalk.dim(`  ${t('generate.subtaskCount', { count: task.subtasks.length })}`));
+          subtaskTree.walkSubtasks(task, (subtask, parent, depth) => {
+            console.log(chalk.dim(`  ${'  '.repeat(depth)}- ${subtask.title}`));
           });
         }
       });
       
-      console.log(chalk.green('\n✓ Генерация задач завершена!'));
-      console.log(chalk.blue('Используйте npm run task-master:list для просмотра всех задач.'));
+      console.log(chalk.green(`\n${t('generate.done')}`));
+      console.log(chalk.blue(t('generate.listHint')));
       rl.close();
     } else {
       rl.close();
@@ -232,7 +271,7 @@ function processBatchTasks(batchInput, tasksData) {
 function generateTasks() {
   const tasksData = loadTasks();
   
-  console.log(chalk.bold('\n📝 Генерация задач из описания\n'));
+  console.log(chalk.bold(`\n${t('generate.title')}\n`));
   
   // --- ПАТЧ: поддержка пакетного и одиночного режима через аргумент ---
   const args = process.argv.slice(2);
@@ -242,55 +281,29 @@ function generateTasks() {
       // Пакетный режим через аргумент
       const taskDescriptions = input.split(/###/).map(desc => desc.trim()).filter(desc => desc);
       if (taskDescriptions.length === 0) {
-        console.log(chalk.yellow('Не удалось определить задачи в описании. Убедитесь, что вы разделяете задачи символами "###"'));
+        console.log(chalk.yellow(t('generate.noSeparator')));
         process.exit(1);
       }
-      const createdTasks = [];
-      for (const taskDesc of taskDescriptions) {
-        const lines = taskDesc.split('\n').filter(line => line.trim() !== '');
-        if (lines.length === 0) continue;
-        const title = lines[0].trim();
-        const subtasksLines = lines.slice(1).filter(line => line.trim().match(/^[\-\*]\s+/));
-        const taskId = getNextTaskId(tasksData.tasks);
-        const subtasks = subtasksLines.map((line, index) => ({
-          id: `${taskId}.${index + 1}`,
-          title: line.trim().replace(/^[\-\*]\s+/, ''),
-          status: 'pending'
-        }));
-        const descLines = lines.slice(1).filter(line => !line.trim().match(/^[\-\*]\s+/));
-        const taskDescription = descLines.join('\n').trim() || 'Нет описания';
-        const newTask = {
-          id: taskId,
-          title,
-          description: taskDescription,
-          status: 'pending',
-          priority: 2,
-          subtasks,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        };
-        tasksData.tasks.push(newTask);
-        createdTasks.push(newTask);
-      }
+      const createdTasks = buildBatchTasks(input, tasksData);
       if (createdTasks.length === 0) {
-        console.log(chalk.yellow('Не удалось создать задачи. Проверьте формат ввода.'));
+        console.log(chalk.yellow(t('generate.noTasksCreated')));
         process.exit(1);
       }
-      // Приоритет через аргумент не поддержан, по умолчанию 2
-      if (saveTasks(tasksData)) {
-        console.log(chalk.green(`\n✓ Создано задач: ${createdTasks.length}`));
+      // Приоритет задается метками [P:1] в заголовках, по умолчанию 2
+      if (appendTasks(createdTasks)) {
+        console.log(chalk.green(`\n${t('generate.tasksCreated', { count: createdTasks.length })}`));
         createdTasks.forEach(task => {
           console.log(chalk.bold(`\n[${task.id}] ${task.title}`));
-          console.log(chalk.dim(`  Приоритет: ${task.priority}`));
+          console.log(chalk.dim(`  ${t('common.priority', { priority: task.priority })}`));
           if (task.subtasks.length > 0) {
-            console.log(chalk.dim(`  Подзадач: ${task.subtasks.length}`));
-            task.subtasks.forEach(subtask => {
-              console.log(chalk.dim(`    - ${subtask.title}`));
+            console.log(chalk.dim(`  ${t('generate.subtaskCount', { count: task.subtasks.length })}`));
+            subtaskTree.walkSubtasks(task, (subtask, parent, depth) => {
+              console.log(chalk.dim(`  ${'  '.repeat(depth)}- ${subtask.title}`));
             });
           }
         });
-        console.log(chalk.green('\n✓ Генерация задач завершена!'));
-        console.log(chalk.blue('Используйте npm run task-master:list для просмотра всех задач.'));
+        console.log(chalk.green(`\n${t('generate.done')}`));
+        console.log(chalk.blue(t('generate.listHint')));
         process.exit(0);
       } else {
         process.exit(1);
@@ -299,12 +312,12 @@ function generateTasks() {
       // Одиночная задача через аргумент
       const newTask = generateTaskFromDescription(input, tasksData);
       tasksData.tasks.push(newTask);
-      if (saveTasks(tasksData)) {
-        console.log(chalk.green(`\n✓ Задача #${newTask.id} "${newTask.title}" успешно создана!`));
-        console.log(chalk.dim(`  Приоритет: ${newTask.priority}`));
-        console.log(chalk.dim(`  Подзадач: ${newTask.subtasks.length}`));
-        console.log(chalk.green('\n✓ Генерация задач завершена!'));
-        console.log(chalk.blue('Используйте npm run task-master:list для просмотра всех задач.'));
+      if (appendTasks([newTask])) {
+        console.log(chalk.green(`\n${t('generate.taskCreated', { id: newTask.id, title: newTask.title })}`));
+        console.log(chalk.dim(`  ${t('common.priority', { priority: newTask.priority })}`));
+        console.log(chalk.dim(`  ${t('generate.subtaskCount', { count: newTask.subtasks.length })}`));
+        console.log(chalk.green(`\n${t('generate.done')}`));
+        console.log(chalk.blue(t('generate.listHint')));
         process.exit(0);
       } else {
         process.exit(1);
@@ -314,7 +327,7 @@ function generateTasks() {
   // --- КОНЕЦ ПАТЧА ---
   
   // Спрашиваем режим работы
-  rl.question(chalk.blue('Выберите режим работы:\n1 - Создать одну задачу\n2 - Создать несколько задач\nВыбор (1/2): '), (choice) => {
+  rl.question(chalk.blue(t('generate.modePrompt')), (choice) => {
     if (choice === '2') {
       // Запускаем режим создания нескольких задач
       generateMultipleTasks();
@@ -322,9 +335,9 @@ function generateTasks() {
     }
     
     // По умолчанию - режим создания одной задачи
-    console.log(chalk.blue('\nВведите описание задачи. Первая строка будет заголовком.'));
-    console.log(chalk.blue('Строки, начинающиеся с - или *, будут считаться подзадачами.'));
-    console.log(chalk.blue('Введите пустую строку для завершения ввода.\n'));
+    console.log(chalk.blue(`\n${t('generate.singleFormat')}`));
+    console.log(chalk.blue(t('generate.subtasksHint')));
+    console.log(chalk.blue(`${t('generate.finishHint')}\n`));
     
     let description = '';
     
@@ -333,7 +346,7 @@ function generateTasks() {
       rl.question('> ', (input) => {
         if (input.trim() === '') {
           if (description.trim() === '') {
-            console.log(chalk.yellow('Пустое описание. Попробуйте ещё раз.'));
+            console.log(chalk.yellow(t('generate.emptyDescription')));
             readLines();
             return;
           }
@@ -341,29 +354,29 @@ function generateTasks() {
           // Создаем задачу из описания
           const newTask = generateTaskFromDescription(description, tasksData);
           
-          // Запрашиваем приоритет
-          rl.question(chalk.blue('\nУкажите приоритет (1 - высокий, 2 - средний, 3 - низкий) [2]: '), (priority) => {
-            const priorityValue = parseInt(priority) || 2;
+          // Запрашиваем приоритет, по умолчанию - приоритет из метки [P:1] в заголовке
+          rl.question(chalk.blue(`\n${t('generate.priorityPrompt', { priority: newTask.priority })}`), (priority) => {
+            const priorityValue = parseInt(priority) || newTask.priority;
             newTask.priority = Math.min(Math.max(priorityValue, 1), 3); // От 1 до 3
             
             // Добавляем задачу в список
             tasksData.tasks.push(newTask);
             
             // Сохраняем задачи в файл
-            if (saveTasks(tasksData)) {
-              console.log(chalk.green(`\n✓ Задача #${newTask.id} "${newTask.title}" успешно создана!`));
-              console.log(chalk.dim(`  Приоритет: ${newTask.priority}`));
-              console.log(chalk.dim(`  Подзадач: ${newTask.subtasks.length}`));
+            if (appendTasks([newTask])) {
+              console.log(chalk.green(`\n${t('generate.taskCreated', { id: newTask.id, title: newTask.title })}`));
+              console.log(chalk.dim(`  ${t('common.priority', { priority: newTask.priority })}`));
+              console.log(chalk.dim(`  ${t('generate.subtaskCount', { count: newTask.subtasks.length })}`));
               
               // Спрашиваем, нужно ли добавить ещё задачу
-              rl.question(chalk.blue('\nХотите добавить ещё одну задачу? (y/n) [y]: '), (answer) => {
+              rl.question(chalk.blue(`\n${t('generate.anotherPrompt')}`), (answer) => {
                 if (answer.toLowerCase() !== 'n') {
                   description = '';
                   console.log('\n');
                   readLines();
                 } else {
-                  console.log(chalk.green('\n✓ Генерация задач завершена!'));
-                  console.log(chalk.blue('Используйте npm run task-master:list для просмотра всех задач.'));
+                  console.log(chalk.green(`\n${t('generate.done')}`));
+                  console.log(chalk.blue(t('generate.listHint')));
                   rl.close();
                 }
               });
@@ -382,5 +395,14 @@ function generateTasks() {
   });
 }
 
-// Запуск
-generateTasks();
\ No newline at end of file
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  generateTasks();
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  generateTaskFromDescription,
+  appendTasks,
+  buildBatchTasks
+};
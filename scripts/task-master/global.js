@@ -10,6 +10,8 @@ const path = require('path');
 const os = require('os');
 const { execSync, spawnSync } = require('child_process');
 const chalk = require('chalk');
+const output = require('./output');
+const { t } = require('./i18n');
 
 // Определяем пути
 const homeDir = os.homedir();
@@ -22,7 +24,7 @@ const localTasksFile = path.join(localTasksDir, 'tasks.json');
 // Создаем глобальную директорию, если она не существует
 if (!fs.existsSync(globalTasksDir)) {
   fs.mkdirSync(globalTasksDir, { recursive: true });
-  console.log(chalk.green('✓ Создана глобальная директория для Task Master'));
+  console.log(chalk.green(t('global.globalDirCreated')));
 }
 
 // Функция для определения, используется ли локальный или глобальный режим
@@ -47,40 +49,103 @@ function determineMode(command) {
   };
 }
 
+// Команды для справки: название, аргументы и описание (ключи каталога сообщений)
+const HELP_COMMANDS = [
+  { name: 'init' },
+  { name: 'list', args: 'options' },
+  { name: 'next' },
+  { name: 'generate' },
+  { name: 'complete', args: 'id' },
+  { name: 'chat', args: 'chatCommand' },
+  { name: 'context', args: 'command' },
+  { name: 'depends', args: 'dependsArgs' },
+  { name: 'tag', args: 'tagArgs' },
+  { name: 'due', args: 'dueArgs' },
+  { name: 'timer', args: 'timerArgs' },
+  { name: 'report', args: 'reportArgs' },
+  { name: 'estimate', args: 'estimateArgs' },
+  { name: 'forecast', args: 'forecastArgs' },
+  { name: 'status', args: 'statusArgs' },
+  { name: 'block', args: 'blockArgs' },
+  { name: 'defer', args: 'id' },
+  { name: 'reopen', args: 'id' },
+  { name: 'cancel', args: 'id' },
+  { name: 'assign', args: 'assignArgs' },
+  { name: 'edit', args: 'editArgs' },
+  { name: 'move', args: 'moveArgs' },
+  { name: 'delete', args: 'deleteArgs' },
+  { name: 'undo', args: 'undoArgs' },
+  { name: 'redo', args: 'force' },
+  { name: 'backups' },
+  { name: 'restore', args: 'snapshot' },
+  { name: 'validate', args: 'fix' },
+  { name: 'migrate', args: 'dryRun' },
+  { name: 'help' }
+];
+
+// Общие параметры для справки
+const HELP_OPTIONS = ['--json', '--ndjson'];
+
+// Команды чата для справки
+const HELP_CHAT_COMMANDS = ['createTask', 'createTasks', 'generateFromPlan', 'showTasks', 'completeTask', 'nextTask', 'addTag', 'setDue', 'setEstimate', 'blockTask', 'setStatus', 'assignTask', 'help'];
+
+// Краткие команды смены статуса (status.js), повтор отмененной команды (undo.js)
+// и список резервных копий (restore.js): название команды передается скрипту первым аргументом
+const STATUS_COMMANDS = ['block', 'defer', 'reopen', 'cancel', 'redo', 'backups'];
+
+// Ширина колонки с названием команды в справке
+const HELP_COLUMN_WIDTH = 22;
+
+/**
+ * Сформировать строку справки с выравниванием описаний
+ * @param {string} name - Название команды (выделяется цветом)
+ * @param {string} args - Аргументы команды
+ * @param {string} description - Описание
+ * @param {number} width - Ширина колонки с командой
+ * @returns {string}
+ */
+function formatHelpLine(name, args, description, width = HELP_COLUMN_WIDTH) {
+  const plain = args ? `${name} ${args}` : name;
+  const padding = ' '.repeat(Math.max(1, width - plain.length));
+  return `  ${chalk.cyan(name)}${args ? ` ${args}` : ''}${padding}- ${description}`;
+}
+
 // Функция для отображения справки
 function showHelp() {
-  console.log(chalk.bold('\n📋 Task Master - система управления задачами\n'));
-  console.log('Использование: task-master [команда] [параметры]\n');
-  console.log('Доступные команды:');
-  console.log(`  ${chalk.cyan('init')}                  - Инициализация системы задач`);
-  console.log(`  ${chalk.cyan('list')}                  - Показать список задач`);
-  console.log(`  ${chalk.cyan('next')}                  - Получить следующую задачу`);
-  console.log(`  ${chalk.cyan('generate')}              - Сгенерировать задачи из описания`);
-  console.log(`  ${chalk.cyan('complete')} <id>         - Отметить задачу как выполненной`);
-  console.log(`  ${chalk.cyan('chat')} "команда"        - Выполнить команду через интерфейс чата`);
-  console.log(`  ${chalk.cyan('context')} [команда]     - Работа с контекстом выполнения задач`);
-  console.log(`  ${chalk.cyan('help')}                  - Показать эту справку\n`);
+  console.log(chalk.bold(`\n${t('help.title')}\n`));
+  console.log(`${t('help.usage')}\n`);
+  console.log(t('help.commandsHeader'));
+  HELP_COMMANDS.forEach(command => {
+    const args = command.args ? t(`help.args.${command.args}`) : '';
+    console.log(formatHelpLine(command.name, args, t(`help.commands.${command.name}`)));
+  });
+  console.log('');
+  
+  console.log(chalk.bold(t('help.optionsHeader')));
+  HELP_OPTIONS.forEach(option => {
+    console.log(formatHelpLine(option, '', t(`help.options.${option.replace(/^--/, '')}`)));
+  });
+  console.log('');
   
-  console.log(chalk.bold('Команды чата:'));
-  console.log(`  ${chalk.cyan('Создай задачу [название]')}               - Создать новую задачу`);
-  console.log(`  ${chalk.cyan('Создай задачи [описание]')}               - Создать несколько задач`);
-  console.log(`  ${chalk.cyan('Сгенерируй задачи из плана')}             - Создать задачи на основе плана`);
-  console.log(`  ${chalk.cyan('Покажи задачи')}                         - Просмотр всех задач`);
-  console.log(`  ${chalk.cyan('Отметь задачу X как выполненную')}        - Отметить задачу как выполненную`);
-  console.log(`  ${chalk.cyan('Дай следующую задачу')}                   - Получить следующую задачу`);
-  console.log(`  ${chalk.cyan('Справка')}                               - Подробная инструкция\n`);
+  console.log(chalk.bold(t('help.chatHeader')));
+  HELP_CHAT_COMMANDS.forEach(command => {
+    console.log(formatHelpLine(t(`help.chat.${command}.phrase`), '', t(`help.chat.${command}.description`), 39));
+  });
+  console.log('');
   
-  console.log(chalk.bold('Режим работы:'));
+  console.log(chalk.bold(t('help.modeHeader')));
   const { mode } = determineMode();
-  console.log(`  Текущий режим: ${mode === 'local' ? chalk.green('локальный') : chalk.blue('глобальный')}`);
-  console.log(`  В локальном режиме задачи хранятся в текущем проекте.`);
-  console.log(`  В глобальном режиме задачи хранятся в общей директории, доступной из любого проекта.\n`);
+  const modeName = mode === 'local' ? chalk.green(t('help.modes.local')) : chalk.blue(t('help.modes.global'));
+  console.log(`  ${t('help.currentMode', { mode: modeName })}`);
+  console.log(`  ${t('help.localModeInfo')}`);
+  console.log(`  ${t('help.globalModeInfo')}\n`);
 }
 
 // Основная функция для запуска команд
 function runCommand() {
   try {
-    const args = process.argv.slice(2);
+    // Флаги --json и --ndjson могут стоять в любом месте командной строки
+    const args = output.stripOutputFlags(process.argv.slice(2));
     const command = args[0] || 'help';
     
     // Определяем режим работы (локальный или глобальный)
@@ -93,10 +158,11 @@ function runCommand() {
     process.env.TASK_MASTER_FILE = tasksFile;
     process.env.TASK_MASTER_DIR = tasksDir;
     process.env.TASK_MASTER_MODE = mode;
+    process.env.TASK_MASTER_OUTPUT = output.format;
     
-    console.log(chalk.blue(`Режим работы: ${mode}`));
-    console.log(chalk.blue(`Файл задач: ${tasksFile}`));
-    console.log(chalk.blue(`Директория скриптов: ${scriptDir}`));
+    console.log(chalk.blue(t('global.mode', { mode })));
+    console.log(chalk.blue(t('global.tasksFile', { file: tasksFile })));
+    console.log(chalk.blue(t('global.scriptDir', { dir: scriptDir })));
     
     // Маппинг команд на соответствующие скрипты
     const commandMap = {
@@ -107,6 +173,28 @@ function runCommand() {
       'complete': path.join(scriptDir, 'complete.js'),
       'chat': path.join(scriptDir, 'chat.js'),
       'context': path.join(scriptDir, 'context.js'),
+      'depends': path.join(scriptDir, 'depends.js'),
+      'tag': path.join(scriptDir, 'tag.js'),
+      'due': path.join(scriptDir, 'due.js'),
+      'timer': path.join(scriptDir, 'timer.js'),
+      'report': path.join(scriptDir, 'report.js'),
+      'estimate': path.join(scriptDir, 'estimate.js'),
+      'forecast': path.join(scriptDir, 'forecast.js'),
+      'status': path.join(scriptDir, 'status.js'),
+      'block': path.join(scriptDir, 'status.js'),
+      'defer': path.join(scriptDir, 'status.js'),
+      'reopen': path.join(scriptDir, 'status.js'),
+      'cancel': path.join(scriptDir, 'status.js'),
+      'assign': path.join(scriptDir, 'assign.js'),
+      'edit': path.join(scriptDir, 'edit.js'),
+      'move': path.join(scriptDir, 'move.js'),
+      'delete': path.join(scriptDir, 'delete.js'),
+      'undo': path.join(scriptDir, 'undo.js'),
+      'redo': path.join(scriptDir, 'undo.js'),
+      'backups': path.join(scriptDir, 'restore.js'),
+      'restore': path.join(scriptDir, 'restore.js'),
+      'validate': path.join(scriptDir, 'validate.js'),
+      'migrate': path.join(scriptDir, 'migrate.js'),
       'help': null // Обрабатываем справку отдельно
     };
     
@@ -115,8 +203,9 @@ function runCommand() {
       if (command === 'help') {
         showHelp();
       } else {
-        console.log(chalk.red(`Неизвестная команда: ${command}`));
+        console.log(chalk.red(t('global.unknownCommand', { command })));
         showHelp();
+        process.exitCode = 1;
       }
       return;
     }
@@ -124,8 +213,8 @@ function runCommand() {
     // Проверяем существование файла скрипта
     const scriptPath = commandMap[command];
     if (!fs.existsSync(scriptPath)) {
-      console.log(chalk.red(`Ошибка: Скрипт ${scriptPath} не найден`));
-      console.log(chalk.yellow(`Доступные скрипты в директории ${scriptDir}:`));
+      console.log(chalk.red(t('global.scriptNotFound', { script: scriptPath })));
+      console.log(chalk.yellow(t('global.availableScripts', { dir: scriptDir })));
       const files = fs.readdirSync(scriptDir);
       files.forEach(file => {
         console.log(`  - ${file}`);
@@ -133,10 +222,10 @@ function runCommand() {
       return;
     }
     
-    console.log(chalk.green(`Запускаем скрипт: ${scriptPath}`));
+    console.log(chalk.green(t('global.runningScript', { script: scriptPath })));
     
     // Выполняем скрипт для соответствующей команды
-    const remainingArgs = args.slice(1);
+    const remainingArgs = STATUS_COMMANDS.includes(command) ? args : args.slice(1);
     
     if (command === 'chat') {
       // Для команды chat, передаем все оставшиеся аргументы как единую строку
@@ -149,8 +238,9 @@ function runCommand() {
       });
       
       if (result.error) {
-        console.log(chalk.red(`Ошибка при выполнении команды: ${result.error.message}`));
+        console.log(chalk.red(t('global.commandFailed', { error: result.error.message })));
       }
+      process.exitCode = result.status || (result.error ? 1 : 0);
     } else {
       // Для других команд, запускаем скрипт с оставшимися аргументами
       const result = spawnSync('node', [scriptPath, ...remainingArgs], {
@@ -159,12 +249,14 @@ function runCommand() {
       });
       
       if (result.error) {
-        console.log(chalk.red(`Ошибка при выполнении команды: ${result.error.message}`));
+        console.log(chalk.red(t('global.commandFailed', { error: result.error.message })));
       }
+      process.exitCode = result.status || (result.error ? 1 : 0);
     }
   } catch (error) {
-    console.log(chalk.red(`Ошибка при выполнении команды: ${error.message}`));
-    console.log(chalk.red(`Стек ошибки: ${error.stack}`));
+    console.log(chalk.red(t('global.commandFailed', { error: error.message })));
+    console.log(chalk.red(t('global.errorStack', { stack: error.stack })));
+    process.exitCode = 1;
   }
 }
 
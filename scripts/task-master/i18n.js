@@ -0,0 +1,87 @@
+/**
+ * Локализация сообщений Task Master
+ * Язык выбирается переменной окружения TASK_MASTER_LANG или настройкой
+ * language в config.json. Сообщения хранятся в каталогах locales/<язык>.js;
+ * если перевода нет, используется русский текст.
+ */
+
+const config = require('./config');
+
+const catalogs = {
+  ru: require('./locales/ru'),
+  en: require('./locales/en')
+};
+
+// Язык по умолчанию и источник недостающих переводов
+const DEFAULT_LANGUAGE = 'ru';
+
+// Поддерживаемые языки
+const LANGUAGES = Object.keys(catalogs);
+
+/**
+ * Привести обозначение языка к поддерживаемому ("en_US.UTF-8" → "en")
+ * @param {string} value - Обозначение языка
+ * @returns {string|null}
+ */
+function normalizeLanguage(value) {
+  if (!value) return null;
+  const language = String(value).toLowerCase().split(/[-_.]/)[0];
+  return LANGUAGES.includes(language) ? language : null;
+}
+
+/**
+ * Получить текущий язык сообщений
+ * @returns {string}
+ */
+function getLanguage() {
+  return normalizeLanguage(process.env.TASK_MASTER_LANG) ||
+    normalizeLanguage(config.getSetting('language')) ||
+    DEFAULT_LANGUAGE;
+}
+
+/**
+ * Найти сообщение в каталоге по ключу вида "list.title"
+ * @param {object} catalog - Каталог сообщений
+ * @param {string} key - Ключ сообщения
+ * @returns {string|undefined}
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+}
+
+/**
+ * Получить локализованное сообщение
+ * Подстановки вида {name} заменяются значениями из params
+ *
+ * @param {string} key - Ключ сообщения
+ * @param {object} params - Значения подстановок
+ * @returns {string}
+ */
+function t(key, params = {}) {
+  let message = lookup(catalogs[getLanguage()], key);
+  if (typeof message !== 'string') {
+    message = lookup(catalogs[DEFAULT_LANGUAGE], key);
+  }
+  if (typeof message !== 'string') {
+    return key;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * Отформатировать дату и время для текущего языка
+ * @param {string|Date} value - Дата
+ * @returns {string}
+ */
+function formatDate(value) {
+  return new Date(value).toLocaleString(t('meta.locale'));
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getLanguage,
+  t,
+  formatDate
+};
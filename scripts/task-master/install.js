@@ -9,6 +9,7 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const os = require('os');
+const { CURRENT_FORMAT_VERSION } = require('./migrations');
 
 // Определяем пути
 const currentDir = process.cwd();
@@ -348,6 +349,7 @@ function setupGlobalTasksDir() {
       const template = {
         project: 'Global Tasks',
         version: '1.0.0',
+        formatVersion: CURRENT_FORMAT_VERSION,
         tasks: []
       };
       
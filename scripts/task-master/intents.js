@@ -0,0 +1,160 @@
+/**
+ * Реестр намерений (intents) интерфейса чата
+ * Каждое намерение описывает шаблоны фраз, извлекаемые из команды параметры
+ * (слоты) и обработчик. Команда сопоставляется со всеми шаблонами сразу,
+ * и выбирается совпадение с наибольшей оценкой, поэтому порядок регистрации
+ * намерений не влияет на результат.
+ *
+ * Описание намерения:
+ *   name        - уникальное имя намерения
+ *   description - краткое описание для режима --explain
+ *   patterns    - регулярные выражения фраз; слоты задаются именованными
+ *                 группами, например (?<taskId>\d+)
+ *   restSlot    - слот, в который попадает текст команды после фразы (опционально)
+ *   handler     - функция (slots, command), выполняющая команду
+ */
+
+const { t } = require('./i18n');
+
+// Бонус за совпадение в начале команды: такое совпадение всегда важнее
+// фразы, найденной в середине текста (например, в названии задачи или в плане)
+const START_BONUS = 100;
+
+/**
+ * Оценить совпадение шаблона с командой.
+ * Чем длиннее совпавшая фраза, тем конкретнее намерение: "создай задачи из плана"
+ * важнее, чем "создай задачи"
+ *
+ * @param {object} match - Результат RegExp.exec
+ * @returns {object} - { score, reasons }
+ */
+function scoreMatch(match) {
+  const reasons = [t('chat.explain.reasonLength', { length: match[0].length })];
+  let score = match[0].length;
+
+  if (match.index === 0) {
+    score += START_BONUS;
+    reasons.push(t('chat.explain.reasonStart', { bonus: START_BONUS }));
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Извлечь слоты из совпадения
+ * @param {object} intent - Намерение
+ * @param {object} match - Результат RegExp.exec
+ * @param {string} text - Текст команды
+ * @returns {object}
+ */
+function extractSlots(intent, match, text) {
+  const slots = {};
+
+  Object.entries(match.groups || {}).forEach(([name, value]) => {
+    if (value !== undefined) {
+      slots[name] = value.trim();
+    }
+  });
+
+  if (intent.restSlot) {
+    // Разделитель после фразы ("создай задачи из плана: ...") в слот не входит
+    const rest = text.slice(match.index + match[0].length).replace(/^\s*[:：]?\s*/, '').trim();
+    if (rest) {
+      slots[intent.restSlot] = rest;
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Создать реестр намерений
+ * @returns {object} - { register, list, matchAll, resolve }
+ */
+function createIntentRegistry() {
+  const intents = [];
+
+  /**
+   * Зарегистрировать намерение
+   * @param {object} intent - Описание намерения
+   */
+  function register(intent) {
+    if (!intent.name || typeof intent.handler !== 'function' || !Array.isArray(intent.patterns)) {
+      throw new Error(`Некорректное описание намерения: ${intent.name || '(без имени)'}`);
+    }
+    if (intents.some(item => item.name === intent.name)) {
+      throw new Error(`Намерение ${intent.name} уже зарегистрировано`);
+    }
+
+    intents.push(intent);
+  }
+
+  /**
+   * Получить список зарегистрированных намерений
+   * @returns {object[]}
+   */
+  function list() {
+    return [...intents];
+  }
+
+  /**
+   * Найти все намерения, подходящие под команду, по убыванию оценки.
+   * Для каждого намерения учитывается лучший из его шаблонов
+   *
+   * @param {string} command - Текст команды
+   * @returns {object[]} - [{ intent, pattern, matched, index, score, reasons, slots }]
+   */
+  function matchAll(command) {
+    const text = String(command || '').trim();
+    const candidates = [];
+
+    intents.forEach(intent => {
+      let best = null;
+
+      intent.patterns.forEach(pattern => {
+        const match = new RegExp(pattern.source, pattern.flags.replace('g', '')).exec(text);
+        if (!match) return;
+
+        const { score, reasons } = scoreMatch(match);
+        if (!best || score > best.score) {
+          best = {
+            intent,
+            pattern: pattern.toString(),
+            matched: match[0],
+            index: match.index,
+            score,
+            reasons,
+            slots: extractSlots(intent, match, text)
+          };
+        }
+      });
+
+      if (best) {
+        candidates.push(best);
+      }
+    });
+
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Выбрать намерение для команды
+   * @param {string} command - Текст команды
+   * @returns {object|null} - Лучшее совпадение или null
+   */
+  function resolve(command) {
+    return matchAll(command)[0] || null;
+  }
+
+  return {
+    register,
+    list,
+    matchAll,
+    resolve
+  };
+}
+
+module.exports = {
+  START_BONUS,
+  createIntentRegistry
+};
@@ -0,0 +1,305 @@
+/**
+ * Журнал изменений для отмены и повтора команд (undo/redo)
+ * Каждая запись tasks.json и context.json через общее хранилище попадает
+ * в журнал (tasks/journal.json): запись журнала - операция, то есть одна команда
+ * task-master (или одна команда чата), и содержимое файлов до неё
+ * (поврежденный файл, который не разбирается как JSON, хранится текстом).
+ * Отмена возвращает файлы к состоянию до операции, а их текущее состояние
+ * переносит в список повтора; любая новая операция очищает этот список.
+ * Если файл изменился после операции в обход журнала, отмена и повтор
+ * отказываются его перезаписывать (без --force)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const store = require('./task-store');
+const output = require('./output');
+const config = require('./config');
+const { t } = require('./i18n');
+
+// Файл журнала - рядом с файлом задач
+const journalFile = path.join(path.dirname(store.tasksFile), 'journal.json');
+
+// Текущая операция процесса
+let currentOperation = null;
+let operationCounter = 0;
+
+/**
+ * Начать новую операцию: следующие записи файлов относятся к ней
+ * @param {string} label - Описание операции (команда)
+ */
+function beginOperation(label) {
+  operationCounter++;
+  currentOperation = { id: `${Date.now()}-${process.pid}-${operationCounter}`, label };
+}
+
+/**
+ * Описание операции по командной строке процесса: "complete 3",
+ * "edit 2 --title "Front end"". Флаги формата вывода (--json) не нужны
+ *
+ * @returns {string}
+ */
+function getDefaultLabel() {
+  const script = path.basename(process.argv[1] || 'task-master', '.js');
+  const args = output.stripOutputFlags(process.argv.slice(2))
+    .map(arg => (/\s/.test(arg) ? `"${arg}"` : arg));
+  return [script, ...args].join(' ');
+}
+
+/**
+ * Текущая операция процесса; если операция не начата, она начинается
+ * с описанием по командной строке
+ * @returns {object} - { id, label }
+ */
+function getOperation() {
+  if (!currentOperation) {
+    beginOperation(getDefaultLabel());
+  }
+  return currentOperation;
+}
+
+/**
+ * Контрольная сумма содержимого файла
+ * @param {string|null} text - Содержимое файла (null - файла нет)
+ * @returns {string|null}
+ */
+function hashText(text) {
+  return text === null ? null : crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Содержимое JSON-файла так, как его записывает хранилище
+ * @param {object|null} data - Данные
+ * @returns {string|null}
+ */
+function serialize(data) {
+  return data === null ? null : JSON.stringify(data, null, 2);
+}
+
+/**
+ * Прочитать текущее содержимое файла
+ * @param {string} file - Путь к файлу
+ * @returns {string|null} - Текст или null, если файла нет
+ */
+function readText(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+/**
+ * Снимок файла перед записью
+ * @param {string} file - Путь к файлу
+ * @returns {object|undefined} - { before } - данные (null - файла нет),
+ *   { beforeText } - текст файла, который не разбирается как JSON, undefined - файл не читается
+ */
+function readSnapshot(file) {
+  try {
+    return { before: store.readJson(file) };
+  } catch (error) {
+    try {
+      return { beforeText: readText(file) };
+    } catch (readError) {
+      return undefined;
+    }
+  }
+}
+
+/**
+ * Содержимое файла в снимке
+ * @param {object} snapshot - Снимок (readSnapshot)
+ * @returns {string|null} - Текст или null, если файла не было
+ */
+function getSnapshotText(snapshot) {
+  return snapshot.beforeText !== undefined ? snapshot.beforeText : serialize(snapshot.before);
+}
+
+/**
+ * Вернуть файл к состоянию из снимка
+ * @param {string} file - Путь к файлу
+ * @param {object} snapshot - Снимок (readSnapshot)
+ */
+function writeSnapshot(file, snapshot) {
+  const text = getSnapshotText(snapshot);
+
+  if (text === null) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  } else {
+    store.writeTextAtomic(file, text);
+  }
+}
+
+/**
+ * Загрузить журнал
+ * @returns {object} - { undo: [], redo: [] }
+ */
+function loadJournal() {
+  try {
+    const journal = store.readJson(journalFile);
+    if (journal && Array.isArray(journal.undo) && Array.isArray(journal.redo)) {
+      return journal;
+    }
+  } catch (error) {
+    console.error(chalk.yellow(`⚠ ${t('journal.readFailed', { error: error.message })}`));
+  }
+  return { undo: [], redo: [] };
+}
+
+/**
+ * Сколько операций хранить в журнале
+ * @returns {number}
+ */
+function getLimit() {
+  const limit = config.getSetting('undoLimit');
+  return Number.isInteger(limit) && limit >= 0 ? limit : config.DEFAULT_CONFIG.undoLimit;
+}
+
+/**
+ * Записать в журнал изменение файла. Вызывается хранилищем после записи
+ * tasks.json или context.json (под блокировкой файлов задач)
+ *
+ * @param {string} file - Путь к файлу
+ * @param {object|undefined} snapshot - Снимок файла до записи (readSnapshot)
+ * @param {object} after - Записанные данные
+ * @returns {boolean} - true, если запись попала в журнал
+ */
+function recordWrite(file, snapshot, after) {
+  if (snapshot === undefined || getLimit() === 0) return false;
+
+  try {
+    const journal = loadJournal();
+    const operation = getOperation();
+
+    let entry = journal.undo[journal.undo.length - 1];
+    if (!entry || entry.id !== operation.id) {
+      entry = { id: operation.id, label: operation.label, timestamp: new Date().toISOString(), files: {} };
+      journal.undo.push(entry);
+      journal.redo = [];
+    }
+
+    // Для операции хранится состояние файла до её первой записи и сумма после последней
+    const name = path.basename(file);
+    if (!entry.files[name]) {
+      entry.files[name] = { ...snapshot };
+    }
+    entry.files[name].afterHash = hashText(serialize(after));
+
+    journal.undo = journal.undo.slice(-getLimit());
+    store.writeJsonAtomic(journalFile, journal);
+    return true;
+  } catch (error) {
+    console.error(chalk.yellow(`⚠ ${t('journal.writeFailed', { error: error.message })}`));
+    return false;
+  }
+}
+
+/**
+ * Путь к файлу операции по имени из журнала
+ * @param {string} name - Имя файла (tasks.json, context.json)
+ * @returns {string}
+ */
+function resolveFile(name) {
+  return name === path.basename(store.contextFile) ? store.contextFile : path.join(path.dirname(store.tasksFile), name);
+}
+
+/**
+ * Перенести операцию из одного списка журнала в другой, восстановив файлы:
+ * undo - из undo в redo, redo - из redo в undo
+ *
+ * @param {string} direction - undo или redo
+ * @param {object} options - { force } - перезаписать файлы, измененные после операции
+ * @returns {object} - Результат операции
+ */
+function move(direction, options = {}) {
+  const [from, to] = direction === 'undo' ? ['undo', 'redo'] : ['redo', 'undo'];
+
+  return store.withLock(() => {
+    const journal = loadJournal();
+    const entry = journal[from][journal[from].length - 1];
+
+    if (!entry) {
+      return { success: false, message: t(`journal.${direction}.empty`) };
+    }
+
+    // Файлы, измененные в обход журнала, не перезаписываются без --force
+    const changed = Object.entries(entry.files)
+      .filter(([name, file]) => hashText(readText(resolveFile(name))) !== file.afterHash)
+      .map(([name]) => name);
+
+    if (changed.length > 0 && !options.force) {
+      return {
+        success: false,
+        message: t('journal.conflict', { files: changed.join(', '), label: entry.label }),
+        changed
+      };
+    }
+
+    // Обратная операция: текущее состояние файлов и сумма восстановленного состояния.
+    // Файлы восстанавливаются напрямую, минуя журнал, но с резервной копией
+    const snapshots = require('./snapshots');
+    const reverse = { id: entry.id, label: entry.label, timestamp: entry.timestamp, files: {} };
+
+    Object.entries(entry.files).forEach(([name, file]) => {
+      const target = resolveFile(name);
+      const current = readSnapshot(target) || { before: null };
+      reverse.files[name] = { ...current, afterHash: hashText(getSnapshotText(file)) };
+      snapshots.backupFile(target);
+      writeSnapshot(target, file);
+    });
+
+    journal[from].pop();
+    journal[to].push(reverse);
+    store.writeJsonAtomic(journalFile, journal);
+
+    return {
+      success: true,
+      message: t(`journal.${direction}.done`, { label: entry.label }),
+      label: entry.label,
+      timestamp: entry.timestamp,
+      files: Object.keys(entry.files)
+    };
+  });
+}
+
+/**
+ * Отменить последнюю операцию
+ * @param {object} options - { force }
+ * @returns {object} - Результат операции
+ */
+function undo(options = {}) {
+  return move('undo', options);
+}
+
+/**
+ * Повторить последнюю отмененную операцию
+ * @param {object} options - { force }
+ * @returns {object} - Результат операции
+ */
+function redo(options = {}) {
+  return move('redo', options);
+}
+
+/**
+ * Операции журнала для вывода: последние - первыми
+ * @returns {object} - { undo: [{ label, timestamp, files }], redo: [...] }
+ */
+function getOperations() {
+  const journal = loadJournal();
+  const describe = entry => ({ label: entry.label, timestamp: entry.timestamp, files: Object.keys(entry.files) });
+
+  return {
+    undo: journal.undo.map(describe).reverse(),
+    redo: journal.redo.map(describe).reverse()
+  };
+}
+
+module.exports = {
+  journalFile,
+  beginOperation,
+  getOperation,
+  readSnapshot,
+  recordWrite,
+  undo,
+  redo,
+  getOperations
+};
@@ -9,30 +9,19 @@ const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const os = require('os');
+const store = require('./task-store');
+const output = require('./output');
+const dependencies = require('./dependencies');
+const tags = require('./tags');
+const dueDates = require('./due-dates');
+const estimates = require('./estimates');
+const subtaskTree = require('./subtask-tree');
+const assignees = require('./assignees');
+const { TASK_STATUSES, normalizePriority } = require('./schema');
+const { t } = require('./i18n');
 
-// Определяем пути в зависимости от режима (локальный или глобальный)
-const isGlobalMode = process.env.TASK_MASTER_MODE === 'global';
-const tasksDir = process.env.TASK_MASTER_DIR || path.join(process.cwd(), 'tasks');
-const tasksFile = process.env.TASK_MASTER_FILE || path.join(tasksDir, 'tasks.json');
-
-// Функция загрузки задач из файла
-function loadTasks() {
-  if (!fs.existsSync(tasksFile)) {
-    const initCommand = isGlobalMode ? 'task-master init' : 'npm run task-master:init';
-    console.log(chalk.red(`✗ Файл tasks.json не найден. Запустите ${initCommand}`));
-    console.log(chalk.blue(`Текущий режим: ${isGlobalMode ? 'глобальный' : 'локальный'}`));
-    console.log(chalk.blue(`Путь к файлу: ${tasksFile}`));
-    process.exit(1);
-  }
-  
-  try {
-    const data = fs.readFileSync(tasksFile, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.log(chalk.red(`✗ Ошибка при чтении файла: ${error.message}`));
-    process.exit(1);
-  }
-}
+// Режим работы и загрузка задач - через общее хранилище
+const { isGlobalMode, loadTasks } = store;
 
 // Функция отображения статуса задачи
 function getStatusEmoji(status) {
@@ -43,32 +32,356 @@ function getStatusEmoji(status) {
       return chalk.blue('⚙');
     case 'deferred':
       return chalk.yellow('⏸');
+    case 'blocked':
+      return chalk.red('⊘');
+    case 'cancelled':
+      return chalk.gray('✗');
     case 'pending':
     default:
       return chalk.gray('○');
   }
 }
 
+// Допустимые ключи сортировки
+const SORT_KEYS = ['created', 'updated', 'priority', 'due', 'id'];
+
+// Допустимые группировки списка
+const GROUP_KEYS = ['status', 'tag'];
+
+/**
+ * Разобрать параметры командной строки
+ * Значения можно передавать как "--status done" или "--status=done",
+ * несколько значений фильтра - через запятую: "--status pending,in-progress"
+ *
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {object} - Параметры отображения списка
+ */
+function parseListOptions(args) {
+  const options = {
+    status: [],
+    priority: [],
+    tag: [],
+    assignee: null,
+    group: 'status',
+    search: '',
+    sort: null,
+    limit: null,
+    tree: true
+  };
+
+  const splitValues = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+    const takeValue = () => {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined || value === '') {
+        throw new Error(t('list.errors.missingValue', { flag }));
+      }
+      return value;
+    };
+
+    switch (flag) {
+      case '--status':
+        options.status.push(...splitValues(takeValue()));
+        break;
+      case '--priority':
+        options.priority.push(...splitValues(takeValue()).map(normalizePriority));
+        break;
+      case '--tag':
+        options.tag.push(...tags.parseTags(takeValue()).tags);
+        break;
+      case '--mine':
+        options.assignee = assignees.getCurrentUser();
+        if (!options.assignee) {
+          throw new Error(t('list.errors.noGitUser'));
+        }
+        break;
+      case '--group':
+        options.group = takeValue();
+        break;
+      case '--search':
+        options.search = takeValue().toLowerCase();
+        break;
+      case '--sort':
+        options.sort = takeValue();
+        break;
+      case '--limit':
+        options.limit = parseInt(takeValue());
+        break;
+      case '--tree':
+        options.tree = true;
+        break;
+      case '--flat':
+        options.tree = false;
+        break;
+      default:
+        throw new Error(t('list.errors.unknownOption', { option: args[i] }));
+    }
+  }
+
+  const unknownStatuses = options.status.filter(status => !TASK_STATUSES.includes(status));
+  if (unknownStatuses.length > 0) {
+    throw new Error(t('list.errors.unknownStatus', { values: unknownStatuses.join(', '), allowed: TASK_STATUSES.join(', ') }));
+  }
+
+  if (options.sort && !SORT_KEYS.includes(options.sort)) {
+    throw new Error(t('list.errors.unknownSort', { value: options.sort, allowed: SORT_KEYS.join(', ') }));
+  }
+
+  if (!GROUP_KEYS.includes(options.group)) {
+    throw new Error(t('list.errors.unknownGroup', { value: options.group, allowed: GROUP_KEYS.join(', ') }));
+  }
+
+  if (options.limit !== null && (Number.isNaN(options.limit) || options.limit < 1)) {
+    throw new Error(t('list.errors.invalidLimit'));
+  }
+
+  return options;
+}
+
+/**
+ * Получить элементы списка: задачи или, в плоском режиме, задачи и подзадачи.
+ * Подзадачи наследуют от родительской задачи приоритет, теги, даты и исполнителя
+ *
+ * @param {object} tasksData - Данные tasks.json
+ * @param {object} options - Параметры отображения списка
+ * @returns {object[]}
+ */
+function getListItems(tasksData, options) {
+  if (options.tree) {
+    return tasksData.tasks;
+  }
+
+  // Подзадачи всех уровней идут отдельными строками со ссылкой на родителя;
+  // подзадача без своего приоритета следует приоритету родителя
+  return tasksData.tasks.flatMap(task => {
+    const items = [task];
+    const priorities = new Map([[task.id, task.priority]]);
+    const inheritedAssignees = new Map([[task.id, task.assignee]]);
+
+    subtaskTree.walkSubtasks(task, (subtask, parent) => {
+      const { subtasks: children, ...fields } = subtask;
+      const priority = subtask.priority || priorities.get(parent.id);
+      const assignee = subtask.assignee || inheritedAssignees.get(parent.id);
+      priorities.set(subtask.id, priority);
+      inheritedAssignees.set(subtask.id, assignee);
+      items.push({
+        created_at: task.created_at,
+        updated_at: task.updated_at,
+        ...fields,
+        priority,
+        ...(assignee ? { assignee } : {}),
+        tags: task.tags,
+        parentId: parent.id
+      });
+    });
+
+    return items;
+  });
+}
+
+/**
+ * Проверить, подходит ли элемент под фильтры
+ * В древовидном режиме поиск выполняется и по названиям подзадач,
+ * а задача исполнителя - это и задача, одна из подзадач которой назначена ему
+ *
+ * @param {object} item - Задача или подзадача
+ * @param {object} options - Параметры отображения списка
+ * @returns {boolean}
+ */
+function matchesFilters(item, options) {
+  if (options.status.length > 0 && !options.status.includes(item.status)) {
+    return false;
+  }
+
+  if (options.priority.length > 0 && !options.priority.includes(normalizePriority(item.priority))) {
+    return false;
+  }
+
+  if (!tags.hasAnyTag(item, options.tag)) {
+    return false;
+  }
+
+  if (options.assignee) {
+    const itemAssignees = options.tree ? assignees.getAssignees(item) : new Set([item.assignee]);
+    if (!itemAssignees.has(options.assignee)) {
+      return false;
+    }
+  }
+
+  if (options.search) {
+    const texts = [item.title, item.description];
+    if (options.tree) {
+      subtaskTree.getDescendants(item).forEach(subtask => texts.push(subtask.title, subtask.description));
+    }
+    if (!texts.some(text => text && text.toLowerCase().includes(options.search))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Сравнить ID задач и подзадач ("2" < "2.1" < "10")
+ * @param {number|string} a - ID первой задачи
+ * @param {number|string} b - ID второй задачи
+ * @returns {number}
+ */
+function compareIds(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  return 0;
+}
+
+/**
+ * Отсортировать элементы списка
+ * created - сначала старые, updated - сначала недавно измененные,
+ * priority - сначала высокий приоритет, due - сначала ранний срок
+ * (задачи без срока - в конце), id - по возрастанию ID
+ *
+ * @param {object[]} items - Задачи или подзадачи
+ * @param {string} sortKey - Ключ сортировки
+ * @returns {object[]}
+ */
+function sortItems(items, sortKey) {
+  const time = value => Date.parse(value) || 0;
+  const comparators = {
+    created: (a, b) => time(a.created_at) - time(b.created_at),
+    updated: (a, b) => time(b.updated_at) - time(a.updated_at),
+    priority: (a, b) => normalizePriority(a.priority) - normalizePriority(b.priority),
+    due: (a, b) => (a.due || '9999-99-99').localeCompare(b.due || '9999-99-99'),
+    id: () => 0
+  };
+
+  return [...items].sort((a, b) => comparators[sortKey](a, b) || compareIds(a.id, b.id));
+}
+
 // Функция для вывода списка задач
-function listTasks() {
+// Группы статусов в порядке вывода
+const STATUS_GROUPS = [
+  { status: 'in-progress', color: chalk.blue },
+  { status: 'blocked', color: chalk.red },
+  { status: 'pending', color: chalk.gray },
+  { status: 'done', color: chalk.green },
+  { status: 'deferred', color: chalk.yellow },
+  { status: 'cancelled', color: chalk.gray }
+];
+
+/**
+ * Получить список задач с учетом фильтров, сортировки и ограничения
+ * @param {object} options - Параметры отображения списка
+ * @returns {object} - Результат с задачами в порядке вывода
+ */
+function getTaskList(options = parseListOptions([])) {
   const tasksData = loadTasks();
+  const tasks = tasksData.tasks || [];
+  
+  // Отбор задач по фильтрам
+  const allItems = getListItems({ ...tasksData, tasks }, options);
+  const items = allItems.filter(item => matchesFilters(item, options));
+  
+  // Без сортировки задачи идут группами по статусам
+  const ordered = options.sort || options.group === 'tag'
+    ? sortItems(items, options.sort || 'id')
+    : STATUS_GROUPS.flatMap(group => items.filter(item => item.status === group.status));
   
-  console.log(chalk.bold(`\n📋 Задачи проекта: ${chalk.blue(tasksData.project)} (v${tasksData.version})\n`));
+  const visible = options.limit ? ordered.slice(0, options.limit) : ordered;
+  
+  return {
+    success: true,
+    project: tasksData.project,
+    version: tasksData.version,
+    total: allItems.length,
+    matched: items.length,
+    shown: visible.length,
+    sort: options.sort,
+    tree: options.tree,
+    group: options.group,
+    groups: options.group === 'tag' ? groupByTag(visible) : undefined,
+    tasks: visible
+  };
+}
+
+/**
+ * Сгруппировать задачи по тегам. Задача с несколькими тегами попадает
+ * в каждую из групп, задачи без тегов - в группу с tag = null
+ *
+ * @param {object[]} items - Задачи или подзадачи
+ * @returns {object[]} - [{ tag, ids }] по алфавиту, группа без тегов - последней
+ */
+function groupByTag(items) {
+  const groups = tags.collectTags({ tasks: items }).map(({ tag, taskIds }) => ({ tag, ids: taskIds }));
+  const untagged = items.filter(item => tags.getTags(item).length === 0).map(item => item.id);
+  
+  if (untagged.length > 0) {
+    groups.push({ tag: null, ids: untagged });
+  }
+  
+  return groups;
+}
+
+// Функция для вывода списка задач
+function listTasks(options = parseListOptions([])) {
+  const tasksData = loadTasks();
+  const result = getTaskList(options);
+  
+  console.log(chalk.bold(`\n${t('list.title', { project: chalk.blue(tasksData.project), version: tasksData.version })}\n`));
   
   if (!tasksData.tasks || tasksData.tasks.length === 0) {
     const generateCommand = isGlobalMode ? 'task-master generate' : 'npm run task-master:generate';
-    console.log(chalk.yellow(`Задачи не найдены. Добавьте задачи с помощью ${generateCommand}`));
-    return;
+    console.log(chalk.yellow(t('list.empty', { command: generateCommand })));
+    return result;
   }
   
-  // Группировка задач по статусу
-  const pending = tasksData.tasks.filter(task => task.status === 'pending');
-  const inProgress = tasksData.tasks.filter(task => task.status === 'in-progress');
-  const done = tasksData.tasks.filter(task => task.status === 'done');
-  const deferred = tasksData.tasks.filter(task => task.status === 'deferred');
+  // Индекс задач для проверки зависимостей
+  const index = dependencies.buildIndex(tasksData);
+  
+  // Функция для вывода отметки о блокирующих зависимостях и причины блокировки
+  const formatBlockers = (item) => {
+    if (item.status === 'done' || item.status === 'cancelled') return '';
+    const blockers = dependencies.getBlockers(item, tasksData, index);
+    const reason = item.status === 'blocked' && item.blockedReason
+      ? ` ${chalk.red(t('list.blockedReason', { reason: item.blockedReason }))}`
+      : '';
+    return `${blockers.length > 0 ? ` ${chalk.red(t('list.blockedBy', { ids: blockers.join(', ') }))}` : ''}${reason}`;
+  };
+  
+  // Функция для вывода срока: просроченный - красным, приближающийся - желтым
+  const formatDue = (item) => {
+    if (!item.due) return '';
+    const state = dueDates.getDueState(item);
+    if (state === 'overdue') return ` ${chalk.red(`📅 ${item.due} ${t('list.overdue')}`)}`;
+    if (state === 'soon') return ` ${chalk.yellow(`📅 ${item.due}`)}`;
+    return ` ${chalk.dim(`📅 ${item.due}`)}`;
+  };
+  
+  // Функция для вывода оценки задачи или подзадачи
+  const formatEstimate = (item) => {
+    if (typeof item.estimate !== 'number') return '';
+    return ` ${chalk.dim(t('list.estimate', { estimate: estimates.formatEstimate(item.estimate) }))}`;
+  };
+  
+  // Функция для вывода исполнителя задачи или подзадачи
+  const formatAssignee = (item) => {
+    return item.assignee ? ` ${chalk.magenta(assignees.formatAssignee(item))}` : '';
+  };
   
   // Функция для вывода задачи
   const printTask = (task) => {
+    // В плоском режиме подзадача выводится отдельной строкой со ссылкой на задачу
+    if (task.parentId !== undefined) {
+      console.log(`${getStatusEmoji(task.status)} [${task.id}] ${task.title} ${chalk.dim(t('list.subtaskOf', { id: task.parentId }))}${formatAssignee(task)}${formatEstimate(task)}${formatDue(task)}${formatBlockers(task)}`);
+      return;
+    }
+    
     // Emoji для приоритета
     let priorityEmoji = '';
     switch(task.priority) {
@@ -78,43 +391,86 @@ function listTasks() {
       default: priorityEmoji = '⚪'; break;
     }
     
-    console.log(`${getStatusEmoji(task.status)} [${task.id}] ${task.title} ${priorityEmoji} ${chalk.dim(`(приоритет: ${task.priority})`)}`);
+    const taskTags = tags.formatTags(task);
+    console.log(`${getStatusEmoji(task.status)} [${task.id}] ${task.title} ${priorityEmoji} ${chalk.dim(t('list.priority', { priority: task.priority }))}${taskTags ? ` ${chalk.cyan(taskTags)}` : ''}${formatAssignee(task)}${formatEstimate(task)}${formatDue(task)}${formatBlockers(task)}`);
     
-    if (task.subtasks && task.subtasks.length > 0) {
-      task.subtasks.forEach(subtask => {
-        console.log(`  ${getStatusEmoji(subtask.status)} ${subtask.id} ${subtask.title}`);
+    // Подзадачи выводятся деревом: отступ растет с уровнем вложенности
+    if (options.tree) {
+      subtaskTree.walkSubtasks(task, (subtask, parent, depth) => {
+        const subtaskPriority = subtask.priority ? ` ${chalk.dim(t('list.priority', { priority: subtask.priority }))}` : '';
+        console.log(`${'  '.repeat(depth)}${getStatusEmoji(subtask.status)} ${subtask.id} ${subtask.title}${subtaskPriority}${formatAssignee(subtask)}${formatEstimate(subtask)}${formatDue(subtask)}${formatBlockers(subtask)}`);
       });
     }
   };
   
-  // Вывод задач по группам
-  if (inProgress.length > 0) {
-    console.log(chalk.blue('\n⚙ В ПРОЦЕССЕ:'));
-    inProgress.forEach(printTask);
-  }
-  
-  if (pending.length > 0) {
-    console.log(chalk.gray('\n○ ОЖИДАЮТ:'));
-    pending.forEach(printTask);
+  if (options.group === 'tag') {
+    // Вывод задач по группам тегов
+    result.groups.forEach(group => {
+      console.log(chalk.cyan(`\n${group.tag ? `#${group.tag}` : t('list.untagged')}`));
+      result.tasks.filter(item => group.ids.includes(item.id)).forEach(printTask);
+    });
+  } else if (options.sort) {
+    // Единый отсортированный список
+    console.log(chalk.bold(t('list.sortedBy', { order: t(`list.sortOrders.${options.sort}`) })));
+    result.tasks.forEach(printTask);
+  } else {
+    // Вывод задач по группам статусов
+    STATUS_GROUPS.forEach(group => {
+      const groupItems = result.tasks.filter(item => item.status === group.status);
+      
+      if (groupItems.length > 0) {
+        console.log(group.color(`\n${t(`list.groups.${group.status}`)}`));
+        groupItems.forEach(printTask);
+      }
+    });
   }
   
-  if (done.length > 0) {
-    console.log(chalk.green('\n✓ ВЫПОЛНЕНЫ:'));
-    done.forEach(printTask);
+  if (result.matched === 0) {
+    console.log(chalk.yellow(t('list.noMatches')));
   }
   
-  if (deferred.length > 0) {
-    console.log(chalk.yellow('\n⏸ ОТЛОЖЕНЫ:'));
-    deferred.forEach(printTask);
+  if (result.shown < result.total) {
+    console.log(chalk.dim(`\n${t('list.shown', { shown: result.shown, total: result.total })}`));
   }
   
   console.log('\n');
   
   // Показываем подсказку по командам
   const chatCommand = isGlobalMode ? 'task-master chat' : 'npm run task-master:chat';
-  console.log(chalk.dim(`Для получения справки, выполните: ${chatCommand} "справка"`));
+  console.log(chalk.dim(t('list.helpHint', { command: chatCommand })));
   console.log('\n');
+  
+  return result;
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  let options;
+  
+  try {
+    options = parseListOptions(output.stripOutputFlags(process.argv.slice(2)));
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    console.log(chalk.blue(t('list.usage')));
+    output.finish({ success: false, message: error.message });
+    process.exit();
+  }
+  
+  if (output.isMachineReadable()) {
+    const result = getTaskList(options);
+    output.finish(result, result.tasks);
+  } else {
+    listTasks(options);
+  }
 }
 
-// Запуск
-listTasks();
\ No newline at end of file
+// Экспорт функций для использования в других модулях
+module.exports = {
+  parseListOptions,
+  getListItems,
+  groupByTag,
+  matchesFilters,
+  sortItems,
+  getTaskList,
+  listTasks
+};
@@ -0,0 +1,1037 @@
+/**
+ * English messages for Task Master
+ * Keys mirror locales/ru.js; missing keys fall back to Russian
+ */
+
+module.exports = {
+  meta: {
+    locale: 'en-US'
+  },
+
+  common: {
+    priority: 'Priority: {priority}',
+    description: 'Description: {description}',
+    due: 'Due: {due}',
+    subtasks: 'Subtasks:',
+    saveFailed: 'Failed to save changes',
+    taskNotFound: 'Task with ID {id} not found in the task list'
+  },
+
+  history: {
+    taskStarted: 'Started task "{title}"',
+    taskCompleted: 'Completed task "{title}"',
+    taskCompletedWithSubtasks: 'Completed task "{title}" and all its subtasks ({count})',
+    subtaskCompleted: 'Completed subtask {id} "{title}"',
+    subtaskStarted: 'Started subtask {id} "{title}"',
+    allSubtasksCompleted: 'All subtasks completed ({count})',
+    completedFromChat: 'Task completed via the chat interface (command: "{command}")',
+    statusChanged: 'Status of {id} "{title}" changed to {status}',
+    statusChangedWithReason: 'Status of {id} "{title}" changed to {status}: {reason}',
+    taskEdited: 'Task {id} "{title}" edited: {fields}',
+    taskDeleted: 'Task {id} "{title}" deleted',
+    subtaskDeleted: 'Subtask {id} "{title}" deleted',
+    subtaskMoved: 'Subtask {id} "{title}" moved and got ID {newId}'
+  },
+
+  next: {
+    blocked: 'Task #{id} "{title}" is blocked. Complete these first: {blockers}',
+    noAvailableTasks: 'No pending tasks available. All tasks are done, in progress or waiting for dependencies.',
+    notPending: 'Task with ID {id} not found or not pending.',
+    started: '✓ Task #{id} "{title}" marked as "in progress"',
+    subtaskStarted: '✓ Subtask #{id} "{title}" is now in progress',
+    noPendingTasks: 'No pending tasks. All tasks are done or in progress.',
+    nextTaskHeader: '🚀 Next task:',
+    nextTask: 'Next task: #{id} {title}',
+    contextReady: '💡 GitHub Copilot context is ready. To start working on it, run:',
+    contextUpdated: '💡 Task context updated for GitHub Copilot',
+    askCopilot: 'You can now ask Copilot to help with this task.',
+    completeCurrentHint: 'To complete the current task, run:',
+    noTasksWithTag: 'No available tasks with the tags: {tags}',
+    progress: {
+      header: '📊 Task progress:',
+      total: 'Total tasks: {count}',
+      done: '✓ Done: {count} ({percent}%)',
+      inProgress: '🔄 In progress: {count}',
+      pending: '⏳ Pending: {count}',
+      current: '🔄 Tasks in progress:',
+      subtasks: 'Subtask progress: {done}/{total} ({percent}%)',
+      currentSubtask: '⚙ Subtask in progress: {id} {title}'
+    }
+  },
+
+  complete: {
+    taskDone: 'Task #{id} "{title}" marked as done',
+    subtaskDone: 'Subtask #{id} marked as done',
+    parentSubtaskDone: 'All nested subtasks are done, subtask #{id} marked as done',
+    parentTaskDone: 'All subtasks are done, task #{id} marked as done',
+    subtaskNotFound: 'Subtask with ID {id} not found',
+    noTaskToStart: 'Task not found',
+    defaultSummary: 'Task {id} completed successfully',
+    unblocked: '🔓 Unblocked tasks:',
+    summaryPrompt: 'Enter a short summary of the work done:',
+    startNextPrompt: '📝 Start working on the next task? (y/n)',
+    nextCancelled: 'Starting the next task cancelled.',
+    noTaskId: 'No task ID given',
+    usage: 'No task ID given. Usage examples:',
+    interactiveUsage: 'Or, for interactive mode:'
+  },
+
+  wip: {
+    personLimit: '@{assignee} already has {tasks} in progress (WIP limit: {limit}). Complete a task before starting a new one.',
+    unassignedLimit: 'Already in progress: {tasks} (WIP limit: {limit}). Complete a task or pick an assignee: --as <name>.',
+    totalLimit: 'The team already has {tasks} in progress (total WIP limit: {limit}).',
+    assignedToOther: 'Task {id} is assigned to @{assignee}'
+  },
+
+  global: {
+    globalDirCreated: '✓ Created the global Task Master directory',
+    mode: 'Mode: {mode}',
+    tasksFile: 'Tasks file: {file}',
+    scriptDir: 'Scripts directory: {dir}',
+    unknownCommand: 'Unknown command: {command}',
+    scriptNotFound: 'Error: script {script} not found',
+    availableScripts: 'Scripts available in {dir}:',
+    runningScript: 'Running script: {script}',
+    commandFailed: 'Command failed: {error}',
+    errorStack: 'Stack trace: {stack}'
+  },
+
+  help: {
+    title: '📋 Task Master - task management system',
+    usage: 'Usage: task-master [command] [options]',
+    commandsHeader: 'Commands:',
+    args: {
+      options: '[options]',
+      id: '<id>',
+      chatCommand: '"command"',
+      command: '[command]',
+      dependsArgs: '<id> [...]',
+      tagArgs: '[<id> add|remove <tag>]',
+      dueArgs: '[<id> <date>|--days <N>]',
+      timerArgs: 'start|stop [<id>] [--as <name>]|status',
+      reportArgs: 'time [--since <date>]',
+      estimateArgs: '<id> <estimate>|clear',
+      forecastArgs: '[--weeks <N>]',
+      statusArgs: '<id> <status> [reason]',
+      blockArgs: '<id> [reason]',
+      assignArgs: '<id> <name>|me|clear',
+      editArgs: '<id> [--title|--description|--priority <value>]',
+      moveArgs: '<id> --to <id>',
+      deleteArgs: '<id> [--yes]',
+      undoArgs: '[--list] [--force]',
+      force: '[--force]',
+      snapshot: '<snapshot>',
+      fix: '[--fix]',
+      dryRun: '[--dry-run]'
+    },
+    commands: {
+      init: 'Initialize the task system',
+      list: 'Show tasks (--status, --priority, --tag, --mine, --group, --search, --sort, --limit, --flat)',
+      next: 'Get the next task (--tag picks among tasks with the tag, --for <name> for an assignee, start --as <name> starts it as an assignee)',
+      generate: 'Generate tasks from a description',
+      complete: 'Mark a task as done',
+      chat: 'Run a command through the chat interface (no command opens the interactive mode, --explain shows the matched intent)',
+      context: 'Work with the task execution context',
+      tag: 'Task tags: list project tags, add and remove tags',
+      due: 'Due dates: overdue and upcoming tasks, setting a due date',
+      timer: 'Time tracking: start and stop the task timer',
+      report: 'Reports: time spent by task and tag',
+      estimate: 'Set or clear a task estimate',
+      forecast: 'Team velocity, completion forecast and burndown chart',
+      status: 'Change a task status (allowed transitions are set by statusTransitions)',
+      block: 'Block a task with a reason',
+      defer: 'Defer a task',
+      reopen: 'Move a task back to pending (reopen or unblock)',
+      cancel: 'Cancel a task',
+      assign: 'Assign or unassign a task',
+      edit: 'Change a task title, description or priority (no options - in $EDITOR)',
+      move: 'Move a subtask to another task or subtask',
+      delete: 'Delete a task or subtask (asks for confirmation)',
+      undo: 'Undo the last command that changed tasks (--list shows the journal)',
+      redo: 'Redo the last undone command',
+      backups: 'List task file backups and how they differ from the current files',
+      restore: 'Restore tasks.json and context.json from a backup',
+      depends: 'Manage task dependencies',
+      validate: 'Validate tasks.json and context.json against the schema',
+      migrate: 'Upgrade tasks.json to the current format version',
+      help: 'Show this help'
+    },
+    optionsHeader: 'Global options:',
+    options: {
+      json: 'Print the command result as JSON (list, next, complete, context, chat, tag, due, timer, report, estimate, forecast, status, assign, edit, move, delete, undo, backups, restore, validate)',
+      ndjson: 'Print the result as one JSON object per line'
+    },
+    chatHeader: 'Chat commands:',
+    chat: {
+      createTask: { phrase: 'Create task [title]', description: 'Create a new task' },
+      createTasks: { phrase: 'Create tasks [description]', description: 'Create several tasks' },
+      generateFromPlan: { phrase: 'Create tasks from plan: [plan]', description: 'Create tasks from a plan' },
+      showTasks: { phrase: 'Show tasks', description: 'Show all tasks' },
+      completeTask: { phrase: 'Mark task X as done', description: 'Mark a task as done' },
+      nextTask: { phrase: 'Next task', description: 'Get the next task' },
+      addTag: { phrase: 'Add tag X to task N', description: 'Add a tag to a task' },
+      setDue: { phrase: 'Set due date for task N to friday', description: 'Set a task due date' },
+      setEstimate: { phrase: 'Estimate task N at 3', description: 'Set a task estimate' },
+      blockTask: { phrase: 'Block task N because reason', description: 'Block a task' },
+      setStatus: { phrase: 'Set status of task N to deferred', description: 'Change a task status' },
+      assignTask: { phrase: 'Assign task N to Ivan', description: 'Assign a task' },
+      help: { phrase: 'Help', description: 'Detailed instructions' }
+    },
+    modeHeader: 'Mode:',
+    modes: {
+      local: 'local',
+      global: 'global'
+    },
+    currentMode: 'Current mode: {mode}',
+    localModeInfo: 'In local mode tasks are stored in the current project.',
+    globalModeInfo: 'In global mode tasks are stored in a shared directory available from any project.'
+  },
+
+  init: {
+    initializingIn: 'Initializing Task Master in: {dir}',
+    initializing: 'Initializing Task Master...',
+    dirCreated: '✓ Created folder {name} in the current project',
+    dirExists: '⚠ Folder {name} already exists in the current project',
+    fileCreated: '✓ Created {name} in {dir}',
+    fileExists: '⚠ {name} already exists in {dir}',
+    copilotFileCreated: '✓ Created COPILOT-INTEGRATION.md with instructions for Copilot',
+    copilotFileExists: '⚠ COPILOT-INTEGRATION.md already exists in the project root',
+    globalDirCreated: '✓ Created the global Task Master directory: {dir}',
+    done: '✓ Task Master initialized successfully in the current project!',
+    commandsHeader: 'Available commands:',
+    commands: {
+      list: 'show tasks',
+      next: 'get the next task',
+      generate: 'generate tasks from a description',
+      chat: 'run a command through the chat interface'
+    },
+    features: {
+      header: '🚀 WHAT\'S NEW IN TASK MASTER:',
+      batch: {
+        title: '1. Batch task creation:',
+        text: '   Create several tasks at once with the command:\n' +
+          '   "Create tasks [description]" or "Generate tasks [description]"\n' +
+          '   Separate tasks with "###"'
+      },
+      priorities: {
+        title: '2. Priorities:',
+        text: '   Set task priority with markers:\n' +
+          '   [P:1] - high priority 🔴\n' +
+          '   [P:2] - medium priority 🟡\n' +
+          '   [P:3] - low priority 🟢'
+      },
+      plan: {
+        title: '3. Tasks from a plan:',
+        text: '   Create tasks from a project discussion with the command:\n' +
+          '   "Create tasks from plan: ..." or "Create tasks from our discussion"'
+      },
+      global: {
+        title: '4. Global mode:',
+        text: '   Task Master can now work globally, from any directory.\n' +
+          '   With a global install use commands like:\n' +
+          '   task-master [command] [options]'
+      },
+      helpHint: 'Run "task-master help" for the full documentation.'
+    },
+    copilotIntegration: `# Task Master: GitHub Copilot integration
+
+Task Master works together with GitHub Copilot. This document explains how to use Task Master with Copilot to automate planning and tracking of tasks.
+
+## Main scenarios
+
+### 1. Creating tasks from a discussion
+
+GitHub Copilot can analyze a project discussion and create the corresponding tasks in Task Master. After discussing the development plan, ask Copilot to create the task list:
+
+\`\`\`
+Create tasks from our discussion
+\`\`\`
+
+or
+
+\`\`\`
+Create tasks from plan: <plan>
+\`\`\`
+
+Russian commands (for example, "Создай список задач из нашего обсуждения") work as well.
+
+**Important!** To change task status (for example, to mark a task as done) always use the corresponding npm script:
+
+\`\`\`
+npm run task-master:complete <id>
+\`\`\`
+
+Where <id> is the task number (for example, 1 or 1.2).
+
+**Never edit tasks.json by hand!** It can lead to errors and out-of-sync task state.
+
+More examples and details are in the main README and the project documentation.
+`
+  },
+
+  copilotContext: {
+    currentTask: 'Current task: #{id} {title}',
+    status: 'Status: {status}',
+    priority: 'Priority: {priority}',
+    description: 'Description: {description}',
+    noDescription: 'No description',
+    subtasks: 'Subtasks:',
+    history: 'History:',
+    noHistory: 'No history yet.',
+    activeSubtask: 'Current subtask: {id} {title}',
+    activeMarker: '← current subtask',
+    statuses: {
+      pending: 'Pending',
+      'in-progress': 'In progress',
+      done: 'Done',
+      deferred: 'Deferred',
+      blocked: 'Blocked',
+      cancelled: 'Cancelled'
+    }
+  },
+
+  context: {
+    suggest: {
+      suggested: 'I suggest working on task #{id}: {title}',
+      allDone: 'All tasks are done! You can create new ones.',
+      allBlocked: 'All open tasks are waiting for their dependencies.',
+      noTasks: 'No tasks found'
+    },
+    loadTasksError: 'Failed to load tasks:',
+    loadTaskContextError: 'Failed to load the context of task #{id}:',
+    saveTaskContextError: 'Failed to save the context of task #{id}:',
+    noActiveTask: 'No active task to build the context for',
+    summaryRequired: '⚠ Describe the work you have done',
+    loadTasksFailed: '✗ Failed to load tasks',
+    statusChanged: 'ℹ Task #{id} status changed to "in progress"',
+    updated: '✓ Context of task #{id} updated',
+    updateFailed: '✗ Failed to update the context of task #{id}',
+    completed: '✓ Task #{id} marked as done',
+    completeFailed: '✗ Failed to mark task #{id} as done',
+    missingTaskId: '✗ Task ID is required',
+    summaryHeader: '📊 Project summary',
+    taskHistoryHeader: '📜 History of task #{id}',
+    fullHistoryHeader: '📜 Full task history',
+    initialized: '✓ Context file initialized',
+    copilotFailed: '✗ Failed to prepare the GitHub Copilot context',
+    unknownCommand: 'Unknown command: {command}',
+    error: '✗ Error: {error}',
+    help: {
+      title: '📋 Task Master: Project context',
+      usage: 'Usage: task-master context [command] [options]',
+      commandsHeader: 'Available commands:',
+      commands: {
+        summary: 'Show a short project summary (default)',
+        history: 'Show the history of a task or of all tasks',
+        init: 'Initialize the context file',
+        update: 'Update the context of a task',
+        copilot: 'Prepare the context for GitHub Copilot',
+        'check-context': 'Check and update the context for GitHub Copilot',
+        suggest: 'Suggest a task and prepare its context',
+        help: 'Show this help'
+      },
+      examplesHeader: 'Examples:',
+      examples: {
+        summary: 'task-master context                   - Show the project summary',
+        history: 'task-master context history 3         - Show the history of task #3',
+        update: 'task-master context update 2 "What was done"  - Update the context of task #2',
+        copilot: 'task-master context copilot 2         - Prepare the context of task #2 for GitHub Copilot',
+        suggest: 'task-master context suggest           - Suggest a task'
+      }
+    }
+  },
+
+  projectSummary: {
+    loadTasksFailed: 'Failed to load the tasks',
+    loadContextFailed: 'Failed to load the project context',
+    header: 'Project state: {project} (v{version})',
+    progress: 'Overall progress: {completed}/{total} tasks done ({percent}%)',
+    done: 'Done: {count}',
+    inProgress: 'In progress: {count}',
+    pending: 'Pending: {count}',
+    byAssignee: 'By assignee:',
+    activeTask: 'Active task: #{id} {title}{subtask}{assignee}',
+    noActiveTask: 'No active task',
+    unassigned: 'Unassigned',
+    assigneeProgress: '{name}: {done}/{total} done ({percent}%), in progress: {inProgress}',
+    lastUpdated: 'Context last updated: {date}',
+    lastActivity: 'Last activity: {summary}'
+  },
+
+  contextTracker: {
+    initialState: 'Project initialization',
+    initialSummary: 'The project was initialized',
+    created: '✓ Context file created at {file}',
+    createError: '✗ Failed to create the context file: {error}',
+    readError: '✗ Failed to read the context file: {error}',
+    saveError: '✗ Failed to save the context file: {error}',
+    copilotSaveError: '✗ Failed to save the GitHub Copilot context: {error}',
+    loadFailed: 'Failed to load the context',
+    updated: 'Context updated',
+    updateFailed: 'Failed to update the context',
+    taskCompleted: 'Task #{id} completed',
+    continueTask: 'Continue the active task #{id} "{title}"?',
+    startTask: 'Start task #{id} "{title}"?',
+    history: {
+      taskHeader: 'History of task #{id}: {title}',
+      taskEmpty: 'Task #{id} has no history',
+      fullHeader: 'Full task history:',
+      fullEmpty: 'The task history is empty',
+      groupHeader: 'Task #{id}: {title}',
+      actions: {
+        start: '🚀 Started',
+        update: '📝 Updated',
+        complete: '✅ Completed'
+      }
+    }
+  },
+
+  chat: {
+    commandError: 'Failed to run the command: {error}',
+    unknownCommand: 'Command not recognized. Use one of the following commands:\n' +
+      '- create task [title]\n' +
+      '- show tasks\n' +
+      '- mark task [id] as done\n' +
+      '- next task\n' +
+      '- what\'s next\n' +
+      '- create tasks from plan: [plan]\n' +
+      '- update context for task [id]\n' +
+      '- get copilot context [for task id]',
+    repl: {
+      welcome: 'Task Master: interactive chat mode',
+      hint: 'Tab completes commands and task IDs, a line ending with ":" or "\\" starts multi-line input until an empty line, "exit" or Ctrl+D quits.',
+      bye: 'Bye!'
+    },
+    noCommand: {
+      usage: 'No command given. Example:',
+      example: 'npm run task-master:chat "Create task Implement the new feature"',
+      message: 'No command given'
+    },
+    noTasks: 'No tasks found. Add tasks with the command "Create task [title]".',
+    taskNotFound: 'Task with ID {id} not found',
+    subtaskNotFound: 'Subtask with ID {id} not found',
+    markedInProgress: 'Task marked as "in progress"',
+    contextUpdated: 'Task context updated for GitHub Copilot',
+    historyUsedByCopilot: 'GitHub Copilot takes this history into account automatically when working with code.',
+    continue: {
+      completeFailed: 'Failed to complete the current task: {message}',
+      completed: 'Task #{id} "{title}" completed.',
+      completedNoMore: 'Task #{id} "{title}" completed. There are no more tasks in the queue.',
+      nextStarted: 'Started the next task: #{id} "{title}"',
+      contextReady: '💡 Context for GitHub Copilot is ready. You can ask for help with this task.',
+      startFailed: 'Failed to start the next task: {message}',
+      error: 'Failed to move on to the next task: {error}'
+    },
+    copilotContext: {
+      createdForTask: 'GitHub Copilot context created for task #{id}',
+      created: 'GitHub Copilot context created',
+      failed: 'Failed to create GitHub Copilot context',
+      error: 'Error while creating GitHub Copilot context: {error}'
+    },
+    suggest: {
+      none: 'No suitable tasks to suggest',
+      error: 'Error while suggesting a task: {error}'
+    },
+    context: {
+      noActiveTask: 'No active task to update the context for',
+      updated: 'Context for task #{id} updated',
+      updateFailed: 'Failed to update the context for task #{id}',
+      error: 'Error while updating the context: {error}',
+      taskUpdated: 'Context of task #{id} updated: {comment}',
+      taskUsedByCopilot: 'GitHub Copilot now takes the updated task context into account in its suggestions.',
+      emptyComment: 'The comment for the context update is empty',
+      loadFailed: 'Failed to load the project context',
+      projectUpdateFailed: 'Failed to update the project context',
+      projectUpdated: 'Project context updated: {comment}',
+      projectUsedByCopilot: 'GitHub Copilot now takes the updated project context into account in its suggestions.',
+      taskContextFailed: 'Failed to get the context for task #{id}',
+      taskContextHeader: 'GitHub Copilot context for task #{id}:',
+      projectContextHeader: 'GitHub Copilot project context:',
+      projectState: 'Project state: {state}',
+      lastUpdated: 'Last updated: {date}',
+      usedByCopilot: 'GitHub Copilot uses this context automatically when working with code.'
+    },
+    check: {
+      taskDone: 'Task #{id} "{title}" is marked as done',
+      taskNotDone: 'Task #{id} "{title}" is not marked as done. Current status: {status}',
+      noSubtasks: 'Task #{id} has no subtasks',
+      subtaskDone: 'Subtask #{id} "{title}" is marked as done',
+      subtaskNotDone: 'Subtask #{id} "{title}" is not marked as done. Current status: {status}',
+      error: 'Error while checking the task status: {error}',
+      alreadyDone: 'Task #{id} "{title}" is already marked as done.',
+      inProgress: 'Task #{id} "{title}" is in progress.',
+      confirmHint: 'Reply "mark task {id} as done" to mark the task as done and move on to the next one.\n' +
+        'Or keep working on the current task.'
+    },
+    create: {
+      defaultTitle: 'New task',
+      description: 'Task created via chat',
+      created: 'Task #{id} "{title}" created! Use the command "Update task {id}" to add subtasks or change the description.',
+      saveFailed: 'Failed to save the task.'
+    },
+    complete: {
+      statusDone: 'STATUS: DONE!',
+      task: 'Task #{id}: "{title}"',
+      subtask: 'Subtask #{id}: "{title}"',
+      statusChanged: 'Task status changed to: **done**',
+      allSubtasksDone: 'All subtasks are done, task #{id} is marked as done too!',
+      parentSubtaskDone: 'All nested subtasks are done, subtask #{id} is marked as done',
+      unblocked: 'Unblocked: {tasks}',
+      nextTask: 'Next task:',
+      subtasksInline: 'Subtasks: {subtasks}',
+      nextTaskHint: 'To move on to it, use the command "Next task" or "Start task {id}".',
+      allDone: 'All tasks are done! Stay around if you want to adjust or add something.'
+    },
+    start: {
+      starting: 'Starting task #{id}: "{title}"',
+      statusUpdateFailed: 'Failed to update the task status',
+      contextWithHistory: 'GitHub Copilot context updated with the current task and project history.',
+      readyToHelp: 'I already know about task #{id} and am ready to help with it.\n' +
+        'Start working and I will take the project context into account in my answers.',
+      contextUpdated: 'GitHub Copilot context updated. I already know about task #{id} and am ready to help with it.\n' +
+        '  Start working and I will take the project context into account in my answers.'
+    },
+    suggestions: {
+      didYouMean: 'Command not recognized. Did you mean:',
+      placeholders: {
+        id: 'id',
+        title: 'title',
+        description: 'description',
+        plan: 'plan',
+        tag: 'tag',
+        date: 'date',
+        estimate: 'estimate',
+        status: 'status',
+        reason: 'reason'
+      }
+    },
+    generate: {
+      noDescription: 'No task description given.',
+      noTasks: 'Could not find tasks in the description. Separate tasks with a "###" line.',
+      created: 'Tasks created: {count}'
+    },
+    intents: {
+      continue: 'Complete the current task and move on to the next one',
+      createTask: 'Create a task',
+      createTasks: 'Create several tasks',
+      generateTask: 'Generate a task from a description',
+      generateFromPlan: 'Create tasks from a plan',
+      showTasks: 'Task list',
+      completeTask: 'Mark a task as done',
+      nextTask: 'Next task',
+      suggestTask: 'Suggest a task',
+      checkCompletion: 'Check whether a task is done',
+      updateContext: 'Update the task context',
+      copilotContext: 'GitHub Copilot context',
+      addTag: 'Add tags to a task',
+      removeTag: 'Remove tags from a task',
+      setDue: 'Set a task due date',
+      dueReport: 'Overdue tasks and upcoming due dates',
+      setEstimate: 'Set a task estimate',
+      setStatus: 'Change a task status',
+      blockTask: 'Block a task',
+      deferTask: 'Defer a task',
+      reopenTask: 'Reopen or unblock a task',
+      cancelTask: 'Cancel a task',
+      assignTask: 'Assign a task',
+      unassignTask: 'Unassign a task'
+    },
+    explain: {
+      header: 'Command analysis: "{command}"',
+      noMatch: 'No intent matches the command',
+      score: 'score {score}',
+      pattern: 'pattern: {pattern}',
+      matched: 'matched: "{matched}" (position {index})',
+      reasons: 'reasons: {reasons}',
+      slots: 'slots: {slots}',
+      chosen: 'Intent to run: {intent}',
+      reasonLength: 'match length {length}',
+      suggestion: 'similar command: "{text}" ({intent}, similarity {score})',
+      reasonStart: 'start of command +{bonus}'
+    },
+    plan: {
+      noPlan: 'Could not extract a plan from the command. Please specify the task plan.',
+      taskDescription: 'Task created from plan: {text}',
+      noTasks: 'Could not create tasks from the given plan. Please refine the plan.',
+      created: 'Tasks created from plan: {count}',
+      contextUpdated: 'GitHub Copilot context updated with the new tasks.\n' +
+        '  To start working, use the command "Next task"',
+      saveFailed: 'Failed to save the tasks.'
+    }
+  },
+
+  tag: {
+    projectTags: 'Project tags:',
+    noTags: 'The project has no tags yet. Add one with task-master tag <id> add <tag> or put #tag in a task title.',
+    taskTags: 'Tags of task #{id} "{title}":',
+    none: 'no tags',
+    taskCount: 'tasks: {count} ({ids})',
+    updated: 'Tags of task #{id} updated',
+    invalidTags: 'Invalid tags: {tags}. A tag is a word of letters, digits, "-" and "_"',
+    noTagsGiven: 'No tags given',
+    subtaskNotAllowed: 'Tags are set on tasks: subtask {id} inherits the tags of task #{parentId}',
+    help: {
+      title: '🏷 Task Master: Task tags',
+      usage: 'Usage: task-master tag [<id> [add|remove <tag...>]]',
+      examplesHeader: 'Examples:',
+      examples: {
+        list: 'task-master tag                     - Show all project tags',
+        show: 'task-master tag 5                   - Show the tags of task #5',
+        add: 'task-master tag 5 add backend auth  - Add the tags backend and auth to task #5',
+        remove: 'task-master tag 5 remove auth       - Remove the tag auth from task #5'
+      }
+    }
+  },
+
+  due: {
+    report: 'Overdue tasks and due dates for the next {days} days:',
+    nothingDue: 'No overdue tasks and nothing due in the next {days} days',
+    overdueHeader: '⏰ OVERDUE:',
+    upcomingHeader: '📅 UPCOMING:',
+    daysOverdue: '{days} d overdue',
+    dueToday: 'due today',
+    daysLeft: '{days} d left',
+    set: 'Task {id} is due {due}',
+    cleared: 'Due date of task {id} cleared',
+    invalidDate: 'Could not parse the due date "{value}". Examples: 2026-11-01, 01.11, tomorrow, friday, in 3 days',
+    invalidDays: 'The --days value must be a non-negative number',
+    help: {
+      title: '📅 Task Master: Due dates',
+      usage: 'Usage: task-master due [--days <N>] | task-master due <id> <date|clear>',
+      examplesHeader: 'Examples:',
+      examples: {
+        report: 'task-master due                 - Overdue tasks and due dates for the next 7 days',
+        days: 'task-master due --days 30       - Due dates for the next 30 days',
+        set: 'task-master due 5 2026-11-01    - Set the due date of task #5',
+        weekday: 'task-master due 5.2 friday      - Subtask 5.2 is due next friday',
+        clear: 'task-master due 5 clear         - Clear the due date of task #5'
+      }
+    }
+  },
+
+  time: {
+    hoursMinutes: '{hours} h {minutes} min',
+    minutes: '{minutes} min'
+  },
+
+  timer: {
+    started: 'Timer started for task {id} "{title}"',
+    stopped: 'Timer stopped for task {id} "{title}": {duration}',
+    running: 'Running timer:',
+    notRunning: 'No timer is running',
+    notRunningTask: 'No timer is running for task {id}',
+    alreadyRunning: 'The timer for task {id} "{title}" is already running',
+    noTask: 'You have no task in progress. Give a task ID: task-master timer start <id>',
+    taskDone: 'Task {id} is already closed (done or cancelled)',
+    elapsed: 'current session: {duration}',
+    total: 'task total: {duration}',
+    help: {
+      title: '⏱ Task Master: Time tracking',
+      usage: 'Usage: task-master timer start [<id>] [--as <name>] | stop [<id>] [--as <name>] | status',
+      examplesHeader: 'Examples:',
+      examples: {
+        start: 'task-master timer start          - Start the timer for your current task',
+        startId: 'task-master timer start 4.2      - Start the timer for subtask 4.2',
+        stop: 'task-master timer stop           - Stop your timer',
+        stopId: 'task-master timer stop 4.2       - Stop the timer for subtask 4.2',
+        as: 'task-master timer stop --as ivan - Stop the timer of assignee ivan',
+        status: 'task-master timer status           - Show the running timer'
+      }
+    }
+  },
+
+  report: {
+    untagged: 'untagged',
+    time: {
+      title: '⏱ Time spent, all time',
+      titleSince: '⏱ Time spent since {since}',
+      empty: 'No time was tracked in this period',
+      byTask: 'By task:',
+      byTag: 'By tag:',
+      total: 'Total: {duration}'
+    },
+    errors: {
+      unknownOption: 'Unknown option: {option}',
+      invalidSince: 'Could not parse the date "{value}". Examples: 2026-10-01, 01.10.2026, today, yesterday, 7d'
+    },
+    help: {
+      title: '📊 Task Master: Reports',
+      usage: 'Usage: task-master report time [--since <date>]',
+      examplesHeader: 'Examples:',
+      examples: {
+        time: 'task-master report time                     - Time by task and tag, all time',
+        since: 'task-master report time --since 2026-10-01  - Time since October 1',
+        days: 'task-master report time --since 7d          - Time over the last 7 days'
+      }
+    }
+  },
+
+  estimate: {
+    invalid: 'Invalid estimate "{value}". An estimate is a non-negative number: 3, 1.5',
+    set: 'Task {id} estimate: {estimate}',
+    cleared: 'Task {id} estimate cleared',
+    help: {
+      title: '📏 Task Master: Task estimates',
+      usage: 'Usage: task-master estimate <id> <estimate>|clear',
+      examplesHeader: 'Examples:',
+      examples: {
+        set: 'task-master estimate 5 3        - Estimate task 5 at 3 units',
+        subtask: 'task-master estimate 5.2 1.5    - Estimate subtask 5.2',
+        clear: 'task-master estimate 5 clear    - Clear the estimate of task 5'
+      }
+    }
+  },
+
+  assign: {
+    invalid: 'Invalid assignee name "{value}"',
+    noGitUser: 'Could not determine the user: set git config user.name or pass a name',
+    set: 'Task {id} assignee: @{assignee}',
+    cleared: 'Task {id} assignee cleared',
+    help: {
+      title: '👤 Task Master: Task assignees',
+      usage: 'Usage: task-master assign <id> <name>|me|clear',
+      examplesHeader: 'Examples:',
+      examples: {
+        set: 'task-master assign 5 ivan     - Assign task 5 to ivan',
+        subtask: 'task-master assign 5.2 anna   - Assign subtask 5.2 to anna',
+        me: 'task-master assign 5 me       - Assign task 5 to yourself (git config user.name)',
+        clear: 'task-master assign 5 clear    - Clear the assignee of task 5'
+      }
+    }
+  },
+
+  journal: {
+    readFailed: 'Could not read the change journal: {error}',
+    writeFailed: 'The change was not journaled (undo will not be able to revert it): {error}',
+    conflict: 'Files {files} were changed outside the journal after "{label}". Repeat with --force to overwrite them',
+    undo: {
+      done: 'Undone: {label}',
+      empty: 'Nothing to undo: the change journal is empty'
+    },
+    redo: {
+      done: 'Redone: {label}',
+      empty: 'Nothing to redo: no undone commands'
+    },
+    list: {
+      undo: 'Can be undone (latest first):',
+      redo: 'Can be redone:',
+      empty: 'the journal is empty'
+    },
+    errors: {
+      unknownOption: 'Unknown option: {option}'
+    },
+    help: {
+      title: '↶ Task Master: Undo and redo',
+      usage: 'Usage: task-master undo [--list] [--force] | task-master redo [--force]',
+      examplesHeader: 'Examples:',
+      examples: {
+        undo: 'task-master undo           - Undo the last command',
+        redo: 'task-master redo           - Redo the undone command',
+        list: 'task-master undo --list    - Show the command journal',
+        force: 'task-master undo --force   - Undo even if the files were edited by hand'
+      }
+    }
+  },
+
+  edit: {
+    updated: 'Task {id} updated: {fields}',
+    noChanges: 'Task {id} is unchanged',
+    editor: {
+      header: 'Task {id}, status {status} (change it with the status command)',
+      hint: 'An empty value clears the field; the description goes after the --- line',
+      keptFile: 'Your changes are saved in {file}'
+    },
+    errors: {
+      emptyTitle: 'Task title cannot be empty',
+      invalidPriority: 'Invalid priority "{value}": use 1-3 or high, medium, low',
+      invalidTags: 'Invalid tags: {values}',
+      subtaskTags: 'Tags are set on tasks: subtasks inherit the task tags',
+      invalidDue: 'Could not parse due date "{value}"',
+      invalidEstimate: 'Invalid estimate "{value}": use a non-negative number',
+      unknownField: 'Unknown field: {field}',
+      invalidLine: 'A front-matter line must look like "field: value": {line}',
+      noFrontMatter: 'The file must start with front-matter between --- lines',
+      editorFailed: 'Editor "{editor}" exited with an error, changes were not applied',
+      missingValue: 'Missing value for {flag}',
+      unknownOption: 'Unknown option: {option}'
+    },
+    help: {
+      title: '✎ Task Master: Editing tasks',
+      usage: 'Usage: task-master edit <id> [--title <title>] [--description <description>] [--priority <1-3|high|medium|low>]',
+      examplesHeader: 'Examples:',
+      examples: {
+        title: 'task-master edit 3 --title "OAuth sign-in"       - Rename a task',
+        priority: 'task-master edit 3.2 --priority high            - Change a subtask priority',
+        description: 'task-master edit 3 --description ""            - Remove the description',
+        editor: 'task-master edit 3                              - Open the task in $EDITOR'
+      }
+    }
+  },
+
+  move: {
+    moved: 'Subtask {id} moved to {target} as {newId}',
+    dependenciesUpdated: 'Dependencies updated: {ids}',
+    errors: {
+      notSubtask: 'Only subtasks can be moved: {id} is a task',
+      intoItself: 'Cannot move {id} into {target}: it is the subtask itself or one of its subtasks',
+      sameParent: 'Subtask {id} is already in {target}'
+    },
+    help: {
+      title: '↪ Task Master: Moving subtasks',
+      usage: 'Usage: task-master move <subtask id> --to <task or subtask id>',
+      examplesHeader: 'Examples:',
+      examples: {
+        task: 'task-master move 3.2 --to 5     - Move subtask 3.2 to task 5',
+        subtask: 'task-master move 3.2 --to 3.1   - Make 3.2 a subtask of 3.1'
+      }
+    }
+  },
+
+  delete: {
+    deleted: 'Deleted: {id} "{title}"',
+    confirm: 'Delete {id} "{title}"? (y/N)',
+    confirmWithSubtasks: 'Delete {id} "{title}" with its subtasks ({subtasks})? (y/N)',
+    cancelled: 'Deletion cancelled',
+    dependenciesUpdated: 'References to deleted tasks removed from dependencies: {ids}',
+    undoHint: 'To bring it back: task-master undo',
+    errors: {
+      confirmationRequired: 'Deleting {id} needs confirmation: repeat the command with --yes'
+    },
+    help: {
+      title: '🗑 Task Master: Deleting tasks',
+      usage: 'Usage: task-master delete <id> [--yes]',
+      examplesHeader: 'Examples:',
+      examples: {
+        task: 'task-master delete 3         - Delete task 3 with all its subtasks',
+        subtask: 'task-master delete 3.2       - Delete subtask 3.2',
+        yes: 'task-master delete 3 --yes   - Delete without confirmation'
+      }
+    }
+  },
+
+  backups: {
+    writeFailed: 'Could not create a backup: {error}',
+    restored: 'Restored from snapshot {snapshot}: {files}',
+    undoHint: 'To revert the restore: task-master undo',
+    list: {
+      title: 'Backups (latest first), state before the command:',
+      empty: 'no backups',
+      hint: 'To restore: task-master restore <number>'
+    },
+    diff: {
+      same: '{file}: same as current',
+      tasks: '{file}: since then {added} tasks and subtasks added, {removed} removed, {changed} changed',
+      history: '{file}: history entries since then {count}',
+      missing: '{file}: the current file is missing',
+      corruptCurrent: '{file}: the current file is corrupted',
+      corruptSnapshot: '{file}: the copy is corrupted'
+    },
+    errors: {
+      notFound: 'Backup "{snapshot}" not found. List backups: task-master backups',
+      corruptSnapshot: 'File {file} in snapshot {snapshot} is corrupted, restore cancelled',
+      unknownOption: 'Unknown option: {option}'
+    },
+    help: {
+      title: '🗄 Task Master: Backups',
+      usage: 'Usage: task-master backups | task-master restore <number|snapshot name>',
+      examplesHeader: 'Examples:',
+      examples: {
+        list: 'task-master backups                          - List backups',
+        restore: 'task-master restore 1                        - Return the files to the state before the last command',
+        byName: 'task-master restore 2026-10-19T19-09-39-242Z - Restore a snapshot by name'
+      }
+    }
+  },
+
+  forecast: {
+    title: '📉 Completion forecast',
+    velocity: 'Velocity: {velocity} per week (over the last {weeks} weeks)',
+    remaining: 'Remaining: {remaining}',
+    unestimated: 'Not estimated: {ids} - counted as {estimate} each',
+    completion: 'Projected completion: {date}',
+    allDone: 'All tasks are done',
+    noVelocity: 'No tasks were completed in the last {weeks} weeks - cannot forecast',
+    invalidWeeks: 'Specify the number of weeks: --weeks <N>, N >= 1',
+    table: {
+      header: '  Week          Done  Remaining',
+      projected: '(forecast)'
+    },
+    help: {
+      title: '📉 Task Master: Completion forecast',
+      usage: 'Usage: task-master forecast [--weeks <N>]',
+      examplesHeader: 'Examples:',
+      examples: {
+        forecast: 'task-master forecast             - Velocity over 4 weeks and forecast',
+        weeks: 'task-master forecast --weeks 8   - Velocity over the last 8 weeks'
+      }
+    }
+  },
+
+  status: {
+    changed: 'Task {id} status: {from} → {to}',
+    blockedWithReason: 'Task {id} is blocked: {reason}',
+    cascade: '↳ {id}: {from} → {to}',
+    errors: {
+      unknownStatus: 'Unknown status "{status}". Allowed statuses: {statuses}',
+      alreadyInStatus: 'Task {id} is already {status}',
+      notAllowed: 'Task {id} cannot move from {from} to {to}. Allowed transitions: {allowed}'
+    },
+    help: {
+      title: '🔀 Task Master: Task statuses',
+      usage: 'Usage: task-master status <id> <status> [reason] | block <id> [reason] | defer <id> | reopen <id> | cancel <id>',
+      statuses: 'Statuses: {statuses}',
+      transitions: 'Allowed transitions (statusTransitions setting in config.json):',
+      examplesHeader: 'Examples:',
+      examples: {
+        status: 'task-master status 5 in-progress         - Start working on task 5',
+        block: 'task-master block 5 waiting for API keys  - Block task 5 with a reason',
+        defer: 'task-master defer 5.2                     - Defer subtask 5.2',
+        reopen: 'task-master reopen 5                      - Reopen a done task or unblock task 5',
+        cancel: 'task-master cancel 5                      - Cancel task 5 and its open subtasks'
+      }
+    }
+  },
+
+  list: {
+    title: '📋 Project tasks: {project} (v{version})',
+    empty: 'No tasks found. Add tasks with {command}',
+    blockedBy: '⛔ waiting for: {ids}',
+    blockedReason: '⊘ reason: {reason}',
+    subtaskOf: '(subtask of #{id})',
+    overdue: 'overdue',
+    estimate: '(estimate: {estimate})',
+    priority: '(priority: {priority})',
+    groups: {
+      'in-progress': '⚙ IN PROGRESS:',
+      pending: '○ PENDING:',
+      done: '✓ DONE:',
+      deferred: '⏸ DEFERRED:',
+      blocked: '⊘ BLOCKED:',
+      cancelled: '✗ CANCELLED:'
+    },
+    untagged: 'UNTAGGED:',
+    sortedBy: 'Sorted {order}:',
+    sortOrders: {
+      created: 'by creation date',
+      updated: 'by update date',
+      priority: 'by priority',
+      id: 'by ID',
+      due: 'by due date'
+    },
+    noMatches: 'No tasks match the filters',
+    shown: 'Shown: {shown} of {total}',
+    helpHint: 'For help, run: {command} "help"',
+    usage: 'Usage: task-master list [--status <status>] [--priority <1-3>] [--tag <tag>] [--mine] [--group status|tag] [--search <text>] [--sort created|updated|priority|due|id] [--limit <N>] [--tree|--flat] [--json|--ndjson]',
+    errors: {
+      missingValue: 'Missing value for {flag}',
+      unknownOption: 'Unknown option: {option}',
+      unknownStatus: 'Unknown status: {values}. Allowed values: {allowed}',
+      unknownSort: 'Unknown sort key: {value}. Allowed values: {allowed}',
+      invalidLimit: '--limit must be a positive number',
+      unknownGroup: 'Unknown grouping: {value}. Allowed values: {allowed}',
+      noGitUser: '--mine needs a git user: set git config user.name'
+    }
+  },
+
+  validate: {
+    fileNotFound: 'file not found',
+    parseError: 'JSON parse error: {error}',
+    skipped: '{file}: file not found, check skipped',
+    noErrors: '{file}: no errors found',
+    errorsFound: '{file}: errors found: {count}',
+    nothingToFix: 'Nothing to fix',
+    fixesHeader: '🔧 Fixes ({count}):',
+    fixesSaved: 'Fixes saved',
+    fixesSaveFailed: 'Failed to save the fixes',
+    fixes: {
+      tasksCreated: 'created an empty task list',
+      subtasksCreated: 'added an empty subtask list',
+      timestampSet: 'set to {value}'
+    },
+    schema: {
+      type: 'expected {expected}, got {actual}',
+      or: ' or ',
+      enum: 'allowed values: {allowed}; got {value}',
+      minimum: 'value must be at least {minimum}',
+      maximum: 'value must be at most {maximum}',
+      emptyString: 'string must not be empty',
+      pattern: 'value {value} does not match the pattern {pattern}',
+      dateTime: 'invalid date {value}',
+      required: 'required field is missing'
+    },
+    dependencies: {
+      notArray: '#{id}: dependsOn must be an array',
+      self: '#{id}: a task cannot depend on itself',
+      notFound: '#{id}: dependency #{dependency} not found',
+      cycle: 'Circular dependency: {cycle}'
+    }
+  },
+
+  generate: {
+    title: '📝 Generate tasks from a description',
+    batchTitle: '📝 Batch task generation',
+    modePrompt: 'Choose a mode:\n1 - Create one task\n2 - Create several tasks\nChoice (1/2): ',
+    singleFormat: 'Enter the task description. The first line is the title; add tags to it with #: #backend #auth, a priority as [P:1] or !high, an estimate as [E:3], a due date as due:2026-11-01.',
+    batchIntro: 'Enter several tasks separated by a "###" line.',
+    batchFormat: 'The first line of each task is its title; add tags to it with #: #backend #auth, a priority as [P:1] or !high, an estimate as [E:3], a due date as due:2026-11-01.',
+    subtasksHint: 'Lines starting with - or * become subtasks.',
+    finishHint: 'Enter an empty line to finish.',
+    analyzing: 'Analyzing the description...',
+    noDescription: 'No description',
+    emptyDescription: 'The description is empty. Try again.',
+    emptyInput: 'The input is empty. Try again.',
+    noSeparator: 'Could not find tasks in the description. Make sure the tasks are separated with "###"',
+    noTasksCreated: 'Could not create tasks. Check the input format.',
+    priorityPrompt: 'Priority (1 - high, 2 - medium, 3 - low) [{priority}]: ',
+    batchPriorityPrompt: 'Priority for all tasks (1 - high, 2 - medium, 3 - low) [from labels or 2]: ',
+    anotherPrompt: 'Add another task? (y/n) [y]: ',
+    taskCreated: '✓ Task #{id} "{title}" created!',
+    tasksCreated: '✓ Tasks created: {count}',
+    subtaskCount: 'Subtasks: {count}',
+    done: '✓ Task generation finished!',
+    listHint: 'Run npm run task-master:list to see all tasks.'
+  },
+
+  depends: {
+    header: 'Dependencies of task #{id} "{title}"',
+    updated: '✓ Dependencies of task #{id} updated',
+    noDependencies: 'No dependencies',
+    dependsOn: 'Depends on: {ids}',
+    none: 'none',
+    help: {
+      title: '🔗 Task Master: Task dependencies',
+      usage: 'Usage: task-master depends <id> [add|remove] [id...]',
+      examplesHeader: 'Examples:',
+      examples: {
+        show: 'task-master depends 5              - Show the dependencies of task #5',
+        add: 'task-master depends 5 add 3 4.1    - Task #5 waits for task #3 and subtask 4.1',
+        remove: 'task-master depends 5 remove 3     - Remove the dependency on task #3'
+      }
+    }
+  },
+
+  migrate: {
+    upToDate: '✓ {file} is already in the current format (version {version})',
+    previewHeader: '🔍 Migrating {file}: version {from} → {to}',
+    changesHeader: 'Changes ({count}):',
+    dryRunHint: 'The file was not changed. Run task-master migrate without --dry-run to apply the migrations.',
+    migrated: '✓ {file} format updated from version {from} to {to}',
+    backup: 'Backup: {file}',
+    error: '✗ Migration failed: {error}',
+    descriptions: {
+      v1: 'Numeric priorities, required subtask lists and task dates'
+    }
+  },
+
+  store: {
+    lockTimeout: 'The tasks file is locked by another process ({file}). Try again later or delete the lock file manually.',
+    formatUpdated: 'ℹ {file} format updated from version {from} to {to}. Backup: {backup}',
+    fileNotFound: '✗ {file} not found. Initialize it with {command}',
+    filePath: 'File path: {file}',
+    readError: '✗ Failed to read the file: {error}',
+    tasksFileNotFound: '✗ Tasks file not found: {file}',
+    tasksReadError: '✗ Failed to read the tasks file: {error}',
+    invalidDependencies: '✗ Changes not saved: invalid task dependencies',
+    saveError: '✗ Failed to save the file: {error}'
+  }
+};
@@ -0,0 +1,1034 @@
+/**
+ * Русские сообщения Task Master
+ * Основной каталог: при отсутствии перевода в другом языке используется он
+ */
+
+module.exports = {
+  meta: {
+    locale: 'ru-RU'
+  },
+
+  common: {
+    priority: 'Приоритет: {priority}',
+    description: 'Описание: {description}',
+    due: 'Срок: {due}',
+    subtasks: 'Подзадачи:',
+    saveFailed: 'Не удалось сохранить изменения',
+    taskNotFound: 'Задача с ID {id} не найдена в списке задач'
+  },
+
+  history: {
+    taskStarted: 'Начато выполнение задачи "{title}"',
+    taskCompleted: 'Выполнена задача "{title}"',
+    taskCompletedWithSubtasks: 'Выполнена задача "{title}" и все её подзадачи ({count})',
+    subtaskCompleted: 'Выполнена подзадача {id} "{title}"',
+    subtaskStarted: 'Начато выполнение подзадачи {id} "{title}"',
+    allSubtasksCompleted: 'Выполнены все подзадачи ({count})',
+    completedFromChat: 'Задача завершена через интерфейс чата (команда: "{command}")',
+    statusChanged: 'Статус {id} "{title}" изменен на {status}',
+    statusChangedWithReason: 'Статус {id} "{title}" изменен на {status}: {reason}',
+    taskEdited: 'Изменена задача {id} "{title}": {fields}',
+    taskDeleted: 'Удалена задача {id} "{title}"',
+    subtaskDeleted: 'Удалена подзадача {id} "{title}"',
+    subtaskMoved: 'Подзадача {id} "{title}" перенесена и получила ID {newId}'
+  },
+
+  next: {
+    blocked: 'Задача #{id} "{title}" заблокирована. Сначала выполните: {blockers}',
+    noAvailableTasks: 'Нет доступных задач в статусе pending. Все задачи выполнены, находятся в процессе или ждут зависимостей.',
+    notPending: 'Задача с ID {id} не найдена или не находится в статусе pending.',
+    started: '✓ Задача #{id} "{title}" отмечена как "в процессе"',
+    subtaskStarted: '✓ Подзадача #{id} "{title}" отмечена как "в процессе"',
+    noPendingTasks: 'Нет задач в статусе pending. Все задачи выполнены или находятся в процессе.',
+    nextTaskHeader: '🚀 Следующая задача:',
+    nextTask: 'Следующая задача: #{id} {title}',
+    contextReady: '💡 Контекст для GitHub Copilot готов. Чтобы начать выполнение, используйте:',
+    contextUpdated: '💡 Контекст задачи автоматически обновлен для GitHub Copilot',
+    askCopilot: 'Теперь можете попросить Copilot помочь с выполнением этой задачи.',
+    completeCurrentHint: 'Чтобы завершить текущую задачу, используйте:',
+    noTasksWithTag: 'Нет доступных задач с тегами: {tags}',
+    progress: {
+      header: '📊 Прогресс выполнения задач:',
+      total: 'Всего задач: {count}',
+      done: '✓ Выполнено: {count} ({percent}%)',
+      inProgress: '🔄 В процессе: {count}',
+      pending: '⏳ Ожидают: {count}',
+      current: '🔄 Задачи в процессе выполнения:',
+      subtasks: 'Прогресс подзадач: {done}/{total} ({percent}%)',
+      currentSubtask: '⚙ Подзадача в процессе: {id} {title}'
+    }
+  },
+
+  complete: {
+    taskDone: 'Задача #{id} "{title}" отмечена как выполненная',
+    subtaskDone: 'Подзадача #{id} отмечена как выполненная',
+    parentSubtaskDone: 'Все вложенные подзадачи выполнены, подзадача #{id} отмечена как выполненная',
+    parentTaskDone: 'Все подзадачи выполнены, задача #{id} отмечена как выполненная',
+    subtaskNotFound: 'Подзадача с ID {id} не найдена',
+    noTaskToStart: 'Задача не найдена',
+    defaultSummary: 'Задача {id} завершена успешно',
+    unblocked: '🔓 Разблокированы задачи:',
+    summaryPrompt: 'Введите краткое описание результата выполнения задачи:',
+    startNextPrompt: '📝 Хотите начать выполнение следующей задачи? (y/n)',
+    nextCancelled: 'Начало следующей задачи отменено.',
+    noTaskId: 'Не указан ID задачи',
+    usage: 'Не указан ID задачи. Пример использования:',
+    interactiveUsage: 'Или для интерактивного режима:'
+  },
+
+  wip: {
+    personLimit: 'У @{assignee} уже {tasks} в работе (ограничение WIP: {limit}). Завершите задачу перед началом новой.',
+    unassignedLimit: 'Уже в работе: {tasks} (ограничение WIP: {limit}). Завершите задачу или укажите исполнителя: --as <имя>.',
+    totalLimit: 'В работе у команды уже {tasks} (общее ограничение WIP: {limit}).',
+    assignedToOther: 'Задача {id} назначена @{assignee}'
+  },
+
+  global: {
+    globalDirCreated: '✓ Создана глобальная директория для Task Master',
+    mode: 'Режим работы: {mode}',
+    tasksFile: 'Файл задач: {file}',
+    scriptDir: 'Директория скриптов: {dir}',
+    unknownCommand: 'Неизвестная команда: {command}',
+    scriptNotFound: 'Ошибка: Скрипт {script} не найден',
+    availableScripts: 'Доступные скрипты в директории {dir}:',
+    runningScript: 'Запускаем скрипт: {script}',
+    commandFailed: 'Ошибка при выполнении команды: {error}',
+    errorStack: 'Стек ошибки: {stack}'
+  },
+
+  help: {
+    title: '📋 Task Master - система управления задачами',
+    usage: 'Использование: task-master [команда] [параметры]',
+    commandsHeader: 'Доступные команды:',
+    args: {
+      options: '[параметры]',
+      id: '<id>',
+      chatCommand: '"команда"',
+      command: '[команда]',
+      dependsArgs: '<id> [...]',
+      tagArgs: '[<id> add|remove <тег>]',
+      dueArgs: '[<id> <срок>|--days <N>]',
+      timerArgs: 'start|stop [<id>] [--as <имя>]|status',
+      reportArgs: 'time [--since <дата>]',
+      estimateArgs: '<id> <оценка>|clear',
+      forecastArgs: '[--weeks <N>]',
+      statusArgs: '<id> <статус> [причина]',
+      blockArgs: '<id> [причина]',
+      assignArgs: '<id> <имя>|me|clear',
+      editArgs: '<id> [--title|--description|--priority <значение>]',
+      moveArgs: '<id> --to <id>',
+      deleteArgs: '<id> [--yes]',
+      undoArgs: '[--list] [--force]',
+      force: '[--force]',
+      snapshot: '<снимок>',
+      fix: '[--fix]',
+      dryRun: '[--dry-run]'
+    },
+    commands: {
+      init: 'Инициализация системы задач',
+      list: 'Показать список задач (--status, --priority, --tag, --mine, --group, --search, --sort, --limit, --flat)',
+      next: 'Получить следующую задачу (--tag - среди задач с тегом, --for <имя> - для исполнителя, start --as <имя> - начать от имени исполнителя)',
+      generate: 'Сгенерировать задачи из описания',
+      complete: 'Отметить задачу как выполненной',
+      chat: 'Выполнить команду через интерфейс чата (без команды - интерактивный режим, --explain - показать распознанное намерение)',
+      context: 'Работа с контекстом выполнения задач',
+      depends: 'Управление зависимостями задачи',
+      tag: 'Теги задач: список тегов проекта, добавление и удаление тегов',
+      due: 'Сроки задач: просроченные и ближайшие задачи, установка срока',
+      timer: 'Учет времени: запуск и остановка таймера задачи',
+      report: 'Отчеты: затраченное время по задачам и тегам',
+      estimate: 'Установить или снять оценку задачи',
+      forecast: 'Скорость команды, прогноз завершения и диаграмма сгорания',
+      status: 'Сменить статус задачи (допустимые переходы - в настройке statusTransitions)',
+      block: 'Заблокировать задачу с указанием причины',
+      defer: 'Отложить задачу',
+      reopen: 'Вернуть задачу в ожидание (переоткрыть или разблокировать)',
+      cancel: 'Отменить задачу',
+      assign: 'Назначить или снять исполнителя задачи',
+      edit: 'Изменить название, описание или приоритет задачи (без параметров - в редакторе $EDITOR)',
+      move: 'Перенести подзадачу в другую задачу или подзадачу',
+      delete: 'Удалить задачу или подзадачу (с подтверждением)',
+      undo: 'Отменить последнюю команду, изменившую задачи (--list - журнал команд)',
+      redo: 'Повторить отмененную команду',
+      backups: 'Показать резервные копии файлов задач и их отличия от текущих',
+      restore: 'Восстановить tasks.json и context.json из резервной копии',
+      validate: 'Проверить tasks.json и context.json по схеме',
+      migrate: 'Обновить формат tasks.json до текущей версии',
+      help: 'Показать эту справку'
+    },
+    optionsHeader: 'Общие параметры:',
+    options: {
+      json: 'Вывести результат команды в формате JSON (list, next, complete, context, chat, tag, due, timer, report, estimate, forecast, status, assign, edit, move, delete, undo, backups, restore, validate)',
+      ndjson: 'Вывести результат по одному JSON-объекту на строку'
+    },
+    chatHeader: 'Команды чата:',
+    chat: {
+      createTask: { phrase: 'Создай задачу [название]', description: 'Создать новую задачу' },
+      createTasks: { phrase: 'Создай задачи [описание]', description: 'Создать несколько задач' },
+      generateFromPlan: { phrase: 'Сгенерируй задачи из плана', description: 'Создать задачи на основе плана' },
+      showTasks: { phrase: 'Покажи задачи', description: 'Просмотр всех задач' },
+      completeTask: { phrase: 'Отметь задачу X как выполненную', description: 'Отметить задачу как выполненную' },
+      nextTask: { phrase: 'Дай следующую задачу', description: 'Получить следующую задачу' },
+      addTag: { phrase: 'Добавь тег X к задаче N', description: 'Добавить тег задаче' },
+      setDue: { phrase: 'Установи срок задачи N до пятницы', description: 'Установить срок задачи' },
+      setEstimate: { phrase: 'Оцени задачу N в 3', description: 'Установить оценку задачи' },
+      blockTask: { phrase: 'Заблокируй задачу N: причина', description: 'Заблокировать задачу' },
+      setStatus: { phrase: 'Смени статус задачи N на deferred', description: 'Сменить статус задачи' },
+      assignTask: { phrase: 'Назначь задачу N на Ивана', description: 'Назначить исполнителя задачи' },
+      help: { phrase: 'Справка', description: 'Подробная инструкция' }
+    },
+    modeHeader: 'Режим работы:',
+    modes: {
+      local: 'локальный',
+      global: 'глобальный'
+    },
+    currentMode: 'Текущий режим: {mode}',
+    localModeInfo: 'В локальном режиме задачи хранятся в текущем проекте.',
+    globalModeInfo: 'В глобальном режиме задачи хранятся в общей директории, доступной из любого проекта.'
+  },
+
+  init: {
+    initializingIn: 'Task Master инициализируется в директории: {dir}',
+    initializing: 'Инициализация Task Master...',
+    dirCreated: '✓ Создана папка {name} в текущем проекте',
+    dirExists: '⚠ Папка {name} уже существует в текущем проекте',
+    fileCreated: '✓ Создан файл {name} в директории {dir}',
+    fileExists: '⚠ Файл {name} уже существует в директории {dir}',
+    copilotFileCreated: '✓ Создан файл COPILOT-INTEGRATION.md с инструкциями для Copilot',
+    copilotFileExists: '⚠ Файл COPILOT-INTEGRATION.md уже существует в корне проекта',
+    globalDirCreated: '✓ Создана глобальная директория для Task Master: {dir}',
+    done: '✓ Task Master инициализирован успешно в текущем проекте!',
+    commandsHeader: 'Доступные команды:',
+    commands: {
+      list: 'показать список задач',
+      next: 'получить следующую задачу',
+      generate: 'сгенерировать задачи из описания',
+      chat: 'выполнить команду через интерфейс чата'
+    },
+    features: {
+      header: '🚀 НОВЫЕ ВОЗМОЖНОСТИ TASK MASTER:',
+      batch: {
+        title: '1. Пакетное создание задач:',
+        text: '   Вы можете создавать несколько задач за один раз с помощью команды:\n' +
+          '   "Создай задачи [описание]" или "Сгенерируй задачи [описание]"\n' +
+          '   Разделяйте задачи символами "###"'
+      },
+      priorities: {
+        title: '2. Настройка приоритетов:',
+        text: '   Указывайте приоритет для задач с помощью меток:\n' +
+          '   [P:1] - высокий приоритет 🔴\n' +
+          '   [P:2] - средний приоритет 🟡\n' +
+          '   [P:3] - низкий приоритет 🟢'
+      },
+      plan: {
+        title: '3. Автоматическое создание задач из плана:',
+        text: '   Создавайте задачи на основе обсуждения проекта с помощью команды:\n' +
+          '   "Создай список задач из плана" или "Сгенерируй задачи из нашего обсуждения"'
+      },
+      global: {
+        title: '4. Глобальный режим работы:',
+        text: '   Task Master теперь может работать глобально, доступный из любой директории.\n' +
+          '   При глобальной установке используйте команды вида:\n' +
+          '   task-master [команда] [параметры]'
+      },
+      helpHint: 'Введите "task-master help" или "npm run task-master:chat "справка"" для получения полной документации.'
+    },
+    copilotIntegration: `# Task Master: Интеграция с GitHub Copilot
+
+Task Master предоставляет расширенные возможности для совместной работы с GitHub Copilot. Этот документ объясняет, как эффективно использовать Task Master в сочетании с Copilot для автоматизации процесса планирования и отслеживания задач.
+
+## Основные сценарии использования
+
+### 1. Автоматическое создание задач из обсуждения
+
+GitHub Copilot может автоматически анализировать обсуждение проекта и создавать соответствующие задачи в Task Master. После обсуждения плана разработки, просто попросите Copilot создать список задач:
+
+\`\`\`
+Создай список задач из нашего обсуждения
+\`\`\`
+
+или
+
+\`\`\`
+Сгенерируй задачи из плана
+\`\`\`
+
+**Важно!** Для изменения статуса задач (например, отметки задачи как выполненной) всегда используйте соответствующий npm-скрипт:
+
+\`\`\`
+npm run task-master:complete <id>
+\`\`\`
+
+Где <id> — номер задачи (например, 1 или 1.2).
+
+**Нельзя изменять файл tasks.json вручную!** Это может привести к ошибкам и рассинхронизации состояния задач.
+
+Больше примеров и подробностей — в основном README или документации проекта.
+`
+  },
+
+  copilotContext: {
+    currentTask: 'Текущая задача: #{id} {title}',
+    status: 'Статус: {status}',
+    priority: 'Приоритет: {priority}',
+    description: 'Описание: {description}',
+    noDescription: 'Нет описания',
+    subtasks: 'Подзадачи:',
+    history: 'История выполнения:',
+    noHistory: 'История выполнения отсутствует.',
+    activeSubtask: 'Текущая подзадача: {id} {title}',
+    activeMarker: '← текущая подзадача',
+    statuses: {
+      pending: 'Ожидает выполнения',
+      'in-progress': 'В процессе выполнения',
+      done: 'Выполнена',
+      deferred: 'Отложена',
+      blocked: 'Заблокирована',
+      cancelled: 'Отменена'
+    }
+  },
+
+  context: {
+    suggest: {
+      suggested: 'Предлагаю выполнить задачу #{id}: {title}',
+      allDone: 'Все задачи выполнены! Можно создать новые задачи.',
+      allBlocked: 'Все невыполненные задачи ждут выполнения своих зависимостей.',
+      noTasks: 'Задачи не найдены'
+    },
+    loadTasksError: 'Ошибка при загрузке задач:',
+    loadTaskContextError: 'Ошибка при загрузке контекста задачи #{id}:',
+    saveTaskContextError: 'Ошибка при сохранении контекста задачи #{id}:',
+    noActiveTask: 'Нет активной задачи для создания контекста',
+    summaryRequired: '⚠ Необходимо указать описание выполненной работы',
+    loadTasksFailed: '✗ Не удалось загрузить задачи',
+    statusChanged: 'ℹ Статус задачи #{id} изменен на "в процессе"',
+    updated: '✓ Контекст задачи #{id} успешно обновлен',
+    updateFailed: '✗ Не удалось обновить контекст задачи #{id}',
+    completed: '✓ Задача #{id} отмечена как выполненная',
+    completeFailed: '✗ Не удалось отметить задачу #{id} как выполненную',
+    missingTaskId: '✗ Необходимо указать ID задачи',
+    summaryHeader: '📊 Сводка о состоянии проекта',
+    taskHistoryHeader: '📜 История выполнения задачи #{id}',
+    fullHistoryHeader: '📜 Полная история выполнения задач',
+    initialized: '✓ Файл контекста успешно инициализирован',
+    copilotFailed: '✗ Не удалось подготовить контекст для GitHub Copilot',
+    unknownCommand: 'Неизвестная команда: {command}',
+    error: '✗ Ошибка: {error}',
+    help: {
+      title: '📋 Task Master: Управление контекстом проекта',
+      usage: 'Использование: task-master context [команда] [параметры]',
+      commandsHeader: 'Доступные команды:',
+      commands: {
+        summary: 'Показать краткую сводку о состоянии проекта (по умолчанию)',
+        history: 'Показать историю задачи или всех задач',
+        init: 'Инициализировать файл контекста',
+        update: 'Обновить контекст для задачи',
+        copilot: 'Подготовить контекст для GitHub Copilot',
+        'check-context': 'Проверить и обновить контекст для GitHub Copilot',
+        suggest: 'Предложить выполнение задачи и подготовить контекст',
+        help: 'Показать эту справку'
+      },
+      examplesHeader: 'Примеры:',
+      examples: {
+        summary: 'task-master context                   - Показать общую сводку',
+        history: 'task-master context history 3         - Показать историю задачи #3',
+        update: 'task-master context update 2 "Описание выполненной работы"  - Обновить контекст задачи #2',
+        copilot: 'task-master context copilot 2         - Подготовить контекст задачи #2 для GitHub Copilot',
+        suggest: 'task-master context suggest           - Предложить выполнение задачи'
+      }
+    }
+  },
+
+  projectSummary: {
+    loadTasksFailed: 'Не удалось загрузить информацию о задачах',
+    loadContextFailed: 'Не удалось загрузить контекст проекта',
+    header: 'Текущее состояние проекта: {project} (v{version})',
+    progress: 'Общий прогресс: {completed}/{total} задач выполнено ({percent}%)',
+    done: 'Выполнено: {count}',
+    inProgress: 'В процессе: {count}',
+    pending: 'Ожидает: {count}',
+    byAssignee: 'По исполнителям:',
+    activeTask: 'Активная задача: #{id} {title}{subtask}{assignee}',
+    noActiveTask: 'Нет активной задачи',
+    unassigned: 'Без исполнителя',
+    assigneeProgress: '{name}: {done}/{total} выполнено ({percent}%), в процессе: {inProgress}',
+    lastUpdated: 'Последнее обновление контекста: {date}',
+    lastActivity: 'Последняя активность: {summary}'
+  },
+
+  contextTracker: {
+    initialState: 'Инициализация проекта',
+    initialSummary: 'Проект был инициализирован',
+    created: '✓ Создан файл контекста в {file}',
+    createError: '✗ Ошибка при создании файла контекста: {error}',
+    readError: '✗ Ошибка при чтении файла контекста: {error}',
+    saveError: '✗ Ошибка при сохранении файла контекста: {error}',
+    copilotSaveError: '✗ Ошибка при сохранении контекста для GitHub Copilot: {error}',
+    loadFailed: 'Не удалось загрузить контекст',
+    updated: 'Контекст успешно обновлен',
+    updateFailed: 'Не удалось обновить контекст',
+    taskCompleted: 'Задача #{id} завершена',
+    continueTask: 'Продолжить выполнение активной задачи #{id} "{title}"?',
+    startTask: 'Начать выполнение задачи #{id} "{title}"?',
+    history: {
+      taskHeader: 'История выполнения задачи #{id}: {title}',
+      taskEmpty: 'Для задачи #{id} нет истории выполнения',
+      fullHeader: 'Полная история выполнения задач:',
+      fullEmpty: 'История выполнения задач пуста',
+      groupHeader: 'Задача #{id}: {title}',
+      actions: {
+        start: '🚀 Начало выполнения',
+        update: '📝 Обновление',
+        complete: '✅ Завершение'
+      }
+    }
+  },
+
+  chat: {
+    commandError: 'Ошибка при выполнении команды: {error}',
+    unknownCommand: 'Команда не распознана. Используйте одну из следующих команд:\n' +
+      '- создай задачу [название]\n' +
+      '- покажи список задач\n' +
+      '- отметь задачу [id] как выполненную\n' +
+      '- дай следующую задачу\n' +
+      '- обнови контекст задачи [id]\n' +
+      '- предложи задачу\n' +
+      '- получи контекст для copilot [для задачи id]',
+    repl: {
+      welcome: 'Task Master: интерактивный режим чата',
+      hint: 'Tab - дополнение команд и номеров задач, строка с ":" или "\\" в конце - многострочный ввод до пустой строки, "выход" или Ctrl+D - завершение.',
+      bye: 'До встречи!'
+    },
+    noCommand: {
+      usage: 'Не указана команда. Пример использования:',
+      example: 'npm run task-master:chat "Создай задачу Разработка нового функционала"',
+      message: 'Не указана команда'
+    },
+    noTasks: 'Задачи не найдены. Добавьте задачи с помощью команды "Создай задачу [название]".',
+    taskNotFound: 'Задача с ID {id} не найдена',
+    subtaskNotFound: 'Подзадача с ID {id} не найдена',
+    markedInProgress: 'Задача отмечена как "в процессе"',
+    contextUpdated: 'Контекст задачи обновлен для GitHub Copilot',
+    historyUsedByCopilot: 'Эта история автоматически учитывается GitHub Copilot при работе с кодом.',
+    continue: {
+      completeFailed: 'Не удалось завершить текущую задачу: {message}',
+      completed: 'Задача #{id} "{title}" успешно завершена.',
+      completedNoMore: 'Задача #{id} "{title}" успешно завершена. Больше нет задач в очереди.',
+      nextStarted: 'Начато выполнение следующей задачи: #{id} "{title}"',
+      contextReady: '💡 Контекст для GitHub Copilot готов. Можете запросить помощь по этой задаче.',
+      startFailed: 'Не удалось начать следующую задачу: {message}',
+      error: 'Ошибка при переходе к следующей задаче: {error}'
+    },
+    copilotContext: {
+      createdForTask: 'Контекст для GitHub Copilot создан для задачи #{id}',
+      created: 'Контекст для GitHub Copilot успешно создан',
+      failed: 'Не удалось создать контекст для GitHub Copilot',
+      error: 'Ошибка при создании контекста для GitHub Copilot: {error}'
+    },
+    suggest: {
+      none: 'Нет подходящих задач для предложения',
+      error: 'Ошибка при предложении задачи: {error}'
+    },
+    context: {
+      noActiveTask: 'Нет активной задачи для обновления контекста',
+      updated: 'Контекст для задачи #{id} успешно обновлен',
+      updateFailed: 'Не удалось обновить контекст для задачи #{id}',
+      error: 'Ошибка при обновлении контекста: {error}',
+      taskUpdated: 'Контекст задачи #{id} обновлен: {comment}',
+      taskUsedByCopilot: 'GitHub Copilot теперь учитывает обновленный контекст задачи в своих рекомендациях.',
+      emptyComment: 'Пустой комментарий для обновления контекста',
+      loadFailed: 'Не удалось загрузить контекст проекта',
+      projectUpdateFailed: 'Не удалось обновить общий контекст проекта',
+      projectUpdated: 'Общий контекст проекта обновлен: {comment}',
+      projectUsedByCopilot: 'GitHub Copilot теперь учитывает обновленный контекст проекта в своих рекомендациях.',
+      taskContextFailed: 'Не удалось получить контекст для задачи #{id}',
+      taskContextHeader: 'Контекст задачи #{id} для GitHub Copilot:',
+      projectContextHeader: 'Общий контекст проекта для GitHub Copilot:',
+      projectState: 'Проектное состояние: {state}',
+      lastUpdated: 'Последнее обновление: {date}',
+      usedByCopilot: 'Этот контекст автоматически используется GitHub Copilot при работе с кодом.'
+    },
+    check: {
+      taskDone: 'Задача #{id} "{title}" отмечена как выполненная',
+      taskNotDone: 'Задача #{id} "{title}" не отмечена как выполненная. Текущий статус: {status}',
+      noSubtasks: 'Задача #{id} не имеет подзадач',
+      subtaskDone: 'Подзадача #{id} "{title}" отмечена как выполненная',
+      subtaskNotDone: 'Подзадача #{id} "{title}" не отмечена как выполненная. Текущий статус: {status}',
+      error: 'Ошибка при проверке статуса задачи: {error}',
+      alreadyDone: 'Задача #{id} "{title}" уже отмечена как выполненная.',
+      inProgress: 'Задача #{id} "{title}" в процессе выполнения.',
+      confirmHint: 'Ответьте "Да, задача выполнена" чтобы отметить задачу как выполненную и перейти к следующей.\n' +
+        'Или продолжите работу над текущей задачей.'
+    },
+    create: {
+      defaultTitle: 'Новая задача',
+      description: 'Задача создана через чат',
+      created: 'Задача #{id} "{title}" успешно создана! Добавить подзадачи или изменить описание можно через команду "Обнови задачу {id}".',
+      saveFailed: 'Не удалось сохранить задачу.'
+    },
+    complete: {
+      statusDone: 'СТАТУС: ВЫПОЛНЕНО!',
+      task: 'Задача #{id}: "{title}"',
+      subtask: 'Подзадача #{id}: "{title}"',
+      statusChanged: 'Статус задачи изменён на: **done**',
+      allSubtasksDone: 'Все подзадачи выполнены, задача #{id} также отмечена как выполненная!',
+      parentSubtaskDone: 'Все вложенные подзадачи выполнены, подзадача #{id} отмечена как выполненная',
+      unblocked: 'Разблокированы: {tasks}',
+      nextTask: 'Следующая задача:',
+      subtasksInline: 'Подзадачи: {subtasks}',
+      nextTaskHint: 'Чтобы перейти к ней, используйте команду: "Дай следующую задачу" или "Начни выполнение задачи {id}".',
+      allDone: 'Все задачи выполнены! Если хотите что-то скорректировать или добавить — оставайтесь в системе.'
+    },
+    start: {
+      starting: 'Начинаю выполнение задачи #{id}: "{title}"',
+      statusUpdateFailed: 'Не удалось обновить статус задачи',
+      contextWithHistory: 'Контекст для GitHub Copilot обновлен с учетом текущей задачи и истории проекта.',
+      readyToHelp: 'Я уже знаю о задаче #{id} и готов помочь её выполнить.\n' +
+        'Вы можете начать работу, а я буду учитывать контекст проекта в своих ответах.',
+      contextUpdated: 'Контекст для GitHub Copilot обновлен. Я уже знаю о задаче #{id} и готов помочь её выполнить.\n' +
+        '  Вы можете начать работу, а я буду учитывать контекст проекта в своих ответах.'
+    },
+    suggestions: {
+      didYouMean: 'Команда не распознана. Возможно, вы имели в виду:',
+      placeholders: {
+        id: 'id',
+        title: 'название',
+        description: 'описание',
+        plan: 'план',
+        tag: 'тег',
+        date: 'срок',
+        estimate: 'оценка',
+        status: 'статус',
+        reason: 'причина'
+      }
+    },
+    generate: {
+      noDescription: 'Не указано описание задачи.',
+      noTasks: 'Не удалось определить задачи в описании. Разделяйте задачи строкой "###".',
+      created: 'Создано задач: {count}'
+    },
+    intents: {
+      continue: 'Завершить текущую задачу и перейти к следующей',
+      createTask: 'Создание задачи',
+      createTasks: 'Пакетное создание задач',
+      generateTask: 'Генерация задачи из описания',
+      generateFromPlan: 'Создание задач из плана',
+      showTasks: 'Список задач',
+      completeTask: 'Отметка задачи как выполненной',
+      nextTask: 'Следующая задача',
+      suggestTask: 'Предложение задачи',
+      checkCompletion: 'Проверка выполнения задачи',
+      updateContext: 'Обновление контекста задачи',
+      copilotContext: 'Контекст для GitHub Copilot',
+      addTag: 'Добавить теги задаче',
+      removeTag: 'Удалить теги задачи',
+      setDue: 'Установить срок задачи',
+      dueReport: 'Просроченные задачи и ближайшие сроки',
+      setEstimate: 'Установить оценку задачи',
+      setStatus: 'Сменить статус задачи',
+      blockTask: 'Заблокировать задачу',
+      deferTask: 'Отложить задачу',
+      reopenTask: 'Переоткрыть или разблокировать задачу',
+      cancelTask: 'Отменить задачу',
+      assignTask: 'Назначить исполнителя задачи',
+      unassignTask: 'Снять исполнителя задачи'
+    },
+    explain: {
+      header: 'Разбор команды: "{command}"',
+      noMatch: 'Ни одно намерение не подходит под команду',
+      score: 'оценка {score}',
+      pattern: 'шаблон: {pattern}',
+      matched: 'совпадение: "{matched}" (позиция {index})',
+      reasons: 'основания: {reasons}',
+      slots: 'слоты: {slots}',
+      chosen: 'Будет выполнено намерение: {intent}',
+      reasonLength: 'длина совпадения {length}',
+      suggestion: 'похожая команда: "{text}" ({intent}, сходство {score})',
+      reasonStart: 'начало команды +{bonus}'
+    },
+    plan: {
+      noPlan: 'Не удалось извлечь план из команды. Пожалуйста, уточните план задач.',
+      taskDescription: 'Задача создана из плана: {text}',
+      noTasks: 'Не удалось создать задачи из предоставленного плана. Пожалуйста, уточните план.',
+      created: 'Успешно создано задач из плана: {count}',
+      contextUpdated: 'Контекст для GitHub Copilot обновлен с новыми задачами.\n' +
+        '  Чтобы начать выполнение, используйте команду "Начни выполнение задач"',
+      saveFailed: 'Не удалось сохранить задачи.'
+    }
+  },
+
+  tag: {
+    projectTags: 'Теги проекта:',
+    noTags: 'В проекте пока нет тегов. Добавьте тег командой task-master tag <id> add <тег> или укажите #тег в названии задачи.',
+    taskTags: 'Теги задачи #{id} "{title}":',
+    none: 'тегов нет',
+    taskCount: 'задач: {count} ({ids})',
+    updated: 'Теги задачи #{id} обновлены',
+    invalidTags: 'Некорректные теги: {tags}. Тег - слово из букв, цифр, "-" и "_"',
+    noTagsGiven: 'Не указаны теги',
+    subtaskNotAllowed: 'Теги задаются задачам: подзадача {id} наследует теги задачи #{parentId}',
+    help: {
+      title: '🏷 Task Master: Теги задач',
+      usage: 'Использование: task-master tag [<id> [add|remove <тег...>]]',
+      examplesHeader: 'Примеры:',
+      examples: {
+        list: 'task-master tag                     - Показать все теги проекта',
+        show: 'task-master tag 5                   - Показать теги задачи #5',
+        add: 'task-master tag 5 add backend auth  - Добавить задаче #5 теги backend и auth',
+        remove: 'task-master tag 5 remove auth       - Убрать у задачи #5 тег auth'
+      }
+    }
+  },
+
+  due: {
+    report: 'Просроченные задачи и сроки на {days} дн. вперед:',
+    nothingDue: 'Нет просроченных задач и задач со сроком на {days} дн. вперед',
+    overdueHeader: '⏰ ПРОСРОЧЕНЫ:',
+    upcomingHeader: '📅 БЛИЖАЙШИЕ СРОКИ:',
+    daysOverdue: 'просрочено на {days} дн.',
+    dueToday: 'срок сегодня',
+    daysLeft: 'осталось {days} дн.',
+    set: 'Срок задачи {id}: {due}',
+    cleared: 'Срок задачи {id} снят',
+    invalidDate: 'Не удалось распознать срок "{value}". Примеры: 2026-11-01, 01.11, завтра, пятница, через 3 дня',
+    invalidDays: 'Значение --days должно быть неотрицательным числом',
+    help: {
+      title: '📅 Task Master: Сроки задач',
+      usage: 'Использование: task-master due [--days <N>] | task-master due <id> <срок|clear>',
+      examplesHeader: 'Примеры:',
+      examples: {
+        report: 'task-master due                 - Просроченные задачи и сроки на 7 дней вперед',
+        days: 'task-master due --days 30       - Сроки на 30 дней вперед',
+        set: 'task-master due 5 2026-11-01    - Установить срок задачи #5',
+        weekday: 'task-master due 5.2 пятница     - Срок подзадачи 5.2 - ближайшая пятница',
+        clear: 'task-master due 5 clear         - Снять срок задачи #5'
+      }
+    }
+  },
+
+  time: {
+    hoursMinutes: '{hours} ч {minutes} мин',
+    minutes: '{minutes} мин'
+  },
+
+  timer: {
+    started: 'Таймер задачи {id} "{title}" запущен',
+    stopped: 'Таймер задачи {id} "{title}" остановлен: {duration}',
+    running: 'Идет таймер:',
+    notRunning: 'Таймер не запущен',
+    notRunningTask: 'Таймер задачи {id} не запущен',
+    alreadyRunning: 'Таймер задачи {id} "{title}" уже идет',
+    noTask: 'У вас нет задачи в процессе выполнения. Укажите ID задачи: task-master timer start <id>',
+    taskDone: 'Задача {id} уже закрыта (выполнена или отменена)',
+    elapsed: 'текущий отрезок: {duration}',
+    total: 'всего по задаче: {duration}',
+    help: {
+      title: '⏱ Task Master: Учет времени',
+      usage: 'Использование: task-master timer start [<id>] [--as <имя>] | stop [<id>] [--as <имя>] | status',
+      examplesHeader: 'Примеры:',
+      examples: {
+        start: 'task-master timer start          - Запустить таймер вашей текущей задачи',
+        startId: 'task-master timer start 4.2      - Запустить таймер подзадачи 4.2',
+        stop: 'task-master timer stop           - Остановить ваш таймер',
+        stopId: 'task-master timer stop 4.2       - Остановить таймер подзадачи 4.2',
+        as: 'task-master timer stop --as ivan - Остановить таймер исполнителя ivan',
+        status: 'task-master timer status           - Показать идущий таймер'
+      }
+    }
+  },
+
+  report: {
+    untagged: 'без тегов',
+    time: {
+      title: '⏱ Затраченное время за все время',
+      titleSince: '⏱ Затраченное время с {since}',
+      empty: 'За этот период время не учитывалось',
+      byTask: 'По задачам:',
+      byTag: 'По тегам:',
+      total: 'Всего: {duration}'
+    },
+    errors: {
+      unknownOption: 'Неизвестный параметр: {option}',
+      invalidSince: 'Не удалось распознать дату "{value}". Примеры: 2026-10-01, 01.10.2026, сегодня, вчера, 7d'
+    },
+    help: {
+      title: '📊 Task Master: Отчеты',
+      usage: 'Использование: task-master report time [--since <дата>]',
+      examplesHeader: 'Примеры:',
+      examples: {
+        time: 'task-master report time                     - Время по задачам и тегам за все время',
+        since: 'task-master report time --since 2026-10-01  - Время с 1 октября',
+        days: 'task-master report time --since 7d          - Время за последние 7 дней'
+      }
+    }
+  },
+
+  estimate: {
+    invalid: 'Некорректная оценка "{value}". Оценка - неотрицательное число: 3, 1.5',
+    set: 'Оценка задачи {id}: {estimate}',
+    cleared: 'Оценка задачи {id} снята',
+    help: {
+      title: '📏 Task Master: Оценки задач',
+      usage: 'Использование: task-master estimate <id> <оценка>|clear',
+      examplesHeader: 'Примеры:',
+      examples: {
+        set: 'task-master estimate 5 3        - Оценить задачу 5 в 3 единицы',
+        subtask: 'task-master estimate 5.2 1.5    - Оценить подзадачу 5.2',
+        clear: 'task-master estimate 5 clear    - Снять оценку задачи 5'
+      }
+    }
+  },
+
+  assign: {
+    invalid: 'Некорректное имя исполнителя "{value}"',
+    noGitUser: 'Не удалось определить пользователя: задайте git config user.name или укажите имя',
+    set: 'Исполнитель задачи {id}: @{assignee}',
+    cleared: 'Исполнитель задачи {id} снят',
+    help: {
+      title: '👤 Task Master: Исполнители задач',
+      usage: 'Использование: task-master assign <id> <имя>|me|clear',
+      examplesHeader: 'Примеры:',
+      examples: {
+        set: 'task-master assign 5 ivan     - Назначить задачу 5 исполнителю ivan',
+        subtask: 'task-master assign 5.2 anna   - Назначить подзадачу 5.2 исполнителю anna',
+        me: 'task-master assign 5 me       - Назначить задачу 5 себе (git config user.name)',
+        clear: 'task-master assign 5 clear    - Снять исполнителя задачи 5'
+      }
+    }
+  },
+
+  journal: {
+    readFailed: 'Не удалось прочитать журнал изменений: {error}',
+    writeFailed: 'Изменение не записано в журнал (отменить его командой undo не получится): {error}',
+    conflict: 'Файлы {files} изменены после команды "{label}" в обход журнала. Чтобы перезаписать их, повторите с --force',
+    undo: {
+      done: 'Отменено: {label}',
+      empty: 'Нечего отменять: журнал изменений пуст'
+    },
+    redo: {
+      done: 'Повторено: {label}',
+      empty: 'Нечего повторять: нет отмененных команд'
+    },
+    list: {
+      undo: 'Можно отменить (последние - первыми):',
+      redo: 'Можно повторить:',
+      empty: 'журнал пуст'
+    },
+    errors: {
+      unknownOption: 'Неизвестный параметр: {option}'
+    },
+    help: {
+      title: '↶ Task Master: Отмена и повтор команд',
+      usage: 'Использование: task-master undo [--list] [--force] | task-master redo [--force]',
+      examplesHeader: 'Примеры:',
+      examples: {
+        undo: 'task-master undo           - Отменить последнюю команду',
+        redo: 'task-master redo           - Повторить отмененную команду',
+        list: 'task-master undo --list    - Показать журнал команд',
+        force: 'task-master undo --force   - Отменить, даже если файлы изменены вручную'
+      }
+    }
+  },
+
+  edit: {
+    updated: 'Задача {id} изменена: {fields}',
+    noChanges: 'Задача {id} не изменилась',
+    editor: {
+      header: 'Задача {id}, статус {status} (статус меняется командой status)',
+      hint: 'Пустое значение снимает поле; описание задачи - после строки ---',
+      keptFile: 'Изменения сохранены в {file}'
+    },
+    errors: {
+      emptyTitle: 'Название задачи не может быть пустым',
+      invalidPriority: 'Некорректный приоритет "{value}": укажите 1-3 или high, medium, low',
+      invalidTags: 'Некорректные теги: {values}',
+      subtaskTags: 'Теги задаются задачам: подзадачи наследуют теги задачи',
+      invalidDue: 'Не удалось разобрать срок "{value}"',
+      invalidEstimate: 'Некорректная оценка "{value}": укажите неотрицательное число',
+      unknownField: 'Неизвестное поле: {field}',
+      invalidLine: 'Строка front-matter должна иметь вид "поле: значение": {line}',
+      noFrontMatter: 'Файл должен начинаться с front-matter между строками ---',
+      editorFailed: 'Редактор "{editor}" завершился с ошибкой, изменения не применены',
+      missingValue: 'Не указано значение параметра {flag}',
+      unknownOption: 'Неизвестный параметр: {option}'
+    },
+    help: {
+      title: '✎ Task Master: Редактирование задач',
+      usage: 'Использование: task-master edit <id> [--title <название>] [--description <описание>] [--priority <1-3|high|medium|low>]',
+      examplesHeader: 'Примеры:',
+      examples: {
+        title: 'task-master edit 3 --title "Авторизация через OAuth" - Переименовать задачу',
+        priority: 'task-master edit 3.2 --priority high                - Изменить приоритет подзадачи',
+        description: 'task-master edit 3 --description ""                - Удалить описание',
+        editor: 'task-master edit 3                                  - Открыть задачу в редакторе $EDITOR'
+      }
+    }
+  },
+
+  move: {
+    moved: 'Подзадача {id} перенесена в {target} и получила ID {newId}',
+    dependenciesUpdated: 'Обновлены зависимости: {ids}',
+    errors: {
+      notSubtask: 'Переносить можно только подзадачи: {id} - задача',
+      intoItself: 'Нельзя перенести {id} в {target}: это сама подзадача или её подзадача',
+      sameParent: 'Подзадача {id} уже находится в {target}'
+    },
+    help: {
+      title: '↪ Task Master: Перенос подзадач',
+      usage: 'Использование: task-master move <id подзадачи> --to <id задачи или подзадачи>',
+      examplesHeader: 'Примеры:',
+      examples: {
+        task: 'task-master move 3.2 --to 5     - Перенести подзадачу 3.2 в задачу 5',
+        subtask: 'task-master move 3.2 --to 3.1   - Сделать 3.2 подзадачей 3.1'
+      }
+    }
+  },
+
+  delete: {
+    deleted: 'Удалено: {id} "{title}"',
+    confirm: 'Удалить {id} "{title}"? (y/N)',
+    confirmWithSubtasks: 'Удалить {id} "{title}" вместе с подзадачами ({subtasks})? (y/N)',
+    cancelled: 'Удаление отменено',
+    dependenciesUpdated: 'Ссылки на удаленные задачи убраны из зависимостей: {ids}',
+    undoHint: 'Вернуть удаленное: task-master undo',
+    errors: {
+      confirmationRequired: 'Удаление {id} нужно подтвердить: повторите команду с --yes'
+    },
+    help: {
+      title: '🗑 Task Master: Удаление задач',
+      usage: 'Использование: task-master delete <id> [--yes]',
+      examplesHeader: 'Примеры:',
+      examples: {
+        task: 'task-master delete 3         - Удалить задачу 3 со всеми подзадачами',
+        subtask: 'task-master delete 3.2       - Удалить подзадачу 3.2',
+        yes: 'task-master delete 3 --yes   - Удалить без подтверждения'
+      }
+    }
+  },
+
+  backups: {
+    writeFailed: 'Не удалось создать резервную копию: {error}',
+    restored: 'Восстановлено из снимка {snapshot}: {files}',
+    undoHint: 'Отменить восстановление: task-master undo',
+    list: {
+      title: 'Резервные копии (последние - первыми), состояние до команды:',
+      empty: 'резервных копий нет',
+      hint: 'Восстановить: task-master restore <номер>'
+    },
+    diff: {
+      same: '{file}: совпадает с текущим',
+      tasks: '{file}: с тех пор задач и подзадач добавлено {added}, удалено {removed}, изменено {changed}',
+      history: '{file}: записей истории с тех пор {count}',
+      missing: '{file}: текущего файла нет',
+      corruptCurrent: '{file}: текущий файл поврежден',
+      corruptSnapshot: '{file}: копия повреждена'
+    },
+    errors: {
+      notFound: 'Резервная копия "{snapshot}" не найдена. Список копий: task-master backups',
+      corruptSnapshot: 'Файл {file} в снимке {snapshot} поврежден, восстановление отменено',
+      unknownOption: 'Неизвестный параметр: {option}'
+    },
+    help: {
+      title: '🗄 Task Master: Резервные копии',
+      usage: 'Использование: task-master backups | task-master restore <номер|имя снимка>',
+      examplesHeader: 'Примеры:',
+      examples: {
+        list: 'task-master backups                          - Показать резервные копии',
+        restore: 'task-master restore 1                        - Вернуть файлы к состоянию до последней команды',
+        byName: 'task-master restore 2026-10-19T19-09-39-242Z - Восстановить снимок по имени'
+      }
+    }
+  },
+
+  forecast: {
+    title: '📉 Прогноз завершения задач',
+    velocity: 'Скорость: {velocity} в неделю (за последние {weeks} нед.)',
+    remaining: 'Осталось: {remaining}',
+    unestimated: 'Без оценки: {ids} - считаются по {estimate}',
+    completion: 'Прогноз завершения: {date}',
+    allDone: 'Все задачи выполнены',
+    noVelocity: 'За последние {weeks} нед. не выполнено ни одной задачи - прогноз невозможен',
+    invalidWeeks: 'Укажите число недель: --weeks <N>, N >= 1',
+    table: {
+      header: '  Неделя     Сделано   Осталось',
+      projected: '(прогноз)'
+    },
+    help: {
+      title: '📉 Task Master: Прогноз завершения',
+      usage: 'Использование: task-master forecast [--weeks <N>]',
+      examplesHeader: 'Примеры:',
+      examples: {
+        forecast: 'task-master forecast             - Скорость за 4 недели и прогноз',
+        weeks: 'task-master forecast --weeks 8   - Скорость за последние 8 недель'
+      }
+    }
+  },
+
+  status: {
+    changed: 'Статус задачи {id}: {from} → {to}',
+    blockedWithReason: 'Задача {id} заблокирована: {reason}',
+    cascade: '↳ {id}: {from} → {to}',
+    errors: {
+      unknownStatus: 'Неизвестный статус "{status}". Допустимые статусы: {statuses}',
+      alreadyInStatus: 'Задача {id} уже в статусе {status}',
+      notAllowed: 'Нельзя перевести задачу {id} из статуса {from} в {to}. Допустимые переходы: {allowed}'
+    },
+    help: {
+      title: '🔀 Task Master: Статусы задач',
+      usage: 'Использование: task-master status <id> <статус> [причина] | block <id> [причина] | defer <id> | reopen <id> | cancel <id>',
+      statuses: 'Статусы: {statuses}',
+      transitions: 'Допустимые переходы (настройка statusTransitions в config.json):',
+      examplesHeader: 'Примеры:',
+      examples: {
+        status: 'task-master status 5 in-progress         - Взять задачу 5 в работу',
+        block: 'task-master block 5 ждём доступ к API     - Заблокировать задачу 5 с причиной',
+        defer: 'task-master defer 5.2                     - Отложить подзадачу 5.2',
+        reopen: 'task-master reopen 5                      - Переоткрыть выполненную или разблокировать задачу 5',
+        cancel: 'task-master cancel 5                      - Отменить задачу 5 и её незакрытые подзадачи'
+      }
+    }
+  },
+
+  list: {
+    title: '📋 Задачи проекта: {project} (v{version})',
+    empty: 'Задачи не найдены. Добавьте задачи с помощью {command}',
+    blockedBy: '⛔ ждёт: {ids}',
+    blockedReason: '⊘ причина: {reason}',
+    subtaskOf: '(подзадача #{id})',
+    overdue: 'просрочено',
+    estimate: '(оценка: {estimate})',
+    priority: '(приоритет: {priority})',
+    groups: {
+      'in-progress': '⚙ В ПРОЦЕССЕ:',
+      pending: '○ ОЖИДАЮТ:',
+      done: '✓ ВЫПОЛНЕНЫ:',
+      deferred: '⏸ ОТЛОЖЕНЫ:',
+      blocked: '⊘ ЗАБЛОКИРОВАНЫ:',
+      cancelled: '✗ ОТМЕНЕНЫ:'
+    },
+    untagged: 'БЕЗ ТЕГОВ:',
+    sortedBy: 'Сортировка {order}:',
+    sortOrders: {
+      created: 'по дате создания',
+      updated: 'по дате обновления',
+      priority: 'по приоритету',
+      id: 'по ID',
+      due: 'по сроку'
+    },
+    noMatches: 'Нет задач, подходящих под условия отбора',
+    shown: 'Показано: {shown} из {total}',
+    helpHint: 'Для получения справки, выполните: {command} "справка"',
+    usage: 'Использование: task-master list [--status <статус>] [--priority <1-3>] [--tag <тег>] [--mine] [--group status|tag] [--search <текст>] [--sort created|updated|priority|due|id] [--limit <N>] [--tree|--flat] [--json|--ndjson]',
+    errors: {
+      missingValue: 'Не указано значение для {flag}',
+      unknownOption: 'Неизвестный параметр: {option}',
+      unknownStatus: 'Неизвестный статус: {values}. Допустимые значения: {allowed}',
+      unknownSort: 'Неизвестный ключ сортировки: {value}. Допустимые значения: {allowed}',
+      invalidLimit: 'Значение --limit должно быть положительным числом',
+      unknownGroup: 'Неизвестная группировка: {value}. Допустимые значения: {allowed}',
+      noGitUser: 'Для --mine нужен пользователь git: задайте git config user.name'
+    }
+  },
+
+  validate: {
+    fileNotFound: 'файл не найден',
+    parseError: 'ошибка разбора JSON: {error}',
+    skipped: '{file}: файл не найден, проверка пропущена',
+    noErrors: '{file}: ошибок не найдено',
+    errorsFound: '{file}: найдено ошибок: {count}',
+    nothingToFix: 'Исправлять нечего',
+    fixesHeader: '🔧 Исправления ({count}):',
+    fixesSaved: 'Исправления сохранены',
+    fixesSaveFailed: 'Не удалось сохранить исправления',
+    fixes: {
+      tasksCreated: 'создан пустой список задач',
+      subtasksCreated: 'добавлен пустой список подзадач',
+      timestampSet: 'установлено {value}'
+    },
+    schema: {
+      type: 'ожидается {expected}, получено {actual}',
+      or: ' или ',
+      enum: 'допустимые значения: {allowed}; получено {value}',
+      minimum: 'значение должно быть не меньше {minimum}',
+      maximum: 'значение должно быть не больше {maximum}',
+      emptyString: 'строка не должна быть пустой',
+      pattern: 'значение {value} не соответствует шаблону {pattern}',
+      dateTime: 'некорректная дата {value}',
+      required: 'обязательное поле отсутствует'
+    },
+    dependencies: {
+      notArray: '#{id}: поле dependsOn должно быть массивом',
+      self: '#{id}: задача не может зависеть от самой себя',
+      notFound: '#{id}: зависимость #{dependency} не найдена',
+      cycle: 'Циклическая зависимость: {cycle}'
+    }
+  },
+
+  generate: {
+    title: '📝 Генерация задач из описания',
+    batchTitle: '📝 Пакетная генерация задач',
+    modePrompt: 'Выберите режим работы:\n1 - Создать одну задачу\n2 - Создать несколько задач\nВыбор (1/2): ',
+    singleFormat: 'Введите описание задачи. Первая строка будет заголовком, теги можно указать в ней через #: #backend #auth, приоритет - как [P:1] или !high, оценку - как [E:3], срок - как due:2026-11-01.',
+    batchIntro: 'Введите несколько задач, разделяя их строкой "###".',
+    batchFormat: 'Для каждой задачи первая строка будет заголовком, теги можно указать в ней через #: #backend #auth, приоритет - как [P:1] или !high, оценку - как [E:3], срок - как due:2026-11-01.',
+    subtasksHint: 'Строки, начинающиеся с - или *, будут считаться подзадачами.',
+    finishHint: 'Введите пустую строку для завершения ввода.',
+    analyzing: 'Анализируем описание...',
+    noDescription: 'Нет описания',
+    emptyDescription: 'Пустое описание. Попробуйте ещё раз.',
+    emptyInput: 'Пустой ввод. Попробуйте ещё раз.',
+    noSeparator: 'Не удалось определить задачи в описании. Убедитесь, что вы разделяете задачи символами "###"',
+    noTasksCreated: 'Не удалось создать задачи. Проверьте формат ввода.',
+    priorityPrompt: 'Укажите приоритет (1 - высокий, 2 - средний, 3 - низкий) [{priority}]: ',
+    batchPriorityPrompt: 'Укажите приоритет для всех задач (1 - высокий, 2 - средний, 3 - низкий) [из меток или 2]: ',
+    anotherPrompt: 'Хотите добавить ещё одну задачу? (y/n) [y]: ',
+    taskCreated: '✓ Задача #{id} "{title}" успешно создана!',
+    tasksCreated: '✓ Создано задач: {count}',
+    subtaskCount: 'Подзадач: {count}',
+    done: '✓ Генерация задач завершена!',
+    listHint: 'Используйте npm run task-master:list для просмотра всех задач.'
+  },
+
+  depends: {
+    header: 'Зависимости задачи #{id} "{title}"',
+    updated: '✓ Зависимости задачи #{id} обновлены',
+    noDependencies: 'Зависимостей нет',
+    dependsOn: 'Зависит от: {ids}',
+    none: 'нет',
+    help: {
+      title: '🔗 Task Master: Зависимости задач',
+      usage: 'Использование: task-master depends <id> [add|remove] [id...]',
+      examplesHeader: 'Примеры:',
+      examples: {
+        show: 'task-master depends 5              - Показать зависимости задачи #5',
+        add: 'task-master depends 5 add 3 4.1    - Задача #5 ждёт задачу #3 и подзадачу 4.1',
+        remove: 'task-master depends 5 remove 3     - Убрать зависимость от задачи #3'
+      }
+    }
+  },
+
+  migrate: {
+    upToDate: '✓ {file} уже в актуальном формате (версия {version})',
+    previewHeader: '🔍 Миграция {file}: версия {from} → {to}',
+    changesHeader: 'Изменения ({count}):',
+    dryRunHint: 'Файл не изменен. Запустите task-master migrate без --dry-run, чтобы применить миграции.',
+    migrated: '✓ Формат {file} обновлен с версии {from} до {to}',
+    backup: 'Резервная копия: {file}',
+    error: '✗ Ошибка миграции: {error}',
+    descriptions: {
+      v1: 'Числовые приоритеты, обязательные списки подзадач и даты задач'
+    }
+  },
+
+  store: {
+    lockTimeout: 'Файл задач заблокирован другим процессом ({file}). Повторите попытку позже или удалите файл блокировки вручную.',
+    formatUpdated: 'ℹ Формат {file} обновлен с версии {from} до {to}. Резервная копия: {backup}',
+    fileNotFound: '✗ Файл {file} не найден. Запустите инициализацию с помощью {command}',
+    filePath: 'Путь к файлу: {file}',
+    readError: '✗ Ошибка при чтении файла: {error}',
+    tasksFileNotFound: '✗ Файл задач не найден: {file}',
+    tasksReadError: '✗ Ошибка при чтении файла задач: {error}',
+    invalidDependencies: '✗ Изменения не сохранены: некорректные зависимости задач',
+    saveError: '✗ Ошибка при сохранении файла: {error}'
+  }
+};
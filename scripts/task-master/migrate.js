@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для обновления формата tasks.json
+ * Применяет недостающие миграции по порядку, а в режиме --dry-run
+ * только показывает, какие изменения будут внесены
+ */
+
+const path = require('path');
+const chalk = require('chalk');
+const store = require('./task-store');
+const migrations = require('./migrations');
+const { t } = require('./i18n');
+
+/**
+ * Подготовить миграцию без записи в файл
+ * @returns {object} - Результат с примененными шагами и списком изменений
+ */
+function previewMigration() {
+  // Читаем файл напрямую: загрузка через loadTasks обновила бы формат сразу
+  const tasksData = store.readJson(store.tasksFile);
+
+  if (!tasksData) {
+    return { success: false, message: t('store.tasksFileNotFound', { file: store.tasksFile }) };
+  }
+
+  const result = migrations.runMigrations(tasksData);
+
+  return {
+    success: true,
+    fromVersion: result.fromVersion,
+    toVersion: result.toVersion,
+    applied: result.applied,
+    changes: migrations.diffJson(tasksData, result.data)
+  };
+}
+
+/**
+ * Обновить формат tasks.json до текущей версии
+ * @returns {object} - Результат миграции
+ */
+function migrate() {
+  if (!store.readJson(store.tasksFile)) {
+    return { success: false, message: t('store.tasksFileNotFound', { file: store.tasksFile }) };
+  }
+
+  const result = store.migrateTasksFile();
+
+  return {
+    success: true,
+    migrated: result.migrated,
+    fromVersion: result.fromVersion,
+    toVersion: migrations.CURRENT_FORMAT_VERSION,
+    applied: result.applied || [],
+    backupFile: result.backupFile
+  };
+}
+
+/**
+ * Вывести одно изменение данных
+ * @param {object} change - Изменение из diffJson
+ */
+function printChange(change) {
+  const format = value => JSON.stringify(value);
+
+  if (change.type === 'added') {
+    console.log(chalk.green(`  + ${change.path}: ${format(change.after)}`));
+  } else if (change.type === 'removed') {
+    console.log(chalk.red(`  - ${change.path}: ${format(change.before)}`));
+  } else {
+    console.log(chalk.yellow(`  ~ ${change.path}: ${format(change.before)} → ${format(change.after)}`));
+  }
+}
+
+/**
+ * Вывести список примененных миграций
+ * @param {object[]} applied - Примененные миграции
+ */
+function printApplied(applied) {
+  applied.forEach(migration => {
+    console.log(`  ${chalk.cyan(`v${migration.version}`)}: ${t(`migrate.descriptions.v${migration.version}`)}`);
+  });
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const fileName = path.basename(store.tasksFile);
+
+  try {
+    if (args.includes('--dry-run')) {
+      const result = previewMigration();
+
+      if (!result.success) {
+        console.log(chalk.red(result.message));
+        process.exit(1);
+      }
+
+      if (result.applied.length === 0) {
+        console.log(chalk.green(t('migrate.upToDate', { file: fileName, version: result.toVersion })));
+        process.exit(0);
+      }
+
+      console.log(chalk.bold(`\n${t('migrate.previewHeader', { file: fileName, from: result.fromVersion, to: result.toVersion })}\n`));
+      printApplied(result.applied);
+      console.log(chalk.bold(`\n${t('migrate.changesHeader', { count: result.changes.length })}`));
+      result.changes.forEach(printChange);
+      console.log(chalk.dim(`\n${t('migrate.dryRunHint')}`));
+    } else {
+      const result = migrate();
+
+      if (!result.success) {
+        console.log(chalk.red(result.message));
+        process.exit(1);
+      }
+
+      if (!result.migrated) {
+        console.log(chalk.green(t('migrate.upToDate', { file: fileName, version: result.toVersion })));
+        process.exit(0);
+      }
+
+      console.log(chalk.green(t('migrate.migrated', { file: fileName, from: result.fromVersion, to: result.toVersion })));
+      printApplied(result.applied);
+      console.log(chalk.blue(t('migrate.backup', { file: result.backupFile })));
+    }
+  } catch (error) {
+    console.log(chalk.red(t('migrate.error', { error: error.message })));
+    process.exit(1);
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  previewMigration,
+  migrate
+};
@@ -0,0 +1,126 @@
+/**
+ * Миграции формата tasks.json
+ * Версия формата данных хранится в поле formatVersion (не путать с version -
+ * версией проекта). Файлы без formatVersion считаются файлами версии 0.
+ * Каждая миграция переводит данные на одну версию вперед.
+ */
+
+const { normalizePriority } = require('./schema');
+
+/**
+ * Список миграций по порядку. Миграция с version N переводит данные
+ * из версии N - 1 в версию N и изменяет переданный объект на месте.
+ * Новые миграции добавляются в конец списка.
+ */
+const migrations = [
+  {
+    version: 1,
+    description: 'Числовые приоритеты, обязательные списки подзадач и даты задач',
+    up(tasksData) {
+      tasksData.tasks = Array.isArray(tasksData.tasks) ? tasksData.tasks : [];
+
+      tasksData.tasks.forEach(task => {
+        task.priority = normalizePriority(task.priority);
+        task.subtasks = Array.isArray(task.subtasks) ? task.subtasks : [];
+        task.created_at = task.created_at || task.updated_at || new Date().toISOString();
+        task.updated_at = task.updated_at || task.created_at;
+      });
+    }
+  }
+];
+
+// Текущая версия формата данных
+const CURRENT_FORMAT_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Получить версию формата данных
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {number}
+ */
+function getFormatVersion(tasksData) {
+  return Number.isInteger(tasksData.formatVersion) ? tasksData.formatVersion : 0;
+}
+
+/**
+ * Проверить, нужно ли обновлять формат данных
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {boolean}
+ */
+function needsMigration(tasksData) {
+  return getFormatVersion(tasksData) < CURRENT_FORMAT_VERSION;
+}
+
+/**
+ * Последовательно применить все недостающие миграции.
+ * Исходный объект не изменяется.
+ *
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {object} - { data, fromVersion, toVersion, applied }
+ */
+function runMigrations(tasksData) {
+  const fromVersion = getFormatVersion(tasksData);
+
+  if (fromVersion > CURRENT_FORMAT_VERSION) {
+    throw new Error(`Файл задач имеет формат версии ${fromVersion}, а эта версия Task Master поддерживает формат до ${CURRENT_FORMAT_VERSION}. Обновите Task Master.`);
+  }
+
+  const data = JSON.parse(JSON.stringify(tasksData));
+  const applied = [];
+
+  migrations
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      migration.up(data);
+      data.formatVersion = migration.version;
+      applied.push({ version: migration.version, description: migration.description });
+    });
+
+  return {
+    data,
+    fromVersion,
+    toVersion: getFormatVersion(data),
+    applied
+  };
+}
+
+/**
+ * Сравнить два JSON-значения и получить список различий
+ *
+ * @param {*} before - Значение до изменения
+ * @param {*} after - Значение после изменения
+ * @param {string} jsonPath - JSON-путь к значению
+ * @param {object[]} changes - Накопитель изменений
+ * @returns {object[]} - Изменения вида { path, type: added|removed|changed, before, after }
+ */
+function diffJson(before, after, jsonPath = '$', changes = []) {
+  const isObject = value => value !== null && typeof value === 'object';
+
+  if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    keys.forEach(key => {
+      const childPath = Array.isArray(before) ? `${jsonPath}[${key}]` : `${jsonPath}.${key}`;
+
+      if (!(key in after)) {
+        changes.push({ path: childPath, type: 'removed', before: before[key] });
+      } else if (!(key in before)) {
+        changes.push({ path: childPath, type: 'added', after: after[key] });
+      } else {
+        diffJson(before[key], after[key], childPath, changes);
+      }
+    });
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path: jsonPath, type: 'changed', before, after });
+  }
+
+  return changes;
+}
+
+module.exports = {
+  migrations,
+  CURRENT_FORMAT_VERSION,
+  getFormatVersion,
+  needsMigration,
+  runMigrations,
+  diffJson
+};
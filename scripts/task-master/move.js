@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для переноса подзадач
+ * move <подзадача> --to <родитель> переносит подзадачу со всеми вложенными
+ * подзадачами в другую задачу или подзадачу. Подзадача получает ID нового
+ * родителя, ссылки на неё в зависимостях и текущие задачи в context.json обновляются
+ */
+
+const chalk = require('chalk');
+const store = require('./task-store');
+const output = require('./output');
+const contextTracker = require('./context-tracker');
+const dependencies = require('./dependencies');
+const subtaskTree = require('./subtask-tree');
+const { t } = require('./i18n');
+
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
+
+/**
+ * Перенести подзадачу к другому родителю
+ * @param {string} subtaskId - ID подзадачи
+ * @param {string} targetId - ID новой родительской задачи или подзадачи
+ * @returns {object} - Результат операции
+ */
+function moveSubtask(subtaskId, targetId) {
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const path = subtaskTree.findPath(tasksData, subtaskId);
+    const targetPath = subtaskTree.findPath(tasksData, targetId);
+
+    if (!path) {
+      return { success: false, message: t('common.taskNotFound', { id: subtaskId }) };
+    }
+    if (!targetPath) {
+      return { success: false, message: t('common.taskNotFound', { id: targetId }) };
+    }
+
+    const item = path[path.length - 1];
+    const parent = path[path.length - 2];
+    const target = targetPath[targetPath.length - 1];
+
+    if (path.length === 1) {
+      return { success: false, message: t('move.errors.notSubtask', { id: item.id }) };
+    }
+    if (targetPath.includes(item)) {
+      return { success: false, message: t('move.errors.intoItself', { id: item.id, target: target.id }) };
+    }
+    if (target === parent) {
+      return { success: false, message: t('move.errors.sameParent', { id: item.id, target: target.id }) };
+    }
+
+    const oldId = item.id;
+    parent.subtasks = subtaskTree.getChildren(parent).filter(subtask => subtask !== item);
+    const renamedIds = subtaskTree.renumber(item, subtaskTree.getNextChildId(target));
+    target.subtasks = [...subtaskTree.getChildren(target), item];
+
+    const dependenciesUpdated = dependencies.updateReferences(tasksData, renamedIds);
+
+    const now = new Date().toISOString();
+    path[0].updated_at = now;
+    targetPath[0].updated_at = now;
+
+    if (!saveTasks(tasksData)) {
+      return { success: false, message: t('common.saveFailed') };
+    }
+
+    const summary = t('history.subtaskMoved', { id: oldId, newId: item.id, title: item.title });
+    contextTracker.updateContextAfterRestructure(
+      { taskId: targetPath[0].id, taskTitle: targetPath[0].title, action: 'move', summary, details: { from: oldId, to: item.id } },
+      renamedIds
+    );
+
+    return {
+      success: true,
+      message: t('move.moved', { id: oldId, target: target.id, newId: item.id }),
+      from: oldId,
+      to: item.id,
+      renamedIds,
+      dependenciesUpdated
+    };
+  });
+}
+
+/**
+ * Разобрать аргументы: "<подзадача> --to <родитель>" или "<подзадача> <родитель>"
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {object|null} - { subtaskId, targetId } или null, если аргументов не хватает
+ */
+function parseMoveArgs(args) {
+  const positional = [];
+  let target = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+    if (flag === '--to') {
+      target = inlineValue !== undefined ? inlineValue : args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  if (target) {
+    positional.push(target);
+  }
+
+  const [subtaskId, targetId] = positional;
+  return positional.length === 2 && subtaskId && targetId ? { subtaskId, targetId } : null;
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('move.help.title')}\n`));
+  console.log(`${t('move.help.usage')}\n`);
+  console.log(t('move.help.examplesHeader'));
+  ['task', 'subtask'].forEach(example => {
+    console.log(`  ${t(`move.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const args = output.stripOutputFlags(process.argv.slice(2));
+  const parsed = parseMoveArgs(args);
+
+  if (parsed) {
+    const result = moveSubtask(parsed.subtaskId, parsed.targetId);
+    output.finish(result);
+
+    if (result.success) {
+      console.log(chalk.green(`✓ ${result.message}`));
+      if (result.dependenciesUpdated.length > 0) {
+        console.log(chalk.dim(`  ${t('move.dependenciesUpdated', { ids: result.dependenciesUpdated.join(', ') })}`));
+      }
+    } else {
+      console.log(chalk.red(`✗ ${result.message}`));
+    }
+  } else {
+    showHelp();
+    if (args[0] !== 'help') {
+      output.finish({ success: false, message: t('move.help.usage') });
+    }
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  moveSubtask,
+  parseMoveArgs
+};
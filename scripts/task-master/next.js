@@ -9,56 +9,59 @@ const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const contextTracker = require('./context-tracker');
+const dependencies = require('./dependencies');
+const tags = require('./tags');
+const dueDates = require('./due-dates');
+const timeTracking = require('./time-tracking');
+const subtaskTree = require('./subtask-tree');
+const statuses = require('./statuses');
+const assignees = require('./assignees');
+const store = require('./task-store');
+const output = require('./output');
+const { t } = require('./i18n');
 
-// Определяем пути в зависимости от режима (локальный или глобальный)
-const isGlobalMode = process.env.TASK_MASTER_MODE === 'global';
-const tasksDir = process.env.TASK_MASTER_DIR || path.join(process.cwd(), 'tasks');
-const tasksFile = process.env.TASK_MASTER_FILE || path.join(tasksDir, 'tasks.json');
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
 
-// Функция загрузки задач из файла
-function loadTasks() {
-  if (!fs.existsSync(tasksFile)) {
-    console.log(chalk.red(`✗ Файл ${path.basename(tasksFile)} не найден. Запустите инициализацию с помощью task-master init или npm run task-master:init`));
-    process.exit(1);
-  }
-  
-  try {
-    const data = fs.readFileSync(tasksFile, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.log(chalk.red(`✗ Ошибка при чтении файла: ${error.message}`));
-    process.exit(1);
-  }
-}
+// Значки статусов подзадач в выводе
+const SUBTASK_STATUS_ICONS = {
+  done: '✓',
+  'in-progress': '⚙',
+  deferred: '⏸',
+  blocked: '⊘',
+  cancelled: '✗'
+};
 
-// Функция сохранения задач в файл
-function saveTasks(tasksData) {
-  try {
-    fs.writeFileSync(tasksFile, JSON.stringify(tasksData, null, 2));
-    return true;
-  } catch (error) {
-    console.log(chalk.red(`✗ Ошибка при сохранении файла: ${error.message}`));
-    return false;
-  }
+/**
+ * Вывести дерево подзадач задачи
+ * @param {object} task - Задача
+ */
+function printSubtasks(task) {
+  console.log(chalk.cyan(`\n${t('common.subtasks')}`));
+  subtaskTree.walkSubtasks(task, (subtask, parent, depth) => {
+    const statusEmoji = SUBTASK_STATUS_ICONS[subtask.status] || '○';
+    const line = `${'  '.repeat(depth - 1)}${statusEmoji} ${subtask.id} ${subtask.title}${subtask.due ? ` 📅 ${subtask.due}` : ''}`;
+    console.log(subtask.status === 'in-progress' ? chalk.yellow(line) : chalk.cyan(line));
+  });
 }
 
 /**
- * Получить следующую задачу на основе приоритета
+ * Получить следующую задачу на основе приоритета и сроков
+ * @param {object} options - { tag, as } - теги: выбирать только среди задач с одним из тегов;
+ *   исполнитель: только среди задач без исполнителя или назначенных ему
  * @returns {object|null} - Объект задачи или null
  */
-function getNextTask() {
+function getNextTask(options = {}) {
   const tasksData = loadTasks();
   
-  // Сортируем задачи по приоритету (high, medium, low)
-  const priorityOrder = { 'high': 1, 'medium': 2, 'low': 3 };
+  // Фильтруем задачи в статусе pending, все зависимости которых выполнены
+  const pendingTasks = dependencies.getAvailableTasks(tasksData)
+    .filter(task => tags.hasAnyTag(task, options.tag))
+    .filter(task => !options.as || !task.assignee || task.assignee === options.as);
   
-  // Фильтруем задачи, которые еще не выполнены (статус pending)
-  const pendingTasks = tasksData.tasks.filter(task => task.status === 'pending');
-  
-  // Сортируем по приоритету
-  pendingTasks.sort((a, b) => {
-    return priorityOrder[a.priority] - priorityOrder[b.priority];
-  });
+  // Сортируем по приоритету (1 - высокий, 3 - низкий) с учетом сроков:
+  // просроченные и срочные задачи поднимаются выше (см. due-dates.js)
+  pendingTasks.sort((a, b) => dueDates.compareByUrgency(a, b));
   
   // Возвращаем первую задачу или null, если нет задач
   return pendingTasks.length > 0 ? pendingTasks[0] : null;
@@ -66,13 +69,14 @@ function getNextTask() {
 
 /**
  * Получить текущую задачу в процессе выполнения
+ * @param {string|null} assignee - Исполнитель (null - задачи без исполнителя); не указан - любая задача в работе
  * @returns {object|null} - Объект задачи или null
  */
-function getCurrentTask() {
+function getCurrentTask(assignee) {
   const tasksData = loadTasks();
   
-  // Находим задачу со статусом in-progress
-  const activeTasks = tasksData.tasks.filter(task => task.status === 'in-progress');
+  // Находим задачи со статусом in-progress (у исполнителя - задачи, над которыми он работает)
+  const activeTasks = assignees.getInProgressTasks(tasksData, assignee);
   
   // Если есть активная задача, возвращаем первую найденную
   return activeTasks.length > 0 ? activeTasks[0] : null;
@@ -81,119 +85,299 @@ function getCurrentTask() {
 /**
  * Начать выполнение следующей задачи
  * @param {boolean} auto - Автоматически определить следующую задачу
- * @param {string} targetTaskId - ID задачи, которую нужно начать (если auto=false)
+ * @param {string} targetTaskId - ID задачи или подзадачи, которую нужно начать (если auto=false)
+ * @param {object} options - { tag, as } - теги для автоматического выбора задачи и исполнитель,
+ *   который начинает задачу (без него - исполнитель задачи или пользователь git)
  * @returns {object} - Результат операции
  */
-function startNextTask(auto = true, targetTaskId = null) {
-  const tasksData = loadTasks();
-  
-  let task = null;
-  
-  if (auto) {
-    // Получаем следующую задачу по приоритету
-    task = getNextTask();
-  } else if (targetTaskId) {
-    // Находим задачу по ID
-    const taskId = parseInt(targetTaskId);
-    task = tasksData.tasks.find(t => t.id === taskId && t.status === 'pending');
+function startNextTask(auto = true, targetTaskId = null, options = {}) {
+  if (!auto && targetTaskId && String(targetTaskId).includes('.')) {
+    return startSubtask(targetTaskId, options);
   }
   
-  if (!task) {
-    return {
-      success: false,
-      message: auto 
-        ? 'Нет задач в статусе pending. Все задачи выполнены или находятся в процессе.' 
-        : `Задача с ID ${targetTaskId} не найдена или не находится в статусе pending.`
-    };
-  }
-  
-  // Проверяем, есть ли задача в процессе выполнения
-  const currentTask = getCurrentTask();
-  
-  if (currentTask) {
-    return {
-      success: false,
-      message: `Уже есть задача в процессе выполнения: #${currentTask.id} "${currentTask.title}". Завершите её перед началом новой задачи.`,
-      currentTask
-    };
-  }
-  
-  // Обновляем статус задачи на "в процессе"
-  task.status = 'in-progress';
-  task.updated_at = new Date().toISOString();
-  
-  // Находим индекс задачи в массиве
-  const taskIndex = tasksData.tasks.findIndex(t => t.id === task.id);
-  
-  if (taskIndex !== -1) {
-    tasksData.tasks[taskIndex] = task;
+  return store.withLock(() => {
+    const tasksData = loadTasks();
     
-    // Сохраняем изменения
-    if (saveTasks(tasksData)) {
-      // Обновляем контекст задачи
-      contextTracker.updateTaskStatus(
-        task.id, 
-        'in-progress', 
-        `Начато выполнение задачи "${task.title}"`
-      );
-      
-      // Подготавливаем контекст для GitHub Copilot
-      const copilotContext = contextTracker.prepareTaskContextForCopilot(task.id);
-      
+    let task = null;
+    
+    if (auto) {
+      // Получаем следующую задачу по приоритету: среди задач без исполнителя и задач того, кто начинает работу
+      task = getNextTask({ ...options, as: options.as || assignees.getCurrentUser() });
+    } else if (targetTaskId) {
+      // Находим задачу по ID
+      const taskId = parseInt(targetTaskId);
+      task = tasksData.tasks.find(t => t.id === taskId && t.status === 'pending');
+    }
+    
+    // Не даем начать задачу, пока не выполнены её зависимости
+    const blockers = task ? dependencies.getBlockers(task, tasksData) : [];
+    if (blockers.length > 0) {
       return {
-        success: true,
-        message: `✓ Задача #${task.id} "${task.title}" отмечена как "в процессе"`,
-        task,
-        copilotContext
+        success: false,
+        message: t('next.blocked', { id: task.id, title: task.title, blockers: blockers.map(id => `#${id}`).join(', ') }),
+        blockers
+      };
+    }
+    
+    if (!task) {
+      return {
+        success: false,
+        message: auto 
+          ? noTasksMessage(options)
+          : t('next.notPending', { id: targetTaskId })
+      };
+    }
+    
+    // Переход в работу проверяется по таблице переходов статусов
+    const transition = statuses.checkTransition(task, 'in-progress');
+    if (!transition.allowed) {
+      return { success: false, message: transition.message };
+    }
+    
+    // Проверяем ограничения числа задач в работе (WIP) исполнителя и команды
+    const assignee = assignees.getStartingAssignee([task], options.as);
+    const wip = assignees.checkWipLimit(tasksData, assignee, task.id);
+    
+    if (!wip.allowed) {
+      return {
+        success: false,
+        message: wip.message,
+        currentTask: wip.tasks[0]
       };
+    }
+    
+    // Задача без исполнителя назначается тому, кто её начинает
+    const claimed = assignees.claim(task, assignee);
+    if (!claimed.success) {
+      return { success: false, message: claimed.message };
+    }
+    
+    // Обновляем статус задачи на "в процессе"
+    task.status = 'in-progress';
+    task.updated_at = new Date().toISOString();
+    
+    // Находим индекс задачи в массиве
+    const taskIndex = tasksData.tasks.findIndex(t => t.id === task.id);
+    
+    if (taskIndex !== -1) {
+      tasksData.tasks[taskIndex] = task;
+      
+      // Запускаем учет времени задачи
+      timeTracking.startTracking(tasksData, task.id);
+    
+      // Сохраняем изменения
+      if (saveTasks(tasksData)) {
+        // Обновляем контекст задачи: задача становится текущей задачей исполнителя
+        contextTracker.addHistoryEntry(
+          task.id,
+          'start',
+          t('history.taskStarted', { title: task.title }),
+          { oldStatus: 'pending', newStatus: 'in-progress', assignee }
+        );
+    
+        // Подготавливаем контекст для GitHub Copilot
+        const copilotContext = contextTracker.prepareTaskContextForCopilot(task.id);
+    
+        return {
+          success: true,
+          message: t('next.started', { id: task.id, title: task.title }),
+          task,
+          copilotContext
+        };
+      } else {
+        return {
+          success: false,
+          message: t('common.saveFailed')
+        };
+      }
     } else {
       return {
         success: false,
-        message: 'Не удалось сохранить изменения'
+        message: t('common.taskNotFound', { id: task.id })
       };
     }
-  } else {
+  });
+}
+
+/**
+ * Начать выполнение подзадачи. Подзадача и её родители, которые ещё не в работе,
+ * переходят в статус in-progress; учет времени ведется по подзадаче
+ * @param {string} subtaskId - ID подзадачи (4.2, 4.2.1)
+ * @param {object} options - { as } - исполнитель, который начинает подзадачу
+ *   (без него - исполнитель подзадачи или её родителей, а если их нет - пользователь git)
+ * @returns {object} - Результат операции
+ */
+function startSubtask(subtaskId, options = {}) {
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const path = subtaskTree.findPath(tasksData, subtaskId);
+    const subtask = path && path[path.length - 1];
+    
+    if (!subtask || subtask.status !== 'pending') {
+      return {
+        success: false,
+        message: t('next.notPending', { id: subtaskId })
+      };
+    }
+    
+    const task = path[0];
+    
+    // Подзадачу нельзя начать, пока не выполнены её зависимости и зависимости её родителей
+    const index = dependencies.buildIndex(tasksData);
+    const blockers = [...new Set(path.flatMap(item => dependencies.getBlockers(item, tasksData, index)))];
+    if (blockers.length > 0) {
+      return {
+        success: false,
+        message: t('next.blocked', { id: subtask.id, title: subtask.title, blockers: blockers.map(id => `#${id}`).join(', ') }),
+        blockers
+      };
+    }
+    
+    // Переход в работу проверяется по таблице переходов статусов для подзадачи и родителей
+    const started = path.filter(item => item.status !== 'in-progress');
+    for (const item of started) {
+      const transition = statuses.checkTransition(item, 'in-progress');
+      if (!transition.allowed) {
+        return { success: false, message: transition.message };
+      }
+    }
+    
+    // Подзадача задачи, которая уже в работе у исполнителя, не увеличивает число его задач в работе
+    const inherited = assignees.getEffectiveAssignee(path);
+    const assignee = assignees.getStartingAssignee(path, options.as);
+    const wip = assignees.checkWipLimit(tasksData, assignee, task.id);
+    if (!wip.allowed) {
+      return {
+        success: false,
+        message: wip.message,
+        currentTask: wip.tasks[0]
+      };
+    }
+    
+    // Исполнитель назначается задаче без исполнителя или подзадаче, которую выполняет не исполнитель родителя
+    if (assignee !== inherited) {
+      const claimed = assignees.claim(inherited ? subtask : task, assignee);
+      if (!claimed.success) {
+        return { success: false, message: claimed.message };
+      }
+    }
+    
+    const changes = statuses.applyStatus(path, 'in-progress');
+    task.updated_at = new Date().toISOString();
+    
+    // Учет времени идет по подзадаче
+    timeTracking.startTracking(tasksData, subtask.id);
+    
+    if (!saveTasks(tasksData)) {
+      return {
+        success: false,
+        message: t('common.saveFailed')
+      };
+    }
+    
+    // Записи истории - от задачи к подзадаче: последняя запись делает подзадачу активной
+    [...changes].reverse().forEach(({ item, oldStatus }) => {
+      const isTask = item === task;
+      contextTracker.addHistoryEntry(
+        task.id,
+        'start',
+        isTask ? t('history.taskStarted', { title: item.title }) : t('history.subtaskStarted', { id: item.id, title: item.title }),
+        { ...(isTask ? {} : { subtaskId: item.id }), oldStatus, newStatus: 'in-progress', assignee }
+      );
+    });
+    
+    // Подготавливаем контекст для GitHub Copilot с выделенной подзадачей
+    const copilotContext = contextTracker.prepareTaskContextForCopilot(subtask.id);
+    
     return {
-      success: false,
-      message: `Задача с ID ${task.id} не найдена в списке задач`
+      success: true,
+      message: t('next.subtaskStarted', { id: subtask.id, title: subtask.title }),
+      task,
+      subtask,
+      copilotContext
     };
+  });
+}
+
+/**
+ * Сообщение об отсутствии подходящей задачи
+ * @param {object} options - { tag }
+ * @returns {string}
+ */
+function noTasksMessage(options) {
+  return options.tag && options.tag.length > 0
+    ? t('next.noTasksWithTag', { tags: options.tag.map(tag => `#${tag}`).join(', ') })
+    : t('next.noAvailableTasks');
+}
+
+/**
+ * Разобрать параметры командной строки: --tag backend, --tag=backend,auth, --as ivan (или --for ivan)
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {object} - { args, tag, as } - аргументы без параметров, теги и исполнитель
+ */
+function parseNextOptions(args) {
+  const rest = [];
+  const tag = [];
+  let as = null;
+  
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+    if (flag === '--tag') {
+      tag.push(...tags.parseTags(inlineValue !== undefined ? inlineValue : args[++i] || '').tags);
+    } else if (flag === '--as' || flag === '--for') {
+      as = assignees.normalizeAssignee(inlineValue !== undefined ? inlineValue : args[++i]);
+    } else {
+      rest.push(args[i]);
+    }
   }
+  
+  return { args: rest, tag, as };
 }
 
 /**
  * Показать информацию о следующей задаче
- * @returns {object} - Информация о следующей задаче или null
+ * @param {object} options - { tag, as } - теги и исполнитель (см. getNextTask; по умолчанию - пользователь git)
+ * @returns {object} - Результат с информацией о следующей задаче (task равен null, если задач нет)
  */
-function showNextTaskInfo() {
-  const nextTask = getNextTask();
+function showNextTaskInfo(options = {}) {
+  const nextTask = getNextTask({ ...options, as: options.as || assignees.getCurrentUser() });
   
   if (!nextTask) {
-    console.log(chalk.yellow('Нет задач в статусе pending. Все задачи выполнены или находятся в процессе.'));
-    return null;
+    const message = options.tag && options.tag.length > 0 ? noTasksMessage(options) : t('next.noPendingTasks');
+    console.log(chalk.yellow(message));
+    return {
+      success: true,
+      message,
+      task: null,
+      copilotContext: null
+    };
   }
   
-  console.log(chalk.cyan('🚀 Следующая задача:'));
-  console.log(chalk.cyan(`#${nextTask.id}: ${nextTask.title}`));
-  console.log(chalk.cyan(`Приоритет: ${nextTask.priority}`));
+  console.log(chalk.cyan(t('next.nextTaskHeader')));
+  console.log(chalk.cyan(`#${nextTask.id}: ${nextTask.title}${nextTask.tags ? ` ${tags.formatTags(nextTask)}` : ''}${nextTask.assignee ? ` ${assignees.formatAssignee(nextTask)}` : ''}`));
+  console.log(chalk.cyan(t('common.priority', { priority: nextTask.priority })));
+  
+  if (nextTask.due) {
+    const color = dueDates.getDueState(nextTask) === 'overdue' ? chalk.red : chalk.cyan;
+    console.log(color(t('common.due', { due: nextTask.due })));
+  }
   
   if (nextTask.description) {
-    console.log(chalk.cyan(`Описание: ${nextTask.description}`));
+    console.log(chalk.cyan(t('common.description', { description: nextTask.description })));
   }
   
   if (nextTask.subtasks && nextTask.subtasks.length > 0) {
-    console.log(chalk.cyan('\nПодзадачи:'));
-    nextTask.subtasks.forEach(subtask => {
-      const statusEmoji = subtask.status === 'done' ? '✓' : '○';
-      console.log(chalk.cyan(`${statusEmoji} ${subtask.id} ${subtask.title}`));
-    });
+    printSubtasks(nextTask);
   }
   
   // Подготовка контекста для GitHub Copilot
   const copilotContext = contextTracker.prepareTaskContextForCopilot(nextTask.id);
-  console.log(chalk.green('\n💡 Контекст для GitHub Copilot готов. Чтобы начать выполнение, используйте:'));
-  console.log(chalk.blue(`task-master next:start`));
+  console.log(chalk.green(`\n${t('next.contextReady')}`));
+  console.log(chalk.blue(`task-master next:start${options.as ? ` --as ${options.as}` : ''}`));
   
   return {
+    success: true,
+    message: t('next.nextTask', { id: nextTask.id, title: nextTask.title }),
     task: nextTask,
     copilotContext
   };
@@ -210,45 +394,60 @@ function checkTaskProgress() {
   const inProgressTasks = tasksData.tasks.filter(task => task.status === 'in-progress').length;
   const pendingTasks = tasksData.tasks.filter(task => task.status === 'pending').length;
   
-  const progressPercentage = (doneTasks / totalTasks) * 100;
+  const progressPercentage = totalTasks > 0 ? (doneTasks / totalTasks) * 100 : 0;
   
-  console.log(chalk.cyan('📊 Прогресс выполнения задач:'));
-  console.log(chalk.cyan(`Всего задач: ${totalTasks}`));
-  console.log(chalk.green(`✓ Выполнено: ${doneTasks} (${progressPercentage.toFixed(1)}%)`));
-  console.log(chalk.yellow(`🔄 В процессе: ${inProgressTasks}`));
-  console.log(chalk.blue(`⏳ Ожидают: ${pendingTasks}`));
+  console.log(chalk.cyan(t('next.progress.header')));
+  console.log(chalk.cyan(t('next.progress.total', { count: totalTasks })));
+  console.log(chalk.green(t('next.progress.done', { count: doneTasks, percent: progressPercentage.toFixed(1) })));
+  console.log(chalk.yellow(t('next.progress.inProgress', { count: inProgressTasks })));
+  console.log(chalk.blue(t('next.progress.pending', { count: pendingTasks })));
   
-  // Если есть задача в процессе выполнения, показываем её
-  const currentTask = getCurrentTask();
+  // Показываем задачи в процессе выполнения и тех, кто над ними работает
+  const currentTasks = assignees.getInProgressTasks(tasksData);
+  const currentTask = currentTasks.length > 0 ? currentTasks[0] : null;
   
-  if (currentTask) {
-    console.log(chalk.yellow('\n🔄 Текущая задача в процессе выполнения:'));
-    console.log(chalk.yellow(`#${currentTask.id}: ${currentTask.title}`));
+  if (currentTasks.length > 0) {
+    console.log(chalk.yellow(`\n${t('next.progress.current')}`));
+  }
+  
+  currentTasks.forEach(activeTask => {
+    const workers = [...assignees.getWorkers(activeTask)].filter(Boolean).map(name => `@${name}`).join(' ');
+    console.log(chalk.yellow(`#${activeTask.id}: ${activeTask.title}${workers ? ` ${chalk.magenta(workers)}` : ''}`));
     
-    if (currentTask.subtasks && currentTask.subtasks.length > 0) {
-      const doneSubtasks = currentTask.subtasks.filter(st => st.status === 'done').length;
-      const subtaskProgress = (doneSubtasks / currentTask.subtasks.length) * 100;
+    if (activeTask.subtasks && activeTask.subtasks.length > 0) {
+      // Прогресс учитывает подзадачи на всех уровнях вложенности
+      const allSubtasks = subtaskTree.getDescendants(activeTask);
+      const doneSubtasks = allSubtasks.filter(st => st.status === 'done').length;
+      const subtaskProgress = (doneSubtasks / allSubtasks.length) * 100;
       
-      console.log(chalk.yellow(`Прогресс подзадач: ${doneSubtasks}/${currentTask.subtasks.length} (${subtaskProgress.toFixed(1)}%)`));
+      console.log(chalk.yellow(t('next.progress.subtasks', { done: doneSubtasks, total: allSubtasks.length, percent: subtaskProgress.toFixed(1) })));
+      
+      allSubtasks.filter(st => st.status === 'in-progress').forEach(st => {
+        console.log(chalk.yellow(`${t('next.progress.currentSubtask', { id: st.id, title: st.title })}${st.assignee ? ` ${assignees.formatAssignee(st)}` : ''}`));
+      });
     }
-    
-    // Подготовка контекста для GitHub Copilot для текущей задачи
+  });
+  
+  // Подготовка контекста для GitHub Copilot для текущей задачи
+  if (currentTask) {
     contextTracker.prepareTaskContextForCopilot(currentTask.id);
   }
   
   return {
+    success: true,
     totalTasks,
     doneTasks,
     inProgressTasks,
     pendingTasks,
     progressPercentage,
-    currentTask
+    currentTask,
+    currentTasks: currentTasks.map(task => ({ id: task.id, title: task.title, assignees: [...assignees.getWorkers(task)] }))
   };
 }
 
 // Если скрипт запущен из командной строки
 if (require.main === module) {
-  const args = process.argv.slice(2);
+  const { args, tag, as } = parseNextOptions(output.stripOutputFlags(process.argv.slice(2)));
   const command = args[0] || '';
   
   if (command === 'start') {
@@ -256,37 +455,34 @@ if (require.main === module) {
     const taskId = args[1];
     const auto = !taskId;
     
-    const result = startNextTask(auto, taskId);
+    const result = startNextTask(auto, taskId, { tag, as });
+    output.finish(result);
     
     if (result.success) {
       console.log(chalk.green(result.message));
       
       // Если у задачи есть подзадачи, показываем их
       if (result.task.subtasks && result.task.subtasks.length > 0) {
-        console.log(chalk.cyan('\nПодзадачи:'));
-        result.task.subtasks.forEach(subtask => {
-          const statusEmoji = subtask.status === 'done' ? '✓' : '○';
-          console.log(chalk.cyan(`${statusEmoji} ${subtask.id} ${subtask.title}`));
-        });
+        printSubtasks(result.task);
       }
       
-      console.log(chalk.green('\n💡 Контекст задачи автоматически обновлен для GitHub Copilot'));
-      console.log(chalk.cyan('Теперь можете попросить Copilot помочь с выполнением этой задачи.'));
+      console.log(chalk.green(`\n${t('next.contextUpdated')}`));
+      console.log(chalk.cyan(t('next.askCopilot')));
     } else {
       console.log(chalk.red(result.message));
       
       // Если есть текущая задача, предлагаем её завершить
       if (result.currentTask) {
-        console.log(chalk.yellow('\nЧтобы завершить текущую задачу, используйте:'));
+        console.log(chalk.yellow(`\n${t('next.completeCurrentHint')}`));
         console.log(chalk.blue(`task-master complete ${result.currentTask.id}`));
       }
     }
   } else if (command === 'progress') {
     // Показываем прогресс по задачам
-    checkTaskProgress();
+    output.finish(checkTaskProgress());
   } else {
     // По умолчанию показываем информацию о следующей задаче
-    showNextTaskInfo();
+    output.finish(showNextTaskInfo({ tag, as }));
   }
 }
 
@@ -295,6 +491,7 @@ module.exports = {
   getNextTask,
   getCurrentTask,
   startNextTask,
+  startSubtask,
   checkTaskProgress,
   showNextTaskInfo
 };
\ No newline at end of file
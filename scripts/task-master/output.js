@@ -0,0 +1,95 @@
+/**
+ * Формат вывода результатов команд
+ * По умолчанию команды выводят форматированный текст. С флагом --json
+ * результат команды выводится в stdout одним JSON-объектом, с флагом --ndjson -
+ * по одному JSON-объекту на строку. В этих режимах текстовые сообщения
+ * перенаправляются в stderr, чтобы stdout содержал только данные.
+ */
+
+// Флаги командной строки и соответствующие им форматы вывода
+const OUTPUT_FLAGS = {
+  '--json': 'json',
+  '--ndjson': 'ndjson'
+};
+
+/**
+ * Определить формат вывода: переменная окружения TASK_MASTER_OUTPUT
+ * (её устанавливает global.js) или флаг в аргументах командной строки
+ *
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {string} - text, json или ndjson
+ */
+function detectFormat(args) {
+  if (Object.values(OUTPUT_FLAGS).includes(process.env.TASK_MASTER_OUTPUT)) {
+    return process.env.TASK_MASTER_OUTPUT;
+  }
+
+  const flag = args.find(arg => OUTPUT_FLAGS[arg]);
+  return flag ? OUTPUT_FLAGS[flag] : 'text';
+}
+
+const format = detectFormat(process.argv.slice(2));
+
+// В машиночитаемом режиме stdout принадлежит только данным
+if (format !== 'text') {
+  console.log = console.error;
+  console.info = console.error;
+}
+
+/**
+ * Проверить, включен ли машиночитаемый вывод
+ * @returns {boolean}
+ */
+function isMachineReadable() {
+  return format !== 'text';
+}
+
+/**
+ * Убрать флаги формата вывода из аргументов командной строки
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {string[]}
+ */
+function stripOutputFlags(args) {
+  return args.filter(arg => !OUTPUT_FLAGS[arg]);
+}
+
+/**
+ * Вывести результат команды в машиночитаемом формате
+ * В режиме ndjson список items выводится по одному элементу на строку,
+ * без него - весь результат одной строкой
+ *
+ * @param {object} result - Результат команды
+ * @param {object[]} items - Элементы результата для режима ndjson (опционально)
+ */
+function printResult(result, items = null) {
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else if (format === 'ndjson') {
+    const lines = Array.isArray(items) ? items : [result];
+    lines.forEach(line => process.stdout.write(`${JSON.stringify(line)}\n`));
+  }
+}
+
+/**
+ * Завершить команду: вывести результат в машиночитаемом режиме
+ * и установить ненулевой код выхода, если команда завершилась ошибкой
+ *
+ * @param {object} result - Результат команды с полем success
+ * @param {object[]} items - Элементы результата для режима ndjson (опционально)
+ */
+function finish(result, items = null) {
+  printResult(result, items);
+
+  if (!result || result.success === false) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  OUTPUT_FLAGS,
+  format,
+  isMachineReadable,
+  stripOutputFlags,
+  printResult,
+  finish
+};
@@ -0,0 +1,54 @@
+/**
+ * Метки приоритета в тексте задачи
+ * Приоритет записывается меткой [P:1]..[P:3] или словом через !:
+ * !high, !medium, !low (!высокий, !средний, !низкий).
+ * При создании задачи или подзадачи метка переносится в поле priority
+ * и убирается из названия.
+ */
+
+const { normalizePriority } = require('./schema');
+
+// Метка [P:1]..[P:3]
+const PRIORITY_MARK_REGEX = /(^|\s)\[(?:p|приоритет|priority):\s*([1-3])\](?=\s|$)/i;
+
+// Метка !high, !low и т.п.
+const PRIORITY_WORD_REGEX = /(^|\s)!(high|medium|low|высокий|средний|низкий)(?=\s|$)/iu;
+
+/**
+ * Извлечь приоритет из названия задачи или подзадачи: "Авторизация [P:1]", "Логи !low"
+ * @param {string} text - Название
+ * @returns {object} - { text, priority } - название без метки и приоритет (или null)
+ */
+function extractPriority(text) {
+  const source = String(text || '');
+  const match = source.match(PRIORITY_MARK_REGEX) || source.match(PRIORITY_WORD_REGEX);
+
+  if (!match) {
+    return { text: source.trim(), priority: null };
+  }
+
+  return {
+    text: source.replace(match[0], match[1]).replace(/\s{2,}/g, ' ').trim(),
+    priority: normalizePriority(match[2])
+  };
+}
+
+/**
+ * Установить приоритет подзадачи. Без метки подзадача следует приоритету задачи,
+ * поэтому пустой приоритет не храним
+ *
+ * @param {object} subtask - Подзадача
+ * @param {number|null} priority - Приоритет
+ */
+function setSubtaskPriority(subtask, priority) {
+  if (priority !== null && priority !== undefined) {
+    subtask.priority = priority;
+  } else {
+    delete subtask.priority;
+  }
+}
+
+module.exports = {
+  extractPriority,
+  setSubtaskPriority
+};
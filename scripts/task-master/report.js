@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для отчетов по задачам
+ * report time - затраченное время по задачам и тегам за период
+ * (время подзадач учитывается в родительской задаче)
+ */
+
+const chalk = require('chalk');
+const store = require('./task-store');
+const output = require('./output');
+const tags = require('./tags');
+const timeTracking = require('./time-tracking');
+const subtaskTree = require('./subtask-tree');
+const dueDates = require('./due-dates');
+const { t } = require('./i18n');
+
+// Загрузка задач - через общее хранилище
+const { loadTasks } = store;
+
+// Ширина колонки с длительностью в отчете
+const DURATION_COLUMN_WIDTH = 12;
+
+/**
+ * Отчет по затраченному времени
+ * @param {object} options - { since } - начало периода (Date или null - за все время)
+ * @returns {object} - Результат: { total, tasks: [{ id, title, tags, seconds }], tags: [{ tag, seconds }] }
+ */
+function getTimeReport(options = {}) {
+  const since = options.since || null;
+  const now = new Date();
+
+  // Время задачи - её собственное время и время её подзадач
+  const taskRows = loadTasks().tasks
+    .map(task => ({
+      id: task.id,
+      title: task.title,
+      tags: tags.getTags(task),
+      seconds: [task, ...subtaskTree.getDescendants(task)]
+        .reduce((sum, item) => sum + timeTracking.getTrackedSince(item, since, now), 0)
+    }))
+    .filter(row => row.seconds > 0)
+    .sort((a, b) => b.seconds - a.seconds);
+
+  // Задача с несколькими тегами учитывается в каждом из них
+  const byTag = new Map();
+  taskRows.forEach(row => {
+    (row.tags.length > 0 ? row.tags : [null]).forEach(tag => {
+      byTag.set(tag, (byTag.get(tag) || 0) + row.seconds);
+    });
+  });
+
+  const tagRows = [...byTag.entries()]
+    .map(([tag, seconds]) => ({ tag, seconds }))
+    .sort((a, b) => (a.tag === null) - (b.tag === null) || b.seconds - a.seconds);
+
+  const total = taskRows.reduce((sum, row) => sum + row.seconds, 0);
+
+  return {
+    success: true,
+    message: since
+      ? t('report.time.titleSince', { since: dueDates.formatDay(since) })
+      : t('report.time.title'),
+    since: since ? since.toISOString() : null,
+    total,
+    tasks: taskRows,
+    tags: tagRows
+  };
+}
+
+/**
+ * Разобрать параметры отчета: --since <дата>
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {object} - { since } или { error }
+ */
+function parseReportOptions(args) {
+  const options = { since: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+
+    if (flag !== '--since') {
+      return { error: t('report.errors.unknownOption', { option: args[i] }) };
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : args[++i];
+    options.since = timeTracking.parseSince(value);
+    if (!options.since) {
+      return { error: t('report.errors.invalidSince', { value: value || '' }) };
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Строка отчета: длительность и описание
+ * @param {number} seconds - Время в секундах
+ * @param {string} label - Описание строки
+ * @returns {string}
+ */
+function formatRow(seconds, label) {
+  return `  ${chalk.cyan(timeTracking.formatDuration(seconds).padEnd(DURATION_COLUMN_WIDTH))} ${label}`;
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('report.help.title')}\n`));
+  console.log(`${t('report.help.usage')}\n`);
+  console.log(t('report.help.examplesHeader'));
+  ['time', 'since', 'days'].forEach(example => {
+    console.log(`  ${t(`report.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const [kind, ...args] = output.stripOutputFlags(process.argv.slice(2));
+
+  if (kind === 'time') {
+    const options = parseReportOptions(args);
+
+    if (options.error) {
+      console.log(chalk.red(`✗ ${options.error}`));
+      output.finish({ success: false, message: options.error });
+    } else {
+      const result = getTimeReport(options);
+      output.finish(result, result.tasks);
+
+      console.log(chalk.bold(`\n${result.message}\n`));
+      if (result.tasks.length === 0) {
+        console.log(chalk.yellow(t('report.time.empty')));
+      } else {
+        console.log(chalk.bold(t('report.time.byTask')));
+        result.tasks.forEach(row => {
+          const rowTags = row.tags.length > 0 ? ` ${chalk.dim(row.tags.map(tag => `#${tag}`).join(' '))}` : '';
+          console.log(formatRow(row.seconds, `[${row.id}] ${row.title}${rowTags}`));
+        });
+
+        console.log(chalk.bold(`\n${t('report.time.byTag')}`));
+        result.tags.forEach(row => {
+          console.log(formatRow(row.seconds, row.tag ? `#${row.tag}` : t('report.untagged')));
+        });
+
+        console.log(chalk.bold(`\n${t('report.time.total', { duration: timeTracking.formatDuration(result.total) })}`));
+      }
+      console.log('');
+    }
+  } else if (kind === 'help') {
+    showHelp();
+  } else {
+    showHelp();
+    output.finish({ success: false, message: t('report.help.usage') });
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  getTimeReport,
+  parseReportOptions
+};
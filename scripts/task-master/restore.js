@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для работы с резервными копиями файлов задач
+ * backups показывает снимки (snapshots.js) и их отличия от текущих файлов,
+ * restore <снимок> восстанавливает tasks.json и context.json из снимка
+ */
+
+const chalk = require('chalk');
+const output = require('./output');
+const snapshots = require('./snapshots');
+const { t, formatDate } = require('./i18n');
+
+/**
+ * Разобрать аргументы: "<снимок>", "backups" или "help"
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {object} - { action, snapshot } - action: restore, list или help; либо { error }
+ */
+function parseRestoreArgs(args) {
+  const [first, ...rest] = args;
+
+  if (rest.length > 0) {
+    return { error: t('backups.errors.unknownOption', { option: rest[0] }) };
+  }
+  if (first === 'backups' || first === '--list') {
+    return { action: 'list' };
+  }
+  if (!first || first === 'help') {
+    return { action: 'help' };
+  }
+  if (first.startsWith('--')) {
+    return { error: t('backups.errors.unknownOption', { option: first }) };
+  }
+
+  return { action: 'restore', snapshot: first };
+}
+
+/**
+ * Описание отличий файла снимка от текущего файла
+ * @param {object} diff - Результат сравнения (snapshots.listSnapshots)
+ * @returns {string}
+ */
+function formatDiff(diff) {
+  if (diff.state === 'corrupt') {
+    return t(`backups.diff.${diff.corruptIn === 'snapshot' ? 'corruptSnapshot' : 'corruptCurrent'}`, { file: diff.file });
+  }
+  if (diff.state !== 'changed') {
+    return t(`backups.diff.${diff.state}`, { file: diff.file });
+  }
+  if (diff.tasks) {
+    return t('backups.diff.tasks', { file: diff.file, ...diff.tasks });
+  }
+
+  return t('backups.diff.history', { file: diff.file, count: diff.history > 0 ? `+${diff.history}` : diff.history });
+}
+
+/**
+ * Вывести список снимков
+ * @param {object[]} list - Снимки (snapshots.listSnapshots)
+ */
+function printSnapshots(list) {
+  console.log(chalk.bold(`\n${t('backups.list.title')}`));
+
+  if (list.length === 0) {
+    console.log(chalk.dim(`  ${t('backups.list.empty')}\n`));
+    return;
+  }
+
+  list.forEach(snapshot => {
+    const time = snapshot.timestamp ? formatDate(snapshot.timestamp) : snapshot.name;
+    console.log(`  ${chalk.cyan(String(snapshot.number).padStart(2))}  ${chalk.dim(time)}  ${snapshot.label || ''}`);
+    snapshot.diff.forEach(diff => {
+      const line = `      ${formatDiff(diff)}`;
+      console.log(diff.state === 'corrupt' ? chalk.yellow(line) : chalk.dim(line));
+    });
+  });
+
+  console.log(chalk.dim(`\n${t('backups.list.hint')}\n`));
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('backups.help.title')}\n`));
+  console.log(`${t('backups.help.usage')}\n`);
+  console.log(t('backups.help.examplesHeader'));
+  ['list', 'restore', 'byName'].forEach(example => {
+    console.log(`  ${t(`backups.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const args = output.stripOutputFlags(process.argv.slice(2));
+  const options = parseRestoreArgs(args);
+
+  if (options.error) {
+    console.log(chalk.red(`✗ ${options.error}`));
+    showHelp();
+    output.finish({ success: false, message: options.error });
+  } else if (options.action === 'help') {
+    showHelp();
+    if (args[0] !== 'help') {
+      output.finish({ success: false, message: t('backups.help.usage') });
+    }
+  } else if (options.action === 'list') {
+    const list = snapshots.listSnapshots();
+    output.finish({ success: true, snapshots: list }, list);
+    printSnapshots(list);
+  } else {
+    const result = snapshots.restoreSnapshot(options.snapshot);
+    output.finish(result);
+
+    if (result.success) {
+      console.log(chalk.green(`✓ ${result.message}`));
+      if (result.journaled) {
+        console.log(chalk.dim(`  ${t('backups.undoHint')}`));
+      }
+    } else {
+      console.log(chalk.red(`✗ ${result.message}`));
+    }
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  parseRestoreArgs
+};
@@ -0,0 +1,333 @@
+/**
+ * Схемы данных Task Master
+ * Описывает формат tasks.json и context.json в виде JSON Schema (draft-07)
+ * и содержит минимальный валидатор, достаточный для этих схем,
+ * чтобы не добавлять внешних зависимостей
+ */
+
+const { t } = require('./i18n');
+
+// Допустимые статусы задач и подзадач
+const TASK_STATUSES = ['pending', 'in-progress', 'done', 'deferred', 'blocked', 'cancelled'];
+
+// Соответствие текстовых приоритетов числовым (1 - высокий, 3 - низкий)
+const PRIORITY_ALIASES = {
+  high: 1,
+  medium: 2,
+  low: 3,
+  'высокий': 1,
+  'средний': 2,
+  'низкий': 3
+};
+
+// Приоритет по умолчанию - средний
+const DEFAULT_PRIORITY = 2;
+
+/**
+ * Схема файла tasks.json
+ */
+const tasksSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'task-master/tasks.schema.json',
+  title: 'Task Master: tasks.json',
+  type: 'object',
+  required: ['project', 'tasks'],
+  properties: {
+    project: { type: 'string' },
+    version: { type: 'string' },
+    formatVersion: { type: 'integer', minimum: 1 },
+    tasks: {
+      type: 'array',
+      items: { $ref: '#/definitions/task' }
+    }
+  },
+  definitions: {
+    status: { enum: TASK_STATUSES },
+    priority: { type: 'integer', minimum: 1, maximum: 3 },
+    timestamp: { type: 'string', format: 'date-time' },
+    dependsOn: {
+      type: 'array',
+      items: { type: ['integer', 'string'] }
+    },
+    tags: {
+      type: 'array',
+      items: { type: 'string', pattern: '^[\\p{L}\\p{N}_-]+$' }
+    },
+    dueDate: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    estimate: { type: 'number', minimum: 0 },
+    assignee: { type: 'string', minLength: 1 },
+    timeTracking: {
+      type: 'object',
+      properties: {
+        spent: { type: 'integer', minimum: 0 },
+        startedAt: { $ref: '#/definitions/timestamp' },
+        log: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['start', 'end', 'seconds'],
+            properties: {
+              start: { $ref: '#/definitions/timestamp' },
+              end: { $ref: '#/definitions/timestamp' },
+              seconds: { type: 'integer', minimum: 0 }
+            }
+          }
+        }
+      }
+    },
+    subtask: {
+      type: 'object',
+      required: ['id', 'title', 'status'],
+      properties: {
+        id: { type: 'string', pattern: '^\\d+(\\.\\d+)+$' },
+        title: { type: 'string', minLength: 1 },
+        status: { $ref: '#/definitions/status' },
+        blockedReason: { type: 'string' },
+        priority: { $ref: '#/definitions/priority' },
+        dependsOn: { $ref: '#/definitions/dependsOn' },
+        due: { $ref: '#/definitions/dueDate' },
+        estimate: { $ref: '#/definitions/estimate' },
+        assignee: { $ref: '#/definitions/assignee' },
+        time: { $ref: '#/definitions/timeTracking' },
+        subtasks: {
+          type: 'array',
+          items: { $ref: '#/definitions/subtask' }
+        }
+      }
+    },
+    task: {
+      type: 'object',
+      required: ['id', 'title', 'status', 'priority', 'subtasks', 'created_at', 'updated_at'],
+      properties: {
+        id: { type: 'integer', minimum: 1 },
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        status: { $ref: '#/definitions/status' },
+        blockedReason: { type: 'string' },
+        priority: { $ref: '#/definitions/priority' },
+        subtasks: {
+          type: 'array',
+          items: { $ref: '#/definitions/subtask' }
+        },
+        dependsOn: { $ref: '#/definitions/dependsOn' },
+        tags: { $ref: '#/definitions/tags' },
+        due: { $ref: '#/definitions/dueDate' },
+        estimate: { $ref: '#/definitions/estimate' },
+        assignee: { $ref: '#/definitions/assignee' },
+        time: { $ref: '#/definitions/timeTracking' },
+        created_at: { $ref: '#/definitions/timestamp' },
+        updated_at: { $ref: '#/definitions/timestamp' }
+      }
+    }
+  }
+};
+
+/**
+ * Схема файла context.json
+ */
+const contextSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'task-master/context.schema.json',
+  title: 'Task Master: context.json',
+  type: 'object',
+  required: ['lastUpdated', 'taskHistory', 'currentContext'],
+  properties: {
+    lastUpdated: { $ref: '#/definitions/timestamp' },
+    projectState: { type: 'string' },
+    taskHistory: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['taskId', 'action', 'summary', 'timestamp'],
+        properties: {
+          taskId: { type: 'integer', minimum: 1 },
+          taskTitle: { type: 'string' },
+          action: { type: 'string', minLength: 1 },
+          summary: { type: 'string' },
+          timestamp: { $ref: '#/definitions/timestamp' },
+          details: { type: 'object' }
+        }
+      }
+    },
+    currentContext: {
+      type: 'object',
+      required: ['activeTask'],
+      properties: {
+        activeTask: { type: ['integer', 'null'] },
+        activeSubtask: { type: ['string', 'null'] },
+        activeTasks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['taskId'],
+            properties: {
+              taskId: { type: 'integer', minimum: 1 },
+              subtaskId: { type: ['string', 'null'] },
+              assignee: { type: ['string', 'null'] }
+            }
+          }
+        },
+        summary: { type: 'string' }
+      }
+    }
+  },
+  definitions: {
+    timestamp: { type: 'string', format: 'date-time' }
+  }
+};
+
+/**
+ * Определить тип значения в терминах JSON Schema
+ * @param {*} value - Значение
+ * @returns {string}
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Проверить соответствие значения типу JSON Schema
+ * @param {*} value - Значение
+ * @param {string} type - Тип из схемы
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = getJsonType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Найти схему по ссылке вида "#/definitions/name"
+ * @param {object} rootSchema - Корневая схема
+ * @param {string} ref - Ссылка
+ * @returns {object}
+ */
+function resolveRef(rootSchema, ref) {
+  return ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node[key], rootSchema);
+}
+
+/**
+ * Проверить значение по схеме
+ *
+ * @param {*} value - Проверяемое значение
+ * @param {object} schema - Схема (или её часть)
+ * @param {string} jsonPath - JSON-путь к значению
+ * @param {object} rootSchema - Корневая схема для разрешения $ref
+ * @param {object[]} errors - Накопитель ошибок
+ * @returns {object[]} - Список ошибок вида { path, message }
+ */
+function validateValue(value, schema, jsonPath = '$', rootSchema = schema, errors = []) {
+  if (schema.$ref) {
+    return validateValue(value, resolveRef(rootSchema, schema.$ref), jsonPath, rootSchema, errors);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: jsonPath, message: t('validate.schema.type', { expected: types.join(t('validate.schema.or')), actual: getJsonType(value) }) });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: jsonPath, message: t('validate.schema.enum', { allowed: schema.enum.join(', '), value: JSON.stringify(value) }) });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: jsonPath, message: t('validate.schema.minimum', { minimum: schema.minimum }) });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: jsonPath, message: t('validate.schema.maximum', { maximum: schema.maximum }) });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: jsonPath, message: t('validate.schema.emptyString') });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path: jsonPath, message: t('validate.schema.pattern', { value: JSON.stringify(value), pattern: schema.pattern }) });
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push({ path: jsonPath, message: t('validate.schema.dateTime', { value: JSON.stringify(value) }) });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      validateValue(item, schema.items, `${jsonPath}[${index}]`, rootSchema, errors);
+    });
+  }
+
+  if (getJsonType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: `${jsonPath}.${key}`, message: t('validate.schema.required') });
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        validateValue(value[key], propertySchema, `${jsonPath}.${key}`, rootSchema, errors);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Проверить данные tasks.json
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {object[]} - Список ошибок вида { path, message }
+ */
+function validateTasks(tasksData) {
+  return validateValue(tasksData, tasksSchema);
+}
+
+/**
+ * Проверить данные context.json
+ * @param {object} context - Данные context.json
+ * @returns {object[]} - Список ошибок вида { path, message }
+ */
+function validateContext(context) {
+  return validateValue(context, contextSchema);
+}
+
+/**
+ * Привести приоритет к числу от 1 до 3
+ * Понимает числа, строки-числа и текстовые значения (high, medium, low)
+ *
+ * @param {*} priority - Исходный приоритет
+ * @returns {number}
+ */
+function normalizePriority(priority) {
+  if (typeof priority === 'string') {
+    const alias = PRIORITY_ALIASES[priority.trim().toLowerCase()];
+    if (alias) return alias;
+  }
+
+  const value = parseInt(priority);
+  if (Number.isNaN(value)) return DEFAULT_PRIORITY;
+
+  return Math.min(Math.max(value, 1), 3);
+}
+
+module.exports = {
+  TASK_STATUSES,
+  DEFAULT_PRIORITY,
+  PRIORITY_ALIASES,
+  tasksSchema,
+  contextSchema,
+  validateValue,
+  validateTasks,
+  validateContext,
+  normalizePriority
+};
@@ -0,0 +1,292 @@
+/**
+ * Резервные копии файлов задач (tasks/backups)
+ * Перед первой записью tasks.json или context.json в каждой операции
+ * (команде task-master или команде чата) хранилище копирует текущее
+ * содержимое файла в снимок операции: каталог backups/<время> с копиями файлов
+ * и описанием команды (snapshot.json). Файлы копируются как есть, без разбора,
+ * поэтому в снимок попадает и поврежденный файл. Хранятся последние
+ * backupCount снимков, более старые удаляются
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const store = require('./task-store');
+const config = require('./config');
+const journal = require('./journal');
+const dependencies = require('./dependencies');
+const { t } = require('./i18n');
+
+// Каталог снимков - рядом с файлом задач
+const backupsDir = path.join(path.dirname(store.tasksFile), 'backups');
+
+// Файл с описанием снимка
+const META_FILE = 'snapshot.json';
+
+// Снимки операций текущего процесса: ID операции → каталог снимка
+const operationSnapshots = new Map();
+
+/**
+ * Сколько снимков хранить
+ * @returns {number}
+ */
+function getLimit() {
+  const limit = config.getSetting('backupCount');
+  return Number.isInteger(limit) && limit >= 0 ? limit : config.DEFAULT_CONFIG.backupCount;
+}
+
+/**
+ * Имя каталога снимка по времени: 2026-10-19T19-09-39-242Z
+ * @param {Date} date - Время снимка
+ * @returns {string}
+ */
+function formatSnapshotName(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Создать каталог снимка текущей операции
+ * @returns {string} - Путь к каталогу
+ */
+function createSnapshot() {
+  const operation = journal.getOperation();
+  const date = new Date();
+  const baseName = formatSnapshotName(date);
+
+  // Операции разных процессов могли начаться в одну миллисекунду
+  let name = baseName;
+  for (let counter = 2; fs.existsSync(path.join(backupsDir, name)); counter++) {
+    name = `${baseName}-${counter}`;
+  }
+
+  const dir = path.join(backupsDir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  store.writeJsonAtomic(path.join(dir, META_FILE), { label: operation.label, timestamp: date.toISOString() });
+  operationSnapshots.set(operation.id, dir);
+
+  rotate();
+  return dir;
+}
+
+/**
+ * Удалить снимки сверх ограничения backupCount (самые старые)
+ */
+function rotate() {
+  listSnapshotNames()
+    .slice(getLimit())
+    .forEach(name => fs.rmSync(path.join(backupsDir, name), { recursive: true, force: true }));
+}
+
+/**
+ * Скопировать файл в снимок текущей операции перед записью.
+ * Вызывается хранилищем под блокировкой файлов задач; файл копируется
+ * один раз за операцию, то есть снимок хранит состояние до неё
+ *
+ * @param {string} file - Путь к файлу
+ */
+function backupFile(file) {
+  if (getLimit() === 0 || !fs.existsSync(file)) return;
+
+  try {
+    const operation = journal.getOperation();
+    let dir = operationSnapshots.get(operation.id);
+
+    // Снимок мог быть удален при ротации другим процессом
+    if (!dir || !fs.existsSync(dir)) {
+      dir = createSnapshot();
+    }
+
+    const target = path.join(dir, path.basename(file));
+    if (!fs.existsSync(target)) {
+      fs.copyFileSync(file, target);
+    }
+  } catch (error) {
+    console.error(chalk.yellow(`⚠ ${t('backups.writeFailed', { error: error.message })}`));
+  }
+}
+
+/**
+ * Имена каталогов снимков, новые - первыми
+ * @returns {string[]}
+ */
+function listSnapshotNames() {
+  if (!fs.existsSync(backupsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(backupsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort()
+    .reverse();
+}
+
+/**
+ * Прочитать JSON-файл для сравнения
+ * @param {string} file - Путь к файлу
+ * @returns {object} - { data } или { corrupt: true }; data = null, если файла нет
+ */
+function tryReadJson(file) {
+  try {
+    return { data: store.readJson(file) };
+  } catch (error) {
+    return { corrupt: true };
+  }
+}
+
+/**
+ * Сравнить задачи снимка с текущими: задачи и подзадачи сопоставляются по ID
+ * @param {object} snapshotData - tasks.json из снимка
+ * @param {object} currentData - Текущий tasks.json
+ * @returns {object} - { added, removed, changed } - число задач и подзадач
+ */
+function compareTasks(snapshotData, currentData) {
+  const withoutSubtasks = item => JSON.stringify({ ...item, subtasks: undefined });
+  const before = dependencies.buildIndex(snapshotData);
+  const after = dependencies.buildIndex(currentData);
+
+  const added = [...after.keys()].filter(id => !before.has(id)).length;
+  const removed = [...before.keys()].filter(id => !after.has(id)).length;
+  const changed = [...after.keys()]
+    .filter(id => before.has(id) && withoutSubtasks(before.get(id)) !== withoutSubtasks(after.get(id)))
+    .length;
+
+  return { added, removed, changed };
+}
+
+/**
+ * Чем текущий файл отличается от копии в снимке
+ * @param {string} name - Имя файла (tasks.json, context.json)
+ * @param {string} dir - Каталог снимка
+ * @returns {object} - { file, state, ... } - state: same, changed, missing (текущего файла нет) или corrupt
+ */
+function compareFile(name, dir) {
+  const snapshot = tryReadJson(path.join(dir, name));
+  const current = tryReadJson(resolveFile(name));
+
+  if (snapshot.corrupt) {
+    return { file: name, state: 'corrupt', corruptIn: 'snapshot' };
+  }
+  if (current.corrupt) {
+    return { file: name, state: 'corrupt', corruptIn: 'current' };
+  }
+  if (current.data === null) {
+    return { file: name, state: 'missing' };
+  }
+  if (JSON.stringify(snapshot.data) === JSON.stringify(current.data)) {
+    return { file: name, state: 'same' };
+  }
+
+  if (name === path.basename(store.tasksFile)) {
+    return { file: name, state: 'changed', tasks: compareTasks(snapshot.data, current.data) };
+  }
+
+  const historyLength = data => (Array.isArray(data.taskHistory) ? data.taskHistory.length : 0);
+  return { file: name, state: 'changed', history: historyLength(current.data) - historyLength(snapshot.data) };
+}
+
+/**
+ * Путь к файлу хранилища по имени файла в снимке
+ * @param {string} name - Имя файла (tasks.json, context.json)
+ * @returns {string}
+ */
+function resolveFile(name) {
+  return name === path.basename(store.contextFile) ? store.contextFile : store.tasksFile;
+}
+
+/**
+ * Файлы хранилища в снимке
+ * @param {string} dir - Каталог снимка
+ * @returns {string[]}
+ */
+function getSnapshotFiles(dir) {
+  return [path.basename(store.tasksFile), path.basename(store.contextFile)]
+    .filter(name => fs.existsSync(path.join(dir, name)));
+}
+
+/**
+ * Список снимков с отличиями от текущих файлов
+ * @returns {object[]} - [{ number, name, label, timestamp, files, diff }], новые - первыми;
+ *   number - номер снимка для restore (1 - последний)
+ */
+function listSnapshots() {
+  return listSnapshotNames().map((name, index) => {
+    const dir = path.join(backupsDir, name);
+    const meta = tryReadJson(path.join(dir, META_FILE)).data || {};
+    const files = getSnapshotFiles(dir);
+
+    return {
+      number: index + 1,
+      name,
+      label: meta.label || null,
+      timestamp: meta.timestamp || null,
+      files,
+      diff: files.map(file => compareFile(file, dir))
+    };
+  });
+}
+
+/**
+ * Найти снимок по номеру из списка или имени каталога
+ * @param {string} snapshot - Номер или имя снимка
+ * @returns {string|null} - Имя каталога
+ */
+function findSnapshot(snapshot) {
+  const names = listSnapshotNames();
+  const value = String(snapshot || '').trim();
+
+  if (/^\d+$/.test(value)) {
+    return names[parseInt(value) - 1] || null;
+  }
+  return names.includes(value) ? value : null;
+}
+
+/**
+ * Восстановить файлы из снимка.
+ * Восстановление записывается в журнал (его можно отменить командой undo,
+ * если журнал не отключен), а текущие файлы перед перезаписью попадают в новый снимок
+ *
+ * @param {string} snapshot - Номер или имя снимка
+ * @returns {object} - Результат операции; journaled - восстановление можно отменить
+ */
+function restoreSnapshot(snapshot) {
+  return store.withLock(() => {
+    const name = findSnapshot(snapshot);
+    if (!name) {
+      return { success: false, message: t('backups.errors.notFound', { snapshot }) };
+    }
+
+    const dir = path.join(backupsDir, name);
+    const files = getSnapshotFiles(dir);
+    const contents = {};
+
+    // Снимок проверяется целиком до записи первого файла
+    for (const file of files) {
+      const snapshotFile = tryReadJson(path.join(dir, file));
+      if (snapshotFile.corrupt) {
+        return { success: false, message: t('backups.errors.corruptSnapshot', { file, snapshot: name }) };
+      }
+      contents[file] = snapshotFile.data;
+    }
+
+    const journaled = files
+      .map(file => store.writeJournaled(resolveFile(file), contents[file]))
+      .every(Boolean);
+
+    return {
+      success: true,
+      message: t('backups.restored', { snapshot: name, files: files.join(', ') }),
+      snapshot: name,
+      files,
+      journaled
+    };
+  });
+}
+
+module.exports = {
+  backupsDir,
+  backupFile,
+  listSnapshots,
+  findSnapshot,
+  restoreSnapshot
+};
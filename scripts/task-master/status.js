@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для смены статуса задач и подзадач
+ * status <id> <статус> переводит задачу в любой статус, допустимый таблицей
+ * переходов (statuses.js); block, defer, reopen и cancel - краткие команды
+ * для blocked (с причиной), deferred, pending и cancelled
+ */
+
+const chalk = require('chalk');
+const store = require('./task-store');
+const output = require('./output');
+const contextTracker = require('./context-tracker');
+const timeTracking = require('./time-tracking');
+const subtaskTree = require('./subtask-tree');
+const statuses = require('./statuses');
+const assignees = require('./assignees');
+const { TASK_STATUSES } = require('./schema');
+const { t } = require('./i18n');
+
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
+
+// Краткие команды и статусы, в которые они переводят задачу
+const STATUS_COMMANDS = {
+  block: 'blocked',
+  defer: 'deferred',
+  reopen: 'pending',
+  cancel: 'cancelled'
+};
+
+/**
+ * Сменить статус задачи или подзадачи.
+ * Переход проверяется по таблице statusTransitions, каждое изменение
+ * (включая подзадачи и родителей, изменённые вместе с элементом)
+ * записывается в историю context.json
+ *
+ * @param {string} taskId - ID задачи или подзадачи
+ * @param {string} status - Новый статус
+ * @param {object} options - { reason } - причина блокировки
+ * @returns {object} - Результат операции
+ */
+function changeStatus(taskId, status, options = {}) {
+  if (!TASK_STATUSES.includes(status)) {
+    return { success: false, message: t('status.errors.unknownStatus', { status, statuses: TASK_STATUSES.join(', ') }) };
+  }
+
+  const reason = options.reason ? String(options.reason).trim() : null;
+
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const path = subtaskTree.findPath(tasksData, taskId);
+
+    if (!path) {
+      return { success: false, message: t('common.taskNotFound', { id: taskId }) };
+    }
+
+    const task = path[0];
+    const item = path[path.length - 1];
+    const transition = statuses.checkTransition(item, status);
+
+    if (!transition.allowed) {
+      return { success: false, message: transition.message };
+    }
+
+    // Взять задачу в работу можно в пределах ограничений WIP её исполнителя;
+    // задача без исполнителя назначается пользователю git
+    if (status === 'in-progress') {
+      const assignee = assignees.getStartingAssignee(path);
+      const wip = assignees.checkWipLimit(tasksData, assignee, task.id);
+      if (!wip.allowed) {
+        return { success: false, message: wip.message };
+      }
+      if (!assignees.getEffectiveAssignee(path)) {
+        assignees.claim(task, assignee);
+      }
+    }
+
+    const changes = statuses.applyStatus(path, status, reason);
+
+    // Учет времени идет только у задач в работе
+    changes.forEach(change => {
+      if (change.oldStatus === 'in-progress' || statuses.isClosed(change.newStatus)) {
+        timeTracking.stopTracking(change.item);
+      }
+    });
+    if (status === 'in-progress') {
+      timeTracking.startTracking(tasksData, item.id);
+    }
+
+    task.updated_at = new Date().toISOString();
+
+    if (!saveTasks(tasksData)) {
+      return { success: false, message: t('common.saveFailed') };
+    }
+
+    // Изменения подзадач записываются в историю задачи с ID подзадачи.
+    // Сам элемент записывается последним: запись start делает его активным
+    [...changes].reverse().forEach(change => {
+      const isTask = change.item === task;
+      const summary = change.newStatus === 'blocked' && change.item.blockedReason
+        ? t('history.statusChangedWithReason', { id: change.item.id, title: change.item.title, status: change.newStatus, reason: change.item.blockedReason })
+        : t('history.statusChanged', { id: change.item.id, title: change.item.title, status: change.newStatus });
+
+      contextTracker.addHistoryEntry(
+        task.id,
+        statuses.getHistoryAction(change.oldStatus, change.newStatus),
+        summary,
+        {
+          ...(isTask ? {} : { subtaskId: change.item.id }),
+          oldStatus: change.oldStatus,
+          newStatus: change.newStatus,
+          ...(change.item.blockedReason ? { reason: change.item.blockedReason } : {})
+        }
+      );
+    });
+
+    return {
+      success: true,
+      message: reason && status === 'blocked'
+        ? t('status.blockedWithReason', { id: item.id, reason })
+        : t('status.changed', { id: item.id, from: changes[0].oldStatus, to: status }),
+      taskId: item.id,
+      status,
+      changes: changes.map(change => ({ id: change.item.id, title: change.item.title, oldStatus: change.oldStatus, newStatus: change.newStatus }))
+    };
+  });
+}
+
+/**
+ * Разобрать аргументы: "<id> <статус> [причина]" или "<команда> <id> [причина]"
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {object|null} - { taskId, status, reason } или null, если аргументов не хватает
+ */
+function parseStatusArgs(args) {
+  const [first, second, ...rest] = args;
+
+  if (STATUS_COMMANDS[first]) {
+    return second ? { taskId: second, status: STATUS_COMMANDS[first], reason: rest.join(' ') } : null;
+  }
+
+  return first && second ? { taskId: first, status: second, reason: rest.join(' ') } : null;
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('status.help.title')}\n`));
+  console.log(`${t('status.help.usage')}\n`);
+  console.log(t('status.help.statuses', { statuses: TASK_STATUSES.join(', ') }));
+  console.log(`${t('status.help.transitions')}\n`);
+  Object.entries(statuses.getTransitions()).forEach(([from, allowed]) => {
+    console.log(`  ${chalk.cyan(from.padEnd(12))} → ${allowed.join(', ')}`);
+  });
+  console.log(`\n${t('status.help.examplesHeader')}`);
+  ['status', 'block', 'defer', 'reopen', 'cancel'].forEach(example => {
+    console.log(`  ${t(`status.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const args = output.stripOutputFlags(process.argv.slice(2));
+  const parsed = parseStatusArgs(args);
+
+  if (parsed) {
+    const result = changeStatus(parsed.taskId, parsed.status, { reason: parsed.reason });
+    output.finish(result, result.changes);
+
+    if (result.success) {
+      console.log(chalk.green(`✓ ${result.message}`));
+      result.changes.slice(1).forEach(change => {
+        console.log(chalk.dim(`  ${t('status.cascade', { id: change.id, from: change.oldStatus, to: change.newStatus })}`));
+      });
+    } else {
+      console.log(chalk.red(`✗ ${result.message}`));
+    }
+  } else {
+    showHelp();
+    if (args[0] !== 'help') {
+      output.finish({ success: false, message: t('status.help.usage') });
+    }
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  STATUS_COMMANDS,
+  changeStatus,
+  parseStatusArgs
+};
@@ -0,0 +1,160 @@
+/**
+ * Жизненный цикл статусов задач
+ * Допустимые переходы между статусами задаются таблицей statusTransitions
+ * в настройках (config.js) и проверяются только здесь: команды status, block,
+ * defer, reopen, cancel, complete, next start и чат переводят задачи
+ * и подзадачи в новый статус через checkTransition и applyStatus
+ */
+
+const config = require('./config');
+const subtaskTree = require('./subtask-tree');
+const { t } = require('./i18n');
+
+// Закрытые статусы: задача больше не требует работы
+const CLOSED_STATUSES = ['done', 'cancelled'];
+
+/**
+ * Таблица допустимых переходов: статус → список статусов
+ * @returns {object}
+ */
+function getTransitions() {
+  return config.getSetting('statusTransitions') || config.DEFAULT_CONFIG.statusTransitions;
+}
+
+/**
+ * Статусы, в которые можно перевести задачу из статуса from
+ * @param {string} from - Текущий статус
+ * @returns {string[]}
+ */
+function getAllowedTransitions(from) {
+  const allowed = getTransitions()[from];
+  return Array.isArray(allowed) ? allowed : [];
+}
+
+/**
+ * Можно ли перевести задачу из одного статуса в другой
+ * @param {string} from - Текущий статус
+ * @param {string} to - Новый статус
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return from !== to && getAllowedTransitions(from).includes(to);
+}
+
+/**
+ * Проверить переход задачи или подзадачи в новый статус
+ * @param {object} item - Задача или подзадача
+ * @param {string} status - Новый статус
+ * @returns {object} - { allowed, message } - message объясняет запрет
+ */
+function checkTransition(item, status) {
+  if (item.status === status) {
+    return { allowed: false, message: t('status.errors.alreadyInStatus', { id: item.id, status }) };
+  }
+
+  if (!canTransition(item.status, status)) {
+    const allowed = getAllowedTransitions(item.status);
+    return {
+      allowed: false,
+      message: t('status.errors.notAllowed', {
+        id: item.id,
+        from: item.status,
+        to: status,
+        allowed: allowed.length > 0 ? allowed.join(', ') : '—'
+      })
+    };
+  }
+
+  return { allowed: true, message: '' };
+}
+
+/**
+ * Закрыт ли статус (done или cancelled)
+ * @param {string} status - Статус
+ * @returns {boolean}
+ */
+function isClosed(status) {
+  return CLOSED_STATUSES.includes(status);
+}
+
+/**
+ * Перевести элемент пути в новый статус и согласовать с ним дерево:
+ * - закрытие (done, cancelled) закрывает незакрытые вложенные подзадачи;
+ * - выполнение поднимается к родителям, у которых закрыты все подзадачи;
+ * - подзадача в работе переводит в работу и родителей;
+ * - возврат в pending и другие открытые статусы открывает закрытых родителей (они снова в pending).
+ * Причина блокировки хранится, пока элемент в статусе blocked.
+ * Переход не проверяется - перед вызовом нужен checkTransition
+ *
+ * @param {object[]} path - Путь от задачи до элемента (subtaskTree.findPath)
+ * @param {string} status - Новый статус
+ * @param {string|null} reason - Причина блокировки
+ * @returns {object[]} - Изменения: [{ item, oldStatus, newStatus }], первым - сам элемент,
+ *   родители - начиная с ближайшего
+ */
+function applyStatus(path, status, reason = null) {
+  const item = path[path.length - 1];
+  const changes = [];
+
+  const setStatus = (target, newStatus) => {
+    if (target.status === newStatus) return;
+    changes.push({ item: target, oldStatus: target.status, newStatus });
+    target.status = newStatus;
+    delete target.blockedReason;
+  };
+
+  setStatus(item, status);
+  if (status === 'blocked' && reason) {
+    item.blockedReason = reason;
+  }
+
+  if (isClosed(status)) {
+    subtaskTree.getDescendants(item)
+      .filter(subtask => !isClosed(subtask.status))
+      .forEach(subtask => setStatus(subtask, status));
+  }
+
+  if (status === 'done') {
+    const oldStatuses = new Map(path.map(entry => [entry, entry.status]));
+    subtaskTree.rollUpCompletion(path).forEach(parent => {
+      changes.push({ item: parent, oldStatus: oldStatuses.get(parent), newStatus: 'done' });
+      delete parent.blockedReason;
+    });
+  } else if (status === 'in-progress') {
+    path.slice(0, -1).reverse().forEach(parent => setStatus(parent, 'in-progress'));
+  } else if (!isClosed(status)) {
+    path.slice(0, -1).reverse()
+      .filter(parent => isClosed(parent.status))
+      .forEach(parent => setStatus(parent, 'pending'));
+  }
+
+  return changes;
+}
+
+/**
+ * Действие для истории context.json по смене статуса
+ * @param {string} oldStatus - Прежний статус
+ * @param {string} newStatus - Новый статус
+ * @returns {string} - start, complete, block, defer, cancel, reopen или update
+ */
+function getHistoryAction(oldStatus, newStatus) {
+  switch (newStatus) {
+    case 'in-progress': return 'start';
+    case 'done': return 'complete';
+    case 'blocked': return 'block';
+    case 'deferred': return 'defer';
+    case 'cancelled': return 'cancel';
+    default: return isClosed(oldStatus) ? 'reopen' : 'update';
+  }
+}
+
+module.exports = {
+  CLOSED_STATUSES,
+  getTransitions,
+  getAllowedTransitions,
+  canTransition,
+  checkTransition,
+  isClosed,
+  applyStatus,
+  getHistoryAction
+};
@@ -0,0 +1,167 @@
+/**
+ * Вложенные подзадачи
+ * Подзадача может содержать свои подзадачи (поле subtasks) на любую глубину.
+ * ID вложенной подзадачи продолжает ID родителя: 3 → 3.2 → 3.2.1
+ */
+
+/**
+ * Подзадачи первого уровня задачи или подзадачи
+ * @param {object} item - Задача или подзадача
+ * @returns {object[]}
+ */
+function getChildren(item) {
+  return item && Array.isArray(item.subtasks) ? item.subtasks : [];
+}
+
+/**
+ * Обойти подзадачи на всех уровнях в порядке дерева
+ * @param {object} item - Задача или подзадача
+ * @param {Function} callback - (subtask, parent, depth), depth подзадач первого уровня - 1
+ * @param {number} depth - Глубина подзадач item
+ */
+function walkSubtasks(item, callback, depth = 1) {
+  getChildren(item).forEach(subtask => {
+    callback(subtask, item, depth);
+    walkSubtasks(subtask, callback, depth + 1);
+  });
+}
+
+/**
+ * Все подзадачи задачи или подзадачи на всех уровнях
+ * @param {object} item - Задача или подзадача
+ * @returns {object[]}
+ */
+function getDescendants(item) {
+  const descendants = [];
+  walkSubtasks(item, subtask => descendants.push(subtask));
+  return descendants;
+}
+
+/**
+ * Найти путь от задачи до подзадачи по ID: "3.2.1" → [задача 3, 3.2, 3.2.1]
+ * @param {object} tasksData - Данные tasks.json
+ * @param {string} id - ID задачи или подзадачи
+ * @returns {object[]|null} - Путь или null, если элемент не найден
+ */
+function findPath(tasksData, id) {
+  const parts = String(id).trim().split('.');
+  const task = (tasksData.tasks || []).find(entry => entry.id === parseInt(parts[0]));
+  if (!task) return null;
+
+  const path = [task];
+  for (let depth = 2; depth <= parts.length; depth++) {
+    const subtaskId = parts.slice(0, depth).join('.');
+    const subtask = getChildren(path[path.length - 1]).find(entry => entry.id === subtaskId);
+    if (!subtask) return null;
+    path.push(subtask);
+  }
+
+  return path;
+}
+
+/**
+ * Присвоить подзадаче новый ID и перенумеровать её подзадачи по порядку
+ * на всех уровнях: 3.2 → 5.4, 3.2.1 → 5.4.1, 3.2.3 → 5.4.2
+ *
+ * @param {object} item - Подзадача (изменяется на месте)
+ * @param {string} newId - Новый ID
+ * @returns {object} - Старый ID → новый ID для подзадачи и всех вложенных подзадач
+ */
+function renumber(item, newId) {
+  const renamedIds = {};
+
+  const assign = (entry, id) => {
+    renamedIds[String(entry.id)] = id;
+    entry.id = id;
+    getChildren(entry).forEach((subtask, index) => assign(subtask, `${id}.${index + 1}`));
+  };
+  assign(item, newId);
+
+  return renamedIds;
+}
+
+/**
+ * ID для новой подзадачи элемента: следующий номер после последнего из занятых
+ * @param {object} parent - Задача или подзадача
+ * @returns {string}
+ */
+function getNextChildId(parent) {
+  const numbers = getChildren(parent).map(subtask => parseInt(String(subtask.id).split('.').pop()) || 0);
+  return `${parent.id}.${Math.max(0, ...numbers) + 1}`;
+}
+
+/**
+ * Отметить выполненным элемент по пути и поднять статус вверх по дереву:
+ * родитель, у которого все подзадачи выполнены или отменены, тоже становится выполненным
+ *
+ * @param {object[]} path - Путь от задачи до выполненного элемента
+ * @returns {object[]} - Родители, отмеченные выполненными, начиная с ближайшего
+ */
+function rollUpCompletion(path) {
+  const completed = [];
+
+  for (let index = path.length - 2; index >= 0; index--) {
+    const parent = path[index];
+    const isClosed = item => item.status === 'done' || item.status === 'cancelled';
+    if (isClosed(parent) || !getChildren(parent).every(isClosed)) {
+      break;
+    }
+
+    parent.status = 'done';
+    completed.push(parent);
+  }
+
+  return completed;
+}
+
+/**
+ * Построить дерево подзадач по отступам строк.
+ * Строка с большим отступом, чем предыдущая, становится её подзадачей
+ *
+ * @param {string[]} lines - Строки подзадач в исходном порядке (с отступами)
+ * @param {number|string} parentId - ID задачи, к которой относятся подзадачи
+ * @param {Function} createSubtask - (line, id) => подзадача
+ * @returns {object[]} - Подзадачи первого уровня
+ */
+function nestByIndent(lines, parentId, createSubtask) {
+  const root = { id: parentId, subtasks: [] };
+  const stack = [{ indent: -1, item: root }];
+
+  lines.forEach(line => {
+    const indent = getIndent(line);
+    while (stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+
+    const parent = stack[stack.length - 1].item;
+    if (!parent.subtasks) {
+      parent.subtasks = [];
+    }
+    const subtask = createSubtask(line, `${parent.id}.${parent.subtasks.length + 1}`);
+    parent.subtasks.push(subtask);
+    stack.push({ indent, item: subtask });
+  });
+
+  return root.subtasks;
+}
+
+/**
+ * Ширина отступа строки (табуляция считается за 4 пробела)
+ * @param {string} line - Строка
+ * @returns {number}
+ */
+function getIndent(line) {
+  return String(line).match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+module.exports = {
+  getChildren,
+  walkSubtasks,
+  getDescendants,
+  findPath,
+  renumber,
+  getNextChildId,
+  rollUpCompletion,
+  nestByIndent,
+  getIndent
+};
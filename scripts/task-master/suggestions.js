@@ -0,0 +1,239 @@
+/**
+ * Подсказки "возможно, вы имели в виду" для нераспознанных команд чата
+ * Команда сравнивается с примерами фраз намерений (расстояние Левенштейна
+ * и пересечение слов), а номер задачи берется из команды или подбирается
+ * по названию задачи, упомянутому в команде.
+ *
+ * Примеры фраз задаются в описании намерения (поле examples):
+ *   {id}   - номер задачи или подзадачи
+ *   {name} - в конце фразы: произвольный текст после команды (название, план);
+ *            в середине фразы - одно слово (например, {tag})
+ */
+
+// Минимальное сходство, при котором фраза предлагается пользователю
+const SIMILARITY_THRESHOLD = 0.6;
+
+// Доля слов названия задачи, которые должны встретиться в команде
+const TITLE_MATCH_THRESHOLD = 0.6;
+
+// Сколько подсказок показывать
+const DEFAULT_LIMIT = 3;
+
+const PLACEHOLDER_REGEX = /^\{(\w+)\}$/;
+
+/**
+ * Расстояние Левенштейна между строками
+ * @param {string} a - Первая строка
+ * @param {string} b - Вторая строка
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Привести слово к виду для сравнения: нижний регистр, без знаков препинания
+ * @param {string} word - Слово
+ * @returns {string}
+ */
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/ё/g, 'е').replace(/[^\p{L}\p{N}{}.]/gu, '').replace(/^\.+|\.+$/g, '');
+}
+
+/**
+ * Разбить текст на слова: исходные и нормализованные
+ * @param {string} text - Текст
+ * @returns {object[]} - [{ original, word }]
+ */
+function tokenize(text) {
+  return String(text || '')
+    .split(/\s+/)
+    .map(original => ({ original, word: normalizeWord(original) }))
+    .filter(token => token.word);
+}
+
+/**
+ * Похожи ли слова с учетом опечаток
+ * @param {string} a - Первое слово
+ * @param {string} b - Второе слово
+ * @returns {boolean}
+ */
+function wordsMatch(a, b) {
+  if (a === b) return true;
+  const allowed = Math.max(a.length, b.length) > 5 ? 2 : 1;
+  return Math.min(a.length, b.length) > 2 && levenshtein(a, b) <= allowed;
+}
+
+/**
+ * Сходство двух последовательностей слов от 0 до 1: среднее сходства строк
+ * (по расстоянию Левенштейна) и пересечения слов с учетом опечаток
+ * (коэффициент Дайса)
+ *
+ * @param {string[]} a - Слова первой фразы
+ * @param {string[]} b - Слова второй фразы
+ * @returns {number}
+ */
+function similarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const left = a.join(' ');
+  const right = b.join(' ');
+  const textSimilarity = 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+
+  const unmatched = [...b];
+  let common = 0;
+  a.forEach(word => {
+    const index = unmatched.findIndex(other => wordsMatch(word, other));
+    if (index !== -1) {
+      common++;
+      unmatched.splice(index, 1);
+    }
+  });
+  const overlap = (2 * common) / (a.length + b.length);
+
+  return (textSimilarity + overlap) / 2;
+}
+
+/**
+ * Найти задачу, название которой упомянуто в команде
+ * @param {object[]} tokens - Слова команды
+ * @param {object[]} tasks - Задачи
+ * @returns {object|null} - { id, words } - ID задачи и совпавшие слова команды
+ */
+function findTaskByTitle(tokens, tasks) {
+  let best = null;
+
+  tasks.forEach(task => {
+    const titleWords = tokenize(task.title).map(token => token.word);
+    if (titleWords.length === 0) return;
+
+    const matched = tokens.filter(token => titleWords.some(word => wordsMatch(token.word, word)));
+    const ratio = Math.min(matched.length, titleWords.length) / titleWords.length;
+
+    if (ratio >= TITLE_MATCH_THRESHOLD && (!best || ratio > best.ratio)) {
+      best = { id: task.id, ratio, words: matched };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Подобрать номер задачи для подсказки: число из команды
+ * или ID задачи, название которой упомянуто в команде
+ *
+ * @param {object[]} tokens - Слова команды
+ * @param {object[]} tasks - Задачи
+ * @returns {object} - { id, tokens } - ID (или null) и слова команды, где он заменен на {id}
+ */
+function resolveTaskId(tokens, tasks) {
+  const numberIndex = tokens.findIndex(token => /^\d+(\.\d+)*$/.test(token.word));
+  if (numberIndex !== -1) {
+    const replaced = [...tokens];
+    replaced[numberIndex] = { original: '{id}', word: '{id}' };
+    return { id: tokens[numberIndex].word, tokens: replaced };
+  }
+
+  const task = findTaskByTitle(tokens, tasks);
+  if (task) {
+    const firstIndex = tokens.indexOf(task.words[0]);
+    const replaced = tokens.filter(token => !task.words.includes(token));
+    replaced.splice(firstIndex, 0, { original: '{id}', word: '{id}' });
+    return { id: String(task.id), tokens: replaced };
+  }
+
+  return { id: null, tokens };
+}
+
+/**
+ * Сравнить команду с примером фразы
+ * @param {object[]} tokens - Слова команды
+ * @param {object} resolved - Результат resolveTaskId
+ * @param {string} example - Пример фразы
+ * @param {function} placeholder - Текст для незаполненного параметра
+ * @returns {object} - { text, score }
+ */
+function matchExample(tokens, resolved, example, placeholder) {
+  const exampleTokens = example.split(/\s+/);
+  const last = exampleTokens[exampleTokens.length - 1].match(PLACEHOLDER_REGEX);
+  const restName = last && last[1] !== 'id' ? last[1] : null;
+  const fixed = restName ? exampleTokens.slice(0, -1) : exampleTokens;
+  const fixedWords = fixed.map(normalizeWord);
+
+  let score;
+  let rest = '';
+
+  if (restName) {
+    // Текст после команды (название задачи, план) в сравнении не участвует
+    const head = tokens.slice(0, fixed.length).map(token => token.word);
+    score = similarity(head, fixedWords);
+    rest = tokens.slice(fixed.length).map(token => token.original).join(' ');
+  } else {
+    const source = fixed.includes('{id}') ? resolved.tokens : tokens;
+    score = similarity(source.map(token => token.word), fixedWords);
+  }
+
+  const text = fixed
+    .map(word => {
+      if (word === '{id}') return resolved.id || placeholder('id');
+      const name = word.match(PLACEHOLDER_REGEX);
+      return name ? placeholder(name[1]) : word;
+    })
+    .concat(restName ? [rest || placeholder(restName)] : [])
+    .join(' ');
+
+  return { text, score };
+}
+
+/**
+ * Подобрать подсказки для нераспознанной команды
+ * @param {string} command - Текст команды
+ * @param {object[]} intents - Намерения с примерами фраз (examples)
+ * @param {object[]} tasks - Задачи проекта (для подбора номера задачи по названию)
+ * @param {object} options - { limit, placeholder }
+ * @returns {object[]} - [{ intent, text, score }] по убыванию сходства
+ */
+function suggestCommands(command, intents, tasks = [], options = {}) {
+  const limit = options.limit || DEFAULT_LIMIT;
+  const placeholder = options.placeholder || (name => `[${name}]`);
+  const tokens = tokenize(command);
+
+  if (tokens.length === 0) return [];
+
+  const resolved = resolveTaskId(tokens, tasks);
+  const suggestions = [];
+
+  intents.forEach(intent => {
+    (intent.examples || []).forEach(example => {
+      const match = matchExample(tokens, resolved, example, placeholder);
+      if (match.score < SIMILARITY_THRESHOLD) return;
+
+      const existing = suggestions.find(item => item.text === match.text);
+      if (!existing) {
+        suggestions.push({ intent: intent.name, text: match.text, score: Math.round(match.score * 100) / 100 });
+      } else if (match.score > existing.score) {
+        existing.score = Math.round(match.score * 100) / 100;
+      }
+    });
+  });
+
+  return suggestions.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  levenshtein,
+  similarity,
+  suggestCommands
+};
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для управления тегами задач
+ * Позволяет просматривать теги проекта, добавлять и удалять теги задачи (поле tags)
+ */
+
+const chalk = require('chalk');
+const store = require('./task-store');
+const output = require('./output');
+const tags = require('./tags');
+const { t } = require('./i18n');
+
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
+
+/**
+ * Найти задачу для изменения тегов. Теги задаются только задачам:
+ * подзадачи наследуют теги родительской задачи
+ *
+ * @param {object} tasksData - Данные tasks.json
+ * @param {string} taskId - ID задачи
+ * @returns {object} - { task } или { error }
+ */
+function findTask(tasksData, taskId) {
+  if (String(taskId).includes('.')) {
+    return { error: t('tag.subtaskNotAllowed', { id: taskId, parentId: String(taskId).split('.')[0] }) };
+  }
+
+  const task = tasksData.tasks.find(item => item.id === parseInt(taskId));
+  return task ? { task } : { error: t('common.taskNotFound', { id: taskId }) };
+}
+
+/**
+ * Показать все теги проекта с количеством задач
+ * @returns {object} - Результат операции
+ */
+function listAllTags() {
+  const tagList = tags.collectTags(loadTasks());
+
+  return {
+    success: true,
+    message: tagList.length > 0 ? t('tag.projectTags') : t('tag.noTags'),
+    tags: tagList
+  };
+}
+
+/**
+ * Показать теги задачи
+ * @param {string} taskId - ID задачи
+ * @returns {object} - Результат операции
+ */
+function showTags(taskId) {
+  const { task, error } = findTask(loadTasks(), taskId);
+
+  if (!task) {
+    return { success: false, message: error };
+  }
+
+  return {
+    success: true,
+    message: t('tag.taskTags', { id: task.id, title: task.title }),
+    taskId: task.id,
+    tags: tags.getTags(task)
+  };
+}
+
+/**
+ * Добавить или удалить теги задачи
+ * @param {string} taskId - ID задачи
+ * @param {string} action - Действие (add, remove)
+ * @param {string[]} tagValues - Теги
+ * @returns {object} - Результат операции
+ */
+function changeTags(taskId, action, tagValues) {
+  const { tags: values, invalid } = tags.parseTags(tagValues);
+
+  if (invalid.length > 0) {
+    return { success: false, message: t('tag.invalidTags', { tags: invalid.join(', ') }) };
+  }
+  if (values.length === 0) {
+    return { success: false, message: t('tag.noTagsGiven') };
+  }
+
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const { task, error } = findTask(tasksData, taskId);
+
+    if (!task) {
+      return { success: false, message: error };
+    }
+
+    const current = tags.getTags(task);
+    tags.setTags(task, action === 'add'
+      ? [...current, ...values.filter(tag => !current.includes(tag))]
+      : current.filter(tag => !values.includes(tag)));
+    task.updated_at = new Date().toISOString();
+
+    if (!saveTasks(tasksData)) {
+      return { success: false, message: t('common.saveFailed') };
+    }
+
+    return {
+      success: true,
+      message: t('tag.updated', { id: task.id }),
+      taskId: task.id,
+      tags: tags.getTags(task)
+    };
+  });
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('tag.help.title')}\n`));
+  console.log(`${t('tag.help.usage')}\n`);
+  console.log(t('tag.help.examplesHeader'));
+  ['list', 'show', 'add', 'remove'].forEach(example => {
+    console.log(`  ${t(`tag.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+/**
+ * Вывести теги задачи
+ * @param {string[]} taskTags - Теги
+ */
+function printTaskTags(taskTags) {
+  console.log(chalk.dim(`  ${taskTags.length > 0 ? taskTags.map(tag => `#${tag}`).join(' ') : t('tag.none')}`));
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const args = output.stripOutputFlags(process.argv.slice(2));
+  const [taskId, action, ...tagValues] = args;
+
+  if (taskId === 'help') {
+    showHelp();
+  } else if (!taskId) {
+    const result = listAllTags();
+    output.finish(result, result.tags);
+
+    console.log(chalk.cyan(result.message));
+    result.tags.forEach(item => {
+      console.log(`  ${chalk.cyan(`#${item.tag}`)} ${chalk.dim(t('tag.taskCount', { count: item.count, ids: item.taskIds.join(', ') }))}`);
+    });
+  } else if (!action) {
+    const result = showTags(taskId);
+    output.finish(result);
+
+    if (result.success) {
+      console.log(chalk.cyan(result.message));
+      printTaskTags(result.tags);
+    } else {
+      console.log(chalk.red(`✗ ${result.message}`));
+    }
+  } else if ((action === 'add' || action === 'remove') && tagValues.length > 0) {
+    const result = changeTags(taskId, action, tagValues);
+    output.finish(result);
+
+    if (result.success) {
+      console.log(chalk.green(`✓ ${result.message}`));
+      printTaskTags(result.tags);
+    } else {
+      console.log(chalk.red(`✗ ${result.message}`));
+    }
+  } else {
+    showHelp();
+    output.finish({ success: false, message: t('tag.help.usage') });
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  listAllTags,
+  showTags,
+  changeTags
+};
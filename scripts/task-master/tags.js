@@ -0,0 +1,144 @@
+/**
+ * Теги задач (поле tags)
+ * Тег - слово без пробелов, хранится в нижнем регистре без символа #.
+ * В названии задачи теги записываются через #: "Авторизация #backend #auth";
+ * при создании задачи они переносятся в поле tags и убираются из названия.
+ * Теги задаются для задач; подзадачи наследуют теги родительской задачи.
+ */
+
+// Тег в тексте: # в начале слова, затем буква, далее буквы, цифры, - и _
+// (ссылки вида #5 тегами не считаются)
+const TAG_IN_TEXT_REGEX = /(^|\s)#(\p{L}[\p{L}\p{N}_-]*)(?=\s|$)/gu;
+
+// Допустимый тег после нормализации
+const TAG_REGEX = /^[\p{L}\p{N}_-]+$/u;
+
+/**
+ * Привести тег к виду для хранения: без #, в нижнем регистре
+ * @param {string} tag - Тег
+ * @returns {string|null} - Тег или null, если он некорректен
+ */
+function normalizeTag(tag) {
+  const value = String(tag || '').trim().replace(/^#+/, '').toLowerCase();
+  return TAG_REGEX.test(value) ? value : null;
+}
+
+/**
+ * Разобрать список тегов, перечисленных через пробел или запятую
+ * ("backend, #auth" → ["backend", "auth"])
+ *
+ * @param {string|string[]} input - Теги
+ * @returns {object} - { tags, invalid } - корректные теги без повторов и отброшенные значения
+ */
+function parseTags(input) {
+  const values = (Array.isArray(input) ? input : [input])
+    .flatMap(value => String(value || '').split(/[\s,]+/))
+    .filter(Boolean);
+  const tags = [];
+  const invalid = [];
+
+  values.forEach(value => {
+    const tag = normalizeTag(value);
+    if (!tag) {
+      invalid.push(value);
+    } else if (!tags.includes(tag)) {
+      tags.push(tag);
+    }
+  });
+
+  return { tags, invalid };
+}
+
+/**
+ * Извлечь теги из названия задачи
+ * @param {string} text - Название задачи
+ * @returns {object} - { text, tags } - название без тегов и найденные теги
+ */
+function extractTags(text) {
+  const tags = [];
+  const stripped = String(text || '').replace(TAG_IN_TEXT_REGEX, (match, prefix, tag) => {
+    const normalized = normalizeTag(tag);
+    if (!tags.includes(normalized)) {
+      tags.push(normalized);
+    }
+    return prefix;
+  });
+
+  return { text: stripped.replace(/\s{2,}/g, ' ').trim(), tags };
+}
+
+/**
+ * Получить теги задачи
+ * @param {object} task - Задача
+ * @returns {string[]}
+ */
+function getTags(task) {
+  return Array.isArray(task && task.tags) ? task.tags.map(tag => String(tag).toLowerCase()) : [];
+}
+
+/**
+ * Есть ли у задачи хотя бы один из тегов
+ * @param {object} task - Задача
+ * @param {string[]} tags - Теги (пустой список подходит любой задаче)
+ * @returns {boolean}
+ */
+function hasAnyTag(task, tags) {
+  if (!tags || tags.length === 0) return true;
+  const taskTags = getTags(task);
+  return tags.some(tag => taskTags.includes(tag));
+}
+
+/**
+ * Установить теги задачи. Пустой список тегов не храним
+ * @param {object} task - Задача
+ * @param {string[]} tags - Теги
+ */
+function setTags(task, tags) {
+  if (tags.length > 0) {
+    task.tags = tags;
+  } else {
+    delete task.tags;
+  }
+}
+
+/**
+ * Собрать все теги проекта с количеством задач
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {object[]} - [{ tag, count, taskIds }] по алфавиту
+ */
+function collectTags(tasksData) {
+  const byTag = new Map();
+
+  (tasksData.tasks || []).forEach(task => {
+    getTags(task).forEach(tag => {
+      if (!byTag.has(tag)) {
+        byTag.set(tag, []);
+      }
+      byTag.get(tag).push(task.id);
+    });
+  });
+
+  return [...byTag.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([tag, taskIds]) => ({ tag, count: taskIds.length, taskIds }));
+}
+
+/**
+ * Сформировать строку тегов для вывода: "#backend #auth"
+ * @param {object} task - Задача
+ * @returns {string}
+ */
+function formatTags(task) {
+  return getTags(task).map(tag => `#${tag}`).join(' ');
+}
+
+module.exports = {
+  normalizeTag,
+  parseTags,
+  extractTags,
+  getTags,
+  hasAnyTag,
+  setTags,
+  collectTags,
+  formatTags
+};
@@ -0,0 +1,372 @@
+/**
+ * Общее хранилище задач
+ * Единая точка чтения и записи tasks.json и context.json для всех команд.
+ * Запись выполняется атомарно (временный файл + rename) под рекомендательной
+ * файловой блокировкой, поэтому параллельные запуски task-master не портят
+ * и не теряют изменения друг друга. Каждая запись попадает в журнал
+ * изменений (journal.js), по которому работают undo и redo, а прежнее
+ * содержимое файла - в резервную копию (snapshots.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const dependencies = require('./dependencies');
+const migrations = require('./migrations');
+const output = require('./output');
+const { t } = require('./i18n');
+
+// Определяем пути в зависимости от режима (локальный или глобальный)
+const isGlobalMode = process.env.TASK_MASTER_MODE === 'global';
+const tasksDir = process.env.TASK_MASTER_DIR || path.join(process.cwd(), 'tasks');
+const tasksFile = process.env.TASK_MASTER_FILE || path.join(tasksDir, 'tasks.json');
+const contextFile = path.join(tasksDir, 'context.json');
+const lockFile = `${tasksFile}.lock`;
+
+// Параметры блокировки; время ожидания можно задать переменной TASK_MASTER_LOCK_TIMEOUT_MS
+const LOCK_TIMEOUT_MS = parseInt(process.env.TASK_MASTER_LOCK_TIMEOUT_MS) || 10000; // Сколько ждать освобождения блокировки
+const LOCK_STALE_MS = 30000;   // Через сколько блокировка считается зависшей
+const LOCK_RETRY_MS = 50;      // Пауза между попытками захвата
+
+// Глубина вложенных вызовов withLock в текущем процессе
+let lockDepth = 0;
+
+// process.exit() внутри withLock не выполняет finally - снимаем блокировку при выходе
+process.on('exit', () => {
+  if (lockDepth > 0) {
+    releaseLock();
+  }
+});
+
+/**
+ * Синхронная пауза без нагрузки на процессор
+ * @param {number} ms - Длительность паузы в миллисекундах
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Проверить, жив ли процесс с указанным PID
+ * @param {number} pid - Идентификатор процесса
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Проверить, осталась ли блокировка от упавшего или зависшего процесса
+ * @returns {boolean}
+ */
+function isLockStale() {
+  try {
+    const stats = fs.statSync(lockFile);
+    if (Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+      return true;
+    }
+
+    const pid = parseInt(fs.readFileSync(lockFile, 'utf8'));
+    return Number.isInteger(pid) && !isProcessAlive(pid);
+  } catch (error) {
+    // Файл блокировки исчез между проверками - его можно занимать
+    return error.code === 'ENOENT';
+  }
+}
+
+/**
+ * Захватить файловую блокировку, дождавшись её освобождения другими процессами
+ */
+function acquireLock() {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+
+  while (true) {
+    try {
+      const fd = fs.openSync(lockFile, 'wx');
+      fs.writeSync(fd, String(process.pid));
+      fs.closeSync(fd);
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (isLockStale()) {
+      try {
+        fs.unlinkSync(lockFile);
+      } catch (error) {
+        // Блокировку уже снял другой процесс
+      }
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(t('store.lockTimeout', { file: lockFile }));
+    }
+
+    sleep(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Освободить файловую блокировку
+ */
+function releaseLock() {
+  try {
+    fs.unlinkSync(lockFile);
+  } catch (error) {
+    // Файл блокировки уже удален
+  }
+}
+
+/**
+ * Выполнить функцию под блокировкой файлов задач.
+ * Вложенные вызовы в одном процессе не блокируют друг друга,
+ * поэтому цикл "прочитать - изменить - сохранить" можно оборачивать целиком.
+ *
+ * @param {function} fn - Функция, выполняемая под блокировкой
+ * @returns {*} - Результат функции
+ */
+function withLock(fn) {
+  if (lockDepth > 0) {
+    lockDepth++;
+    try {
+      return fn();
+    } finally {
+      lockDepth--;
+    }
+  }
+
+  acquireLock();
+  lockDepth = 1;
+  try {
+    return fn();
+  } finally {
+    lockDepth = 0;
+    releaseLock();
+  }
+}
+
+/**
+ * Атомарно записать JSON в файл
+ * @param {string} file - Путь к файлу
+ * @param {object} data - Данные для записи
+ */
+function writeJsonAtomic(file, data) {
+  writeTextAtomic(file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Атомарно записать текст в файл: текст пишется во временный файл
+ * рядом с целевым и затем переименовывается поверх него
+ *
+ * @param {string} file - Путь к файлу
+ * @param {string} text - Содержимое файла
+ */
+function writeTextAtomic(file, text) {
+  const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  try {
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+      fs.writeSync(fd, text);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, file);
+  } catch (error) {
+    try {
+      fs.unlinkSync(tempFile);
+    } catch (cleanupError) {
+      // Временный файл не был создан
+    }
+    throw error;
+  }
+}
+
+/**
+ * Записать tasks.json или context.json с резервной копией и отметкой
+ * в журнале изменений. Вызывается под блокировкой файлов задач
+ *
+ * @param {string} file - Путь к файлу
+ * @param {object} data - Данные для записи
+ * @returns {boolean} - true, если запись попала в журнал (её можно отменить)
+ */
+function writeJournaled(file, data) {
+  // Журнал и резервные копии сами используют хранилище, поэтому подключаются при первой записи
+  const journal = require('./journal');
+  const snapshots = require('./snapshots');
+  const before = journal.readSnapshot(file);
+
+  snapshots.backupFile(file);
+  writeJsonAtomic(file, data);
+  return journal.recordWrite(file, before, data);
+}
+
+/**
+ * Прочитать JSON-файл
+ * @param {string} file - Путь к файлу
+ * @returns {object|null} - Данные или null, если файла нет
+ */
+function readJson(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Обновить формат tasks.json до текущей версии.
+ * Перед миграцией рядом с файлом сохраняется резервная копия исходной версии
+ *
+ * @returns {object} - { migrated, data, fromVersion, toVersion, applied, backupFile }
+ */
+function migrateTasksFile() {
+  return withLock(() => {
+    const tasksData = readJson(tasksFile);
+    if (!tasksData || !migrations.needsMigration(tasksData)) {
+      return { migrated: false, data: tasksData };
+    }
+
+    const result = migrations.runMigrations(tasksData);
+    const backupFile = `${tasksFile}.v${result.fromVersion}.bak`;
+
+    fs.copyFileSync(tasksFile, backupFile);
+    writeJsonAtomic(tasksFile, result.data);
+
+    return { migrated: true, backupFile, ...result };
+  });
+}
+
+/**
+ * Прочитать tasks.json, при необходимости обновив формат данных
+ * @returns {object|null} - Данные tasks.json или null, если файла нет
+ */
+function readTasksFile() {
+  const tasksData = readJson(tasksFile);
+  if (!tasksData || !migrations.needsMigration(tasksData)) {
+    return tasksData;
+  }
+
+  // Файл мог обновить другой процесс - migrateTasksFile перечитывает его под блокировкой
+  const result = migrateTasksFile();
+  if (result.migrated) {
+    console.log(chalk.blue(t('store.formatUpdated', { file: path.basename(tasksFile), from: result.fromVersion, to: result.toVersion, backup: result.backupFile })));
+  }
+
+  return result.data;
+}
+
+/**
+ * Загрузить задачи из файла. При ошибке выводит сообщение и завершает процесс
+ * @returns {object} - Данные tasks.json
+ */
+function loadTasks() {
+  if (!fs.existsSync(tasksFile)) {
+    const initCommand = isGlobalMode ? 'task-master init' : 'npm run task-master:init';
+    const message = t('store.fileNotFound', { file: path.basename(tasksFile), command: initCommand });
+    console.log(chalk.red(message));
+    console.log(chalk.blue(t('store.filePath', { file: tasksFile })));
+    output.printResult({ success: false, message, tasksFile });
+    process.exit(1);
+  }
+
+  try {
+    return readTasksFile();
+  } catch (error) {
+    const message = t('store.readError', { error: error.message });
+    console.log(chalk.red(message));
+    output.printResult({ success: false, message, tasksFile });
+    process.exit(1);
+  }
+}
+
+/**
+ * Загрузить задачи из файла без завершения процесса
+ * @returns {object|null} - Данные tasks.json или null при ошибке
+ */
+function tryLoadTasks() {
+  try {
+    if (!fs.existsSync(tasksFile)) {
+      console.error(chalk.red(t('store.tasksFileNotFound', { file: tasksFile })));
+      return null;
+    }
+
+    return readTasksFile();
+  } catch (error) {
+    console.error(chalk.red(t('store.tasksReadError', { error: error.message })));
+    return null;
+  }
+}
+
+/**
+ * Сохранить задачи в файл.
+ * Перед записью проверяются зависимости задач: файл с несуществующими
+ * или циклическими зависимостями не сохраняется
+ *
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {boolean} - Успешность операции
+ */
+function saveTasks(tasksData) {
+  const dependencyErrors = dependencies.validateDependencies(tasksData);
+  if (dependencyErrors.length > 0) {
+    console.log(chalk.red(t('store.invalidDependencies')));
+    dependencyErrors.forEach(error => console.log(chalk.red(`  - ${error}`)));
+    return false;
+  }
+
+  try {
+    withLock(() => writeJournaled(tasksFile, tasksData));
+    return true;
+  } catch (error) {
+    console.log(chalk.red(t('store.saveError', { error: error.message })));
+    return false;
+  }
+}
+
+/**
+ * Загрузить контекст выполнения задач
+ * @returns {object|null} - Данные context.json или null, если файла нет
+ */
+function loadContext() {
+  return readJson(contextFile);
+}
+
+/**
+ * Сохранить контекст выполнения задач
+ * @param {object} context - Данные context.json
+ */
+function saveContext(context) {
+  withLock(() => writeJournaled(contextFile, context));
+}
+
+module.exports = {
+  isGlobalMode,
+  tasksDir,
+  tasksFile,
+  contextFile,
+  withLock,
+  writeJsonAtomic,
+  writeTextAtomic,
+  writeJournaled,
+  readJson,
+  readTasksFile,
+  migrateTasksFile,
+  loadTasks,
+  tryLoadTasks,
+  saveTasks,
+  loadContext,
+  saveContext
+};
@@ -0,0 +1,22 @@
+/**
+ * Тесты разбора аргументов команды assign
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAssignArgs } = require('../assign');
+
+test('имя из нескольких слов сохраняется целиком', () => {
+  assert.deepStrictEqual(parseAssignArgs(['5', 'Ivan', 'Petrov']), { taskId: '5', value: 'Ivan Petrov', resolve: false });
+});
+
+test('предлог перед именем отбрасывается, а имя приводится к исполнителю', () => {
+  assert.deepStrictEqual(parseAssignArgs(['1', 'на', 'Ивана']), { taskId: '1', value: 'Ивана', resolve: true });
+  assert.deepStrictEqual(parseAssignArgs(['1', 'to', 'ivan']), { taskId: '1', value: 'ivan', resolve: true });
+});
+
+test('без имени аргументы не разбираются', () => {
+  assert.strictEqual(parseAssignArgs(['1']), null);
+  assert.strictEqual(parseAssignArgs(['1', 'на']), null);
+  assert.strictEqual(parseAssignArgs([]), null);
+});
@@ -0,0 +1,53 @@
+/**
+ * Тесты добавления сгенерированных задач в файл (generate)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Хранилище задач читает каталог при загрузке модуля
+const tasksDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-generate-'));
+process.env.TASK_MASTER_DIR = tasksDir;
+
+const { appendTasks } = require('../generate');
+
+test.after(() => fs.rmSync(tasksDir, { recursive: true, force: true }));
+
+test('при смене ID задачи под блокировкой перенумеровываются все уровни подзадач и зависимости', () => {
+  const now = '2026-01-01T00:00:00.000Z';
+  const existing = { id: 1, title: 'Добавлена другим процессом', status: 'pending', priority: 2, subtasks: [], created_at: now, updated_at: now };
+  fs.writeFileSync(path.join(tasksDir, 'tasks.json'), JSON.stringify({ tasks: [existing] }));
+
+  // Задача сгенерирована с ID 1, пока файл был пуст
+  const task = {
+    id: 1,
+    title: 'Новая задача',
+    status: 'pending',
+    priority: 2,
+    subtasks: [
+      {
+        id: '1.1',
+        title: 'Первая',
+        status: 'pending',
+        subtasks: [{ id: '1.1.1', title: 'Вложенная', status: 'pending' }]
+      },
+      { id: '1.2', title: 'Вторая', status: 'pending', dependsOn: ['1.1.1'] }
+    ],
+    created_at: now,
+    updated_at: now
+  };
+
+  assert.strictEqual(appendTasks([task]), true);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(tasksDir, 'tasks.json'), 'utf8'));
+  const [first, second] = saved.tasks[1].subtasks;
+
+  assert.strictEqual(saved.tasks[0].title, 'Добавлена другим процессом');
+  assert.strictEqual(saved.tasks[1].id, 2);
+  assert.strictEqual(first.id, '2.1');
+  assert.strictEqual(first.subtasks[0].id, '2.1.1');
+  assert.deepStrictEqual(second.dependsOn, ['2.1.1']);
+});
@@ -0,0 +1,30 @@
+/**
+ * Тесты журнала изменений (undo/redo)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Хранилище задач читает каталог при загрузке модуля
+const tasksDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-journal-'));
+process.env.TASK_MASTER_DIR = tasksDir;
+
+const store = require('../task-store');
+const journal = require('../journal');
+
+test.after(() => fs.rmSync(tasksDir, { recursive: true, force: true }));
+
+test('запись поверх поврежденного файла попадает в журнал и отменяется', () => {
+  fs.writeFileSync(store.tasksFile, '{ поврежден');
+
+  assert.strictEqual(store.writeJournaled(store.tasksFile, { tasks: [] }), true);
+
+  assert.strictEqual(journal.undo().success, true);
+  assert.strictEqual(fs.readFileSync(store.tasksFile, 'utf8'), '{ поврежден');
+
+  assert.strictEqual(journal.redo().success, true);
+  assert.deepStrictEqual(store.readJson(store.tasksFile), { tasks: [] });
+});
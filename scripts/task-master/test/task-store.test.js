@@ -0,0 +1,86 @@
+/**
+ * Тесты блокировки и записи файла задач (task-store)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn, spawnSync } = require('child_process');
+
+// Хранилище задач читает каталог и время ожидания блокировки при загрузке модуля
+const tasksDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-store-'));
+process.env.TASK_MASTER_DIR = tasksDir;
+process.env.TASK_MASTER_LOCK_TIMEOUT_MS = '300';
+
+const store = require('../task-store');
+
+const lockFile = `${store.tasksFile}.lock`;
+const storeModule = path.join(__dirname, '..', 'task-store');
+
+test.after(() => fs.rmSync(tasksDir, { recursive: true, force: true }));
+
+/**
+ * Задача для тестовых данных
+ * @param {number} id - ID задачи
+ * @returns {object}
+ */
+function createTask(id) {
+  const now = '2026-01-01T00:00:00.000Z';
+  return { id, title: `Задача ${id}`, status: 'pending', priority: 2, subtasks: [], created_at: now, updated_at: now };
+}
+
+test('блокировка умершего процесса снимается', () => {
+  // PID завершившегося процесса
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  fs.writeFileSync(lockFile, String(pid));
+
+  assert.strictEqual(store.withLock(() => 'готово'), 'готово');
+  assert.strictEqual(fs.existsSync(lockFile), false);
+});
+
+test('занятая живым процессом блокировка не захватывается дольше времени ожидания', () => {
+  fs.writeFileSync(lockFile, String(process.pid));
+
+  try {
+    assert.throws(() => store.withLock(() => assert.fail('функция не должна выполняться')), error => error.message.includes(lockFile));
+  } finally {
+    fs.unlinkSync(lockFile);
+  }
+});
+
+test('параллельные процессы не теряют изменения друг друга', async () => {
+  fs.writeFileSync(store.tasksFile, JSON.stringify({ tasks: [] }));
+
+  // Каждый процесс читает файл, ждет и добавляет свою задачу - без блокировки записи перетерли бы друг друга
+  const script = `
+    const store = require(${JSON.stringify(storeModule)});
+    const task = ${JSON.stringify(createTask(0))};
+    store.withLock(() => {
+      const tasksData = store.loadTasks();
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 100);
+      tasksData.tasks.push({ ...task, id: Number(process.argv[1]) });
+      process.exitCode = store.saveTasks(tasksData) ? 0 : 1;
+    });
+  `;
+  const env = { ...process.env, TASK_MASTER_LOCK_TIMEOUT_MS: '10000' };
+  const runs = [1, 2, 3, 4].map(id => new Promise(resolve => {
+    spawn(process.execPath, ['-e', script, String(id)], { env, stdio: 'ignore' }).on('exit', resolve);
+  }));
+
+  assert.deepStrictEqual(await Promise.all(runs), [0, 0, 0, 0]);
+
+  const ids = store.readJson(store.tasksFile).tasks.map(task => task.id).sort();
+  assert.deepStrictEqual(ids, [1, 2, 3, 4]);
+});
+
+test('атомарная запись заменяет файл целиком и не оставляет временных файлов', () => {
+  const file = path.join(tasksDir, 'atomic.json');
+  fs.writeFileSync(file, 'старое содержимое, которое длиннее нового');
+
+  store.writeTextAtomic(file, '{}');
+
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), '{}');
+  assert.deepStrictEqual(fs.readdirSync(tasksDir).filter(name => name.endsWith('.tmp')), []);
+});
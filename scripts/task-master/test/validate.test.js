@@ -0,0 +1,69 @@
+/**
+ * Тесты исправления tasks.json (validate --fix)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { fixTasksData } = require('../validate');
+
+/**
+ * Задача с подзадачами для тестовых данных
+ * @param {number} id - ID задачи
+ * @param {object[]} subtasks - Подзадачи
+ * @param {object} fields - Дополнительные поля
+ * @returns {object}
+ */
+function createTask(id, subtasks = [], fields = {}) {
+  const now = '2026-01-01T00:00:00.000Z';
+  return { id, title: `Задача ${id}`, status: 'pending', priority: 2, subtasks, created_at: now, updated_at: now, ...fields };
+}
+
+test('повторяющийся ID подзадачи не перенаправляет зависимости на переименованный дубликат', () => {
+  const tasksData = {
+    tasks: [
+      createTask(3, [
+        { id: '3.1', title: 'Оригинал', status: 'pending' },
+        { id: '3.1', title: 'Дубликат', status: 'pending' }
+      ]),
+      createTask(4, [], { dependsOn: ['3.1'] })
+    ]
+  };
+
+  fixTasksData(tasksData);
+
+  assert.deepStrictEqual(tasksData.tasks[0].subtasks.map(subtask => subtask.id), ['3.1', '3.2']);
+  assert.strictEqual(tasksData.tasks[0].subtasks[0].title, 'Оригинал');
+  assert.deepStrictEqual(tasksData.tasks[1].dependsOn, ['3.1']);
+});
+
+test('ссылки на некорректный ID подзадачи переводятся на её новый ID', () => {
+  const tasksData = {
+    tasks: [
+      createTask(3, [
+        { id: '3.1', title: 'Первая', status: 'pending' },
+        { id: '9.9', title: 'Чужой ID', status: 'pending' }
+      ]),
+      createTask(4, [], { dependsOn: ['9.9', 3] })
+    ]
+  };
+
+  fixTasksData(tasksData);
+
+  assert.strictEqual(tasksData.tasks[0].subtasks[1].id, '3.2');
+  assert.deepStrictEqual(tasksData.tasks[1].dependsOn, ['3.2', 3]);
+});
+
+test('некорректный ID, который есть у другой подзадачи, продолжает ссылаться на неё', () => {
+  const tasksData = {
+    tasks: [
+      createTask(3, [{ id: '4.1', title: 'Чужой ID', status: 'pending' }]),
+      createTask(4, [{ id: '4.1', title: 'Настоящая 4.1', status: 'pending' }]),
+      createTask(5, [], { dependsOn: ['4.1'] })
+    ]
+  };
+
+  fixTasksData(tasksData);
+
+  assert.strictEqual(tasksData.tasks[0].subtasks[0].id, '3.1');
+  assert.deepStrictEqual(tasksData.tasks[2].dependsOn, ['4.1']);
+});
@@ -0,0 +1,224 @@
+/**
+ * Учет времени работы над задачами (поле time)
+ * Время хранится у задачи или подзадачи:
+ *   time.spent     - накопленное время в секундах,
+ *   time.startedAt - момент запуска таймера (только пока таймер идет),
+ *   time.log       - отрезки работы [{ start, end, seconds }] для отчетов за период.
+ * У каждого исполнителя (assignees.js) идет не больше одного таймера: запуск таймера
+ * останавливает остальные таймеры того же исполнителя.
+ */
+
+const dependencies = require('./dependencies');
+const subtaskTree = require('./subtask-tree');
+const assignees = require('./assignees');
+const { t } = require('./i18n');
+
+/**
+ * Все задачи и подзадачи проекта вместе с родительской задачей
+ * @param {object} tasksData - Данные tasks.json
+ * @returns {object[]} - [{ item, task }]
+ */
+function getTrackableItems(tasksData) {
+  return (tasksData.tasks || []).flatMap(task => [
+    { item: task, task },
+    ...subtaskTree.getDescendants(task).map(subtask => ({ item: subtask, task }))
+  ]);
+}
+
+/**
+ * Идет ли таймер задачи или подзадачи
+ * @param {object} item - Задача или подзадача
+ * @returns {boolean}
+ */
+function isRunning(item) {
+  return Boolean(item.time && item.time.startedAt);
+}
+
+/**
+ * Запустить таймер задачи или подзадачи
+ * @param {object} item - Задача или подзадача
+ * @param {Date} now - Текущий момент
+ * @returns {boolean} - true, если таймер запущен (false - уже шел)
+ */
+function startTimer(item, now = new Date()) {
+  if (isRunning(item)) return false;
+
+  item.time = { spent: 0, log: [], ...item.time, startedAt: now.toISOString() };
+  return true;
+}
+
+/**
+ * Остановить таймер и записать отрезок работы
+ * @param {object} item - Задача или подзадача
+ * @param {Date} now - Текущий момент
+ * @returns {number|null} - Длительность отрезка в секундах или null, если таймер не шел
+ */
+function stopTimer(item, now = new Date()) {
+  if (!isRunning(item)) return null;
+
+  const start = item.time.startedAt;
+  const seconds = Math.max(0, Math.round((now - Date.parse(start)) / 1000));
+
+  // Отрезки короче секунды в журнал не записываем
+  item.time.spent = (item.time.spent || 0) + seconds;
+  if (seconds > 0) {
+    item.time.log = [...(item.time.log || []), { start, end: now.toISOString(), seconds }];
+  }
+  delete item.time.startedAt;
+
+  return seconds;
+}
+
+/**
+ * Остановить все идущие таймеры
+ * @param {object} tasksData - Данные tasks.json
+ * @param {Date} now - Текущий момент
+ * @returns {object[]} - Остановленные таймеры [{ id, title, seconds }]
+ */
+function stopAllTimers(tasksData, now = new Date()) {
+  return getTrackableItems(tasksData)
+    .filter(({ item }) => isRunning(item))
+    .map(({ item }) => ({ id: item.id, title: item.title, seconds: stopTimer(item, now) }));
+}
+
+/**
+ * Остановить идущие таймеры исполнителя
+ * @param {object} tasksData - Данные tasks.json
+ * @param {string|null} assignee - Исполнитель (null - задачи без исполнителя)
+ * @param {Date} now - Текущий момент
+ * @returns {object[]} - Остановленные таймеры [{ id, title, seconds }]
+ */
+function stopAssigneeTimers(tasksData, assignee, now = new Date()) {
+  return getTrackableItems(tasksData)
+    .filter(({ item }) => isRunning(item))
+    .filter(({ item }) => assignees.getEffectiveAssignee(subtaskTree.findPath(tasksData, item.id)) === assignee)
+    .map(({ item }) => ({ id: item.id, title: item.title, seconds: stopTimer(item, now) }));
+}
+
+/**
+ * Переключить учет времени на задачу: остановить другие таймеры её исполнителя
+ * и запустить таймер задачи
+ * @param {object} tasksData - Данные tasks.json
+ * @param {number|string} id - ID задачи или подзадачи
+ * @param {Date} now - Текущий момент
+ * @returns {object|null} - { item, stopped } или null, если задача не найдена
+ */
+function startTracking(tasksData, id, now = new Date()) {
+  const path = subtaskTree.findPath(tasksData, dependencies.normalizeId(id));
+  if (!path) return null;
+
+  const item = path[path.length - 1];
+  const stopped = isRunning(item) ? [] : stopAssigneeTimers(tasksData, assignees.getEffectiveAssignee(path), now);
+  startTimer(item, now);
+
+  return { item, stopped };
+}
+
+/**
+ * Остановить таймеры задачи и всех её подзадач (при завершении или смене статуса)
+ * @param {object} task - Задача или подзадача
+ * @param {Date} now - Текущий момент
+ * @returns {number} - Сколько секунд добавлено
+ */
+function stopTracking(task, now = new Date()) {
+  return [task, ...subtaskTree.getDescendants(task)]
+    .map(item => stopTimer(item, now) || 0)
+    .reduce((sum, seconds) => sum + seconds, 0);
+}
+
+/**
+ * Накопленное время задачи или подзадачи, включая идущий таймер
+ * @param {object} item - Задача или подзадача
+ * @param {Date} now - Текущий момент
+ * @returns {number} - Секунды
+ */
+function getSpent(item, now = new Date()) {
+  const spent = (item.time && item.time.spent) || 0;
+  return isRunning(item) ? spent + Math.max(0, Math.round((now - Date.parse(item.time.startedAt)) / 1000)) : spent;
+}
+
+/**
+ * Время работы над задачей или подзадачей за период: отрезки журнала,
+ * попадающие в период, и идущий таймер
+ *
+ * @param {object} item - Задача или подзадача
+ * @param {Date|null} since - Начало периода (null - за все время)
+ * @param {Date} now - Текущий момент
+ * @returns {number} - Секунды
+ */
+function getTrackedSince(item, since = null, now = new Date()) {
+  if (!since) return getSpent(item, now);
+
+  const from = since.getTime();
+  const segments = [...((item.time && item.time.log) || [])];
+  if (isRunning(item)) {
+    segments.push({ start: item.time.startedAt, end: now.toISOString() });
+  }
+
+  return segments.reduce((sum, segment) => {
+    const start = Math.max(Date.parse(segment.start), from);
+    const end = Date.parse(segment.end);
+    return end > start ? sum + Math.round((end - start) / 1000) : sum;
+  }, 0);
+}
+
+/**
+ * Разобрать начало периода: 2026-10-01, 01.10.2026, сегодня, вчера, 7d, "7 дней"
+ * @param {string} text - Текст даты
+ * @param {Date} now - Текущий момент
+ * @returns {Date|null} - Начало дня в местном времени или null
+ */
+function parseSince(text, now = new Date()) {
+  const value = String(text || '').trim().toLowerCase();
+  const startOfDay = (date, days = 0) => new Date(date.getFullYear(), date.getMonth(), date.getDate() - days);
+
+  let match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  match = value.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (match) {
+    return new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1]));
+  }
+
+  if (value === 'today' || value === 'сегодня') return startOfDay(now);
+  if (value === 'yesterday' || value === 'вчера') return startOfDay(now, 1);
+
+  match = value.match(/^(\d+)\s*(?:d|days?|дн(?:я|ей)?|день)$/);
+  if (match) {
+    return startOfDay(now, Number(match[1]));
+  }
+
+  return null;
+}
+
+/**
+ * Длительность для вывода: "2 ч 05 мин", "15 мин"
+ * @param {number} seconds - Секунды
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const totalMinutes = Math.round(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  return hours > 0
+    ? t('time.hoursMinutes', { hours, minutes: String(minutes).padStart(2, '0') })
+    : t('time.minutes', { minutes });
+}
+
+module.exports = {
+  getTrackableItems,
+  isRunning,
+  startTimer,
+  stopTimer,
+  stopAllTimers,
+  stopAssigneeTimers,
+  startTracking,
+  stopTracking,
+  getSpent,
+  getTrackedSince,
+  parseSince,
+  formatDuration
+};
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для учета времени работы над задачами
+ * Запускает и останавливает таймер задачи и показывает его состояние.
+ * Таймер также запускается автоматически при начале задачи (next start)
+ * и останавливается при её выполнении (complete)
+ */
+
+const chalk = require('chalk');
+const store = require('./task-store');
+const output = require('./output');
+const dependencies = require('./dependencies');
+const timeTracking = require('./time-tracking');
+const statuses = require('./statuses');
+const subtaskTree = require('./subtask-tree');
+const assignees = require('./assignees');
+const { t } = require('./i18n');
+
+// Загрузка и сохранение задач - через общее хранилище
+const { loadTasks, saveTasks } = store;
+
+/**
+ * Запустить таймер задачи. Без ID - таймер текущей задачи исполнителя.
+ * Задача без исполнителя назначается тому, кто запускает таймер,
+ * чтобы таймер можно было остановить командой timer stop без ID
+ *
+ * @param {string} taskId - ID задачи или подзадачи
+ * @param {object} options - { as } - исполнитель (по умолчанию - пользователь git)
+ * @returns {object} - Результат операции
+ */
+function startTimer(taskId, options = {}) {
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    const starter = options.as || assignees.getCurrentUser();
+    const [currentTask] = assignees.getInProgressTasks(tasksData, starter);
+    const id = taskId || (currentTask && currentTask.id);
+
+    if (!id) {
+      return { success: false, message: t('timer.noTask') };
+    }
+
+    const path = subtaskTree.findPath(tasksData, dependencies.normalizeId(id));
+    if (!path) {
+      return { success: false, message: t('common.taskNotFound', { id }) };
+    }
+
+    const item = path[path.length - 1];
+    if (statuses.isClosed(item.status)) {
+      return { success: false, message: t('timer.taskDone', { id: item.id }) };
+    }
+    if (timeTracking.isRunning(item)) {
+      return { success: false, message: t('timer.alreadyRunning', { id: item.id, title: item.title }) };
+    }
+
+    if (!assignees.getEffectiveAssignee(path)) {
+      assignees.claim(path[0], starter);
+    }
+
+    const { stopped } = timeTracking.startTracking(tasksData, item.id);
+
+    if (!saveTasks(tasksData)) {
+      return { success: false, message: t('common.saveFailed') };
+    }
+
+    return {
+      success: true,
+      message: t('timer.started', { id: item.id, title: item.title }),
+      taskId: item.id,
+      startedAt: item.time.startedAt,
+      stopped
+    };
+  });
+}
+
+/**
+ * Остановить таймер задачи (вместе с таймерами её подзадач).
+ * Без ID - идущий таймер исполнителя и таймеры задач без исполнителя;
+ * таймеры других исполнителей не останавливаются
+ *
+ * @param {string} taskId - ID задачи или подзадачи
+ * @param {object} options - { as } - исполнитель (по умолчанию - пользователь git)
+ * @returns {object} - Результат операции
+ */
+function stopTimer(taskId, options = {}) {
+  return store.withLock(() => {
+    const tasksData = loadTasks();
+    let stopped;
+
+    if (taskId) {
+      const item = dependencies.buildIndex(tasksData).get(dependencies.normalizeId(taskId));
+      if (!item) {
+        return { success: false, message: t('common.taskNotFound', { id: taskId }) };
+      }
+
+      stopped = [item, ...subtaskTree.getDescendants(item)]
+        .filter(entry => timeTracking.isRunning(entry))
+        .map(entry => ({ id: entry.id, title: entry.title, seconds: timeTracking.stopTimer(entry) }));
+
+      if (stopped.length === 0) {
+        return { success: false, message: t('timer.notRunningTask', { id: item.id }) };
+      }
+    } else {
+      // Таймеры задач без исполнителя ничьи - их тоже останавливает timer stop без ID
+      const assignee = options.as || assignees.getCurrentUser();
+      stopped = [
+        ...timeTracking.stopAssigneeTimers(tasksData, assignee),
+        ...(assignee ? timeTracking.stopAssigneeTimers(tasksData, null) : [])
+      ];
+
+      if (stopped.length === 0) {
+        return { success: false, message: t('timer.notRunning') };
+      }
+    }
+
+    if (!saveTasks(tasksData)) {
+      return { success: false, message: t('common.saveFailed') };
+    }
+
+    return {
+      success: true,
+      message: stopped
+        .map(item => t('timer.stopped', { id: item.id, title: item.title, duration: timeTracking.formatDuration(item.seconds) }))
+        .join('\n'),
+      stopped
+    };
+  });
+}
+
+/**
+ * Состояние таймера: задача, время текущего отрезка и накопленное время
+ * @returns {object} - Результат операции
+ */
+function getTimerStatus() {
+  const now = new Date();
+  const running = timeTracking.getTrackableItems(loadTasks())
+    .filter(({ item }) => timeTracking.isRunning(item))
+    .map(({ item }) => ({
+      id: item.id,
+      title: item.title,
+      startedAt: item.time.startedAt,
+      elapsed: Math.round((now - Date.parse(item.time.startedAt)) / 1000),
+      spent: timeTracking.getSpent(item, now)
+    }));
+
+  return {
+    success: true,
+    message: running.length > 0 ? t('timer.running') : t('timer.notRunning'),
+    running
+  };
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('timer.help.title')}\n`));
+  console.log(`${t('timer.help.usage')}\n`);
+  console.log(t('timer.help.examplesHeader'));
+  ['start', 'startId', 'stop', 'stopId', 'as', 'status'].forEach(example => {
+    console.log(`  ${t(`timer.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+/**
+ * Разобрать аргументы: "<команда> [<id>] [--as <имя>]"
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {object} - { command, taskId, as }
+ */
+function parseTimerArgs(args) {
+  const positional = [];
+  let as = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+    if (flag === '--as') {
+      as = assignees.normalizeAssignee(inlineValue !== undefined ? inlineValue : args[++i]);
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  const [command, taskId] = positional;
+  return { command, taskId, as };
+}
+
+/**
+ * Вывести результат запуска или остановки таймера
+ * @param {object} result - Результат операции
+ */
+function printResult(result) {
+  if (!result.success) {
+    console.log(chalk.red(`✗ ${result.message}`));
+    return;
+  }
+
+  // При запуске таймера показываем, какой таймер был остановлен
+  if (result.startedAt) {
+    result.stopped.forEach(item => {
+      console.log(chalk.dim(t('timer.stopped', { id: item.id, title: item.title, duration: timeTracking.formatDuration(item.seconds) })));
+    });
+  }
+  console.log(chalk.green(`✓ ${result.message}`));
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const { command, taskId, as } = parseTimerArgs(output.stripOutputFlags(process.argv.slice(2)));
+
+  if (command === 'help') {
+    showHelp();
+  } else if (command === 'start') {
+    const result = startTimer(taskId, { as });
+    output.finish(result);
+    printResult(result);
+  } else if (command === 'stop') {
+    const result = stopTimer(taskId, { as });
+    output.finish(result);
+    printResult(result);
+  } else if (command === 'status' || !command) {
+    const result = getTimerStatus();
+    output.finish(result, result.running);
+
+    if (result.running.length === 0) {
+      console.log(chalk.yellow(result.message));
+    }
+    result.running.forEach(item => {
+      console.log(chalk.cyan(`⏱ [${item.id}] ${item.title}`));
+      console.log(chalk.cyan(`  ${t('timer.elapsed', { duration: timeTracking.formatDuration(item.elapsed) })}`));
+      console.log(chalk.dim(`  ${t('timer.total', { duration: timeTracking.formatDuration(item.spent) })}`));
+    });
+  } else {
+    showHelp();
+    output.finish({ success: false, message: t('timer.help.usage') });
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  startTimer,
+  stopTimer,
+  getTimerStatus,
+  parseTimerArgs
+};
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для отмены и повтора команд
+ * undo отменяет последнюю команду, изменившую tasks.json или context.json,
+ * redo повторяет последнюю отмененную команду (журнал - в journal.js)
+ */
+
+const chalk = require('chalk');
+const output = require('./output');
+const journal = require('./journal');
+const { t, formatDate } = require('./i18n');
+
+/**
+ * Разобрать аргументы: "[redo] [--force] [--list]"
+ * @param {string[]} args - Аргументы командной строки
+ * @returns {object} - { action, force } - action: undo, redo, list или help; либо { error }
+ */
+function parseUndoArgs(args) {
+  const options = { action: 'undo', force: false };
+
+  for (const arg of args) {
+    if (arg === 'redo' || arg === 'help') {
+      options.action = arg;
+    } else if (arg === '--list') {
+      options.action = 'list';
+    } else if (arg === '--force') {
+      options.force = true;
+    } else {
+      return { error: t('journal.errors.unknownOption', { option: arg }) };
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Вывести операцию журнала
+ * @param {object} operation - { label, timestamp, files }
+ */
+function printOperation(operation) {
+  console.log(`  ${chalk.dim(formatDate(operation.timestamp))} ${operation.label} ${chalk.dim(`(${operation.files.join(', ')})`)}`);
+}
+
+// Вспомогательная функция для вывода справки
+function showHelp() {
+  console.log(chalk.bold(`\n${t('journal.help.title')}\n`));
+  console.log(`${t('journal.help.usage')}\n`);
+  console.log(t('journal.help.examplesHeader'));
+  ['undo', 'redo', 'list', 'force'].forEach(example => {
+    console.log(`  ${t(`journal.help.examples.${example}`)}`);
+  });
+  console.log('');
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const options = parseUndoArgs(output.stripOutputFlags(process.argv.slice(2)));
+
+  if (options.error) {
+    console.log(chalk.red(`✗ ${options.error}`));
+    showHelp();
+    output.finish({ success: false, message: options.error });
+  } else if (options.action === 'help') {
+    showHelp();
+  } else if (options.action === 'list') {
+    const operations = journal.getOperations();
+    output.finish({ success: true, ...operations }, operations.undo);
+
+    console.log(chalk.bold(`\n${t('journal.list.undo')}`));
+    if (operations.undo.length === 0) {
+      console.log(chalk.dim(`  ${t('journal.list.empty')}`));
+    }
+    operations.undo.forEach(printOperation);
+
+    if (operations.redo.length > 0) {
+      console.log(chalk.bold(`\n${t('journal.list.redo')}`));
+      operations.redo.forEach(printOperation);
+    }
+    console.log('');
+  } else {
+    const result = options.action === 'redo'
+      ? journal.redo({ force: options.force })
+      : journal.undo({ force: options.force });
+    output.finish(result);
+
+    if (result.success) {
+      console.log(chalk.green(`✓ ${result.message}`));
+    } else {
+      console.log(chalk.red(`✗ ${result.message}`));
+    }
+  }
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  parseUndoArgs
+};
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+/**
+ * Скрипт для проверки tasks.json и context.json по схеме
+ * Выводит каждое нарушение с JSON-путём, а в режиме --fix
+ * исправляет типовые ошибки в tasks.json
+ */
+
+const fs = require('fs');
+const chalk = require('chalk');
+const store = require('./task-store');
+const output = require('./output');
+const schema = require('./schema');
+const dependencies = require('./dependencies');
+const { t } = require('./i18n');
+
+/**
+ * Проверить, что значение - корректная дата
+ * @param {*} value - Значение
+ * @returns {boolean}
+ */
+function isValidTimestamp(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Перенумеровать подзадачи с некорректными или повторяющимися ID.
+ * ID подзадачи имеет вид "<ID родителя>.<номер>"; вложенные подзадачи
+ * проверяются после родителя, поэтому следуют его новому ID.
+ * В renamedIds попадают только некорректные ID: повторяющийся ID остается
+ * за первой подзадачей, и ссылки на него переводить не нужно
+ *
+ * @param {object} parent - Задача или подзадача
+ * @param {string} parentPath - JSON-путь родителя
+ * @param {object[]} fixes - Список исправлений (дополняется)
+ * @param {object} renamedIds - Старый ID → новый ID (дополняется)
+ */
+function fixSubtaskIds(parent, parentPath, fixes, renamedIds) {
+  if (!Array.isArray(parent.subtasks)) return;
+
+  const idPattern = new RegExp(`^${String(parent.id).replace(/\./g, '\\.')}\\.(\\d+)$`);
+  const usedNumbers = new Set();
+  const malformed = [];
+  parent.subtasks.forEach((subtask, subtaskIndex) => {
+    const match = typeof subtask.id === 'string' && subtask.id.match(idPattern);
+    if (match && !usedNumbers.has(match[1])) {
+      usedNumbers.add(match[1]);
+    } else {
+      malformed.push({ subtaskIndex, duplicate: Boolean(match) });
+    }
+  });
+
+  let nextNumber = Math.max(0, ...[...usedNumbers].map(Number)) + 1;
+  malformed.forEach(({ subtaskIndex, duplicate }) => {
+    const subtask = parent.subtasks[subtaskIndex];
+    const newId = `${parent.id}.${nextNumber++}`;
+    fixes.push({ path: `${parentPath}.subtasks[${subtaskIndex}].id`, message: `${JSON.stringify(subtask.id)} → "${newId}"` });
+    if (!duplicate && typeof subtask.id === 'string' && subtask.id.includes('.')) {
+      // Один некорректный ID у нескольких подзадач: неизвестно, на какую из них ссылка
+      renamedIds[subtask.id] = subtask.id in renamedIds ? null : newId;
+    }
+    subtask.id = newId;
+  });
+
+  parent.subtasks.forEach((subtask, subtaskIndex) => {
+    fixSubtaskIds(subtask, `${parentPath}.subtasks[${subtaskIndex}]`, fixes, renamedIds);
+  });
+}
+
+/**
+ * Исправить типовые ошибки в данных tasks.json:
+ * нормализовать приоритеты, добавить отсутствующие массивы подзадач и даты,
+ * перенумеровать подзадачи с некорректными ID
+ *
+ * @param {object} tasksData - Данные tasks.json (изменяются на месте)
+ * @returns {object[]} - Список исправлений вида { path, message }
+ */
+function fixTasksData(tasksData) {
+  const fixes = [];
+  const now = new Date().toISOString();
+  const renamedIds = {};
+
+  if (!Array.isArray(tasksData.tasks)) {
+    tasksData.tasks = [];
+    fixes.push({ path: '$.tasks', message: t('validate.fixes.tasksCreated') });
+  }
+
+  tasksData.tasks.forEach((task, taskIndex) => {
+    const taskPath = `$.tasks[${taskIndex}]`;
+
+    // Приоритет - число от 1 до 3
+    const priority = schema.normalizePriority(task.priority);
+    if (task.priority !== priority) {
+      fixes.push({ path: `${taskPath}.priority`, message: `${JSON.stringify(task.priority)} → ${priority}` });
+      task.priority = priority;
+    }
+
+    // Массив подзадач
+    if (!Array.isArray(task.subtasks)) {
+      task.subtasks = [];
+      fixes.push({ path: `${taskPath}.subtasks`, message: t('validate.fixes.subtasksCreated') });
+    }
+
+    // Даты создания и обновления
+    if (!isValidTimestamp(task.created_at)) {
+      task.created_at = isValidTimestamp(task.updated_at) ? task.updated_at : now;
+      fixes.push({ path: `${taskPath}.created_at`, message: t('validate.fixes.timestampSet', { value: task.created_at }) });
+    }
+    if (!isValidTimestamp(task.updated_at)) {
+      task.updated_at = task.created_at;
+      fixes.push({ path: `${taskPath}.updated_at`, message: t('validate.fixes.timestampSet', { value: task.updated_at }) });
+    }
+
+    // ID подзадач на всех уровнях должны иметь вид "<ID родителя>.<номер>" и не повторяться
+    fixSubtaskIds(task, taskPath, fixes, renamedIds);
+  });
+
+  // Обновляем ссылки на перенумерованные подзадачи в зависимостях.
+  // ID, который после исправления есть у другой подзадачи, по-прежнему ссылается на неё
+  const index = dependencies.buildIndex(tasksData);
+  Object.keys(renamedIds)
+    .filter(id => renamedIds[id] === null || index.has(id))
+    .forEach(id => delete renamedIds[id]);
+  dependencies.updateReferences(tasksData, renamedIds);
+
+  return fixes;
+}
+
+/**
+ * Проверить файлы задач и контекста
+ * @returns {object} - Результат проверки с ошибками для каждого файла
+ */
+function validateFiles() {
+  const result = {
+    success: true,
+    tasks: { file: store.tasksFile, errors: [] },
+    context: { file: store.contextFile, errors: [], skipped: !fs.existsSync(store.contextFile) }
+  };
+
+  try {
+    const tasksData = store.readJson(store.tasksFile);
+    if (!tasksData) {
+      result.tasks.errors.push({ path: '$', message: t('validate.fileNotFound') });
+    } else {
+      result.tasks.errors = schema.validateTasks(tasksData);
+      if (Array.isArray(tasksData.tasks)) {
+        dependencies.validateDependencies(tasksData).forEach(message => {
+          result.tasks.errors.push({ path: '$.tasks', message });
+        });
+      }
+    }
+  } catch (error) {
+    result.tasks.errors.push({ path: '$', message: t('validate.parseError', { error: error.message }) });
+  }
+
+  if (!result.context.skipped) {
+    try {
+      result.context.errors = schema.validateContext(store.loadContext());
+    } catch (error) {
+      result.context.errors.push({ path: '$', message: t('validate.parseError', { error: error.message }) });
+    }
+  }
+
+  result.success = result.tasks.errors.length === 0 && result.context.errors.length === 0;
+  return result;
+}
+
+/**
+ * Исправить tasks.json
+ * @returns {object} - Результат исправления
+ */
+function fixTasksFile() {
+  return store.withLock(() => {
+    const tasksData = store.loadTasks();
+    const fixes = fixTasksData(tasksData);
+
+    if (fixes.length === 0) {
+      return { success: true, fixes };
+    }
+
+    return { success: store.saveTasks(tasksData), fixes };
+  });
+}
+
+/**
+ * Вывести ошибки проверки файла
+ * @param {object} fileResult - Результат проверки файла
+ */
+function printFileErrors(fileResult) {
+  if (fileResult.skipped) {
+    console.log(chalk.dim(`- ${t('validate.skipped', { file: fileResult.file })}`));
+    return;
+  }
+
+  if (fileResult.errors.length === 0) {
+    console.log(chalk.green(`✓ ${t('validate.noErrors', { file: fileResult.file })}`));
+    return;
+  }
+
+  console.log(chalk.red(`✗ ${t('validate.errorsFound', { file: fileResult.file, count: fileResult.errors.length })}`));
+  fileResult.errors.forEach(error => {
+    console.log(`  ${chalk.yellow(error.path)}: ${error.message}`);
+  });
+}
+
+// Если скрипт запущен из командной строки
+if (require.main === module) {
+  const args = output.stripOutputFlags(process.argv.slice(2));
+  let fixResult = null;
+
+  if (args.includes('--fix')) {
+    fixResult = fixTasksFile();
+
+    if (fixResult.fixes.length === 0) {
+      console.log(chalk.blue(`ℹ ${t('validate.nothingToFix')}`));
+    } else {
+      console.log(chalk.bold(`\n${t('validate.fixesHeader', { count: fixResult.fixes.length })}`));
+      fixResult.fixes.forEach(fix => {
+        console.log(`  ${chalk.cyan(fix.path)}: ${fix.message}`);
+      });
+      console.log(fixResult.success
+        ? chalk.green(`\n✓ ${t('validate.fixesSaved')}`)
+        : chalk.red(`\n✗ ${t('validate.fixesSaveFailed')}`));
+    }
+    console.log('');
+  }
+
+  const result = validateFiles();
+  printFileErrors(result.tasks);
+  printFileErrors(result.context);
+
+  // Ошибки обоих файлов - одним списком с именем файла
+  const errors = [result.tasks, result.context].flatMap(fileResult =>
+    fileResult.errors.map(error => ({ file: fileResult.file, ...error }))
+  );
+  output.finish({
+    success: result.success && (!fixResult || fixResult.success),
+    valid: result.success,
+    errors,
+    fixed: fixResult ? fixResult.fixes : []
+  }, errors);
+}
+
+// Экспорт функций для использования в других модулях
+module.exports = {
+  fixTasksData,
+  validateFiles,
+  fixTasksFile
+};